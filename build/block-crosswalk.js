@@ -0,0 +1,71 @@
+// Makes the crosswalk which matches census blocks to a module's VTDs or
+// precincts, for importing block equivalency files (see
+// src/models/BlockEquivalency.js). Block groups and tracts nest their blocks,
+// so they don't need one.
+//
+//     npm run block-crosswalk -- <units.geojson> <id column> <blocks.dbf> <output.json>
+//
+// e.g. npm run block-crosswalk -- WI_vtds20.geojson GEOID20 tl_2020_55_tabblock20.dbf WI_vtds20_blocks.json
+//
+// The units are the GeoJSON file of their shapes (see build/unit-geometries.js)
+// and the id column is their `idColumn.key` in the module's JSON. The blocks
+// are the .dbf file in the state's 2020 TIGER/Line block Shapefile
+// (tl_2020_<state FIPS>_tabblock20.zip, from
+// https://www.census.gov/geographies/mapping-files/time-series/geo/tiger-line-file.html),
+// which has each block's GEOID, internal point and population. Each block goes
+// to the unit its internal point is in.
+//
+// Upload the crosswalk alongside the module's other data and name it in the
+// units' entry in assets/data/modules/<State>.json, as "blockCrosswalk": "<url>".
+import fs from "fs";
+import { blockCrosswalk } from "../src/models/lib/block-equivalency";
+import { readTable } from "../src/models/lib/read-shapefile";
+
+// the first column whose name starts with the prefix, e.g. GEOID20
+function column(record, prefix) {
+    return Object.keys(record).find(name => name.startsWith(prefix));
+}
+
+/**
+ * @param {Object[]} records the block file's rows
+ * @returns {Object[]} { id, point, population } for each block
+ */
+function readBlocks(records) {
+    const first = records[0] || {},
+        [id, lat, lng, pop] = ["GEOID", "INTPTLAT", "INTPTLON", "POP"].map(prefix => column(first, prefix));
+    if (!id || !lat || !lng) {
+        throw new Error("The block file needs GEOID, INTPTLAT and INTPTLON columns, as in the "
+            + "TIGER/Line block Shapefiles.");
+    }
+    return records.map(record => ({
+        id: String(record[id]),
+        point: [Number(record[lng]), Number(record[lat])],
+        population: pop ? record[pop] : undefined
+    }));
+}
+
+const [unitsFile, idKey, blocksFile, output] = process.argv.slice(2);
+if (!unitsFile || !idKey || !blocksFile || !output) {
+    console.error("Usage: npm run block-crosswalk -- <units.geojson> <id column> <blocks.dbf> <output.json>");
+    process.exitCode = 1;
+} else {
+    try {
+        // eslint-disable-next-line no-sync
+        const geojson = JSON.parse(fs.readFileSync(unitsFile, "utf8")),
+            // eslint-disable-next-line no-sync
+            dbf = new Uint8Array(fs.readFileSync(blocksFile)).buffer,
+            blocks = readBlocks(readTable(dbf));
+        let units = {};
+        geojson.features.filter(feature => feature.geometry).forEach(feature => {
+            units[String(feature.properties[idKey])] = feature.geometry;
+        });
+        const { crosswalk, unmatchedBlocks } = blockCrosswalk(units, blocks);
+        // eslint-disable-next-line no-sync
+        fs.writeFileSync(output, JSON.stringify(crosswalk));
+        console.log(`Matched ${Object.keys(crosswalk).length} blocks to ${Object.keys(units).length} units `
+            + `in ${output}; ${unmatchedBlocks.length} blocks are in none of them.`);
+    } catch (e) {
+        console.error(e.message);
+        process.exitCode = 1;
+    }
+}
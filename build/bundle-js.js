@@ -43,6 +43,42 @@ export function bundleView(view, production=true, cache) {
     );
 }
 
+/**
+ * Bundles a Web Worker script from src/workers/ into dist/workers/, where
+ * the views load it with `new Worker("/workers/<name>.js")`. Workers only
+ * run in modern browsers, so there is no ES5 build.
+ */
+export function bundleWorker(worker, production=true, cache) {
+    return rollup({
+        input: `./src/workers/${worker}.js`,
+        plugins: plugins(MODERN_TARGETS, !production),
+        cache: !production ? cache : false
+    }).then(bundle =>
+        bundle.write({
+            file: `./dist/workers/${worker}.js`,
+            format: "iife",
+            sourcemap: true
+        })
+    );
+}
+
+export function bundleWorkers(production=true, caches) {
+    return new Promise((resolve, reject) =>
+        fs.readdir("./src/workers/", (err, files) => {
+            if (err) {
+                reject(err);
+            }
+            return resolve(files.map(filename => filename.split(".")[0]));
+        })
+    ).then(workers =>
+        Promise.all(
+            workers.map(worker =>
+                bundleWorker(worker, production, caches ? caches[worker] : null)
+            )
+        )
+    );
+}
+
 export default function bundleViews(production=true, caches) {
     return new Promise((resolve, reject) =>
         fs.readdir("./src/views/", (err, files) => {
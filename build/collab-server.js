@@ -0,0 +1,80 @@
+// A WebSocket server for live collaboration on plans (see
+// src/models/lib/collab-room.js), for teams drawing together at a workshop:
+//
+//     npm run collab            (listens on port 8787, or $COLLAB_PORT)
+//
+// and choose "Collaborate live" in the editor's menu, with the server's
+// address, e.g. ws://192.168.1.10:8787. Only the people who can save a plan
+// can join it, so the server reads plans from the same database as the site's
+// functions (DB_URL in .env), and checks sign-ins with their AUTH_SECRET.
+import http from "http";
+import { WebSocketServer } from "ws";
+// connects to the database
+import "../src/lambda/server";
+import Plan from "../src/lambda/planModel";
+import { bearerUser } from "../src/lambda/bearer";
+import { checkCanUpdate, userKey } from "../src/lambda/owners";
+import { CollabHub } from "../src/models/lib/collab-room";
+
+// largest message to accept, enough for the assignment of a statewide plan
+// on precincts or block groups
+const MAX_MESSAGE = 8 * 1024 * 1024;
+
+/**
+ * Lets the same people join a plan as can save it: its owner and editors,
+ * signed in, and anyone else with its token within 24 hours of its last save.
+ * @param {string} planId a saved plan's simple_id
+ * @param {Object} credentials { token, bearer }: the plan's edit token and
+ *  the signed-in user's bearer token, either of which may be empty
+ * @returns {Promise<boolean>}
+ */
+function authorize(planId, { token, bearer }) {
+    const key = userKey(bearerUser({ Authorization: `Bearer ${bearer}` }));
+    return Plan.findOne({ simple_id: planId.includes("_") ? planId : Number(planId) })
+        .select("token owner editors startDate updateDate")
+        .then(plan => {
+            if (!plan) {
+                return false;
+            }
+            try {
+                checkCanUpdate(plan, key, token);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        });
+}
+
+function accept(socket, hub) {
+    const connection = hub.connect(message => {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    });
+    socket.on("message", (data, isBinary) => {
+        if (isBinary) {
+            socket.close(1003, "Text messages only");
+            return;
+        }
+        try {
+            connection.receive(JSON.parse(data.toString("utf8")));
+        } catch (e) {
+            console.error("Unreadable message", e.message);
+        }
+    });
+    socket.on("close", connection.close);
+    socket.on("error", e => console.error(e.message));
+}
+
+function startCollabServer(port) {
+    const hub = new CollabHub(authorize),
+        server = http.createServer((request, response) => {
+            response.writeHead(200, { "Content-Type": "text/plain" });
+            response.end(`Districtr collaboration server: ${Object.keys(hub.rooms).length} plans open\n`);
+        }),
+        sockets = new WebSocketServer({ server, maxPayload: MAX_MESSAGE });
+    sockets.on("connection", socket => accept(socket, hub));
+    server.listen(port, () => console.log(`Collaboration server listening on port ${port}`));
+}
+
+startCollabServer(Number(process.env.COLLAB_PORT) || 8787);
@@ -0,0 +1,69 @@
+// Makes the GeoJSON file of a module's unit shapes, which the editor uses to
+// export plans as Shapefiles and GeoJSON in the browser (and to score
+// compactness and read imports without the map's tiles), from the zipped
+// Shapefile of the units, e.g. from https://github.com/mggg-states:
+//
+//     npm run unit-geometries -- <units.zip> <id column> <output.geojson>
+//
+// e.g. npm run unit-geometries -- WI_vtds20.zip GEOID20 assets/data/units/WI_vtds20.geojson
+//
+// The id column is the `idColumn.key` of the units in the module's JSON.
+// Upload the file alongside the module's other data and name it in the units'
+// entry in assets/data/modules/<State>.json, as "geojson": "<url>". Units
+// without a GeoJSON file are exported through the export server instead.
+import fs from "fs";
+import { readZippedShapefile } from "../src/models/PolygonImport";
+
+// about 10 cm, plenty for the map and a fifth of the size of full precision
+const DIGITS = 6;
+
+function roundCoordinates(coordinates) {
+    return typeof coordinates[0] === "number"
+        ? coordinates.map(value => Number(value.toFixed(DIGITS)))
+        : coordinates.map(roundCoordinates);
+}
+
+/**
+ * @param {Object} geojson the units, as read from their Shapefile
+ * @param {string} idKey
+ * @returns {Object} the units' shapes, each with only its id
+ */
+function unitGeometries(geojson, idKey) {
+    const features = geojson.features.filter(feature => feature.geometry);
+    if (features.length && features[0].properties[idKey] === undefined) {
+        throw new Error(`The units have no ${idKey} column. Their columns are `
+            + `${Object.keys(features[0].properties).join(", ")}.`);
+    }
+    return {
+        type: "FeatureCollection",
+        features: features.map(feature => ({
+            type: "Feature",
+            properties: { [idKey]: feature.properties[idKey] },
+            geometry: {
+                type: feature.geometry.type,
+                coordinates: roundCoordinates(feature.geometry.coordinates)
+            }
+        }))
+    };
+}
+
+const [source, idKey, output] = process.argv.slice(2);
+if (!source || !idKey || !output) {
+    console.error("Usage: npm run unit-geometries -- <units.zip> <id column> <output.geojson>");
+    process.exitCode = 1;
+} else {
+    // a plain Uint8Array, as the browser would read; slices of Node's Buffers
+    // share their memory
+    // eslint-disable-next-line no-sync
+    readZippedShapefile(new Uint8Array(fs.readFileSync(source)))
+        .then(geojson => {
+            const units = unitGeometries(geojson, idKey);
+            // eslint-disable-next-line no-sync
+            fs.writeFileSync(output, JSON.stringify(units));
+            console.log(`Wrote the shapes of ${units.features.length} units to ${output}`);
+        })
+        .catch(e => {
+            console.error(e.message);
+            process.exitCode = 1;
+        });
+}
@@ -2,7 +2,7 @@ import browserSync from "browser-sync";
 import fs from "fs";
 import gulp from "gulp";
 import sass from "gulp-dart-sass";
-import bundleViews from "./build/bundle-js";
+import bundleViews, { bundleWorkers } from "./build/bundle-js";
 import {
     bundleWithCacheForDevelopment,
     reload,
@@ -22,7 +22,7 @@ export const clean = () => new Promise(resolve => fs.rmdir("./dist", resolve));
 export const deployFiles = () =>
     gulp.src(sources.deployFiles).pipe(gulp.dest("./dist"));
 
-export const js = () => bundleViews();
+export const js = () => Promise.all([bundleViews(), bundleWorkers()]);
 
 export const css = () =>
     gulp
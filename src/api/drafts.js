@@ -0,0 +1,131 @@
+import { generateId } from "../utils";
+
+/**
+ * A library of plan drafts kept in the browser's IndexedDB, so several plans
+ * can be worked on (and reopened offline) without saving them to the
+ * server. Each draft is stored under its plan's id:
+ *
+ *     { id, name, placeId, placeName, problemName, modified, plan }
+ *
+ * where `plan` is the serialized plan, as given to `savePlanToStorage`.
+ */
+
+const DB_NAME = "districtr";
+const DB_VERSION = 1;
+const STORE = "drafts";
+
+let database = null;
+
+function openDatabase() {
+    if (!database) {
+        database = new Promise((resolve, reject) => {
+            if (typeof indexedDB === "undefined") {
+                reject(new Error("This browser can't keep plan drafts."));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result
+                    .createObjectStore(STORE, { keyPath: "id" })
+                    .createIndex("placeId", "placeId");
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return database;
+}
+
+/**
+ * Runs a request against the drafts store.
+ * @param {string} mode "readonly" or "readwrite"
+ * @param {function} makeRequest object store -> IDBRequest
+ * @returns {Promise} the request's result, once the transaction completes
+ */
+function withStore(mode, makeRequest) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode),
+            request = makeRequest(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+}
+
+/**
+ * @param {string} [placeId] only list the drafts for this module
+ * @returns {Promise<Object[]>} drafts, most recently modified first
+ */
+export function listDrafts(placeId) {
+    return withStore("readonly", store => placeId
+        ? store.index("placeId").getAll(placeId)
+        : store.getAll())
+        .then(drafts => drafts.sort((a, b) => b.modified - a.modified));
+}
+
+/**
+ * @param {string} draftId
+ * @returns {Promise<Object|undefined>}
+ */
+export function getDraft(draftId) {
+    return withStore("readonly", store => store.get(draftId));
+}
+
+/**
+ * Saves a plan as the draft with the plan's id, replacing any earlier
+ * version of it.
+ * @param {Object} plan a serialized plan, with an id
+ * @returns {Promise<Object>} the draft
+ */
+export function saveDraft(plan) {
+    const draft = {
+        id: plan.id,
+        name: plan.name || "",
+        placeId: plan.place ? plan.place.id : plan.placeId,
+        placeName: plan.place ? plan.place.name : "",
+        problemName: plan.problem ? plan.problem.pluralNoun || plan.problem.name : "",
+        modified: Date.now(),
+        plan
+    };
+    return withStore("readwrite", store => store.put(draft)).then(() => draft);
+}
+
+/**
+ * @param {string} draftId
+ * @param {string} name the new name, which is also the plan's name
+ * @returns {Promise<Object>} the renamed draft
+ */
+export function renameDraft(draftId, name) {
+    return getDraft(draftId).then(draft => {
+        if (!draft) {
+            throw new Error("That draft no longer exists.");
+        }
+        return saveDraft({ ...draft.plan, name });
+    });
+}
+
+/**
+ * Copies a draft into a new plan, with a new id.
+ * @param {string} draftId
+ * @returns {Promise<Object>} the copy
+ */
+export function duplicateDraft(draftId) {
+    return getDraft(draftId).then(draft => {
+        if (!draft) {
+            throw new Error("That draft no longer exists.");
+        }
+        return saveDraft({
+            ...draft.plan,
+            id: generateId(8),
+            name: `Copy of ${draft.name || "untitled plan"}`
+        });
+    });
+}
+
+/**
+ * @param {string} draftId
+ * @returns {Promise}
+ */
+export function deleteDraft(draftId) {
+    return withStore("readwrite", store => store.delete(draftId));
+}
@@ -0,0 +1,161 @@
+// Saved plans and their owners, through the site's serverless functions
+// (src/lambda), signed in with the bearer token from `api/auth`.
+
+import { render } from "lit-html";
+import { renderModal } from "../components/Modal";
+import { spatial_abilities } from "../utils";
+
+const FUNCTIONS = "/.netlify/functions";
+
+/**
+ * @returns {string|null} the signed-in user's bearer token
+ */
+export function bearerToken() {
+    return localStorage.getItem("bearerToken");
+}
+
+/**
+ * @returns {Object} the Authorization header for the signed-in user, or
+ *  nothing if no one is signed in
+ */
+export function authHeaders() {
+    const token = bearerToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+function readResponse(response) {
+    return response.json().then(body => {
+        if (!response.ok) {
+            throw new Error(body.msg || "Something went wrong.");
+        }
+        return body;
+    });
+}
+
+/**
+ * @returns {Promise<Object[]>} the plans the signed-in user owns or can edit,
+ *  newest first, each with the user's role ("owner" or "editor")
+ */
+export function listMyPlans() {
+    return fetch(`${FUNCTIONS}/myPlans`, { headers: authHeaders() })
+        .then(readResponse)
+        .then(body => body.plans);
+}
+
+/**
+ * @param {string|number} planId
+ * @param {string} action "share", "unshare" or "transfer"
+ * @param {string} email
+ * @returns {Promise<Object>} the plan's { owner, editors }
+ */
+export function changePlanEditors(planId, action, email) {
+    return fetch(`${FUNCTIONS}/planShare`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({ id: planId, action, email })
+    }).then(readResponse);
+}
+
+// planUpdate's answers when the plan's token or the user can't update it
+const PERMISSION_DENIED = [401, 403];
+
+function showSaveError(message) {
+    render(renderModal(`The plan couldn't be saved: ${message || "the server didn't answer"}. `
+        + "Your changes are still here; try saving again in a moment."), document.getElementById("modal"));
+}
+
+export function savePlanToDB(state, eventCode, planName, callback, forceNotScratch) {
+    const serialized = state.serialize(),
+        mapID = window.location.pathname.split("/").slice(-1)[0],
+        token = localStorage.getItem("districtr_token_" + mapID) || "",
+        createdAfter = (new Date() * 1) - 24 * 60 * 60 * 1000,
+        tokenValid = (token && (token !== "null")
+            && (token.split("_")[1] * 1 > createdAfter)),
+        // signed-in users can update plans they own or were given edit rights to
+        ownable = authHeaders().Authorization && !["edit", "coi", "plan", "embedded"].includes(mapID.toLowerCase()),
+        createURL = "/.netlify/functions/planCreate",
+        saveURL = tokenValid || ownable
+            ? ("/.netlify/functions/planUpdate?id=" + mapID)
+            : createURL,
+        requestBody = {
+            plan: JSON.parse(JSON.stringify(serialized)),
+            token: token.split("_")[0],
+            eventCode: eventCode,
+            planName: planName,
+            isScratch: (document.getElementById("is-scratch") || {}).checked || (eventCode && !forceNotScratch),
+            hostname: window.location.hostname,
+            // only kept when the plan is saved as a new one
+            parentId: serialized.parentId
+        };
+    // VA fix - if precinct IDs are strings, escape any "."
+    Object.keys(requestBody.plan.assignment || {}).forEach(key => {
+        if (typeof key === "string" && key.indexOf(".") > -1) {
+            requestBody.plan.assignment[key.replace(/\./g, "÷")] =
+                requestBody.plan.assignment[key];
+            delete requestBody.plan.assignment[key];
+        }
+    });
+    const post = url => fetch(url, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify(requestBody)
+    }).then(res => res.json().then(info => ({ status: res.status, info })));
+    post(saveURL)
+    // without the right to update the plan, save a new one; any other error
+    // is shown, rather than saving a copy
+    .then(response => {
+        const denied = PERMISSION_DENIED.includes(response.status) && saveURL !== createURL;
+        return denied ? post(createURL) : response;
+    })
+    .then(({ info }) => {
+        if (info.simple_id) {
+            let action = (window.location.hostname === "localhost" ? "edit" : (
+              serialized.problem.type === "community" ? "COI" : "plan"
+            ));
+            let extras = "";
+            if (window.location.href.includes("portal")) {
+                extras = "?portal";
+            } else if (window.location.href.includes("qa-portal")) {
+                extras = "?qa-portal";
+            } else if (window.location.href.includes("event")) {
+                const eventdefault = window.location.href.split("event=")[1].split("&")[0].split("#")[0];
+                extras = "?event=" + eventdefault;
+            }
+            history.pushState({}, "Districtr", `/${action}/${info.simple_id}${extras}`);
+            if (info.token && localStorage) {
+                localStorage.setItem("districtr_token_" + info.simple_id, info.token + "_" + (1 * new Date()));
+            } else if (tokenValid && localStorage) {
+                // each update keeps the token good for another 24 hours (see planUpdate)
+                localStorage.setItem("districtr_token_" + info.simple_id, token.split("_")[0] + "_" + Date.now());
+            }
+            if (spatial_abilities(state.place.id).shapefile) {
+                // screenshot
+                if (
+                  (state.place.id === state.place.state.toLowerCase() &&
+                  ["blockgroups20", "vtds20"].includes(state.unitsRecord.id))
+                    || ["new_mexico", "new_mexico_portal"].includes(state.place.id)
+                ) {
+                    fetch("https://gvd4917837.execute-api.us-east-1.amazonaws.com/plan_thumbnail", {
+                      method: 'POST',
+                      mode: 'cors',
+                      headers: {
+                        'Content-Type': 'application/json',
+                      },
+                      body: JSON.stringify({ id: info.simple_id }),
+                    }).then((res) => res.text()).then(f => console.log('saved image'))
+                } else {
+                    fetch("//mggg.pythonanywhere.com/picture2?id=" + info.simple_id).then((res) => res.text()).then(f => console.log('saved image'))
+                }
+            }
+            callback(info.simple_id, action);
+        } else {
+            showSaveError(info.msg);
+            callback(null);
+        }
+    })
+    .catch(e => {
+        console.error(e);
+        showSaveError();
+        callback(null);
+    });
+}
@@ -0,0 +1,62 @@
+import { html, render } from "lit-html";
+import { renderModal } from "./Modal";
+import { numberWithCommas, roundToDecimal } from "../utils";
+
+// how many split units to list
+const LISTED_UNITS = 50;
+
+function shares(split) {
+    return split.shares
+        .map(({ district, share }) => `${district}: ${roundToDecimal(share * 100, 1)}%`)
+        .join(", ");
+}
+
+/**
+ * Shows what a block equivalency file matched and asks what to do with the
+ * units whose blocks are in more than one district.
+ * @param {Object} equivalency from `readBlockEquivalency`
+ * @param {function} onImport called with true to assign split units to
+ *  their majority district, or false to leave them unassigned
+ */
+export function renderBlockEquivalencyReview(equivalency, onImport) {
+    const target = document.getElementById("modal"),
+        { blocks, districts, majority, splits, unmatchedBlocks } = equivalency,
+        choose = assignSplits => () => {
+            render("", target);
+            onImport(assignSplits);
+        };
+    render(renderModal(html`
+        <h3>Import block assignments</h3>
+        <p>
+            ${numberWithCommas(blocks)} blocks in ${districts.length} districts cover
+            ${numberWithCommas(Object.keys(majority).length)} units of this map.
+            ${unmatchedBlocks.length
+                ? `${numberWithCommas(unmatchedBlocks.length)} blocks aren't in any unit of this map and were skipped.`
+                : ""}
+        </p>
+        ${splits.length
+            ? html`
+                <p>
+                    ${numberWithCommas(splits.length)} units have blocks in more than one
+                    district (shares by population, or by number of blocks where
+                    populations aren't known):
+                </p>
+                <ul class="block-import__splits">
+                    ${splits.slice(0, LISTED_UNITS).map(split => html`<li><code>${split.unit}</code> ${shares(split)}</li>`)}
+                    ${splits.length > LISTED_UNITS
+                        ? html`<li>and ${numberWithCommas(splits.length - LISTED_UNITS)} more</li>`
+                        : ""}
+                </ul>
+                <div class="block-import__actions">
+                    <button class="button" @click=${choose(true)}>Assign them to their majority district</button>
+                    <button class="button button--alternate" @click=${choose(false)}>Leave them unassigned</button>
+                </div>
+            `
+            : html`
+                <p>No unit is split between districts.</p>
+                <div class="block-import__actions">
+                    <button class="button" @click=${choose(true)}>Import</button>
+                </div>
+            `}
+    `), target);
+}
@@ -167,6 +167,22 @@ function barsTemplate(bins, heights) {
     return bins.map((bin, i) => barTemplate(bin, heights[i]));
 }
 
+/**
+ * @desc Gets templates for detail points: labelled vertical lines marking
+ * values on the horizontal axis (e.g. where the current plan falls).
+ * @param {object} details Maps point names to normalized horizontal locations.
+ * @returns {SVGTemplateResult[]} Line and label SVG templates.
+ */
+function detailsTemplate(details) {
+    return Object.keys(details).map(name => {
+        let x = details[name]*defaultWidth + horizontalSpace;
+        return svg`
+            <rect class="bar-chart__detail" width="0.5" height="${defaultHorizontalAxis}" x="${x-1/4}" y="0"></rect>
+            <text x="${x+1}" y="${verticalSpace/2}" style="font-size: ${fontSize(name.length)}">${name}</text>
+        `;
+    });
+}
+
 /**
  * @desc Creates an SVG with the desired bars at the desired heights.
  * @param {Number[]} hticks List of ticks for the horizontal axis.
@@ -193,6 +209,7 @@ function barChartTemplate(
             ${barsTemplate(bins, heights)}
             ${horizontalAxis(hticks, { labels: hlabels })}
             ${verticalAxis(vticks, { labels: vlabels })}
+            ${detailsTemplate(details)}
         </svg>
     `;
 }
@@ -206,7 +223,8 @@ function barChartTemplate(
  * @param {String[]} vlabels List of labels for the vertical axis.
  * @param {Array[]} bins List of tuples; bin edges.
  * @param {heights[]} heights Heights of bars to be plotted.
- * @param {object} details Maps point names to points.
+ * @param {object} details Maps point names to normalized horizontal
+ * locations, which are marked with vertical lines.
  * @param {String} description Describes what's being plotted; is placed in a
  * paragraph after the title.
  * @returns {HTMLTemplateElement}
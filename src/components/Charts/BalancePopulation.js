@@ -0,0 +1,97 @@
+import { html } from "lit-html";
+import DataTable from "./DataTable";
+import { numberWithCommas } from "../../utils";
+
+const tolerances = [0.005, 0.01, 0.02, 0.05];
+
+function partLabel(parts, partId) {
+    return parts[partId] ? parts[partId].renderLabel() : partId + 1;
+}
+
+function MovesReport(balancer, parts) {
+    const { moves, unbalanced } = balancer.proposal,
+        next = moves[0];
+    let pairs = {};
+    moves.forEach(({ from, to, population }) => {
+        const key = `${from}-${to}`;
+        pairs[key] = pairs[key] || { from, to, units: 0, population: 0 };
+        pairs[key].units += 1;
+        pairs[key].population += population;
+    });
+    const rows = Object.values(pairs).map(pair => ({
+        label: partLabel(parts, pair.from),
+        entries: [
+            { content: partLabel(parts, pair.to) },
+            { content: numberWithCommas(pair.units) },
+            { content: numberWithCommas(Math.round(pair.population)) }
+        ]
+    }));
+    return html`
+        ${moves.length
+            ? html`
+                <p>
+                    ${numberWithCommas(moves.length)} ${moves.length === 1 ? "move" : "moves"}
+                    of outlined units along district borders:
+                </p>
+                ${DataTable(["From", "To", "Units", "Population"], rows, true)}
+                <p>
+                    Next: move the heavily outlined unit
+                    (population ${numberWithCommas(Math.round(next.population))})
+                    from ${partLabel(parts, next.from)} to ${partLabel(parts, next.to)}.
+                </p>
+            `
+            : html`<p>No moves along district borders improve the balance.</p>`}
+        ${unbalanced.length
+            ? html`<p class="italic-note">
+                Afterwards, ${unbalanced.map(part => partLabel(parts, part)).join(", ")}
+                will still be outside ±${balancer.tolerance * 100}%. Locked
+                districts, units that have not loaded on the map, and keeping
+                districts contiguous can all limit the moves.
+            </p>`
+            : ""}
+        <div class="balance-population__actions">
+            ${moves.length
+                ? html`
+                    <button class="button button--alternate" @click=${() => balancer.acceptAll()}>Accept all</button>
+                    <button class="button button--alternate" @click=${() => balancer.step()}>Accept next</button>
+                `
+                : ""}
+            <button class="button button--alternate" @click=${() => balancer.cancel()}>Cancel</button>
+        </div>
+    `;
+}
+
+/**
+ * Proposes moves of units between neighboring districts which bring every
+ * district within a chosen population deviation, to accept all at once or
+ * one at a time.
+ * @param {PopulationBalancer} balancer
+ * @param {Part[]} parts
+ * @returns {TemplateResult}
+ */
+export default function BalancePopulation(balancer, parts) {
+    const propose = e => {
+        e.preventDefault();
+        balancer.propose(Number(e.target.elements.tolerance.value));
+    };
+    return html`
+        <div class="ui-option balance-population">
+            ${balancer.proposal
+                ? MovesReport(balancer, parts)
+                : html`<form class="balance-population__form" @submit=${propose}>
+                    <label>
+                        Within
+                        <select name="tolerance">
+                            ${tolerances.map(tolerance => html`
+                                <option value=${tolerance} ?selected=${tolerance === balancer.tolerance}>
+                                    ±${tolerance * 100}%
+                                </option>
+                            `)}
+                        </select>
+                    </label>
+                    <button type="submit" class="button button--alternate">Balance population</button>
+                </form>`}
+            ${balancer.error ? html`<p class="balance-population__error">${balancer.error}</p>` : ""}
+        </div>
+    `;
+}
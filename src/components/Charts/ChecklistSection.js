@@ -0,0 +1,54 @@
+import { html } from "lit-html";
+
+const icons = {
+    passed: "check_circle",
+    warning: "warning",
+    error: "cancel",
+    unknown: "help_outline"
+};
+
+function status({ passed, level }) {
+    if (passed === null) {
+        return "unknown";
+    }
+    return passed ? "passed" : level;
+}
+
+/**
+ * A list of checks, each marked as passed, failed (as a warning or an
+ * error) or not checked.
+ * @param {Object[]} results from `PlanChecklist#check`
+ * @returns {TemplateResult}
+ */
+export function ChecklistItems(results) {
+    return html`
+        <ul class="checklist">
+            ${results.map(result => html`
+                <li class="checklist__item checklist__item--${status(result)}">
+                    <i class="material-icons">${icons[status(result)]}</i>
+                    <span>
+                        ${result.label}
+                        ${result.detail ? html`<span class="checklist__detail">(${result.detail})</span>` : ""}
+                    </span>
+                </li>
+            `)}
+        </ul>
+    `;
+}
+
+/**
+ * The plan checklist in the Evaluation tab.
+ * @param {PlanChecklist} checklist
+ * @returns {TemplateResult}
+ */
+export default function ChecklistSection(checklist) {
+    return html`
+        <section class="toolbar-section checklist-section">
+            ${ChecklistItems(checklist.check())}
+            <p class="italic-note">
+                Rules marked as errors must pass before the plan can be
+                submitted; warnings can be submitted anyway.
+            </p>
+        </section>
+    `;
+}
@@ -0,0 +1,52 @@
+import { html } from "lit-html";
+import DataTable from "./DataTable";
+import { numberWithCommas, roundToDecimal } from "../../utils";
+
+function score(value) {
+    return { content: value === null ? "–" : roundToDecimal(value, 3) };
+}
+
+/**
+ * Compactness scores of each district, computed in the browser and updated
+ * as the plan is painted.
+ * @param {Compactness} compactness
+ * @param {Part[]} parts
+ * @returns {TemplateResult}
+ */
+export default function CompactnessSection(compactness, parts) {
+    const rows = parts
+        .filter(part => compactness.scores[part.id])
+        .map(part => {
+            const { polsbyPopper, reock, convexHull } = compactness.scores[part.id];
+            return {
+                label: part.renderLabel(),
+                entries: [score(polsbyPopper), score(reock), score(convexHull)]
+            };
+        });
+    return html`
+        <section class="toolbar-section compactness">
+            ${compactness.cutEdges !== null
+                ? html`<p>
+                    This plan has <strong>${numberWithCommas(compactness.cutEdges)}</strong>
+                    cut edges (pairs of neighboring units in different districts).
+                </p>`
+                : ""}
+            ${rows.length
+                ? DataTable(["Polsby-Popper", "Reock", "Convex hull"], rows)
+                : html`<p>Paint some districts to score their compactness.</p>`}
+            <p class="italic-note">
+                Each score is between 0 and 1, and higher is more compact:
+                Polsby-Popper compares a district's area with a circle of the
+                same perimeter, Reock with the smallest circle around it, and
+                the convex hull score with its convex hull.
+                ${compactness.fromFile
+                    ? ""
+                    : "These are approximate, measured from the map as loaded at the current zoom."}
+                ${compactness.missingUnits
+                    ? `${numberWithCommas(compactness.missingUnits)} painted units have not loaded on the map and are left out.`
+                    : ""}
+            </p>
+            ${compactness.error ? html`<p class="compactness__error">${compactness.error}</p>` : ""}
+        </section>
+    `;
+}
@@ -4,6 +4,7 @@ import { roundToDecimal } from "../../utils";
 import DataTable from "./DataTable";
 import { getPartyRGBColors } from "../../layers/color-rules"
 import { getCellSeatShare } from "./PartisanSummary";
+import { seatsByRule } from "../../models/lib/seats";
 
 /**
  * Get the style property for a cell in the ElectionResults table,
@@ -38,7 +39,23 @@ function getCell(party, part) {
     };
 }
 
-export default function ElectionResults(election, parts) {
+// the seats each party wins in a multi-member district
+function getSeatCells(election, part, seats, rule) {
+    const votes = election.parties.map(party => party.data[part.id]),
+        won = seatsByRule(votes, seats[part.id], rule);
+    return won.map(count => ({
+        content: `${count} of ${seats[part.id]}`,
+        style: "background: #f9f9f9"
+    }));
+}
+
+/**
+ * @param {Election} election
+ * @param {Part[]} parts
+ * @param {number[]} [seats] each district's seat count, one apiece by default
+ * @param {string} [rule] how a district's seats are won, a key of SEAT_RULES
+ */
+export default function ElectionResults(election, parts, seats, rule) {
     const headers = election.parties.map(party => {
                         const rgb = getPartyRGBColors(party.name + party.key);
                         return html`<div style="color: rgb(${rgb[0]},${rgb[1]},${rgb[2]})">${party.name}</div>`});
@@ -50,13 +67,20 @@ export default function ElectionResults(election, parts) {
     });
     overall.push({
         label: "Seat Share",
-        entries: election.parties.map(party => getCellSeatShare(party, election))
+        entries: election.parties.map(party => getCellSeatShare(party, election, seats, rule))
     });
 
     let rows = parts.map(part => ({
         label: part.renderLabel(),
         entries: election.parties.map(party => getCell(party, part))
     }));
+    const multiMember = seats && parts.some(part => seats[part.id] > 1),
+        seatRows = multiMember
+            ? parts.filter(part => seats[part.id] > 0).map(part => ({
+                label: part.renderLabel(),
+                entries: getSeatCells(election, part, seats, rule)
+            }))
+            : [];
 
     return html`
         ${election.parties.length === 2 ? html`<strong>two-way vote share</strong>` : ""}
@@ -64,5 +88,11 @@ export default function ElectionResults(election, parts) {
         ${DataTable(headers, overall)}
         <strong> By District </strong>
         ${DataTable(headers, rows)}
+        ${multiMember
+            ? html`
+                <strong> Seats Won By District </strong>
+                ${DataTable(headers, seatRows)}
+            `
+            : ""}
     `;
 }
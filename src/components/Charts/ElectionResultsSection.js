@@ -2,21 +2,26 @@ import { html } from "lit-html";
 import { actions } from "../../reducers/elections";
 import Select from "../Select";
 import ElectionResults from "./ElectionResults";
+import { SeatRuleSelect } from "./PartisanSummary";
 
 export default function ElectionResultsSection(
     elections,
     parts,
     uiState,
-    dispatch
+    dispatch,
+    seats
 ) {
     return html`
         <section class="toolbar-section">
             ${Select(elections, index =>
                 dispatch(actions.changeElection({ index }))
             , uiState.elections.activeElectionIndex)}
+            ${SeatRuleSelect(seats, uiState, dispatch)}
             ${ElectionResults(
                 elections[uiState.elections.activeElectionIndex],
-                parts
+                parts,
+                seats,
+                uiState.elections.seatRule
             )}
         </section>
     `;
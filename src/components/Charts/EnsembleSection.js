@@ -0,0 +1,79 @@
+import { html } from "lit-html";
+import AbstractBarChart from "./AbstractBarChart";
+import { integerHistogram } from "./lib";
+
+const stepChoices = [100, 500, 1000];
+
+function EnsembleHistogram(ensemble, score, title, description) {
+    const values = ensemble.result.ensemble.map(plan => plan[score]),
+        current = ensemble.result.current[score];
+    if (current === null) {
+        return "";
+    }
+    const { hticks, vticks, ...chart } = integerHistogram(values, current);
+    return html`
+        <div class="ensemble-histogram">
+            ${AbstractBarChart(hticks, vticks, { ...chart, title, description })}
+        </div>
+    `;
+}
+
+/**
+ * Runs a ReCom ensemble for the plan and shows where the plan falls among
+ * the ensemble's plans.
+ * @param {Ensemble} ensemble
+ * @returns {TemplateResult}
+ */
+export default function EnsembleSection(ensemble) {
+    const run = e => {
+        e.preventDefault();
+        const form = e.target;
+        ensemble.run(Number(form.elements.steps.value), Number(form.elements.epsilon.value) / 100);
+    };
+    const party = ensemble.election ? ensemble.election.subgroups[0].name : "";
+    return html`
+        <div class="ensemble">
+            <p>
+                Compare this plan with an ensemble of plans generated by
+                recombination (ReCom): each step merges two neighboring
+                districts and splits them again at random, keeping their
+                populations balanced. This runs in your browser and may take
+                a few minutes.
+            </p>
+            <form class="ensemble__form" @submit=${run}>
+                <label>
+                    Plans
+                    <select name="steps" ?disabled=${ensemble.running}>
+                        ${stepChoices.map(steps => html`<option value=${steps}>${steps}</option>`)}
+                    </select>
+                </label>
+                <label>
+                    Population deviation (%)
+                    <input type="number" name="epsilon" min="0.5" max="20" step="0.5" value="5" ?disabled=${ensemble.running} />
+                </label>
+                ${ensemble.running
+                    ? html`<button type="button" class="button button--alternate" @click=${() => {
+                        ensemble.stop();
+                        ensemble.onChange();
+                    }}>Stop</button>`
+                    : html`<button type="submit" class="button button--alternate">Run ensemble</button>`}
+            </form>
+            ${ensemble.running
+                ? html`<p>Generated ${ensemble.progress} of ${ensemble.steps} plans…</p>`
+                : ""}
+            ${ensemble.error
+                ? html`<p class="ensemble__error">The ensemble could not be run: ${ensemble.error}</p>`
+                : ""}
+            ${ensemble.result
+                ? html`
+                    ${EnsembleHistogram(ensemble, "seats", `${party} Seats`,
+                        `Districts won by ${party} in ${ensemble.election ? ensemble.election.name : ""}.`)}
+                    ${EnsembleHistogram(ensemble, "cutEdges", "Cut Edges",
+                        "Pairs of neighboring units in different districts; fewer means more compact.")}
+                    ${EnsembleHistogram(ensemble, "countySplits", "County Splits",
+                        "Counties divided between two or more districts.")}
+                `
+                : ""}
+        </div>
+    `;
+}
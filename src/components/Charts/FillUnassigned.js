@@ -0,0 +1,72 @@
+import { html } from "lit-html";
+import DataTable from "./DataTable";
+import { numberWithCommas, roundToDecimal } from "../../utils";
+
+function FillReport(autoFill, population, parts) {
+    const { added, unreachable, notLoaded } = autoFill.preview;
+    const rows = added.map(({ part, units, population: addedPopulation }) => {
+        // the ideal for the district's seats, as the population chart has it
+        const ideal = population.idealFor(part);
+        return {
+            label: parts[part] ? parts[part].renderLabel() : part + 1,
+            entries: [
+                { content: numberWithCommas(units) },
+                { content: numberWithCommas(Math.round(addedPopulation)) },
+                {
+                    content: `${roundToDecimal(
+                        (population.total.data[part] + addedPopulation - ideal) / ideal * 100,
+                        2
+                    )}%`
+                }
+            ]
+        };
+    });
+    return html`
+        ${added.length
+            ? DataTable(["District", "Units", "Population added", "Deviation after"], rows, true)
+            : html`<p>There are no unassigned units next to a district.</p>`}
+        ${unreachable
+            ? html`<p class="italic-note">
+                ${numberWithCommas(unreachable)} unassigned units are not
+                connected to any district and will stay unassigned.
+            </p>`
+            : ""}
+        ${notLoaded
+            ? html`<p class="italic-note">
+                ${numberWithCommas(notLoaded)} units have not loaded on the map
+                yet; zoom out and try again to include them.
+            </p>`
+            : ""}
+        <div class="fill-unassigned__actions">
+            ${added.length
+                ? html`<button class="button button--alternate" @click=${() => autoFill.commit()}>Apply</button>`
+                : ""}
+            <button class="button button--alternate" @click=${() => autoFill.cancel()}>Cancel</button>
+        </div>
+    `;
+}
+
+/**
+ * Button to fill every unassigned unit from the neighbouring districts,
+ * showing what would change before it is applied.
+ * @param {AutoFill} autoFill
+ * @param {Population} population
+ * @param {Part[]} parts
+ * @returns {TemplateResult}
+ */
+export default function FillUnassigned(autoFill, population, parts) {
+    return html`
+        <div class="ui-option fill-unassigned">
+            ${autoFill.preview
+                ? FillReport(autoFill, population, parts)
+                : html`<button
+                    class="button button--alternate"
+                    title="Assign each unassigned unit to a neighboring district, favoring the least populous"
+                    @click=${() => autoFill.plan()}
+                >
+                    Fill unassigned units
+                </button>`}
+            ${autoFill.error ? html`<p class="fill-unassigned__error">${autoFill.error}</p>` : ""}
+        </div>
+    `;
+}
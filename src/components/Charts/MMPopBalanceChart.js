@@ -5,9 +5,7 @@ import {
     barLength,
     barPosition,
     getColorsToDisplay,
-    labelPosition,
-    numberOfSeats,
-    pctDeviationFromIntegerMultiple
+    labelPosition
 } from "./lib";
 
 const defaultHeight = 240;
@@ -20,9 +18,8 @@ const seatsListWidth = 48;
 
 const extra = 20;
 
-const OverUnderBars = (data, colors, ideal, textHeight, w) =>
-    data.map((d, i) => {
-        const deviation = pctDeviationFromIntegerMultiple(d, ideal);
+const OverUnderBars = (deviations, colors, textHeight, w) =>
+    deviations.map((deviation, i) => {
         const labelX = labelPosition(deviation, gap, width);
 
         const barL = barLength(deviation, maxBarLength);
@@ -66,16 +63,14 @@ const OverUnderAnnotations = (chartHeight, chartWidth) =>
         Over
         </text>`;
 
-const SeatNumberLabels = (data, ideal, w, colors, textHeight, chartHeight) =>
+const SeatNumberLabels = (seats, w, colors, textHeight, chartHeight) =>
     svg`
     <rect
         x="0"
         y="0"
         width="${seatsListWidth}"
         height = "${chartHeight + extra}" class="bar-chart-overlay"></rect>
-    ${data.map((d, i) => {
-        const seats = numberOfSeats(d, ideal);
-        return svg`
+    ${seats.map((count, i) => svg`
         <circle
             cx="${seatsListWidth / 2}"
             cy="${i * (w + gap) + w / 2 + gap}"
@@ -86,12 +81,16 @@ const SeatNumberLabels = (data, ideal, w, colors, textHeight, chartHeight) =>
             text-anchor="middle"
             y="${i * (w + gap) + w / 2 - gap / 2 + textHeight / 2}"
             x="${seatsListWidth / 2}">
-            ${seats}
-        </text>`;
-    })}`;
+            ${count}
+        </text>`)}`;
 
 const OverUnderChart = (population, parts) => {
-    const data = population.total.data.filter(x => Math.round(x) > 0);
+    const painted = population.total.data
+            .map((x, i) => i)
+            .filter(i => Math.round(population.total.data[i]) > 0),
+        deviations = population.deviations(),
+        seats = population.seats(),
+        data = painted.map(i => deviations[i]);
     const chartHeight = Math.max(defaultHeight, 24 * data.length);
     const colors = getColorsToDisplay(parts, population.total.data);
 
@@ -102,12 +101,11 @@ const OverUnderChart = (population, parts) => {
         extra}" width="${width}" height="${chartHeight +
         extra}" class="bar-chart" style="align-self: center">
         <g style="transform: translateX(${seatsListWidth / 2}px)">
-            ${OverUnderBars(data, colors, population.ideal, textHeight, w)}
+            ${OverUnderBars(data, colors, textHeight, w)}
             ${OverUnderAnnotations(chartHeight, width)}
         </g>
         ${SeatNumberLabels(
-            data,
-            population.ideal,
+            painted.map(i => seats[i]),
             w,
             colors,
             textHeight,
@@ -117,14 +115,79 @@ const OverUnderChart = (population, parts) => {
     `;
 };
 
-const MultiMemberPopBalanceChart = (population, parts) => html`
-    <section class="toolbar-section">
-        <div class="pop-balance-chart__header" style="align-self: center">
-            <span style="width: ${seatsListWidth}px">Seats</span>
-            <span style="flex: 1">Deviation</span>
-        </div>
-        ${OverUnderChart(population, parts)}
-    </section>
+const LockButton = (part, locked, toggleLock) => html`
+    <button
+        class="button button--blank district-lock${locked ? " district-lock--locked" : ""}"
+        title="${locked ? "Unlock" : "Lock"} District ${part.displayNumber}"
+        @click=${() => toggleLock(part.id)}
+    >
+        <i class="material-icons">${locked ? "lock" : "lock_open"}</i>
+    </button>
 `;
 
+// districts follow their population until they're given a seat count
+const DistrictRows = (population, parts, onSeatsChange, lockedParts, toggleLock) => {
+    const seats = population.seats(),
+        populated = part => Math.round(population.total.data[part.id]) > 0;
+    return html`
+        <ul class="seat-counts">
+            ${parts.filter(part => part.visible && (toggleLock || populated(part))).map(part => html`
+                <li class="seat-counts__item">
+                    ${part.renderLabel()}
+                    ${toggleLock ? LockButton(part, lockedParts.has(part.id), toggleLock) : ""}
+                    ${onSeatsChange && populated(part)
+                        ? html`<input
+                            type="number"
+                            min="1"
+                            step="1"
+                            class="seat-counts__input"
+                            placeholder="${seats[part.id]}"
+                            .value="${typeof part.seats === "number" ? String(part.seats) : ""}"
+                            @change=${e => {
+                                const value = parseInt(e.target.value);
+                                onSeatsChange(part, value > 0 ? value : null);
+                            }}
+                        />`
+                        : ""}
+                </li>
+            `)}
+        </ul>
+    `;
+};
+
+/**
+ * @param {Population} population
+ * @param {Part[]} parts
+ * @param {function} [onSeatsChange] called with a part and its seats (or
+ *  null), to let districts' seat counts be set
+ * @param {Set} [lockedParts] ids of locked districts; when given (with
+ *  `toggleLock`), each district can be locked or unlocked
+ * @param {function} [toggleLock] called with a part's id
+ */
+const MultiMemberPopBalanceChart = (population, parts, onSeatsChange, lockedParts, toggleLock) => {
+    const showLocks = lockedParts && toggleLock;
+    return html`
+        <section class="toolbar-section">
+            <div class="pop-balance-chart__header" style="align-self: center">
+                <span style="width: ${seatsListWidth}px">Seats</span>
+                <span style="flex: 1">Deviation</span>
+            </div>
+            ${OverUnderChart(population, parts)}
+            ${onSeatsChange
+                ? html`
+                    <p class="seat-counts__note">
+                        Set a district's seats, or leave it blank to follow its population.
+                    </p>
+                `
+                : ""}
+            ${showLocks
+                ? html`<p class="seat-counts__note">Locked districts' units can't be painted over.</p>`
+                : ""}
+            ${onSeatsChange || showLocks
+                ? DistrictRows(population, parts, onSeatsChange, lockedParts, showLocks ? toggleLock : null)
+                : ""}
+        </section>
+    `;
+};
+
 export default MultiMemberPopBalanceChart;
@@ -0,0 +1,214 @@
+import { html } from "lit-html";
+import DataTable from "./DataTable";
+import { listPlaces } from "../../api/mockApi";
+import { upperChamberProblems } from "../../models/lib/nesting";
+import { savedPlanId } from "../PlanRevisions";
+import { editAction, loadPlanFromURL, navigateTo, savePlanToStorage } from "../../routes";
+import { numberWithCommas } from "../../utils";
+
+/**
+ * @param {string} planId a saved plan's ID
+ * @param {Object} context the plan's context
+ * @returns {Object} what a nested plan keeps of its lower-chamber plan
+ */
+export function lowerChamberOf(planId, context) {
+    return {
+        planId,
+        name: context.name || context.problem.name,
+        pluralNoun: context.problem.pluralNoun,
+        numberOfParts: context.problem.numberOfParts
+    };
+}
+
+// a saved plan's ID, from the ID itself or a link to the plan
+function planIdFrom(source) {
+    return source.trim()
+        .split("?")[0]
+        .split("/")
+        .filter(Boolean)
+        .pop();
+}
+
+function loadSavedPlan(planId) {
+    return loadPlanFromURL(`/.netlify/functions/planRead?id=${planId}`).then(context => {
+        if (!context.assignment) {
+            throw new Error(`There is no saved plan ${planId}.`);
+        }
+        return context;
+    });
+}
+
+/**
+ * Loads the assignment of the lower-chamber plan which the open plan is
+ * built from, when the editor opens.
+ * @param {State} state
+ */
+export function loadLowerChamber(state) {
+    const nesting = state.nesting;
+    loadSavedPlan(nesting.lower.planId)
+        .then(context => nesting.setAssignment(context.assignment))
+        .catch(e => {
+            console.error(e);
+            nesting.error = `The ${nesting.lower.pluralNoun || "lower-chamber plan"} couldn't be loaded.`;
+        })
+        .then(state.render);
+}
+
+function lowerNumbers(lowers) {
+    return lowers.map(lower => lower + 1).join(", ");
+}
+
+function NestingReport(state) {
+    const report = state.nesting.report();
+    if (!report) {
+        return html`<p class="nesting__problem">${state.nesting.error || "Loading the lower-chamber plan…"}</p>`;
+    }
+    const { nested, split, unassigned } = report,
+        lowerNoun = state.nesting.lower.pluralNoun || "lower districts",
+        rows = state.activeParts
+            .filter(part => nested[part.id])
+            .map(part => ({
+                label: part.renderLabel(),
+                entries: [{ content: lowerNumbers(nested[part.id]) }]
+            }));
+    return html`
+        ${rows.length ? DataTable([`Whole ${lowerNoun}`], rows, true) : ""}
+        ${split.length
+            ? html`<ul class="nesting__splits">
+                ${split.map(({ lower, uppers, unassignedUnits }) => html`
+                    <li class="nesting__problem">
+                        ${lowerNoun} ${lower + 1} is split between
+                        ${uppers.map(upper => upper + 1).join(" and ")}${unassignedUnits
+                            ? `, with ${numberWithCommas(unassignedUnits)} units unassigned`
+                            : ""}
+                    </li>
+                `)}
+            </ul>`
+            : html`<p>No ${lowerNoun} are split.</p>`}
+        ${unassigned.length
+            ? html`<p>${unassigned.length} ${lowerNoun} are not assigned yet.</p>`
+            : ""}
+    `;
+}
+
+// the module's problems with fewer districts, to start a nested plan for
+function UpperChamberButtons(state, view) {
+    const planId = savedPlanId();
+    if (view.upper === undefined) {
+        view.upper = null;
+        listPlaces(state.place.id, state.place.state)
+            .then(places => {
+                const place = places.find(p => p.id === state.place.id);
+                view.upper = place
+                    ? { place, problems: upperChamberProblems(place.districtingProblems, state.problem) }
+                    : null;
+            })
+            .catch(e => console.error(e))
+            .then(state.render);
+    }
+    if (!view.upper || !view.upper.problems.length) {
+        return "";
+    }
+    if (!planId) {
+        return html`
+            <p class="italic-note">
+                Share this plan to save it, then draw districts made of its ${state.problem.pluralNoun}.
+            </p>
+        `;
+    }
+    const start = problem => {
+        savePlanToStorage({
+            place: view.upper.place,
+            problem: { ...problem },
+            units: state.unitsRecord,
+            nesting: lowerChamberOf(planId, state.serialize())
+        });
+        navigateTo(`/${editAction(problem)}`);
+    };
+    return html`
+        <p>Draw districts made of this plan's ${state.problem.pluralNoun}, as last saved:</p>
+        <div class="nesting__actions">
+            ${view.upper.problems.map(problem => html`
+                <button class="button" @click=${() => start(problem)}>
+                    ${problem.numberOfParts} ${problem.pluralNoun}
+                </button>
+            `)}
+        </div>
+    `;
+}
+
+/**
+ * Builds a plan out of the districts of a lower-chamber plan: starts an
+ * upper-chamber plan from this one, or loads the lower-chamber plan this one
+ * is built from, and reports the lower districts it splits.
+ * @param {State} state
+ * @param {Object} view the section's own state: { error, upper }
+ * @returns {TemplateResult}
+ */
+export default function NestingSection(state, view) {
+    const save = () => {
+        savePlanToStorage(state.serialize());
+        state.render();
+    };
+
+    if (state.nesting) {
+        const lower = state.nesting.lower;
+        return html`
+            <section class="toolbar-section nesting">
+                <p>
+                    Built from <strong>${lower.name || "a lower-chamber plan"}</strong>:
+                    the brush paints whole ${lower.pluralNoun || "lower districts"}.
+                    Each district's population and votes are still summed from its units.
+                </p>
+                ${NestingReport(state)}
+                <button
+                    class="button button--alternate"
+                    @click=${() => {
+                        state.setNesting(null);
+                        save();
+                    }}
+                >
+                    Stop building from ${lower.pluralNoun || "lower districts"}
+                </button>
+            </section>
+        `;
+    }
+
+    const load = source => {
+        const planId = planIdFrom(source);
+        return loadSavedPlan(planId)
+            .then(context => {
+                if (!context.units || context.units.id !== state.unitsRecord.id) {
+                    throw new Error("That plan is drawn on different units than this one.");
+                }
+                view.error = null;
+                state.setNesting(lowerChamberOf(planId, context), context.assignment);
+                save();
+            })
+            .catch(e => {
+                view.error = e.message;
+                state.render();
+            });
+    };
+
+    return html`
+        <section class="toolbar-section nesting">
+            ${UpperChamberButtons(state, view)}
+            <p class="italic-note">
+                Or build this plan from a saved lower-chamber plan of the same
+                units, painting its districts whole.
+            </p>
+            <form
+                class="nesting__form"
+                @submit=${e => {
+                    e.preventDefault();
+                    load(e.target.elements["lower-source"].value);
+                }}
+            >
+                <input type="text" name="lower-source" placeholder="Plan ID or link" required />
+                <button type="submit" class="button button--alternate">Load</button>
+            </form>
+            ${view.error ? html`<p class="nesting__problem">${view.error}</p>` : ""}
+        </section>
+    `;
+}
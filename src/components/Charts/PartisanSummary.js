@@ -3,6 +3,8 @@ import { html } from "lit-html";
 import { roundToDecimal } from "../../utils";
 import DataTable from "./DataTable";
 import { getPartyRGBColors } from "../../layers/color-rules"
+import { actions } from "../../reducers/elections";
+import { SEAT_RULES } from "../../models/lib/seats";
 
 /**
  * Get the style property for a cell in the ElectionResults table,
@@ -37,9 +39,18 @@ export function getCell(party, part) {
     };
 }
 
-export function getCellSeatShare(party, election) {
-    let won = election.getSeatsWonParty(party);
-    let total = party.data.length;
+/**
+ * @param {Subgroup} party
+ * @param {Election} election
+ * @param {number[]} [seats] each district's seat count, one apiece by default
+ * @param {string} [rule] how a district's seats are won, a key of SEAT_RULES
+ */
+export function getCellSeatShare(party, election, seats, rule) {
+    let won = election.getSeatsWonParty(party, seats, rule);
+    let total = election.totalSeats(seats);
+    if (total === 0) {
+        return { content: "–", style: getCellStyle(0, party) };
+    }
     return {
         content: `${roundToDecimal(won/total * 100, 2)}%`,
         style: getCellStyle(won/total, party)
@@ -65,7 +76,32 @@ export function parseElectionName(election) {
     return election
 }
 
-function PartisanSummary(elections, parts) {
+/**
+ * Picks how the seats of multi-member districts are won. Single-member
+ * districts go to the party with the most votes under either rule, so this
+ * is only shown when some district has more than one seat.
+ * @param {number[]} seats each district's seat count
+ * @param {Object} uiState
+ * @param {function} dispatch
+ */
+export function SeatRuleSelect(seats, uiState, dispatch) {
+    if (!seats || !seats.some(count => count > 1)) {
+        return "";
+    }
+    const active = uiState.elections.seatRule || "plurality";
+    return html`
+        <label class="seat-rule">
+            Seats won by
+            <select @change=${e => dispatch(actions.changeSeatRule({ rule: e.target.value }))}>
+                ${Object.keys(SEAT_RULES).map(rule => html`
+                    <option value=${rule} ?selected=${rule === active}>${SEAT_RULES[rule]}</option>
+                `)}
+            </select>
+        </label>
+    `;
+}
+
+function PartisanSummary(elections, parts, seats, rule) {
     const headers = elections[0].parties.map(party => {
                         const rgb = getPartyRGBColors(party.name + party.key);
                         return html`<div style="color: rgb(${rgb[0]},${rgb[1]},${rgb[2]})">${party.name}</div>`});
@@ -81,7 +117,7 @@ function PartisanSummary(elections, parts) {
         });
         rows.push({
             label: "Seat Share",
-            entries: election.parties.map(party => getCellSeatShare(party, election))
+            entries: election.parties.map(party => getCellSeatShare(party, election, seats, rule))
         });
     }  
     return html`
@@ -94,13 +130,17 @@ export default function PartisanSummarySection(
     elections,
     parts,
     uiState,
-    dispatch
+    dispatch,
+    seats
 ) {
     return html`
         <section class="toolbar-section">
+            ${SeatRuleSelect(seats, uiState, dispatch)}
             ${PartisanSummary(
                 elections,
-                parts
+                parts,
+                seats,
+                uiState.elections.seatRule
             )}
         </section>
     `;
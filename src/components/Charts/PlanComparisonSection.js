@@ -0,0 +1,118 @@
+import { html } from "lit-html";
+import DataTable from "./DataTable";
+import { loadPlanToCompare } from "../../models/PlanImport";
+import { numberWithCommas } from "../../utils";
+
+function partLabel(parts, partId) {
+    if (partId === null) {
+        return "Unassigned";
+    }
+    return parts[partId] ? parts[partId].renderLabel() : partId + 1;
+}
+
+function PopulationMovedTable(comparison, parts) {
+    const { moves, unknownUnits } = comparison.populationMoved();
+    if (!moves.length) {
+        return html`<p>The plans assign every unit to the same district.</p>`;
+    }
+    const rows = moves.map(move => ({
+        label: partLabel(parts, move.from),
+        entries: [
+            { content: partLabel(parts, move.to) },
+            { content: numberWithCommas(move.units) },
+            { content: numberWithCommas(Math.round(move.population)) }
+        ]
+    }));
+    return html`
+        ${DataTable(["From (other plan)", "To (this plan)", "Units", "Population"], rows, true)}
+        ${unknownUnits
+            ? html`<p class="italic-note">
+                ${numberWithCommas(unknownUnits)} of the units that moved have not
+                loaded on the map yet, so their population is not counted.
+            </p>`
+            : ""}
+    `;
+}
+
+/**
+ * Lets the user load another plan to compare with, and lists the population
+ * that moved between each pair of districts.
+ * @param {ComparisonMap} comparison
+ * @param {State} state
+ * @returns {TemplateResult}
+ */
+export default function PlanComparisonSection(comparison, state) {
+    const load = source => loadPlanToCompare(source, state)
+        .then(context => comparison.show(context))
+        .catch(e => {
+            comparison.error = e.message;
+        })
+        .then(state.render);
+
+    if (!comparison.active) {
+        return html`
+            <section class="toolbar-section plan-comparison">
+                <p class="italic-note">
+                    Load another plan of the same units to show it on a swipe
+                    map next to this one.
+                </p>
+                <form
+                    class="plan-comparison__form"
+                    @submit=${e => {
+                        e.preventDefault();
+                        load(e.target.elements["compare-source"].value);
+                    }}
+                >
+                    <input
+                        type="text"
+                        name="compare-source"
+                        placeholder="Plan ID or URL"
+                        required
+                    />
+                    <button type="submit" class="button button--alternate">Load</button>
+                </form>
+                <label class="plan-comparison__file">
+                    Or choose a plan file (JSON or CSV)
+                    <input
+                        type="file"
+                        accept=".json,.geojson,.csv"
+                        @change=${e => e.target.files.length && load(e.target.files[0])}
+                    />
+                </label>
+                ${comparison.error
+                    ? html`<p class="plan-comparison__error">${comparison.error}</p>`
+                    : ""}
+            </section>
+        `;
+    }
+
+    comparison.update();
+    const otherPlan = comparison.plan;
+    return html`
+        <section class="toolbar-section plan-comparison">
+            <p>
+                Comparing with
+                <strong>${otherPlan.name || otherPlan.id || "the loaded plan"}</strong>,
+                shown right of the slider on the map.
+            </p>
+            <label class="toolbar-checkbox">
+                <input
+                    type="checkbox"
+                    ?checked=${comparison.highlight}
+                    @change=${e => comparison.setHighlight(e.target.checked)}
+                />
+                Outline units assigned differently
+            </label>
+            ${PopulationMovedTable(comparison, state.parts)}
+            <button
+                class="button button--alternate"
+                @click=${() => {
+                    comparison.close();
+                    state.render();
+                }}
+            >
+                Stop comparing
+            </button>
+        </section>
+    `;
+}
@@ -14,6 +14,24 @@ function barLength(d, maxValue) {
 }
 
 const extra = 20;
+const lockColumn = 14;
+
+/**
+ * Padlock icon for one row of the chart, closed when the district is locked.
+ */
+const padlock = (locked, y, size, toggle, displayNumber) => svg`<g
+        class="bar-chart__lock ${locked ? "bar-chart__lock--locked" : ""}"
+        transform="translate(${(lockColumn - size) / 2} ${y}) scale(${size / 12})"
+        @click=${toggle}
+    >
+        <title>${locked ? "Unlock" : "Lock"} District ${displayNumber}</title>
+        <rect class="bar-chart__lock-target" x="0" y="0" width="12" height="12" />
+        <path
+            class="bar-chart__lock-shackle"
+            d="${locked ? "M3 6V4a3 3 0 0 1 6 0v2" : "M3 6V4a3 3 0 0 1 6 0"}"
+        />
+        <rect class="bar-chart__lock-body" x="1.5" y="6" width="9" height="6" rx="1" />
+    </g>`;
 
 /**
  * Returns a value to use as a maximum scale for the bar chart.
@@ -22,7 +40,14 @@ function maxDisplayValue(population) {
     return Math.max(population.ideal * 2, ...population.total.data);
 }
 
-const horizontalBarChart = (population, parts) => {
+/**
+ * @param {Population} population
+ * @param {Part[]} parts
+ * @param {Set} [lockedParts] ids of locked districts; when given (with
+ *  `toggleLock`), each row gets a padlock to lock or unlock its district
+ * @param {function} [toggleLock] called with a part's id
+ */
+const horizontalBarChart = (population, parts, lockedParts, toggleLock) => {
     // Slice so that we only use active parts
     // Should we only use districts with population > 0?
     const data = population.total.data.slice(0, parts.length);
@@ -36,8 +61,19 @@ const horizontalBarChart = (population, parts) => {
     const w = barHeight(data, chartHeight, gap);
     const textHeight = Math.min(w + gap, 16);
     const idealX = width - barLength(population.ideal, maxValue);
-    return svg`<svg viewBox="0 0 ${width} ${chartHeight +
+    const showLocks = lockedParts && toggleLock;
+    return svg`<svg viewBox="0 0 ${width + (showLocks ? lockColumn : 0)} ${chartHeight +
         extra}" class="bar-chart">
+    ${showLocks
+        ? data.map((d, i) => padlock(
+            lockedParts.has(parts[i].id),
+            i * (w + gap) + (w - Math.min(w, 12)) / 2,
+            Math.min(w, 12),
+            () => toggleLock(parts[i].id),
+            parts[i].displayNumber
+        ))
+        : ""}
+    <g transform="translate(${showLocks ? lockColumn : 0} 0)">
     ${data.map((d, i) => {
         const barW = barLength(d, maxValue);
         return svg`<rect
@@ -79,13 +115,14 @@ const horizontalBarChart = (population, parts) => {
               )}</text>`
             : "";
     })}
+    </g>
     </svg>
     `;
 };
 
-const populationBarChart = (population, parts) => html`
+const populationBarChart = (population, parts, lockedParts, toggleLock) => html`
     <section class="toolbar-section">
-        ${horizontalBarChart(population, parts)}
+        ${horizontalBarChart(population, parts, lockedParts, toggleLock)}
     </section>
 `;
 
@@ -0,0 +1,67 @@
+import { html } from "lit-html";
+import DataTable from "./DataTable";
+import { county_fips_to_name, numberWithCommas } from "../../utils";
+
+// what a module's counties are called, where they aren't counties
+const countyNouns = {
+    alaska: ["borough", "boroughs"],
+    alaska_blocks: ["borough", "boroughs"],
+    louisiana: ["parish", "parishes"],
+    ma: ["municipality", "municipalities"]
+};
+
+function countyName(county, place, noun) {
+    if (isNaN(county)) {
+        return county;
+    }
+    let name;
+    try {
+        name = county_fips_to_name(county, place.state);
+    } catch (e) {
+        // no county names for this state
+        name = null;
+    }
+    return name ? `${name} ${noun[0].toUpperCase()}${noun.slice(1)}` : `${noun} ${county}`;
+}
+
+/**
+ * The counties (or municipalities) the plan splits, with the population of
+ * each piece. Clicking a county zooms the map to it.
+ * @param {CountySplitReport} report
+ * @param {Part[]} parts
+ * @param {Object} place
+ * @returns {TemplateResult}
+ */
+export default function SplitsSection(report, parts, place) {
+    const [noun, pluralNoun] = countyNouns[place.id] || ["county", "counties"],
+        partLabel = partId => parts[partId] ? parts[partId].renderLabel() : partId + 1;
+    if (!report.counties) {
+        return html`<p>The units of this map don't say which ${noun} they are in.</p>`;
+    }
+    const rows = report.splits.map(({ county, population, pieces }) => ({
+        label: html`<button class="button button--transparent splits__county" @click=${() => report.zoomTo(county)}>
+            ${countyName(county, place, noun)}
+        </button>`,
+        entries: [
+            {
+                content: html`${pieces.map(piece => html`
+                    <div>${partLabel(piece.part)}: ${numberWithCommas(Math.round(piece.population))}</div>
+                `)}`
+            },
+            { content: numberWithCommas(Math.round(population)) }
+        ]
+    }));
+    return html`
+        <section class="toolbar-section splits">
+            <p>
+                The plan splits <strong>${report.splits.length}</strong> of the
+                ${numberWithCommas(report.counties)} ${pluralNoun} loaded on the map.
+            </p>
+            ${rows.length ? DataTable(["Districts (population)", "Population"], rows) : ""}
+            <p class="italic-note">
+                Counted from the units loaded on the map; zoom out to include
+                the whole plan. Click a ${noun} to zoom to it.
+            </p>
+        </section>
+    `;
+}
@@ -46,3 +46,40 @@ export function labelPosition(deviation, gap, width) {
 export function numberOfSeats(d, ideal) {
     return Math.round(d / ideal);
 }
+
+/**
+ * Bins whole-number scores (like seats or cut edges) for AbstractBarChart,
+ * with every position normalized so the chart fits its axes.
+ * @param {number[]} values scores of the plans in an ensemble
+ * @param {number} marked score to mark on the chart (e.g. the current plan's)
+ * @param {number} [maxBins] most bars to draw
+ * @returns {Object} AbstractBarChart arguments: hticks, vticks, and
+ *  { bins, heights, hlabels, vlabels, details }
+ */
+export function integerHistogram(values, marked, maxBins = 20) {
+    const xScale = 0.85,
+        yScale = 0.8,
+        low = Math.min(marked, ...values),
+        high = Math.max(marked, ...values) + 1,
+        binWidth = Math.max(1, Math.ceil((high - low) / maxBins)),
+        binCount = Math.ceil((high - low) / binWidth),
+        x = value => (value - low) / (binCount * binWidth) * xScale;
+
+    let counts = new Array(binCount).fill(0);
+    values.forEach(value => {
+        counts[Math.floor((value - low) / binWidth)] += 1;
+    });
+    const maxCount = Math.max(1, ...counts),
+        edges = counts.map((count, i) => low + i * binWidth),
+        labelEvery = Math.ceil(binCount / 5);
+
+    return {
+        hticks: edges.filter((edge, i) => i % labelEvery === 0).map(x),
+        vticks: [yScale],
+        bins: edges.map(edge => [x(edge), x(edge + binWidth)]),
+        heights: counts.map(count => count / maxCount * yScale),
+        hlabels: edges.filter((edge, i) => i % labelEvery === 0).map(String),
+        vlabels: [String(maxCount)],
+        details: { "This plan": x(marked + 0.5) }
+    };
+}
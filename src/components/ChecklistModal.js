@@ -0,0 +1,37 @@
+import { html, render } from "lit-html";
+import { renderModal } from "./Modal";
+import { ChecklistItems } from "./Charts/ChecklistSection";
+
+/**
+ * @desc Checks the plan against its module's rules before it is submitted.
+ * If a rule at the "error" level fails, the plan can't be submitted; if
+ * only warnings fail, the user can submit it anyway.
+ * @param {State} state
+ * @param {function} proceed submits the plan
+ */
+export default function checkPlanBeforeSubmitting(state, proceed) {
+    const failures = state.checklist ? state.checklist.failures() : [];
+    if (failures.length === 0) {
+        proceed();
+        return;
+    }
+    const target = document.getElementById("modal"),
+        blocked = failures.some(result => result.level === "error");
+    render(renderModal(
+        html`
+            <h3>${blocked ? "This plan can't be submitted yet" : "Before you submit"}</h3>
+            ${ChecklistItems(failures)}
+            <p>
+                ${blocked
+                    ? "Fix the errors above, then save again."
+                    : "This plan doesn't meet every rule for this map. You can keep working, or submit it as it is."}
+            </p>
+            <div class="checklist__actions">
+                <button class="button" @click=${() => render("", target)}>Keep working</button>
+                ${blocked
+                    ? ""
+                    : html`<button class="button" @click=${proceed}>Submit anyway</button>`}
+            </div>
+        `
+    ), target);
+}
@@ -0,0 +1,159 @@
+import { html, render } from "lit-html";
+import { renderModal } from "./Modal";
+import Collaboration from "../models/Collaboration";
+import CollaboratorCursors from "../map/CollaboratorCursors";
+import { savedPlanId } from "./PlanRevisions";
+import { bearerToken } from "../api/plans";
+
+const SERVER_KEY = "districtr_collab_server",
+    NAME_KEY = "districtr_collab_name";
+
+// the token saved with the plan in this browser (see savePlanToDB)
+function editToken(planId) {
+    const saved = localStorage.getItem(`districtr_token_${planId}`);
+    return saved && saved !== "null" ? saved.split("_")[0] : null;
+}
+
+function defaultServer() {
+    return localStorage.getItem(SERVER_KEY) || `ws://${window.location.hostname || "localhost"}:8787`;
+}
+
+function Collaborators(collaboration) {
+    return html`
+        <ul class="collab__users">
+            ${Object.keys(collaboration.users).map(id => {
+                const user = collaboration.users[id];
+                return html`
+                    <li class="collab__user">
+                        <span class="collab__swatch" style="background: ${user.color}"></span>
+                        ${user.name}${id === collaboration.you.id ? " (you)" : ""}
+                    </li>
+                `;
+            })}
+        </ul>
+    `;
+}
+
+/**
+ * Opens a dialog to join (or leave) live collaboration on the plan.
+ * @param {Collaboration} collaboration
+ */
+export default function renderCollabDialog(collaboration) {
+    const target = document.getElementById("modal"),
+        close = () => render("", target);
+
+    if (collaboration.connected) {
+        render(renderModal(html`
+            <h3>Collaborating live</h3>
+            <p>Drawing together with:</p>
+            ${Collaborators(collaboration)}
+            ${collaboration.conflicts
+                ? html`<p class="italic-note">
+                    ${collaboration.conflicts} of your changes came after someone else's change to
+                    the same unit, so theirs were kept.
+                </p>`
+                : ""}
+            <div class="collab__actions">
+                <button class="button button--alternate" @click=${() => {
+                    collaboration.disconnect();
+                    close();
+                }}>Leave</button>
+            </div>
+        `), target);
+        return;
+    }
+
+    const planId = savedPlanId();
+    if (!planId) {
+        render(renderModal(html`
+            <h3>Collaborate live</h3>
+            <p>Share this plan to save it, then collaborate on it live.</p>
+        `), target);
+        return;
+    }
+    const token = editToken(planId),
+        bearer = bearerToken();
+
+    render(renderModal(html`
+        <h3>Collaborate live</h3>
+        <p>
+            Everyone who opens this plan and connects to the same collaboration
+            server sees each other's brush strokes and cursors as they draw.
+            A team can run a server on their own network with
+            <code>npm run collab</code>.
+        </p>
+        ${token
+            ? html`<p>
+                Give your team this plan's edit code to join: <code>${token}</code>.
+                It works until 24 hours after the plan was last saved.
+            </p>`
+            : ""}
+        <form class="collab__form" @submit=${e => {
+            e.preventDefault();
+            const server = e.target.elements["collab-server"].value.trim(),
+                name = e.target.elements["collab-name"].value.trim(),
+                code = e.target.elements["collab-token"].value.trim();
+            localStorage.setItem(SERVER_KEY, server);
+            localStorage.setItem(NAME_KEY, name);
+            let socket;
+            try {
+                socket = new WebSocket(server);
+            } catch (error) {
+                collaboration.error = `${server} is not a WebSocket address.`;
+                renderCollabDialog(collaboration);
+                return;
+            }
+            collaboration.connect(socket, { planId, token: code, bearer, name },
+                new CollaboratorCursors(collaboration.state.map));
+            close();
+        }}>
+            <label class="collab__field">
+                Your name
+                <input type="text" name="collab-name" required maxlength="40"
+                    .value=${localStorage.getItem(NAME_KEY) || ""} />
+            </label>
+            <label class="collab__field">
+                The plan's edit code${bearer ? " (not needed by its owner and editors)" : ""}
+                <input type="text" name="collab-token" ?required=${!bearer} .value=${token || ""} />
+            </label>
+            <label class="collab__field">
+                Server
+                <input type="text" name="collab-server" required .value=${defaultServer()} />
+            </label>
+            ${collaboration.error ? html`<p class="collab__error">${collaboration.error}</p>` : ""}
+            <div class="collab__actions">
+                <button type="submit" class="button">Connect</button>
+            </div>
+        </form>
+    `), target);
+}
+
+function CollabStatus(collaboration) {
+    if (!collaboration.connected) {
+        return html``;
+    }
+    const users = Object.keys(collaboration.users).map(id => collaboration.users[id]);
+    return html`
+        <button class="collab-status" title="Collaborating live"
+            @click=${() => renderCollabDialog(collaboration)}>
+            <i class="material-icons">group</i>
+            ${users.map(user => html`
+                <span class="collab__swatch" style="background: ${user.color}" title=${user.name}></span>
+            `)}
+        </button>
+    `;
+}
+
+/**
+ * Lets the plan's brush strokes be shared live, with a badge on the map
+ * listing who is drawing while connected.
+ * @param {State} state
+ * @param {Brush} brush
+ * @returns {Collaboration}
+ */
+export function startCollaboration(state, brush) {
+    const target = document.createElement("div");
+    state.map.getContainer().parentNode.appendChild(target);
+    const collaboration = new Collaboration(state, brush, () => render(CollabStatus(collaboration), target));
+    return collaboration;
+}
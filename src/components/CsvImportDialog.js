@@ -0,0 +1,163 @@
+import { html, render } from "lit-html";
+import { renderModal } from "./Modal";
+import {
+    districtrHeader,
+    guessMapping,
+    headerMismatch,
+    parseCSV,
+    readAssignment,
+    sniffDelimiter
+} from "../models/lib/csv-import";
+import { numberWithCommas } from "../utils";
+
+const delimiterNames = {
+    ",": "Comma",
+    ";": "Semicolon",
+    "\t": "Tab",
+    "|": "Pipe"
+};
+
+// how many rows to preview, and how many problem ids or rows to list
+const PREVIEW_ROWS = 5,
+    LISTED = 20;
+
+function listed(items, format = String) {
+    const shown = items.slice(0, LISTED).map(format),
+        more = items.length > LISTED ? ` and ${numberWithCommas(items.length - LISTED)} more` : "";
+    return shown.join(", ") + more;
+}
+
+function ColumnSelect(label, rows, mapping, key, onChange) {
+    const width = Math.max(...rows.slice(0, PREVIEW_ROWS + 1).map(row => row.length)),
+        name = i => mapping.hasHeader && rows[0][i] ? rows[0][i] : `Column ${i + 1}`;
+    return html`
+        <label class="csv-import__field">
+            ${label}
+            <select @change=${e => onChange({ [key]: Number(e.target.value) })}>
+                ${Array.from({ length: width }, (_, i) => html`
+                    <option value=${i} ?selected=${mapping[key] === i}>${name(i)}</option>
+                `)}
+            </select>
+        </label>
+    `;
+}
+
+function Preview(rows, mapping) {
+    const data = (mapping.hasHeader ? rows.slice(1) : rows).slice(0, PREVIEW_ROWS),
+        highlight = i => i === mapping.idColumn || i === mapping.districtColumn ? "csv-import__mapped" : "";
+    return html`
+        <table class="csv-import__preview">
+            ${mapping.hasHeader
+                ? html`<tr>${rows[0].map((cell, i) => html`<th class=${highlight(i)}>${cell}</th>`)}</tr>`
+                : ""}
+            ${data.map(row => html`<tr>${row.map((cell, i) => html`<td class=${highlight(i)}>${cell}</td>`)}</tr>`)}
+        </table>
+    `;
+}
+
+function Report(result, knownIds, context) {
+    const { districts, rows, matched, unknownIds, duplicates, missingDistrict } = result,
+        parts = context.problem.numberOfParts,
+        noun = context.problem.pluralNoun || "districts";
+    return html`
+        <ul class="csv-import__report">
+            <li>
+                ${numberWithCommas(rows)} rows assign ${numberWithCommas(Object.keys(result.assignment).length)} units
+                to <strong>${districts.length}</strong> ${noun}${districts.length
+                    ? `: ${listed(districts)}`
+                    : ""}.
+                ${districts.length > parts ? `The plan will have ${districts.length} ${noun} instead of ${parts}.` : ""}
+            </li>
+            ${matched === null
+                ? ""
+                : html`<li>
+                    ${numberWithCommas(matched)} units match
+                    ${knownIds.complete ? "this map's units" : "the units loaded on the map"}.
+                    ${unknownIds.length
+                        ? html`<span class="csv-import__problem">
+                            ${numberWithCommas(unknownIds.length)}
+                            ${knownIds.complete ? "are not units of this map" : "are not loaded on the map, or not units of it"}:
+                            ${listed(unknownIds)}
+                        </span>`
+                        : ""}
+                </li>`}
+            ${duplicates.length
+                ? html`<li class="csv-import__problem">
+                    ${numberWithCommas(duplicates.length)} units are on more than one row, and their last row is used:
+                    ${listed(duplicates, ({ id, rows: lines }) => `${id} (rows ${lines.join(", ")})`)}
+                </li>`
+                : ""}
+            ${missingDistrict.length
+                ? html`<li class="csv-import__problem">
+                    ${numberWithCommas(missingDistrict.length)} rows have no district and are skipped:
+                    rows ${listed(missingDistrict)}
+                </li>`
+                : ""}
+        </ul>
+    `;
+}
+
+/**
+ * Opens a dialog to import an assignment CSV: the delimiter, header row and
+ * id and district columns are guessed and can be changed, and the dialog
+ * reports how the rows match the map's units before the plan is loaded.
+ * @param {string} text the CSV file
+ * @param {Object} options
+ * @param {Object} options.context the current plan's context
+ * @param {Object} options.knownIds from `loadUnitIds`
+ * @param {function} options.onLoad called with the chosen { delimiter,
+ *  hasHeader, idColumn, districtColumn }
+ */
+export default function renderCsvImportDialog(text, { context, knownIds, onLoad }) {
+    const target = document.getElementById("modal");
+    let delimiter = sniffDelimiter(text),
+        rows = parseCSV(text, delimiter),
+        mapping = { delimiter, ...guessMapping(rows) };
+
+    const update = changes => {
+        if (changes.delimiter && changes.delimiter !== mapping.delimiter) {
+            rows = parseCSV(text, changes.delimiter);
+            mapping = { delimiter: changes.delimiter, ...guessMapping(rows) };
+        } else {
+            mapping = { ...mapping, ...changes };
+        }
+        draw();
+    };
+
+    const draw = () => {
+        const header = mapping.hasHeader && rows.length ? districtrHeader(rows[0][0]) : null,
+            mismatch = header ? headerMismatch(header, context) : null,
+            result = readAssignment(rows, mapping, knownIds.ids),
+            ready = !mismatch && mapping.idColumn !== mapping.districtColumn && result.districts.length > 0;
+        render(renderModal(html`
+            <h3>Import an assignment file</h3>
+            <div class="csv-import__fields">
+                <label class="csv-import__field">
+                    Delimiter
+                    <select @change=${e => update({ delimiter: e.target.value })}>
+                        ${Object.keys(delimiterNames).map(d => html`
+                            <option value=${d} ?selected=${mapping.delimiter === d}>${delimiterNames[d]}</option>
+                        `)}
+                    </select>
+                </label>
+                <label class="csv-import__field">
+                    <input type="checkbox" ?checked=${mapping.hasHeader}
+                        @change=${e => update({ hasHeader: e.target.checked })}>
+                    First row is a header
+                </label>
+                ${ColumnSelect("Unit ID column", rows, mapping, "idColumn", update)}
+                ${ColumnSelect("District column", rows, mapping, "districtColumn", update)}
+            </div>
+            ${Preview(rows, mapping)}
+            ${mismatch ? html`<p class="csv-import__problem">${mismatch}</p>` : Report(result, knownIds, context)}
+            <div class="csv-import__actions">
+                <button class="button button--alternate" @click=${() => render("", target)}>Cancel</button>
+                <button class="button" ?disabled=${!ready} @click=${() => {
+                    render("", target);
+                    onLoad(mapping);
+                }}>Load plan</button>
+            </div>
+        `), target);
+    };
+    draw();
+}
@@ -0,0 +1,77 @@
+import { html, render } from "lit-html";
+import { deleteDraft, duplicateDraft, listDrafts, renameDraft } from "../api/drafts";
+import { editAction, navigateTo } from "../routes";
+
+function draftLabel(draft) {
+    return draft.name || "Untitled plan";
+}
+
+function openDraft(draft) {
+    navigateTo(`/${editAction(draft.plan.problem)}?draft=${encodeURIComponent(draft.id)}`);
+}
+
+function DraftItem(draft, isOpen, refresh) {
+    const rename = () => {
+        // eslint-disable-next-line no-alert
+        const name = window.prompt("Name this draft:", draft.name);
+        if (name !== null) {
+            renameDraft(draft.id, name.trim()).then(refresh);
+        }
+    };
+    const remove = () => {
+        // eslint-disable-next-line no-alert
+        if (window.confirm(`Delete "${draftLabel(draft)}" from this browser?`)) {
+            deleteDraft(draft.id).then(refresh);
+        }
+    };
+    return html`
+        <li class="drafts__item">
+            <div class="drafts__info">
+                <span class="drafts__name">${draftLabel(draft)}</span>
+                <span class="drafts__details">
+                    ${[draft.placeName, draft.problemName].filter(Boolean).join(" · ")}
+                    — edited ${new Date(draft.modified).toLocaleString()}
+                </span>
+            </div>
+            <div class="drafts__actions">
+                ${isOpen
+                    ? html`<span class="drafts__open">Open now</span>`
+                    : html`
+                        <button class="button button--alternate" @click=${() => openDraft(draft)}>Open</button>
+                        <button class="button button--transparent" @click=${rename}>Rename</button>
+                    `}
+                <button class="button button--transparent" @click=${() => duplicateDraft(draft.id).then(refresh)}>
+                    Duplicate
+                </button>
+                ${isOpen
+                    ? ""
+                    : html`<button class="button button--transparent" @click=${remove}>Delete</button>`}
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * Lists the plan drafts kept in this browser, to reopen, rename, duplicate
+ * or delete them. Renders nothing when there are no drafts.
+ * @param {HTMLElement} target
+ * @param {Object} [options]
+ * @param {string} [options.placeId] only list the drafts for this module
+ * @param {string} [options.openId] the draft open in the editor, which is
+ *  renamed from its About section rather than here
+ */
+export default function renderDraftPicker(target, { placeId, openId } = {}) {
+    const refresh = () => renderDraftPicker(target, { placeId, openId });
+    listDrafts(placeId)
+        .then(drafts => render(drafts.length
+            ? html`
+                <section class="drafts">
+                    <h3 class="drafts__title">Your drafts in this browser</h3>
+                    <ul class="drafts__list">
+                        ${drafts.map(draft => DraftItem(draft, draft.id === openId, refresh))}
+                    </ul>
+                </section>
+            `
+            : "", target))
+        .catch(e => render(html`<p class="drafts__error">${e.message}</p>`, target));
+}
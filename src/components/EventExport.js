@@ -0,0 +1,62 @@
+import { html } from "lit-html";
+import { download } from "../utils";
+
+// as many plans as eventExport puts in one archive
+const PAGE_PLANS = 100;
+
+/**
+ * Downloads an event's plans one archive at a time, following each part's
+ * X-Next-Page header, and asking for fewer plans when a part is too large.
+ * @param {string} eventCode
+ * @param {HTMLButtonElement} button shows the progress
+ * @param {string} [after] the plan to start after
+ * @param {number} [limit] plans in this part
+ * @param {number} [part]
+ * @returns {Promise}
+ */
+function downloadParts(eventCode, button, after = "", limit = PAGE_PLANS, part = 1) {
+    button.textContent = `Downloading part ${part}...`;
+    const url = `/.netlify/functions/eventExport?event=${eventCode}&limit=${limit}${after ? `&after=${after}` : ""}`;
+    return fetch(url).then(res => {
+        if (res.status === 413 && limit > 1) {
+            return downloadParts(eventCode, button, after, Math.floor(limit / 2), part);
+        }
+        if (!res.ok) {
+            return res.json().then(body => {
+                throw new Error(body.msg);
+            });
+        }
+        const next = res.headers.get("X-Next-Page");
+        return res.arrayBuffer().then(archive => {
+            download(`districtr-${eventCode}${next || part > 1 ? `-part${part}` : ""}.zip`, archive, true);
+            return next ? downloadParts(eventCode, button, next, limit, part + 1) : null;
+        });
+    });
+}
+
+/**
+ * @param {string} eventCode
+ * @returns {TemplateResult} a button to download all of the event's plans,
+ *  in as many zip archives as it takes
+ */
+export default function EventExportButton(eventCode) {
+    return html`
+        <button class="button event-export" @click=${e => {
+            const button = e.target;
+            button.disabled = true;
+            downloadParts(eventCode, button)
+                .then(() => {
+                    button.textContent = "Download all plans (zip)";
+                })
+                .catch(error => {
+                    console.error(error);
+                    button.textContent = `The plans couldn't be downloaded: ${error.message}`;
+                })
+                .then(() => {
+                    button.disabled = false;
+                });
+        }}>
+            Download all plans (zip)
+        </button>
+    `;
+}
@@ -0,0 +1,62 @@
+import { render } from "lit-html";
+import { renderModal } from "./Modal";
+import { renderPolygonImportReport } from "./PolygonImport";
+import { renderBlockEquivalencyReview } from "./BlockEquivalencyImport";
+import renderCsvImportDialog from "./CsvImportDialog";
+import { loadPlanFromPolygons } from "../models/PolygonImport";
+import { planFromBlockEquivalency, readBlockEquivalency } from "../models/BlockEquivalency";
+import { keepLockedParts, loadPlanFromCSV } from "../models/PlanImport";
+import { loadUnitIds } from "../models/UnitIds";
+
+/**
+ * The edit view's imports of files dropped on the map which need a review
+ * before they become the plan: district polygons, block equivalency files
+ * and assignment CSVs. Each keeps the open plan's locked districts.
+ * @param {Object} context the open plan's context
+ * @param {function} getState returns the open plan's State, once the map loads
+ * @param {function} loadContext opens the imported plan
+ * @returns {Object} { districtPolygons(geojson, method),
+ *  blockEquivalency(text), assignmentCSV(text) }
+ */
+export default function planImporters(context, getState, loadContext) {
+    const modal = () => document.getElementById("modal");
+
+    function districtPolygons(geojson, method) {
+        render(renderModal("Matching units to the districts..."), modal());
+        loadPlanFromPolygons(geojson, context, getState(), method)
+            .then(({ context: newContext, report }) => {
+                loadContext(keepLockedParts(newContext, getState()));
+                renderPolygonImportReport(report);
+            })
+            .catch(e => render(renderModal(e.message), modal()));
+    }
+
+    function blockEquivalency(text) {
+        render(renderModal("Matching blocks to this map's units..."), modal());
+        readBlockEquivalency(text, context.units)
+            .then(equivalency => renderBlockEquivalencyReview(equivalency, assignSplits => {
+                loadContext(keepLockedParts(planFromBlockEquivalency(equivalency, context, assignSplits), getState()));
+            }))
+            .catch(e => render(renderModal(e.message), modal()));
+    }
+
+    function assignmentCSV(text) {
+        loadUnitIds(getState())
+            .then(knownIds => renderCsvImportDialog(text, {
+                context,
+                knownIds,
+                onLoad: mapping => {
+                    try {
+                        loadPlanFromCSV(text, context, mapping)
+                            .then(newContext => keepLockedParts(newContext, getState()))
+                            .then(loadContext);
+                    } catch (e) {
+                        render(renderModal(e.message), modal());
+                    }
+                }
+            }))
+            .catch(e => render(renderModal(e.message), modal()));
+    }
+
+    return { districtPolygons, blockEquivalency, assignmentCSV };
+}
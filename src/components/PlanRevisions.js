@@ -0,0 +1,96 @@
+import { html, render } from "lit-html";
+import { editAction, loadPlanFromURL, navigateTo, savePlanToStorage } from "../routes";
+import { generateId } from "../utils";
+
+/**
+ * @returns {string|null} the ID of the saved plan open in the editor, from
+ *  its URL (e.g. /plan/1234)
+ */
+export function savedPlanId() {
+    const page = window.location.pathname.split("/").slice(-1)[0];
+    return ["", "edit", "coi", "plan", "embedded"].includes(page.toLowerCase()) ? null : page;
+}
+
+/**
+ * @returns {number|null} the revision asked for with ?rev= in the URL
+ */
+export function getRevisionFromQueryParam() {
+    const match = window.location.search.match(/[?&]rev=(\d+)/);
+    return match ? Number(match[1]) : null;
+}
+
+function openRevision(rev) {
+    window.location.assign(`${window.location.pathname}?rev=${rev}`);
+}
+
+// starts a new plan in this browser from an older revision
+function forkRevision(planId, revision) {
+    loadPlanFromURL(`/.netlify/functions/planRead?id=${planId}&rev=${revision.rev}`)
+        .then(context => {
+            savePlanToStorage({
+                ...context,
+                id: generateId(8),
+                parentId: planId,
+                name: `${revision.planName || context.name || `Plan ${planId}`} (revision ${revision.rev})`
+            });
+            navigateTo(`/${editAction(context.problem)}`);
+        });
+}
+
+function RevisionItem(planId, revision, openRev, latest) {
+    const isOpen = openRev === null ? revision.rev === latest : revision.rev === openRev;
+    return html`
+        <li class="drafts__item">
+            <div class="drafts__info">
+                <span class="drafts__name">
+                    Revision ${revision.rev}${revision.planName ? ` — ${revision.planName}` : ""}
+                </span>
+                <span class="drafts__details">
+                    saved ${new Date(revision.date).toLocaleString()}
+                    ${revision.rev > 0 ? ` · ${revision.units} units changed` : " · first saved"}
+                </span>
+            </div>
+            <div class="drafts__actions">
+                ${isOpen
+                    ? html`<span class="drafts__open">Open now</span>`
+                    : html`<button class="button button--alternate" @click=${() => openRevision(revision.rev)}>
+                        Open
+                    </button>`}
+                <button class="button button--transparent" @click=${() => forkRevision(planId, revision)}>
+                    Fork
+                </button>
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * Lists the saved plan's revisions, newest first, to open or to start a
+ * new plan from.
+ * @param {HTMLElement} target
+ * @param {string} planId
+ */
+export default function renderPlanRevisions(target, planId) {
+    render(html`<p>Loading the plan's history...</p>`, target);
+    fetch(`/.netlify/functions/planHistory?id=${planId}`)
+        .then(r => r.json())
+        .then(({ revisions, msg }) => {
+            if (!revisions) {
+                throw new Error(msg);
+            }
+            const latest = revisions[revisions.length - 1].rev;
+            render(html`
+                <section class="drafts">
+                    <h3 class="drafts__title">Saved versions of plan ${planId}</h3>
+                    ${revisions[0].rev > 0
+                        ? html`<p>Only the latest ${revisions.length} versions are kept.</p>`
+                        : ""}
+                    <ul class="drafts__list">
+                        ${revisions.slice().reverse()
+                            .map(revision => RevisionItem(planId, revision, getRevisionFromQueryParam(), latest))}
+                    </ul>
+                </section>
+            `, target);
+        })
+        .catch(e => render(html`<p class="drafts__error">${e.message}</p>`, target));
+}
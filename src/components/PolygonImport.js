@@ -0,0 +1,67 @@
+import { html, render } from "lit-html";
+import { renderModal } from "./Modal";
+import { numberWithCommas } from "../utils";
+
+// how many unmatched unit ids to list in the report
+const LISTED_UNITS = 20;
+
+/**
+ * Asks how to match units to dropped district polygons.
+ * @param {Object} options
+ * @param {function} options.onImport called with "centroid" or "overlap"
+ * @param {function} [options.onLandmarks] shows the polygons as landmarks
+ *  instead, if given
+ */
+export function renderPolygonImportChoice({ onImport, onLandmarks }) {
+    const target = document.getElementById("modal"),
+        choose = action => () => {
+            render("", target);
+            action();
+        };
+    render(renderModal(html`
+        <h3>Import district polygons</h3>
+        <p>
+            Make a plan from these polygons by assigning each unit to the
+            district that contains its center, or to the district that covers
+            most of it. The plan you're working on will be replaced.
+        </p>
+        <div class="polygon-import__actions">
+            <button class="button" @click=${choose(() => onImport("centroid"))}>By unit center</button>
+            <button class="button" @click=${choose(() => onImport("overlap"))}>By largest overlap</button>
+            ${onLandmarks
+                ? html`<button class="button button--alternate" @click=${choose(onLandmarks)}>Show as landmarks</button>`
+                : ""}
+        </div>
+    `), target);
+}
+
+/**
+ * Reports how the units of an imported plan were matched to its polygons.
+ * @param {Object} report from `loadPlanFromPolygons`
+ */
+export function renderPolygonImportReport({ districts, assigned, byOverlap, unmatched, fromFile }) {
+    const listed = unmatched.slice(0, LISTED_UNITS);
+    render(renderModal(html`
+        <h3>Imported ${districts} districts</h3>
+        <p>
+            ${numberWithCommas(assigned)} units were assigned${byOverlap
+                ? `, ${numberWithCommas(byOverlap)} of them to the district covering most of the unit`
+                : ""}.
+        </p>
+        ${unmatched.length
+            ? html`<p>
+                ${numberWithCommas(unmatched.length)} units are outside every district and were left
+                unassigned:
+                <code class="polygon-import__units">${listed.join(", ")}${unmatched.length > listed.length
+                    ? ` and ${numberWithCommas(unmatched.length - listed.length)} more`
+                    : ""}</code>
+            </p>`
+            : html`<p>Every unit was matched to a district.</p>`}
+        ${fromFile
+            ? ""
+            : html`<p class="italic-note">
+                Only the units loaded on the map were assigned. If part of the area was out of
+                view, zoom out and import the file again.
+            </p>`}
+    `), document.getElementById("modal"));
+}
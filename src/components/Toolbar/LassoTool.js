@@ -0,0 +1,64 @@
+import { html } from "lit-html";
+import BrushColorPicker from "./BrushColorPicker";
+import UndoRedo from "./UndoRedo";
+import Tool from "./Tool";
+import Lasso from "../../map/Lasso";
+
+const icon = html`<i class="material-icons" title="Lasso">gesture</i>`;
+
+export default class LassoTool extends Tool {
+    constructor(state, brush, colors) {
+        super("lasso", "Lasso", icon);
+        this.brush = brush;
+        this.lasso = new Lasso(state, brush);
+        this.options = new LassoToolOptions(this.lasso, brush, colors);
+    }
+    activate() {
+        super.activate();
+        this.lasso.activate();
+    }
+    deactivate() {
+        super.deactivate();
+        this.lasso.deactivate();
+    }
+}
+
+class LassoToolOptions {
+    constructor(lasso, brush, colors, renderToolbar) {
+        this.lasso = lasso;
+        this.brush = brush;
+        this.colors = colors;
+        this.renderToolbar = renderToolbar;
+        this.selectColor = this.selectColor.bind(this);
+        this.toggleFreehand = this.toggleFreehand.bind(this);
+    }
+    selectColor(e) {
+        this.brush.setColor(e.target.value);
+        this.renderToolbar();
+    }
+    toggleFreehand() {
+        this.lasso.setFreehand(!this.lasso.freehand);
+        this.renderToolbar();
+    }
+    render() {
+        const activeColor = this.colors[this.brush.color].id;
+        return html`
+            ${this.colors.length > 1
+                ? BrushColorPicker(this.colors, this.selectColor, activeColor)
+                : ""}
+            <div class="ui-option">
+                <label class="toolbar-checkbox">
+                    <input
+                        type="checkbox"
+                        name="lasso-freehand"
+                        value="lasso-freehand"
+                        ?checked=${!this.lasso.freehand}
+                        @change=${this.toggleFreehand}
+                    />
+                    Click to place corners (double-click to finish)
+                </label>
+            </div>
+            ${UndoRedo(this.brush)}
+        `;
+    }
+}
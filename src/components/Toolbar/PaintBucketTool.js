@@ -0,0 +1,57 @@
+import { html } from "lit-html";
+import BrushColorPicker from "./BrushColorPicker";
+import UndoRedo from "./UndoRedo";
+import Tool from "./Tool";
+import PaintBucket from "../../map/PaintBucket";
+
+const icon = html`<i class="material-icons" title="Paint Bucket">format_color_fill</i>`;
+
+export default class PaintBucketTool extends Tool {
+    constructor(state, brush, colors) {
+        super("fill", "Paint Bucket", icon);
+        this.bucket = new PaintBucket(state, brush, () => this.options.renderToolbar());
+        this.options = new PaintBucketToolOptions(this.bucket, brush, colors);
+    }
+    activate() {
+        super.activate();
+        this.bucket.activate();
+    }
+    deactivate() {
+        super.deactivate();
+        this.bucket.deactivate();
+    }
+}
+
+class PaintBucketToolOptions {
+    constructor(bucket, brush, colors, renderToolbar) {
+        this.bucket = bucket;
+        this.brush = brush;
+        this.colors = colors;
+        this.renderToolbar = renderToolbar;
+        this.selectColor = this.selectColor.bind(this);
+    }
+    selectColor(e) {
+        this.brush.setColor(e.target.value);
+        this.renderToolbar();
+    }
+    render() {
+        const activeColor = this.colors[this.brush.color].id;
+        return html`
+            ${this.colors.length > 1
+                ? BrushColorPicker(this.colors, this.selectColor, activeColor)
+                : ""}
+            <div class="ui-option">
+                Click a unit to fill the area around it that has the same
+                district (or is unassigned).
+            </div>
+            ${this.bucket.unloadedUnits
+                ? html`<div class="ui-option ui-option--warning">
+                    That area wasn't filled: ${this.bucket.unloadedUnits.toLocaleString()}
+                    of its units are outside the part of the map that's loaded.
+                    Zoom out until the whole area is in view, then click again.
+                </div>`
+                : ""}
+            ${UndoRedo(this.brush)}
+        `;
+    }
+}
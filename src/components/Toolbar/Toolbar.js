@@ -2,10 +2,11 @@
 import { html } from "lit-html";
 import { repeat } from "lit-html/directives/repeat";
 import { actions } from "../../reducers/toolbar";
-import { savePlanToDB } from "../../routes";
+import { savePlanToDB } from "../../api/plans";
 import Tabs from "../Tabs";
 import OptionsContainer from "./OptionsContainer";
 import { renderSaveModal, renderEventModal } from "../Modal";
+import checkPlanBeforeSubmitting from "../ChecklistModal";
 import { spatial_abilities } from "../../utils";
 
 export default class Toolbar {
@@ -61,13 +62,14 @@ export default class Toolbar {
         console.log(window.location.href);
         if (spatial_abilities(this.state.place.id).portal && (window.location.href.includes("portal") || window.location.href.includes("qa-portal"))) {
             saved();
-            renderSaveModal(this.state, savePlanToDB, window.location.href.includes("qa-portal"), new URLSearchParams(
-                window.location.search
-              ).get("draft"));
+            const draft = new URLSearchParams(window.location.search).get("draft");
+            checkPlanBeforeSubmitting(this.state, () => renderSaveModal(this.state, savePlanToDB,
+                window.location.href.includes("qa-portal"), draft));
             return;
         } else if (window.location.href.includes("event")) {
             saved();
-            renderEventModal(this.state, savePlanToDB, window.location.href.split("event=")[1].split("&")[0].split("#")[0]);
+            checkPlanBeforeSubmitting(this.state, () => renderEventModal(this.state, savePlanToDB,
+                window.location.href.split("event=")[1].split("&")[0].split("#")[0]));
             return;
         }
 
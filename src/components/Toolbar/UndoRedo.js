@@ -1,19 +1,28 @@
 import { html } from "lit-html";
+import { districtColors } from "../../colors";
 
 export default (brush) => {
     // enable/disable the undo/redo buttons if we're at the end of the undo stack
     const brush_id = "brush_" + brush.id;
+    const showLockedUnits = () => {
+        const note = document.getElementById(`locked_${brush_id}`);
+        if (note) {
+            note.textContent = lockedUnitsNote(brush.lockedUnitsSkipped);
+        }
+    };
     brush.on("undo", (endOfStack) => {
         document.getElementById(`redo_${brush_id}`).disabled = false;
         if (endOfStack) {
             document.getElementById(`undo_${brush_id}`).disabled = true;
         }
+        showLockedUnits();
     });
     brush.on("redo", (endOfStack) => {
         document.getElementById(`undo_${brush_id}`).disabled = false;
         if (endOfStack) {
             document.getElementById(`redo_${brush_id}`).disabled = true;
         }
+        showLockedUnits();
     });
     brush.on("colorop", (undo_redo_mode) => {
         // if I add paint, I can undo it, and it's no longer possible to redo previous actions
@@ -34,7 +43,7 @@ export default (brush) => {
                     class="button button--blank"
                     @click="${brush.undo}"
                     style="margin-right:8px"
-                    disabled
+                    ?disabled=${!brush.history.canUndo}
                 >
                     <i class="material-icons" style="color: #000;font-size:18px;">undo</i>
                 </button>
@@ -42,11 +51,65 @@ export default (brush) => {
                     id="redo_${brush_id}"
                     class="button button--blank"
                     @click="${brush.redo}"
-                    disabled
+                    ?disabled=${!brush.history.canRedo}
                 >
                     <i class="material-icons" style="color: #000;font-size:18px;">redo</i>
                 </button>
             </div>
         </div>
+        <div id="locked_${brush_id}" class="ui-option ui-option--warning">${lockedUnitsNote(brush.lockedUnitsSkipped)}</div>
+        ${brush.history.entries.length ? HistoryTimeline(brush) : ""}
     `;
 }
+
+function lockedUnitsNote(count) {
+    if (!count) {
+        return "";
+    }
+    return count === 1
+        ? "Undo and redo left 1 unit in a locked district as it is."
+        : `Undo and redo left ${count.toLocaleString()} units in locked districts as they are.`;
+}
+
+// most recent first; clicking an entry undoes or redoes everything after it
+const HistoryTimeline = brush => html`
+    <details class="ui-option history-timeline">
+        <summary class="ui-label">History (${brush.history.entries.length})</summary>
+        <ol class="history-timeline__list">
+            ${brush.history.entries.map((entry, index) => index + 1)
+                .reverse()
+                .concat([0])
+                .map(position => html`
+                    <li
+                        class="history-timeline__item${position === brush.history.cursor ? " history-timeline__item--current" : ""}${position > brush.history.cursor ? " history-timeline__item--undone" : ""}"
+                        @click="${() => brush.jumpTo(position)}"
+                    >
+                        ${position
+                            ? HistoryEntry(brush.history.entries[position - 1])
+                            : "Start"}
+                    </li>
+                `)}
+        </ol>
+    </details>
+`;
+
+function HistoryEntryAction(entry) {
+    if (entry.label) {
+        return entry.label;
+    } else if (entry.color === null) {
+        return "Erased";
+    }
+    return html`Painted
+        <span
+            class="part-number"
+            style="background:${districtColors[entry.color % districtColors.length].hex}"
+        >
+            ${entry.color + 1}
+        </span>`;
+}
+
+const HistoryEntry = entry => html`
+    ${HistoryEntryAction(entry)}
+    ${entry.changes.length} unit${entry.changes.length === 1 ? "" : "s"}
+    <time>${new Date(entry.time).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}</time>
+`;
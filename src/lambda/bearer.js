@@ -0,0 +1,47 @@
+// bearer.js
+// Checks the bearer tokens which the Districtr API gives signed-in users
+// (see src/api/auth.js): JSON web tokens signed with HS256, using the
+// secret the API shares with these functions as AUTH_SECRET.
+import crypto from 'crypto';
+
+function base64url(buffer) {
+  return buffer.toString('base64')
+    .replace(/[=]+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * @param {Object} headers the request's headers
+ * @param {string} [secret]
+ * @returns {Object|null} the signed-in user ({ id, email, ... }), or null if
+ *  there's no valid, unexpired bearer token
+ */
+// eslint-disable-next-line no-process-env
+export function bearerUser(headers, secret = process.env.AUTH_SECRET) {
+  const header = (headers || {}).authorization || (headers || {}).Authorization || '',
+    match = header.match(/^Bearer\s+(\S+)$/);
+  if (!match || !secret) {
+    return null;
+  }
+  const parts = match[1].split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  const expected = Buffer.from(base64url(crypto.createHmac('sha256', secret)
+      .update(`${parts[0]}.${parts[1]}`)
+      .digest())),
+    signature = Buffer.from(parts[2]);
+  if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+    return null;
+  }
+  try {
+    const user = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'));
+    if (user.exp && user.exp * 1000 < Date.now()) {
+      return null;
+    }
+    return user;
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,107 @@
+// eventArchive.js
+// The files in an event's archive (see eventExport.js): each plan as
+// Districtr-JSON, every plan's assignment side by side, and a list of the
+// plans.
+import { planSummary } from './search';
+
+/**
+ * @param {*} value
+ * @returns {string} the value as a CSV cell, quoted if needed
+ */
+export function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return (/[",\n\r]/).test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(",");
+}
+
+/**
+ * Saved plans' unit IDs have "." replaced with "÷" (see savePlanToDB).
+ * @param {Object} plan a saved plan's `plan`
+ * @returns {Object} the plan with its original unit IDs
+ */
+export function unescapePlan(plan) {
+  let assignment = {};
+  Object.keys(plan.assignment || {}).forEach(unitId => {
+    assignment[unitId.replace(/÷/g, ".")] = plan.assignment[unitId];
+  });
+  return { ...plan, assignment };
+}
+
+// as in the editor's assignment export
+function partCell(part) {
+  return Array.isArray(part) ? part.join("_") : part;
+}
+
+/**
+ * @param {Object[]} records list of { simple_id, plan }
+ * @returns {string} a CSV with a row for each unit and a column for each
+ *  plan's assignment
+ */
+export function assignmentCSV(records) {
+  const unitIds = new Set();
+  records.forEach(record => Object.keys(record.plan.assignment || {}).forEach(unitId => unitIds.add(unitId)));
+  return [csvRow(["id"].concat(records.map(record => `plan-${record.simple_id}`)))]
+    .concat(Array.from(unitIds).sort()
+      .map(unitId => csvRow([unitId].concat(records.map(record => partCell((record.plan.assignment || {})[unitId]))))))
+    .join("\n");
+}
+
+/**
+ * @param {Object} plan a saved plan's `plan`
+ * @returns {string} "complete", or how many districts are drawn
+ */
+export function completeness(plan) {
+  const { districts, complete } = planSummary(plan),
+    problem = plan.problem || {};
+  if (complete) {
+    return "complete";
+  }
+  return problem.type === "community"
+    ? "no communities"
+    : `${districts} of ${problem.numberOfParts} ${problem.pluralNoun || "districts"}`;
+}
+
+// older plans may have no dates
+function isoDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : "";
+}
+
+/**
+ * @param {Object[]} records list of { simple_id, planName, startDate,
+ *  updateDate, plan }
+ * @returns {string} a CSV with a row for each plan
+ */
+export function metadataCSV(records) {
+  return [csvRow(["id", "name", "date", "completeness", "place", "units", "kind"])]
+    .concat(records.map(record => csvRow([
+      record.simple_id,
+      record.planName || "",
+      isoDate(record.updateDate || record.startDate),
+      completeness(record.plan),
+      record.plan.place ? record.plan.place.name : record.plan.placeId,
+      record.plan.units ? record.plan.units.name : "",
+      record.plan.problem ? record.plan.problem.type : ""
+    ])))
+    .join("\n");
+}
+
+/**
+ * @param {string} eventCode
+ * @param {Object[]} records saved plans, with their plans unescaped
+ * @returns {Object[]} the archive's files, as { name, data }
+ */
+export function eventArchiveFiles(eventCode, records) {
+  return records
+    .map(record => ({
+      name: `${eventCode}/plans/districtr-plan-${record.simple_id}.json`,
+      data: JSON.stringify(record.plan)
+    }))
+    .concat([
+      { name: `${eventCode}/assignments.csv`, data: assignmentCSV(records) },
+      { name: `${eventCode}/metadata.csv`, data: metadataCSV(records) }
+    ]);
+}
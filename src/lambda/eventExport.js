@@ -0,0 +1,100 @@
+// eventExport.js
+// connects to the database
+import './server';
+import mongoose from 'mongoose';
+import zlib from 'zlib';
+import Plan from './planModel';
+import { eventArchiveFiles, unescapePlan } from './eventArchive';
+import { zip } from '../models/lib/zip';
+
+// plans in one archive; larger events are exported in parts, each starting
+// after the last plan of the one before
+const PAGE_PLANS = 100,
+      // the largest archive to send, under the functions' 6 MB response
+      // limit once it's base64 encoded
+      MAX_ARCHIVE = 4 * 1024 * 1024;
+
+exports.handler = async (event, context) => {
+  context.callbackWaitsForEmptyEventLoop = false;
+
+  try {
+    const params = event.queryStringParameters || {},
+          eventCode = (params.event || "").toLowerCase().replace(/_/g, '-'),
+          after = params.after,
+          limit = Math.min(Math.max(Number(params.limit) || PAGE_PLANS, 1), PAGE_PLANS);
+    if (!eventCode.trim().length) {
+        return {
+            statusCode: 301,
+            body: JSON.stringify({
+                msg: "Set event= parameter"
+            })
+        };
+    }
+    if (after && !mongoose.Types.ObjectId.isValid(after)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ msg: "Set after= to the X-Next-Page header of the part before" })
+        };
+    }
+
+    // read a page of plans one at a time, keeping only what goes in the
+    // archive, and one more to know if there's another part
+    // be careful not to share token here
+    let query = { eventCode: eventCode, isScratch: { $ne: true } },
+        records = [];
+    if (after) {
+        query._id = { $gt: mongoose.Types.ObjectId(after) };
+    }
+    await Plan.find(query)
+        .select("_id simple_id planName startDate updateDate plan")
+        .sort([["_id", 1]])
+        .limit(limit + 1)
+        .cursor()
+        .eachAsync(record => {
+            records.push({
+                _id: record._id,
+                simple_id: record.simple_id,
+                planName: record.planName,
+                startDate: record.startDate,
+                updateDate: record.updateDate,
+                plan: unescapePlan(record.plan)
+            });
+        });
+
+    const more = records.length > limit;
+    records = records.slice(0, limit);
+    // zip compresses each file as it's added
+    // eslint-disable-next-line no-sync
+    const archive = zip(eventArchiveFiles(eventCode, records), new Date(), zlib.deflateRawSync);
+    if (archive.length > MAX_ARCHIVE) {
+        return {
+            statusCode: 413,
+            body: JSON.stringify({
+                msg: `These ${records.length} plans are too large to download together. `
+                    + `Ask for fewer at a time with limit= (under ${records.length}).`
+            })
+        };
+    }
+
+    let headers = {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="districtr-${eventCode}${after ? `-after-${after}` : ""}.zip"`
+    };
+    if (more) {
+        // the after= value for the next part
+        headers['X-Next-Page'] = String(records[records.length - 1]._id);
+    }
+    return {
+        statusCode: 200,
+        headers: headers,
+        isBase64Encoded: true,
+        body: Buffer.from(archive).toString('base64')
+    };
+  } catch (err) {
+      console.log(err); // output to netlify function log
+      return {
+          statusCode: 500,
+          body: JSON.stringify({ msg: err.message })
+      };
+  }
+};
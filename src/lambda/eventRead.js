@@ -36,17 +36,31 @@ exports.handler = async (event, context) => {
     }
     if (skipNum) {
       plans = await Plan.find(query)
-      .select("_id simple_id startDate plan.problem plan.place plan.placeId plan.units screenshot2 planName isScratch")
+      .select("_id simple_id parentId startDate updateDate plan.problem plan.place plan.placeId plan.units screenshot2 planName isScratch")
       .sort([["simple_id", -1]])
       .skip(skipNum)
       .limit(Number(event.queryStringParameters.limit || 8));
     } else {
       plans = await Plan.find(query)
-      .select("_id simple_id startDate plan.problem plan.place plan.placeId plan.units screenshot2 planName isScratch")
+      .select("_id simple_id parentId startDate updateDate plan.problem plan.place plan.placeId plan.units screenshot2 planName isScratch")
       .sort([["simple_id", -1]])
       .limit(Number(event.queryStringParameters.limit || 8));
     }
 
+    // how many plans were made from each of these
+    const derived = await Plan.aggregate([
+      { $match: { parentId: { $in: plans.map(plan => plan.simple_id) } } },
+      { $group: { _id: "$parentId", count: { $sum: 1 } } }
+    ]);
+    let derivedPlans = {};
+    derived.forEach(group => {
+      derivedPlans[String(group._id)] = group.count;
+    });
+    plans = plans.map(plan => ({
+      ...plan.toObject(),
+      derivedPlans: derivedPlans[String(plan.simple_id)] || 0
+    }));
+
     // be careful not to share token here
     return {
         statusCode: 200,
@@ -0,0 +1,53 @@
+// lineage.js
+// A plan saved from another saved plan (opened from planRead) records the
+// other plan's ID as its `parentId`, so organizers can follow which plans
+// are derived from which.
+
+/**
+ * @param {string|number} id a plan's simple_id, as given in a URL
+ * @returns {string|number|null} the ID as it's stored: a number, or a
+ *  string for IDs with an underscore; null if it isn't an ID
+ */
+export function normalizeId(id) {
+  if (id === null || id === undefined || String(id).trim() === "") {
+    return null;
+  }
+  if (String(id).includes("_")) {
+    return String(id);
+  }
+  return isNaN(Number(id)) ? null : Number(id);
+}
+
+/**
+ * @param {string|number} rootId
+ * @param {Object[]} records plans with simple_id, parentId, planName,
+ *  startDate and eventCode
+ * @returns {Object} { id, planName, date, eventCode, children }, where
+ *  children are the plans derived from it, in the same form, oldest first
+ */
+export function lineageTree(rootId, records) {
+  let children = {};
+  records.forEach(record => {
+    const parentId = String(record.parentId);
+    children[parentId] = (children[parentId] || []).concat([record]);
+  });
+  const seen = new Set(),
+    byId = {};
+  records.forEach(record => {
+    byId[String(record.simple_id)] = record;
+  });
+  const node = record => {
+    seen.add(String(record.simple_id));
+    return {
+      id: record.simple_id,
+      planName: record.planName || "",
+      date: record.startDate,
+      eventCode: record.eventCode || "",
+      children: (children[String(record.simple_id)] || [])
+        .filter(child => !seen.has(String(child.simple_id)))
+        .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+        .map(node)
+    };
+  };
+  return node(byId[String(rootId)] || { simple_id: rootId });
+}
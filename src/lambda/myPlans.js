@@ -0,0 +1,56 @@
+// myPlans.js
+// connects to the database
+import './server';
+import Plan from './planModel';
+import { bearerUser } from './bearer';
+import { permissionError, roleOf, userKey } from './owners';
+
+const FIELDS = 'simple_id planName startDate updateDate eventCode isScratch owner editors '
+    + 'plan.place.name plan.problem.type plan.problem.pluralNoun';
+
+exports.handler = async (event, context) => {
+  context.callbackWaitsForEmptyEventLoop = false;
+
+  try {
+    const key = userKey(bearerUser(event.headers));
+    if (!key) {
+        throw permissionError('Sign in to see your plans');
+    }
+    const skip = Number(event.queryStringParameters.skip) || 0,
+          limit = Math.min(Number(event.queryStringParameters.limit) || 50, 200),
+          plans = await Plan.find({ $or: [{ owner: key }, { editors: key }] })
+              .select(FIELDS)
+              .sort([["simple_id", -1]])
+              .skip(skip)
+              .limit(limit);
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            msg: "Plan(s) successfully found",
+            plans: plans.map(plan => {
+                const role = roleOf(plan, key);
+                return {
+                    simple_id: plan.simple_id,
+                    planName: plan.planName,
+                    startDate: plan.startDate,
+                    updateDate: plan.updateDate,
+                    eventCode: plan.eventCode,
+                    isScratch: plan.isScratch,
+                    placeName: plan.plan && plan.plan.place ? plan.plan.place.name : "",
+                    problem: plan.plan ? plan.plan.problem : null,
+                    role: role,
+                    // only the owner sees whom the plan is shared with
+                    editors: role === "owner" ? plan.editors : []
+                };
+            })
+        })
+    };
+  } catch (err) {
+      console.log(err); // output to netlify function log
+      return {
+          statusCode: err.statusCode || 500,
+          body: JSON.stringify({ msg: err.message })
+      };
+  }
+};
@@ -0,0 +1,100 @@
+// owners.js
+// Plans saved by signed-in users belong to them: the owner, and anyone they
+// share the plan with, can update it from any browser and with no time
+// limit. Users are known by their email address (or their ID, if their
+// token has no email).
+
+/**
+ * @param {Object|null} user from `bearerUser`
+ * @returns {string|null}
+ */
+export function userKey(user) {
+  if (!user) {
+    return null;
+  }
+  if (user.email) {
+    return String(user.email).trim()
+      .toLowerCase();
+  }
+  return user.id === undefined || user.id === null ? null : String(user.id);
+}
+
+/**
+ * @param {Object} plan a saved plan, with owner and editors
+ * @param {string|null} key from `userKey`
+ * @returns {string|null} "owner", "editor", or null if the user can't edit
+ *  the plan
+ */
+export function roleOf(plan, key) {
+  if (!key) {
+    return null;
+  }
+  if (plan.owner === key) {
+    return "owner";
+  }
+  return (plan.editors || []).includes(key) ? "editor" : null;
+}
+
+export function permissionError(message) {
+  const error = new Error(message);
+  error.statusCode = 403;
+  return error;
+}
+
+// how long a plan's token can update it, after the plan was last saved
+const TOKEN_HOURS = 24;
+
+/**
+ * Throws unless the user can update the plan: its owner and editors can at
+ * any time, and anyone else with the plan's token for 24 hours after the
+ * plan was created or last updated.
+ * @param {Object} plan a saved plan
+ * @param {string|null} key from `userKey`
+ * @param {string} token sent with the update
+ * @param {number} [now] in milliseconds
+ */
+export function checkCanUpdate(plan, key, token, now = Date.now()) {
+  if (roleOf(plan, key)) {
+    return;
+  }
+  if (!token.length) {
+    throw permissionError('No token for update');
+  }
+  if (plan.token !== token) {
+    throw permissionError('Token did not match plan ID');
+  }
+  if ((plan.updateDate || plan.startDate) < now - TOKEN_HOURS * 60 * 60 * 1000) {
+    throw permissionError(`Plan was last saved over ${TOKEN_HOURS} hours ago`);
+  }
+}
+
+/**
+ * Changes who can edit a plan. Only its owner can.
+ * @param {Object} plan with owner and editors
+ * @param {string} key the user making the change, from `userKey`
+ * @param {string} action "share" or "unshare" edit rights with someone, or
+ *  "transfer" the plan to them
+ * @param {string} email whom to share with, stop sharing with, or transfer to
+ * @returns {Object} { owner, editors } for the plan
+ */
+export function changeEditors(plan, key, action, email) {
+  if (roleOf(plan, key) !== "owner") {
+    throw permissionError("Only the plan's owner can change who edits it");
+  }
+  const other = userKey({ email }),
+    editors = (plan.editors || []).filter(editor => editor !== other);
+  if (!other || !other.includes("@")) {
+    throw new Error("Enter the email address of a Districtr account");
+  }
+  if (action === "share") {
+    return { owner: plan.owner, editors: other === plan.owner ? editors : editors.concat([other]) };
+  }
+  if (action === "unshare") {
+    return { owner: plan.owner, editors };
+  }
+  if (action === "transfer") {
+    // the previous owner keeps nothing unless it's shared back with them
+    return { owner: other, editors };
+  }
+  throw new Error(`Unknown action ${action}`);
+}
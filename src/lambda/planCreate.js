@@ -4,6 +4,11 @@ import mongoose from 'mongoose';
 import db from './server';
 import Plan from './planModel';
 import Sequence from './sequenceModel';
+import { revisionsOf } from './planRevisions';
+import { normalizeId } from './lineage';
+import { bearerUser } from './bearer';
+import { userKey } from './owners';
+import { planSummary } from './search';
 
 let rnd = () => {
     return Math.random().toString(36).substr(2)
@@ -20,13 +25,19 @@ exports.handler = async (event, context) => {
           plan = {
               _id: mongoose.Types.ObjectId(),
               plan: data.plan,
+              summary: planSummary(data.plan),
               token: rnd(),
               eventCode: (data.eventCode || "").toLowerCase().replace(/_/g, '-').replace(/\s/g, ''),
               planName: data.planName || "",
               hostname: data.hostname,
               startDate: new Date(),
+              parentId: normalizeId(data.parentId),
+              // signed-in users own the plans they save
+              owner: userKey(bearerUser(event.headers)),
+              editors: [],
               isScratch: data.isScratch || false,
           };
+      plan.revisions = revisionsOf(plan);
       if (event.queryStringParameters.id && event.queryStringParameters.id.includes("_")) {
           plan.simple_id = event.queryStringParameters.id;
       } else {
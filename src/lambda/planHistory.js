@@ -0,0 +1,40 @@
+// planHistory.js
+// connects to the database
+import './server';
+import Plan from './planModel';
+import { revisionSummaries, revisionsOf } from './planRevisions';
+
+exports.handler = async (event, context) => {
+  context.callbackWaitsForEmptyEventLoop = false;
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET'
+  };
+
+  try {
+    const eid = event.queryStringParameters.id,
+          search = { simple_id: eid.includes("_") ? eid : Number(eid) },
+          plan = await Plan.findOne(search).select('planName startDate revisions');
+    if (!plan) {
+        throw new Error('No plan with this ID');
+    }
+
+    return {
+        statusCode: 200,
+        headers: headers,
+        body: JSON.stringify({
+            msg: "Plan history found",
+            revisions: revisionSummaries(revisionsOf(plan))
+        })
+    };
+  } catch (err) {
+      console.log(err); // output to netlify function log
+      return {
+          statusCode: 500,
+          headers: headers,
+          body: JSON.stringify({ msg: err.message })
+      };
+  }
+};
@@ -0,0 +1,69 @@
+// planLineage.js
+// connects to the database
+import './server';
+import Plan from './planModel';
+import { lineageTree, normalizeId } from './lineage';
+
+const FIELDS = 'simple_id parentId planName startDate eventCode',
+      // how far to follow a lineage up, and how many plans to list in it
+      MAX_DEPTH = 50,
+      MAX_PLANS = 500;
+
+exports.handler = async (event, context) => {
+  context.callbackWaitsForEmptyEventLoop = false;
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET'
+  };
+
+  try {
+    let current = await Plan.findOne({ simple_id: normalizeId(event.queryStringParameters.id) }).select(FIELDS);
+    if (!current) {
+        throw new Error('No plan with this ID');
+    }
+
+    // up to the plan the lineage started from
+    let ancestors = [];
+    while (current.parentId !== undefined && current.parentId !== null && ancestors.length < MAX_DEPTH) {
+        // each step needs the one before
+        // eslint-disable-next-line no-await-in-loop
+        const parent = await Plan.findOne({ simple_id: current.parentId }).select(FIELDS);
+        if (!parent || ancestors.includes(parent.simple_id)) {
+            break;
+        }
+        ancestors.unshift(parent.simple_id);
+        current = parent;
+    }
+
+    // and down to every plan derived from it
+    let records = [current],
+        level = [current.simple_id];
+    while (level.length && records.length < MAX_PLANS) {
+        // eslint-disable-next-line no-await-in-loop
+        const children = await Plan.find({ parentId: { $in: level } })
+            .select(FIELDS)
+            .limit(MAX_PLANS - records.length);
+        records = records.concat(children);
+        level = children.map(child => child.simple_id);
+    }
+
+    return {
+        statusCode: 200,
+        headers: headers,
+        body: JSON.stringify({
+            msg: "Plan lineage found",
+            ancestors: ancestors,
+            tree: lineageTree(current.simple_id, records)
+        })
+    };
+  } catch (err) {
+      console.log(err); // output to netlify function log
+      return {
+          statusCode: 500,
+          headers: headers,
+          body: JSON.stringify({ msg: err.message })
+      };
+  }
+};
@@ -1,5 +1,6 @@
 // planModel.js
 import mongoose from 'mongoose';
+import { TEXT_FIELDS } from './search';
 
 const schema = new mongoose.Schema({
   _id: mongoose.Schema.Types.ObjectId,
@@ -17,16 +18,31 @@ const schema = new mongoose.Schema({
     max: 100
   },
   simple_id: mongoose.Schema.Types.Mixed,
+  // the simple_id of the saved plan this one was made from (see lineage.js)
+  parentId: mongoose.Schema.Types.Mixed,
   token: String,
+  // who can update the plan without its token (see owners.js)
+  owner: String,
+  editors: [String],
   startDate: Date,
+  updateDate: Date,
   screenshot: String,
   screenshot2: String,
   isScratch: Boolean,
+  // for searches (see search.js): { units, districts, complete }
+  summary: Object,
+  // the plan's recent saved versions (see planRevisions.js)
+  revisions: Array
   // name: {
   //   type: String,
   //   required: [true, 'Name field is required'],
   //   max: 200
   // }
-}),
-Plan = mongoose.model('plan', schema)
+});
+// for text searches (see search.js), weighing plan names most
+schema.index(
+  Object.fromEntries(TEXT_FIELDS.map(field => [field, "text"])),
+  { name: "plan_text", weights: { planName: 5 } }
+);
+const Plan = mongoose.model('plan', schema);
 export default Plan
@@ -2,6 +2,7 @@
 import mongoose from 'mongoose';
 import db from './server';
 import Plan from './planModel';
+import { planAtRevision, revisionsOf } from './planRevisions';
 
 exports.handler = async (event, context) => {
   context.callbackWaitsForEmptyEventLoop = false
@@ -25,7 +26,8 @@ exports.handler = async (event, context) => {
         // by default search all plans
         search.hostname = myHost;
     }
-    const plan = await Plan.findOne(search).select('plan');
+    const rev = event.queryStringParameters.rev,
+          plan = await Plan.findOne(search).select(rev === undefined ? 'plan' : 'plan planName startDate revisions');
     // be careful not to share secret token
 
     return {
@@ -33,7 +35,8 @@ exports.handler = async (event, context) => {
         headers: headers,
         body: JSON.stringify({
             msg: "Plan successfully found",
-            plan: plan.plan
+            // ?rev= for an older version of the plan
+            plan: rev === undefined ? plan.plan : planAtRevision(plan.plan, revisionsOf(plan), Number(rev))
         })
     };
   } catch (err) {
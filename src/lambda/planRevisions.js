@@ -0,0 +1,147 @@
+// planRevisions.js
+// Saved plans keep every version: `plan` is the latest, and `revisions`
+// lists each save in order, from revision 0 when the plan was created. Each
+// later revision holds the changes which undo it (back to the revision
+// before), so older versions are rebuilt by stepping back from the latest.
+// The revisions are stored in the plan's own document, which MongoDB caps at
+// 16 MB, so only the newest are kept.
+
+// how many revisions to keep, and how much room (in characters of JSON) their
+// changes may take; the latest plan itself takes up the rest of the document
+export const MAX_REVISIONS = 200,
+  MAX_REVISIONS_SIZE = 4 * 1024 * 1024;
+
+function same(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * The changes which turn one version of a plan into another.
+ * @param {Object} from
+ * @param {Object} to
+ * @returns {Object} { assignment: [[unitId, part]], fields: [[key, value]],
+ *  removed: [key] }, with null parts for units left unassigned. Pairs rather
+ *  than objects, since unit IDs may not be valid database keys.
+ */
+export function planDiff(from, to) {
+  const fromAssignment = from.assignment || {},
+    toAssignment = to.assignment || {},
+    unitIds = new Set(Object.keys(fromAssignment).concat(Object.keys(toAssignment))),
+    keys = new Set(Object.keys(from).concat(Object.keys(to)));
+  keys.delete("assignment");
+  return {
+    assignment: Array.from(unitIds)
+      .filter(unitId => !same(fromAssignment[unitId], toAssignment[unitId]))
+      .map(unitId => [unitId, toAssignment[unitId] === undefined ? null : toAssignment[unitId]]),
+    fields: Array.from(keys)
+      .filter(key => to[key] !== undefined && !same(from[key], to[key]))
+      .map(key => [key, to[key]]),
+    removed: Array.from(keys).filter(key => from[key] !== undefined && to[key] === undefined)
+  };
+}
+
+/**
+ * @param {Object} plan
+ * @param {Object} diff from `planDiff`
+ * @returns {Object} a copy of the plan with the changes made
+ */
+export function applyDiff(plan, diff) {
+  let next = { ...plan },
+    assignment = { ...plan.assignment };
+  diff.assignment.forEach(([unitId, part]) => {
+    if (part === null) {
+      Reflect.deleteProperty(assignment, unitId);
+    } else {
+      assignment[unitId] = part;
+    }
+  });
+  diff.fields.forEach(([key, value]) => {
+    next[key] = value;
+  });
+  diff.removed.forEach(key => Reflect.deleteProperty(next, key));
+  next.assignment = assignment;
+  return next;
+}
+
+/**
+ * @param {Object} record a saved plan, with `plan`, `planName` and
+ *  `startDate`
+ * @returns {Object[]} the plan's revisions, with revision 0 made up for
+ *  plans saved before revisions were kept
+ */
+export function revisionsOf(record) {
+  if (record.revisions && record.revisions.length) {
+    return record.revisions;
+  }
+  return [{ rev: 0, date: record.startDate, planName: record.planName || "", units: 0, undo: null }];
+}
+
+/**
+ * Lets go of the oldest revisions, keeping as many of the newest as fit in
+ * the limits, and always the newest one. Older versions can only be rebuilt
+ * through every revision after them, so none are skipped.
+ * @param {Object[]} revisions
+ * @param {number} [maxRevisions]
+ * @param {number} [maxSize] for the revisions' changes, in characters of JSON
+ * @returns {Object[]} the newest revisions, in order
+ */
+export function compactRevisions(revisions, maxRevisions = MAX_REVISIONS, maxSize = MAX_REVISIONS_SIZE) {
+  let size = 0,
+    start = revisions.length - 1;
+  while (start > 0 && revisions.length - start < maxRevisions) {
+    size += JSON.stringify(revisions[start].undo).length;
+    const previous = JSON.stringify(revisions[start - 1].undo).length;
+    if (size + previous > maxSize) {
+      break;
+    }
+    start -= 1;
+  }
+  return revisions.slice(start);
+}
+
+/**
+ * Adds a new version of a plan to its revisions, letting go of the oldest
+ * ones past the limits (see `compactRevisions`).
+ * @param {Object[]} revisions from `revisionsOf`
+ * @param {Object} latest the plan's latest version
+ * @param {Object} next the new version
+ * @param {string} planName
+ * @returns {Object[]} the revisions, with the new one last
+ */
+export function addRevision(revisions, latest, next, planName) {
+  const undo = planDiff(next, latest);
+  return compactRevisions(revisions.concat([
+    {
+      rev: revisions[revisions.length - 1].rev + 1,
+      date: new Date(),
+      planName: planName || "",
+      units: undo.assignment.length,
+      undo
+    }
+  ]));
+}
+
+/**
+ * @param {Object} latest the plan's latest version
+ * @param {Object[]} revisions from `revisionsOf`
+ * @param {number} rev
+ * @returns {Object} the plan as it was saved in revision `rev`
+ */
+export function planAtRevision(latest, revisions, rev) {
+  if (!revisions.some(revision => revision.rev === rev)) {
+    throw new Error(`This plan has no revision ${rev}`);
+  }
+  return revisions
+    .filter(revision => revision.rev > rev)
+    .reverse()
+    .reduce((plan, revision) => applyDiff(plan, revision.undo), latest);
+}
+
+/**
+ * @param {Object[]} revisions from `revisionsOf`
+ * @returns {Object[]} { rev, date, planName, units } for each revision,
+ *  where units is how many units' districts it changed
+ */
+export function revisionSummaries(revisions) {
+  return revisions.map(({ rev, date, planName, units }) => ({ rev, date, planName, units }));
+}
@@ -0,0 +1,48 @@
+// planSearch.js
+// connects to the database
+import './server';
+import Plan from './planModel';
+import { pageOf, searchPipeline } from './search';
+
+// be careful not to share token here
+const FIELDS = 'simple_id planName startDate updateDate eventCode isScratch parentId screenshot2 summary '
+    + 'plan.place.id plan.place.name plan.placeId plan.units.id plan.units.name plan.problem',
+      PROJECTION = Object.fromEntries(FIELDS.split(' ').map(field => [field, 1]));
+
+exports.handler = async (event, context) => {
+  context.callbackWaitsForEmptyEventLoop = false;
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET'
+  };
+
+  try {
+    const params = event.queryStringParameters || {},
+          { skip, limit } = pageOf(params),
+          [found] = await Plan.aggregate(searchPipeline(params, PROJECTION)),
+          { plans, total, ...facets } = found;
+
+    return {
+        statusCode: 200,
+        headers: headers,
+        body: JSON.stringify({
+            msg: "Plan(s) successfully found",
+            total: total.length ? total[0].count : 0,
+            skip: skip,
+            limit: limit,
+            plans: plans,
+            // { place, units, type, complete }: lists of { _id: value, count }
+            facets: facets
+        })
+    };
+  } catch (err) {
+      console.log(err); // output to netlify function log
+      return {
+          statusCode: 500,
+          headers: headers,
+          body: JSON.stringify({ msg: err.message })
+      };
+  }
+};
@@ -0,0 +1,43 @@
+// planShare.js
+// connects to the database
+import './server';
+import Plan from './planModel';
+import { bearerUser } from './bearer';
+import { normalizeId } from './lineage';
+import { changeEditors, permissionError, userKey } from './owners';
+
+exports.handler = async (event, context) => {
+  context.callbackWaitsForEmptyEventLoop = false;
+
+  try {
+      const data = JSON.parse(event.body),
+          key = userKey(bearerUser(event.headers));
+      if (!key) {
+          throw permissionError('Sign in to share plans');
+      }
+
+      const plan = await Plan.findOne({ simple_id: normalizeId(data.id) });
+      if (!plan) {
+          throw new Error('No plan with this ID');
+      }
+
+      const { owner, editors } = changeEditors(plan, key, data.action, data.email);
+      plan.owner = owner;
+      plan.editors = editors;
+      await plan.save();
+      return {
+          statusCode: 200,
+          body: JSON.stringify({
+              msg: "Plan editors updated",
+              owner: owner,
+              editors: editors
+          })
+      };
+  } catch (err) {
+      console.log('plan.share', err); // output to netlify function log
+      return {
+          statusCode: err.statusCode || 500,
+          body: JSON.stringify({ msg: err.message })
+      };
+  }
+};
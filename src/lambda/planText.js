@@ -2,6 +2,7 @@
 import mongoose from 'mongoose';
 import db from './server';
 import Plan from './planModel';
+import { communityText } from './search';
 
 exports.handler = async (event, context) => {
   context.callbackWaitsForEmptyEventLoop = false
@@ -26,20 +27,7 @@ exports.handler = async (event, context) => {
     const plan = await Plan.findOne(search).select('plan');
     // be careful not to share secret token
 
-    let txt = '';
-    if (plan.plan.problem.type && plan.plan.problem.type === "community") {
-      if (plan.plan.parts) {
-        plan.plan.parts.forEach((part) => {
-          txt += ' ' + part.name + ' ' + part.description;
-        });
-      }
-
-      if (plan.plan.place && plan.plan.place.landmarks && plan.plan.place.landmarks.data && plan.plan.place.landmarks.data.features) {
-        plan.plan.place.landmarks.data.features.forEach((landmark) => {
-          txt += ' ' + landmark.properties.name + ' ' + landmark.properties.short_description;
-        });
-      }
-    }
+    const txt = communityText(plan.plan);
 
     return {
         statusCode: 200,
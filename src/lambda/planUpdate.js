@@ -1,18 +1,19 @@
-// planCreate.js
+// planUpdate.js
 import mongoose from 'mongoose';
 import db from './server';
 import Plan from './planModel';
+import { addRevision, revisionsOf } from './planRevisions';
+import { bearerUser } from './bearer';
+import { checkCanUpdate, userKey } from './owners';
+import { planSummary } from './search';
 
 exports.handler = async (event, context) => {
   context.callbackWaitsForEmptyEventLoop = false
 
   try {
       const data = JSON.parse(event.body),
-          token = data.token.replace(/\s+/g, '');
-
-      if (!data.token.length) {
-          throw new Error('No token for update');
-      }
+          token = (data.token || "").replace(/\s+/g, ''),
+          key = userKey(bearerUser(event.headers));
 
       let eid = event.queryStringParameters.id;
       try {
@@ -22,38 +23,42 @@ exports.handler = async (event, context) => {
       }
 
       const plan = await Plan.findOne({
-          simple_id: eid,
-          token: token
+          simple_id: eid
       });
 
       if (!plan) {
-          throw new Error('Token did not match plan ID');
+          throw new Error('No plan with this ID');
       }
 
-      if (plan.startDate < (new Date() * 1) - 24 * 60 * 60 * 1000) {
-          // 24 hour limit
-          throw new Error('Plan is over 24 hours old');
+      checkCanUpdate(plan, key, token);
+      if (key && !plan.owner) {
+          // a plan saved before signing in becomes the user's
+          plan.owner = key;
       }
 
+      // keep the version being replaced
+      plan.revisions = addRevision(revisionsOf(plan), plan.plan, data.plan, data.planName || plan.planName);
       plan.plan = data.plan;
+      plan.summary = planSummary(data.plan);
       plan.eventCode = (data.eventCode || plan.eventCode || "").toLowerCase().replace(/_/g, '-').replace(/\s/g, ''),
 
       plan.planName = data.planName || plan.planName || "";
       plan.isScratch = data.isScratch || false;
-      plan.startDate = new Date();
+      plan.updateDate = new Date();
 
       let rep = await plan.save();
       return {
           statusCode: 201,
           body: JSON.stringify({
               msg: "Plan successfully updated",
-              simple_id: plan.simple_id
+              simple_id: plan.simple_id,
+              rev: plan.revisions[plan.revisions.length - 1].rev
           })
       };
   } catch (err) {
       console.log('plan.create', err) // output to netlify function log
       return {
-          statusCode: 500,
+          statusCode: err.statusCode || 500,
           body: JSON.stringify({msg: err.message})
       }
   }
@@ -0,0 +1,214 @@
+// search.js
+// Searching saved plans (see planSearch.js): text in plan names and in
+// communities' names, descriptions and landmarks, narrowed by facets.
+
+// the fields text searches look in, through the plans' text index (see
+// planModel.js): the plan's name, and the text planText assembles for
+// communities
+export const TEXT_FIELDS = [
+  "planName",
+  "plan.parts.name",
+  "plan.parts.description",
+  "plan.place.landmarks.data.features.properties.name",
+  "plan.place.landmarks.data.features.properties.short_description"
+];
+
+const MAX_TERMS = 8,
+  MAX_LIMIT = 50,
+  // how many of the most common values to count for each facet
+  FACET_VALUES = 30;
+
+/**
+ * @param {Object} plan a saved plan's `plan`
+ * @returns {string} its communities' names and descriptions and its
+ *  landmarks' text, each after a space
+ */
+export function communityText(plan) {
+  let txt = '';
+  if (plan.problem.type && plan.problem.type === "community") {
+    (plan.parts || []).forEach(part => {
+      txt += ' ' + part.name + ' ' + part.description;
+    });
+    if (plan.place && plan.place.landmarks && plan.place.landmarks.data && plan.place.landmarks.data.features) {
+      plan.place.landmarks.data.features.forEach(landmark => {
+        txt += ' ' + landmark.properties.name + ' ' + landmark.properties.short_description;
+      });
+    }
+  }
+  return txt;
+}
+
+// unassigned units are saved in several ways
+function isPart(part) {
+  return ![null, "null", undefined, "undefined", -1].includes(part);
+}
+
+/**
+ * What's saved with each plan for the completeness facet.
+ * @param {Object} plan a saved plan's `plan`
+ * @returns {Object} { units, districts, complete }: how many units are
+ *  assigned, to how many districts (or communities), and whether every
+ *  district has units (or, for communities, whether any are drawn)
+ */
+export function planSummary(plan) {
+  const assignment = plan.assignment || {},
+    problem = plan.problem || {},
+    parts = new Set();
+  let units = 0;
+  Object.keys(assignment).forEach(unitId => {
+    const assigned = [].concat(assignment[unitId]).filter(isPart);
+    assigned.forEach(part => parts.add(String(part)));
+    units += assigned.length ? 1 : 0;
+  });
+  return {
+    units,
+    districts: parts.size,
+    complete: problem.type === "community"
+      ? parts.size > 0
+      : parts.size >= (problem.numberOfParts || Infinity)
+  };
+}
+
+/**
+ * @param {string} [text]
+ * @returns {string[]} the words to search for
+ */
+export function searchTerms(text) {
+  return String(text || "").toLowerCase()
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter(term => term.length > 1)
+    .slice(0, MAX_TERMS);
+}
+
+/**
+ * @param {string} [text]
+ * @returns {Object|null} a condition on the plans' text index (see
+ *  planModel.js) for plans with every word, or null to match any text
+ */
+export function textCondition(text) {
+  const terms = searchTerms(text);
+  // quoted, each word must be there, not just one of them
+  return terms.length ? { $text: { $search: terms.map(term => `"${term}"`).join(" ") } } : null;
+}
+
+/**
+ * The conditions on each facet, kept apart so that each facet's counts can
+ * leave out its own condition: picking a place still counts every place.
+ * @param {Object} params the request's query string: place, units, type
+ *  ("districts", "multimember" or "community") and complete ("true" or
+ *  "false")
+ * @returns {Object} facet -> its condition, for the facets searched on
+ */
+export function facetConditions(params) {
+  let conditions = {};
+  if (params.place) {
+    conditions.place = { $or: [{ "plan.place.id": params.place }, { "plan.placeId": params.place }] };
+  }
+  if (params.units) {
+    conditions.units = { "plan.units.id": params.units };
+  }
+  if (params.type) {
+    conditions.type = { "plan.problem.type": params.type };
+  }
+  if (params.complete === "true") {
+    conditions.complete = { "summary.complete": true };
+  } else if (params.complete === "false") {
+    // plans saved before summaries were kept count as incomplete
+    conditions.complete = { "summary.complete": { $ne: true } };
+  }
+  return conditions;
+}
+
+/**
+ * @param {Object} params the request's query string: q (text), from and to
+ *  (dates) and drafts ("true" to include them)
+ * @returns {Object} the MongoDB query for plans matching all of them, with
+ *  the text search first, as MongoDB needs it
+ */
+export function searchQuery(params) {
+  let conditions = [];
+  if (params.from || params.to) {
+    let range = {};
+    if (params.from && !isNaN(new Date(params.from))) {
+      range.$gte = new Date(params.from);
+    }
+    if (params.to && !isNaN(new Date(params.to))) {
+      // through the end of the day
+      range.$lt = new Date(new Date(params.to).getTime() + 24 * 60 * 60 * 1000);
+    }
+    if (Object.keys(range).length) {
+      conditions.push({ startDate: range });
+    }
+  }
+  if (params.drafts !== "true") {
+    conditions.push({ isScratch: { $ne: true } });
+  }
+  const text = textCondition(params.q);
+  if (text) {
+    conditions.unshift(text);
+  }
+  return conditions.length ? { $and: conditions } : {};
+}
+
+// all of the conditions but one facet's
+function matchExcept(conditions, exceptFacet) {
+  const rest = Object.keys(conditions)
+    .filter(facet => facet !== exceptFacet)
+    .map(facet => conditions[facet]);
+  return { $match: rest.length ? { $and: rest } : {} };
+}
+
+function facetCounts(field) {
+  return [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $match: { _id: { $ne: null } } },
+    { $sort: { count: -1 } },
+    { $limit: FACET_VALUES }
+  ];
+}
+
+/**
+ * One aggregation for a page of plans, how many plans match, and the
+ * counts of each facet's values.
+ * @param {Object} params the request's query string (see `searchQuery`,
+ *  `facetConditions` and `pageOf`)
+ * @param {Object} projection the plans' fields to return
+ * @returns {Object[]} the pipeline, whose one result is { plans, total:
+ *  [{ count }], place, units, type, complete }, the facets being lists of
+ *  { _id: value, count }
+ */
+export function searchPipeline(params, projection) {
+  const conditions = facetConditions(params),
+    { skip, limit } = pageOf(params);
+  return [
+    { $match: searchQuery(params) },
+    {
+      $facet: {
+        plans: [
+          matchExcept(conditions, null),
+          { $sort: { simple_id: -1 } },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: projection }
+        ],
+        total: [matchExcept(conditions, null), { $count: "count" }],
+        place: [matchExcept(conditions, "place")].concat(facetCounts("$plan.place.id")),
+        units: [matchExcept(conditions, "units")].concat(facetCounts("$plan.units.id")),
+        type: [matchExcept(conditions, "type")].concat(facetCounts("$plan.problem.type")),
+        complete: [matchExcept(conditions, "complete")].concat(facetCounts("$summary.complete"))
+      }
+    }
+  ];
+}
+
+/**
+ * @param {Object} params the request's query string, with skip and limit
+ * @returns {Object} { skip, limit }, with at most 50 plans to a page
+ */
+export function pageOf(params) {
+  return {
+    skip: Math.max(Number(params.skip) || 0, 0),
+    limit: Math.min(Math.max(Number(params.limit) || 20, 1), MAX_LIMIT)
+  };
+}
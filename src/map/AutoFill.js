@@ -0,0 +1,79 @@
+import { loadAdjacencyGraph } from "../models/AdjacencyGraph";
+import { fillUnassigned } from "../models/lib/fill-unassigned";
+
+/**
+ * Assigns the plan's unassigned units to neighbouring districts (see
+ * fillUnassigned), first as a preview which the user can review, then as one
+ * brush operation that can be undone.
+ */
+export default class AutoFill {
+    /**
+     * @param {State} state
+     * @param {Brush} brush
+     * @param {function} onChange called when the preview changes
+     */
+    constructor(state, brush, onChange) {
+        this.state = state;
+        this.brush = brush;
+        this.onChange = onChange;
+        this.preview = null;
+        this.error = null;
+    }
+    /**
+     * Works out which district each unassigned unit would join.
+     */
+    plan() {
+        loadAdjacencyGraph(this.state.unitsRecord).then(graph => {
+            const population = this.state.population.total;
+            let features = {};
+            this.state.units.querySourceFeatures().forEach(feature => {
+                features[String(this.state.idColumn.getValue(feature))] = feature;
+            });
+
+            const { assignment, unreachable } = fillUnassigned(graph, this.state.plan.assignment, {
+                populationOf: unitId => features[unitId] ? population.getValue(features[unitId]) : 0,
+                partPopulations: population.data,
+                canGrow: part => !this.state.plan.isLocked(part)
+            });
+
+            let assignments = [],
+                notLoaded = 0,
+                added = {};
+            Object.keys(assignment).forEach(unitId => {
+                const part = assignment[unitId],
+                    feature = features[unitId];
+                if (!feature) {
+                    notLoaded += 1;
+                    return;
+                }
+                feature.state = this.state.units.getFeatureState(feature.id);
+                assignments.push([feature, part]);
+                added[part] = added[part] || { part, units: 0, population: 0 };
+                added[part].units += 1;
+                added[part].population += population.getValue(feature);
+            });
+            this.preview = {
+                assignments,
+                added: Object.values(added).sort((a, b) => a.part - b.part),
+                unreachable: unreachable.length,
+                notLoaded
+            };
+            this.error = null;
+        })
+            .catch(e => {
+                this.error = e.message;
+            })
+            .then(this.onChange);
+    }
+    commit() {
+        if (this.preview && this.preview.assignments.length) {
+            this.brush.assignFeatures(this.preview.assignments, "Filled unassigned units");
+        }
+        this.preview = null;
+        this.onChange();
+    }
+    cancel() {
+        this.preview = null;
+        this.onChange();
+    }
+}
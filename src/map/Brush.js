@@ -1,4 +1,6 @@
 import { HoverWithRadius } from "./Hover";
+import History from "../models/History";
+import { countyKey } from "../models/lib/county-key";
 import { bindAll } from "../utils";
 
 export default class Brush extends HoverWithRadius {
@@ -11,6 +13,15 @@ export default class Brush extends HoverWithRadius {
         this.county_brush = false;
         this.locked = false;
         this.changedColors = new Set();
+        // units the last undo or redo didn't change, being in locked districts
+        this.lockedUnitsSkipped = 0;
+        // set by the tools plugin, to record units by their id column
+        this.idColumn = null;
+        // set by the tools plugin, to respect the plan's locked districts
+        this.plan = null;
+        // set by the tools plugin (see `State.setNesting`), to paint whole
+        // lower-chamber districts
+        this.nesting = null;
 
         this.listeners = {
             colorend: [],
@@ -19,16 +30,16 @@ export default class Brush extends HoverWithRadius {
             undo: [],
             redo: []
         };
-        bindAll(["onMouseDown", "onMouseUp", "onClick", "onTouchStart", "prepToUndo", "undo", "redo", "clearUndo"],
+        bindAll(["onMouseDown", "onMouseUp", "onClick", "onTouchStart", "prepToUndo", "undo", "redo", "jumpTo", "clearUndo"],
             this);
         this.clearUndo();
     }
     clearUndo() {
-        this.cursorUndo = 0;
-        this.trackUndo = [{
-            color: "test",
-            initial: true,
-        }];
+        this.history = new History();
+        // feature id -> { properties, color } before the current stroke
+        this.trackUndo = {};
+        // unit id -> { id, properties } for units painted this session
+        this.knownFeatures = {};
     }
     setColor(color) {
         this.color = parseInt(color);
@@ -43,15 +54,17 @@ export default class Brush extends HoverWithRadius {
         this.erasing = false;
     }
     hoverOn(features) {
-        this.hoveredFeatures = features;
+        this.hoveredFeatures = this.nesting ? this.nesting.expand(features) : features;
 
         if (this.coloring === true) {
             this.colorFeatures();
         } else {
-            super.hoverOn(features);
+            super.hoverOn(this.hoveredFeatures);
         }
     }
     colorFeatures() {
+        // units in a locked district are never repainted or erased
+        const unlocked = feature => !this.plan || !this.plan.isLocked(feature.state.color);
         if (this.locked && !this.erasing) {
             this._colorFeatures(
                 feature =>
@@ -60,7 +73,7 @@ export default class Brush extends HoverWithRadius {
                     isNaN(feature.state.color)
             );
         } else {
-            this._colorFeatures(feature => feature.state.color !== this.color);
+            this._colorFeatures(feature => feature.state.color !== this.color && unlocked(feature));
         }
     }
     _colorFeatures(filter) {
@@ -73,57 +86,8 @@ export default class Brush extends HoverWithRadius {
         for (let feature of this.hoveredFeatures) {
             if (filter(feature)) {
                 if (this.county_brush) {
-                    let ps = feature.properties,
-                        countyFIPS = null,
-                        idSearch = (key, substr, fn) => {
-                            if (!ps[key]) {
-                                if (ps[key.toLowerCase()]) {
-                                    key = key.toLowerCase();
-                                } else {
-                                    return;
-                                }
-                            }
-                            if (substr) {
-                                if (typeof ps[key] === 'number') {
-                                  return [key, Number(String(ps[key]).substring(0, substr))];
-                                } else {
-                                  return [key, ps[key].substring(0, substr)];
-                                }
-                            } else {
-                                if (!fn) {
-                                    fn = x => x;
-                                }
-                                return [key, fn(ps[key])];
-                            }
-                        },
-                        nameSplice = (val) => {
-                            let name = val.split("-")[0].split(" ");
-                            name.splice(-1);
-                            return name.join(" ");
-                        };
-                    [countyProp, countyFIPS] = idSearch("GEOID10", 5)
-                        || idSearch("GEOID", 5)
-                        || idSearch("GEOID20", 5)
-                        || idSearch("county_nam") // Michigan
-                        || idSearch("VTD", 5)
-                        || idSearch("VTDID", 5)
-                        // || idSearch("CNTYVTD", 3)
-                        || idSearch("Code", null, (precinct) => precinct.split(",")[0] + ",")
-                        || idSearch("COUNTYFP")
-                        || idSearch("COUNTYFP10")
-                        || idSearch("COUNTY")
-                        || idSearch("CTYNAME")
-                        || idSearch("CNTYNAME")
-                        || idSearch("cnty_nm")
-                        || idSearch("locality")
-                        || idSearch("NAME", null, nameSplice)
-                        || idSearch("NAME10", null, nameSplice)
-                        || idSearch("Precinct", null, (val) => {
-                            // Oregon
-                            let name = val.split("_");
-                            name.splice(-1);
-                            return name.join("_");
-                        });
+                    let countyFIPS = null;
+                    [countyProp, countyFIPS] = countyKey(feature.properties) || [countyProp, null];
                     if (countyFIPS) {
                         seenCounties.add(countyFIPS);
                     }
@@ -138,10 +102,10 @@ export default class Brush extends HoverWithRadius {
 
                 // remember feature's initial color once per paint event
                 // remember population data so it can be un-counted
-                if (!this.trackUndo[this.cursorUndo][feature.id]) {
-                    this.trackUndo[this.cursorUndo][feature.id] = {
+                if (!this.trackUndo[feature.id]) {
+                    this.trackUndo[feature.id] = {
                         properties: feature.properties,
-                        color: String(feature.state.color)
+                        color: feature.state.color
                     };
                 }
                 if (feature.state.color || feature.state.color === 0 || feature.state.color === '0') {
@@ -167,42 +131,103 @@ export default class Brush extends HoverWithRadius {
                     color: this.color
                 },
                 filter,
-                this.trackUndo[this.cursorUndo],
+                this.trackUndo,
                 this.listeners.colorfeature);
             });
-            for (let listener of this.listeners.colorop) {
-                listener();
-            }
+            // the districts the county's other units were taken from
+            Object.keys(this.trackUndo).forEach(fid => {
+                [].concat(asPart(this.trackUndo[fid].color))
+                    .filter(part => part !== null)
+                    .forEach(part => this.changedColors.add(part));
+            });
         }
         for (let listener of this.listeners.colorend) {
             listener();
         }
     }
-    prepToUndo() {
-        if (Object.keys(this.trackUndo[this.cursorUndo]).length > 1) {
-            if (this.cursorUndo < this.trackUndo.length - 1) {
-                this.trackUndo = this.trackUndo.slice(0, this.cursorUndo + 1);
+    /**
+     * Records the features colored since the last call as one entry in the
+     * undo history.
+     * @param {string} [label] describes the operation in the history, for
+     *  operations which are not one color of paint
+     * @returns {boolean} true if anything changed
+     */
+    prepToUndo(label) {
+        // after you undo, the cursor is in the middle of the history (possible to redo an action)
+        // once this stroke is recorded, it is no longer possible to redo
+        const featureIds = Object.keys(this.trackUndo);
+        if (!featureIds.length) {
+            return false;
+        }
+        const changes = featureIds.map(fid => {
+            const { properties, color } = this.trackUndo[fid],
+                unitId = this.idColumn ? String(this.idColumn.getValue({ properties })) : fid;
+            this.knownFeatures[unitId] = { id: fid, properties };
+            return [unitId, asPart(color), asPart(this.layer.getAssignment(fid))];
+        });
+        this.trackUndo = {};
+        this.history.record(changes, label ? null : this.color, label);
+        return true;
+    }
+    /**
+     * Colors a whole selection of features (e.g. from the lasso or paint
+     * bucket) as a single operation in the undo history.
+     * @param {Object[]} features unit features, with their state
+     */
+    paintFeatures(features) {
+        this.changedColors = new Set();
+        this.hoveredFeatures = this.nesting ? this.nesting.expand(features) : features;
+        this.colorFeatures();
+        this.hoverOff();
+        if (this.prepToUndo()) {
+            for (let listener of this.listeners.colorop) {
+                listener(false, this.changedColors);
             }
-
-            // limit number of changes in the stack
-            if (this.trackUndo.length > 19) {
-                this.trackUndo = this.trackUndo.slice(1);
+        }
+    }
+    /**
+     * Colors each feature with its own district, as a single operation in
+     * the undo history.
+     * @param {Array[]} assignments list of [feature, part], with the
+     *  features' state
+     * @param {string} label describes the operation in the history
+     */
+    assignFeatures(assignments, label) {
+        const color = this.color,
+            countyBrush = this.county_brush;
+        let byPart = {};
+        assignments.forEach(([feature, part]) => {
+            if (!byPart[part]) {
+                byPart[part] = [];
             }
+            byPart[part].push(feature);
+        });
 
-            this.trackUndo.push({
-                color: this.color
-            });
-            this.cursorUndo = this.trackUndo.length - 1;
+        this.changedColors = new Set();
+        this.county_brush = false;
+        Object.keys(byPart).forEach(part => {
+            this.setColor(part);
+            this.hoveredFeatures = byPart[part];
+            this.colorFeatures();
+            this.hoverOff();
+        });
+        this.color = color;
+        this.county_brush = countyBrush;
+
+        if (this.prepToUndo(label)) {
+            for (let listener of this.listeners.colorop) {
+                listener(false, this.changedColors);
+            }
         }
     }
     onClick(e) {
         this.changedColors = new Set();
-        this.prepToUndo();
         this.colorFeatures();
-        if (!this.county_brush) {
-            for (let listener of this.listeners.colorop) {
-                listener(false, this.changedColors);
-            }
+        // colorop listeners save the plan and its history, so they run
+        // once the operation is recorded
+        this.prepToUndo();
+        for (let listener of this.listeners.colorop) {
+            listener(false, this.changedColors);
         }
     }
     onMouseDown(e) {
@@ -213,17 +238,13 @@ export default class Brush extends HoverWithRadius {
         window.addEventListener("mouseup", this.onMouseUp);
         window.addEventListener("touchend", this.onMouseUp);
         window.addEventListener("touchcancel", this.onMouseUp);
-
-        // after you undo, the cursor is in the middle of the undo stack (possible to redo an action)
-        // when you draw new material, it is no longer possible to redo
-        this.prepToUndo();
     }
     onMouseUp() {
         this.coloring = false;
         window.removeEventListener("mouseup", this.onMouseUp);
         window.removeEventListener("touchend", this.onMouseUp);
         window.removeEventListener("touchcancel", this.onMouseUp);
-        if (Object.keys(this.trackUndo[this.cursorUndo]).length > 1) {
+        if (this.prepToUndo()) {
             for (let listener of this.listeners.colorop) {
                 listener(false, this.changedColors);
             }
@@ -235,108 +256,123 @@ export default class Brush extends HoverWithRadius {
         }
     }
     undo() {
-        let listeners = this.listeners.colorfeature;
-        let atomicAction = this.trackUndo[this.cursorUndo];
-        let brushedColor = atomicAction.color;
-        if (brushedColor || brushedColor === 0 || brushedColor === '0') {
-            this.changedColors.add(brushedColor * 1);
+        if (this.history.canUndo) {
+            this.jumpTo(this.history.cursor - 1);
         }
-        Object.keys(atomicAction).forEach((fid) => {
-            if (fid === "color") {
-                return;
-            }
-            // eraser color "undefined" should act like a brush set to null
-            let amendColor = atomicAction[fid].color;
-            if ((amendColor === 0 || amendColor === '0') || amendColor) {
-                amendColor = Number(atomicAction[fid].color);
-                if (isNaN(amendColor)) {
-                    amendColor = null;
+    }
+    redo() {
+        if (this.history.canRedo) {
+            this.jumpTo(this.history.cursor + 1);
+        }
+    }
+    /**
+     * Reverts or re-applies history entries until `position` entries
+     * are applied to the plan.
+     * @param {number} position
+     */
+    jumpTo(position) {
+        const steps = this.history.moveTo(position);
+        if (!steps.length) {
+            return;
+        }
+        // like painting, undo and redo leave locked districts' units alone
+        this.lockedUnitsSkipped = 0;
+        steps.forEach(({ entry, forward }) => {
+            const features = this.findFeatures(entry.changes.map(change => change[0]));
+            entry.changes.forEach(([unitId, oldPart, newPart]) => {
+                const feature = features[unitId];
+                if (!feature) {
+                    console.error("Could not find unit " + unitId + " on the map to undo or redo");
+                    return;
                 }
-            } else {
-                amendColor = null;
-            }
-            this.changedColors.add(amendColor);
-
-            // change map colors
-            let featureState = this.layer.getFeatureState(fid);
-            this.layer.setFeatureState(fid, {
-                ...featureState,
-                color: amendColor
+                if (this.plan && this.plan.isLocked(this.layer.getAssignment(feature.id))) {
+                    this.lockedUnitsSkipped += 1;
+                    return;
+                }
+                [].concat(oldPart, newPart)
+                    .filter(part => part !== null)
+                    .forEach(part => this.changedColors.add(part));
+                this.restoreFeature(feature, forward ? newPart : oldPart);
             });
-
-            // update subgroup totals (restoring old brush color)
-            for (let listener of listeners) {
-                listener({
-                    id: fid,
-                    state: featureState,
-                    properties: atomicAction[fid].properties
-                }, amendColor);
-            }
-            featureState.color = amendColor;
         });
 
-        this.cursorUndo = Math.max(0, this.cursorUndo - 1);
-
         // locally store plan state
         for (let listener of this.listeners.colorend.concat(this.listeners.colorop)) {
             listener(true, this.changedColors);
         }
         this.changedColors = new Set();
-        for (let listener of this.listeners.undo) {
-            listener(this.cursorUndo <= 0);
+        const forward = steps[steps.length - 1].forward;
+        for (let listener of this.listeners[forward ? "redo" : "undo"]) {
+            listener(forward ? !this.history.canRedo : !this.history.canUndo);
         }
     }
-    redo() {
-        // no undo stack to move into
-        if (this.trackUndo.length < this.cursorUndo + 2) {
-            return;
-        }
-
-        // move up in undo/redo stack
-        this.cursorUndo++;
-        let atomicAction = this.trackUndo[this.cursorUndo];
-        let brushedColor = atomicAction.color;
-        if (brushedColor || brushedColor === 0 || brushedColor === '0') {
-            this.changedColors.add(brushedColor * 1);
+    /**
+     * Looks up map features for units in the history, including those
+     * restored from a previous session which haven't been painted yet.
+     * @param {Array} unitIds
+     * @returns {Object} unit id -> { id, properties }
+     */
+    findFeatures(unitIds) {
+        const missing = new Set(unitIds.filter(unitId => !this.knownFeatures[unitId]));
+        if (missing.size && this.idColumn) {
+            this.layer.querySourceFeatures().forEach(feature => {
+                const unitId = String(this.idColumn.getValue(feature));
+                if (missing.has(unitId)) {
+                    this.knownFeatures[unitId] = { id: feature.id, properties: feature.properties };
+                }
+            });
         }
-        let listeners = this.listeners.colorfeature;
-        Object.keys(atomicAction).forEach((fid) => {
-            if (fid === "color") {
+        let features = {};
+        unitIds.forEach(unitId => {
+            features[unitId] = this.knownFeatures[unitId];
+        });
+        return features;
+    }
+    /**
+     * Sets units' districts without recording them in the undo history,
+     * e.g. for changes made by collaborators.
+     * @param {Array[]} changes list of [unitId, part]
+     * @returns {string[]} the ids of units which aren't loaded on the map
+     */
+    restoreUnits(changes) {
+        const features = this.findFeatures(changes.map(change => change[0]));
+        let missing = [];
+        changes.forEach(([unitId, part]) => {
+            const feature = features[unitId];
+            if (!feature) {
+                missing.push(unitId);
                 return;
             }
-
-            // eraser color "undefined" should act like a brush set to null
-            let amendColor = atomicAction[fid].color;
-            if ((amendColor === 0 || amendColor === '0') || amendColor) {
-                amendColor = Number(atomicAction[fid].color);
-            } else {
-                amendColor = null;
-            }
-            this.changedColors.add(amendColor);
-
-            // change map colors
-            this.layer.setFeatureState(fid, {
-                color: brushedColor
-            });
-
-            // update subgroup totals (restoring old brush color)
-            for (let listener of listeners) {
-                listener({
-                    id: fid,
-                    state: { color: amendColor },
-                    properties: atomicAction[fid].properties
-                }, brushedColor);
+            [].concat(asPart(this.layer.getAssignment(feature.id)), part)
+                .filter(p => p !== null && p !== undefined)
+                .forEach(p => this.changedColors.add(Number(p)));
+            this.restoreFeature(feature, part);
+        });
+        if (missing.length < changes.length) {
+            for (let listener of this.listeners.colorend.concat(this.listeners.colorop)) {
+                listener(true, this.changedColors);
             }
+            this.changedColors = new Set();
+        }
+        return missing;
+    }
+    restoreFeature(feature, part) {
+        // change map colors
+        let featureState = this.layer.getFeatureState(feature.id);
+        this.layer.setFeatureState(feature.id, {
+            ...featureState,
+            color: part
         });
 
-        // locally store plan state
-        for (let listener of this.listeners.colorend.concat(this.listeners.colorop)) {
-            listener(true, this.changedColors);
-        }
-        this.changedColors = new Set();
-        for (let listener of this.listeners.redo) {
-            listener(this.cursorUndo >= this.trackUndo.length - 1);
+        // update subgroup totals (restoring old brush color)
+        for (let listener of this.listeners.colorfeature) {
+            listener({
+                id: feature.id,
+                state: featureState,
+                properties: feature.properties
+            }, part);
         }
+        featureState.color = part;
     }
     activate(mouseover) {
         super.activate(mouseover);
@@ -374,3 +410,14 @@ export default class Brush extends HoverWithRadius {
         this.listeners[event].push(listener);
     }
 }
+
+// eraser color "undefined" should act like a brush set to null
+function asPart(color) {
+    if (Array.isArray(color)) {
+        return color.map(Number);
+    }
+    if (color === null || color === undefined || color === "" || isNaN(color)) {
+        return null;
+    }
+    return Number(color);
+}
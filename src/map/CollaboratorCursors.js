@@ -0,0 +1,45 @@
+import mapboxgl from "mapbox-gl";
+
+/**
+ * Shows where collaborators' cursors are on the map, with their names.
+ */
+export default class CollaboratorCursors {
+    constructor(map) {
+        this.map = map;
+        // user id -> mapboxgl.Marker
+        this.markers = {};
+    }
+    /**
+     * @param {Object} user { id, name, color }
+     * @param {number[]} lngLat
+     */
+    move(user, lngLat) {
+        if (!Array.isArray(lngLat) || lngLat.length !== 2) {
+            return;
+        }
+        if (!this.markers[user.id]) {
+            const element = document.createElement("div"),
+                label = document.createElement("span");
+            element.className = "collab-cursor";
+            element.style.color = user.color;
+            label.className = "collab-cursor__name";
+            label.style.background = user.color;
+            label.textContent = user.name;
+            element.appendChild(label);
+            this.markers[user.id] = new mapboxgl.Marker({ element, anchor: "top-left" })
+                .setLngLat(lngLat)
+                .addTo(this.map);
+        } else {
+            this.markers[user.id].setLngLat(lngLat);
+        }
+    }
+    remove(userId) {
+        if (this.markers[userId]) {
+            this.markers[userId].remove();
+            Reflect.deleteProperty(this.markers, userId);
+        }
+    }
+    clear() {
+        Object.keys(this.markers).forEach(userId => this.remove(userId));
+    }
+}
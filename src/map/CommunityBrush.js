@@ -84,10 +84,13 @@ export default class CommunityBrush extends Brush {
                     fullColors.push(this.color);
                 }
 
-                if (!this.trackUndo[this.cursorUndo][feature.id]) {
-                    this.trackUndo[this.cursorUndo][feature.id] = {
+                if (!this.trackUndo[feature.id]) {
+                    this.trackUndo[feature.id] = {
                         properties: feature.properties,
-                        color: feature.state.color
+                        // copied, since the list of colors is added to in place
+                        color: Array.isArray(feature.state.color)
+                            ? feature.state.color.slice()
+                            : feature.state.color
                     };
                 }
 
@@ -133,7 +136,7 @@ export default class CommunityBrush extends Brush {
                     multicolor: true,
                 },
                 filter,
-                this.trackUndo[this.cursorUndo],
+                this.trackUndo,
                 this.listeners.colorfeature);
             });
             for (let listener of this.listeners.colorop) {
@@ -144,144 +147,27 @@ export default class CommunityBrush extends Brush {
             listener();
         }
     }
-    undo() {
-        let listeners = this.listeners.colorfeature;
-        let atomicAction = this.trackUndo[this.cursorUndo];
-        let brushedColor = atomicAction.color;
-        if (brushedColor || brushedColor === 0 || brushedColor === '0') {
-            this.changedColors.add(brushedColor * 1);
-        }
-        Object.keys(atomicAction).forEach((fid) => {
-            if (fid === "color") {
-                return;
-            }
-            // eraser color "undefined" should act like a brush set to null
-            let amendColor = atomicAction[fid].color;
-            if ((amendColor === 0 || amendColor === '0') || amendColor) {
-                if (Array.isArray(amendColor)) {
-                    amendColor.forEach((color) => {
-                        this.changedColors.add(amendColor);
-                    });
-                } else {
-                    amendColor = Number(atomicAction[fid].color);
-                    if (isNaN(amendColor)) {
-                        amendColor = null;
-                    } else {
-                        this.changedColors.add(amendColor);
-                    }
-                }
-            } else {
-                amendColor = null;
-            }
-
-            // change map colors
-            let featureState = this.layer.getFeatureState(fid);
-            let useBlendColor = Array.isArray(amendColor) && (amendColor.length > 1),
-                blendColor = Array.isArray(amendColor) ? blendColors(amendColor) : amendColor;
-            this.layer.setFeatureState(fid, {
-                ...featureState,
-                color: amendColor,
-                useBlendColor: useBlendColor,
-                blendColor: blendColor,
-                blendHoverColor: useBlendColor ? changeColorLuminance(blendColor, -0.3) : "#ccc"
-            });
-
-            // update subgroup totals (restoring old brush color)
-            for (let listener of listeners) {
-                listener({
-                    id: fid,
-                    state: featureState,
-                    properties: atomicAction[fid].properties
-                }, amendColor);
-            }
-            featureState.color = amendColor;
+    restoreFeature(feature, part) {
+        // change map colors, blending overlapping communities
+        let featureState = this.layer.getFeatureState(feature.id);
+        let useBlendColor = Array.isArray(part) && part.length > 1,
+            blendColor = Array.isArray(part) ? blendColors(part) : part;
+        this.layer.setFeatureState(feature.id, {
+            ...featureState,
+            color: part,
+            useBlendColor: useBlendColor,
+            blendColor: blendColor,
+            blendHoverColor: useBlendColor ? changeColorLuminance(blendColor, -0.3) : "#ccc"
         });
 
-        this.cursorUndo = Math.max(0, this.cursorUndo - 1);
-
-        // locally store plan state
-        for (let listener of this.listeners.colorend.concat(this.listeners.colorop)) {
-            listener(true, this.changedColors);
-        }
-        this.changedColors = new Set();
-        for (let listener of this.listeners.undo) {
-            listener(this.cursorUndo <= 0);
-        }
-    }
-    redo() {
-        // no undo stack to move into
-        if (this.trackUndo.length < this.cursorUndo + 2) {
-            return;
-        }
-
-        // move up in undo/redo stack
-        this.cursorUndo++;
-        let atomicAction = this.trackUndo[this.cursorUndo];
-        let brushedColor = atomicAction.color;
-        if (brushedColor || (brushedColor === 0 || brushedColor === '0')) {
-            this.changedColors.add(brushedColor * 1);
-        }
-        let listeners = this.listeners.colorfeature;
-        Object.keys(atomicAction).forEach((fid) => {
-            if (fid === "color") {
-                return;
-            }
-
-            // eraser color "undefined" should act like a brush set to null
-            let featureColor = atomicAction[fid].color,
-                finalColor = brushedColor; // only stays brushedColor for empty features
-            if (brushedColor === null || brushedColor === undefined) {
-                // redo erasing
-                if (Array.isArray(featureColor)) {
-                    featureColor.forEach((color) => {
-                        this.changedColors.add(color * 1);
-                    });
-                } else if (featureColor || (featureColor === 0 || featureColor === '0')) {
-                    this.changedColors.add(featureColor * 1);
-                }
-            } else if (featureColor || (featureColor === 0 || featureColor === '0')) {
-                // re-apply brushedColor to existing feature
-                if (Array.isArray(featureColor)) {
-                    if (!featureColor.includes(brushedColor)) {
-                        finalColor = featureColor.concat([brushedColor]); // added color
-                    } else {
-                        finalColor = featureColor; // unchanged
-                    }
-                } else if (featureColor !== brushedColor) {
-                    // combined colors, first time blending
-                    finalColor = [featureColor, brushedColor];
-                }
-            }
-
-            // change map colors
-            let featureState = this.layer.getFeatureState(fid);
-            let useBlendColor = Array.isArray(finalColor) && (finalColor.length > 1),
-                blendColor = Array.isArray(finalColor) ? blendColors(finalColor) : finalColor;
-            this.layer.setFeatureState(fid, {
-                ...featureState,
-                color: finalColor,
-                useBlendColor: useBlendColor,
-                blendColor: blendColor,
-                blendHoverColor: useBlendColor ? changeColorLuminance(blendColor, -0.3) : "#ccc"
-            });
-
-            // update subgroup totals (restoring old brush color)
-            for (let listener of listeners) {
-                listener({
-                    id: fid,
-                    state: { color: featureColor },
-                    properties: atomicAction[fid].properties
-                }, finalColor);
-            }
-        });
-
-        // locally store plan state
-        for (let listener of this.listeners.colorend.concat(this.listeners.colorop)) {
-            listener(true, this.changedColors);
-        }
-        this.changedColors = new Set();
-        for (let listener of this.listeners.redo) {
-            listener(this.cursorUndo >= this.trackUndo.length - 1);
+        // update subgroup totals (restoring old brush color)
+        for (let listener of this.listeners.colorfeature) {
+            listener({
+                id: feature.id,
+                state: featureState,
+                properties: feature.properties
+            }, part);
         }
+        featureState.color = part;
     }
 }
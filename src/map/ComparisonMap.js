@@ -0,0 +1,159 @@
+import Layer, { addBelowSymbols } from "./Layer";
+import SwipeMap from "./SwipeMap";
+import PlanComparison from "../models/PlanComparison";
+import { bindAll } from "../utils";
+
+const differencePaint = {
+    "line-color": "#000",
+    "line-width": 2.5,
+    "line-opacity": 0.8
+};
+
+/**
+ * Shows another plan of the same units next to the plan being edited: the
+ * other plan is drawn on a swipe map over the editing map, and units which
+ * the two plans assign differently are outlined on both maps.
+ */
+export default class ComparisonMap {
+    /**
+     * @param {State} state the plan being edited
+     */
+    constructor(state) {
+        this.state = state;
+        this.plan = null;
+        this.comparison = null;
+        this.error = null;
+        this.highlight = true;
+        this.differences = [];
+        // joined ids of the units outlined as different
+        this.changedUnits = null;
+        // unit id -> population, for units that have loaded on the map
+        this.populations = {};
+
+        bindAll(["onSourceData", "onSwipeSourceData"], this);
+    }
+    get active() {
+        return this.plan !== null;
+    }
+    /**
+     * @param {Object} context the other plan, as loaded from a file or URL
+     */
+    show(context) {
+        const placeId = context.place ? context.place.id : context.placeId;
+        if (placeId !== this.state.place.id || !context.units || context.units.id !== this.state.unitsRecord.id) {
+            throw new Error("That plan was drawn on a different map or with different units, so it can't be compared unit by unit.");
+        }
+        this.close();
+        this.plan = context;
+        this.otherAssignment = context.assignment || {};
+        this.error = null;
+
+        const units = this.state.units,
+            map = this.state.map;
+        this.differences = [differenceLayer(map, units, this.state.idColumn)];
+        this.setHighlight(this.highlight);
+
+        this.swipe = new SwipeMap(map, "mapbox://styles/mapbox/light-v10");
+        this.swipe.swipemap.on("load", () => {
+            const swipemap = this.swipe.swipemap;
+            this.state.setSwipeMap(swipemap);
+            this.differences.push(differenceLayer(swipemap, units, this.state.idColumn));
+            this.setHighlight(this.highlight);
+            this.coloredFeatures = new Set();
+            swipemap.on("sourcedata", this.onSwipeSourceData);
+            // filter the new layer too
+            this.changedUnits = null;
+            this.update();
+        });
+
+        map.on("sourcedata", this.onSourceData);
+        this.recordPopulations();
+        this.changedUnits = null;
+        this.update();
+    }
+    close() {
+        if (!this.active) {
+            return;
+        }
+        this.state.map.off("sourcedata", this.onSourceData);
+        this.state.map.removeLayer(this.differences[0].id);
+        this.swipe.remove();
+        this.state.setSwipeMap(null);
+        this.plan = null;
+        this.comparison = null;
+        this.differences = [];
+    }
+    setHighlight(highlight) {
+        this.highlight = highlight;
+        this.differences.forEach(layer => layer.setPaintProperty("line-opacity", highlight ? differencePaint["line-opacity"] : 0));
+    }
+    /**
+     * Compares the plans again (after painting) and outlines the units that
+     * differ.
+     */
+    update() {
+        if (!this.active) {
+            return;
+        }
+        this.comparison = new PlanComparison(this.state.plan.assignment, this.otherAssignment);
+        const changedUnits = this.comparison.changedUnits.join(",");
+        if (changedUnits === this.changedUnits) {
+            return;
+        }
+        this.changedUnits = changedUnits;
+        const filter = [
+            "in",
+            ["to-string", ["get", this.state.idColumn.key]],
+            ["literal", this.comparison.changedUnits]
+        ];
+        this.differences.forEach(layer => layer.map.setFilter(layer.id, filter));
+    }
+    /**
+     * @returns {Object} population moved between districts, from
+     *  PlanComparison.populationMoved
+     */
+    populationMoved() {
+        return this.comparison.populationMoved(unitId => this.populations[unitId]);
+    }
+    recordPopulations() {
+        const population = this.state.population.total;
+        let added = 0;
+        this.state.units.querySourceFeatures().forEach(feature => {
+            const unitId = String(this.state.idColumn.getValue(feature));
+            if (this.populations[unitId] === undefined) {
+                this.populations[unitId] = population.getValue(feature);
+                added += 1;
+            }
+        });
+        return added;
+    }
+    onSourceData(e) {
+        if (e.sourceId === this.state.units.sourceId && e.isSourceLoaded && this.recordPopulations()) {
+            this.state.render();
+        }
+    }
+    onSwipeSourceData(e) {
+        const swipeUnits = this.state.swipeUnits;
+        if (!swipeUnits || e.sourceId !== swipeUnits.sourceId || !e.isSourceLoaded) {
+            return;
+        }
+        swipeUnits.querySourceFeatures().forEach(feature => {
+            const part = this.otherAssignment[this.state.idColumn.getValue(feature)];
+            if (!this.coloredFeatures.has(feature.id) && part !== undefined && part !== null) {
+                this.coloredFeatures.add(feature.id);
+                swipeUnits.setAssignment(feature, part);
+            }
+        });
+    }
+}
+
+function differenceLayer(map, units, idColumn) {
+    return new Layer(map, {
+        id: units.id + "-differences",
+        source: units.sourceId,
+        "source-layer": units.sourceLayer,
+        type: "line",
+        filter: ["in", ["to-string", ["get", idColumn.key]], ["literal", []]],
+        paint: differencePaint
+    }, addBelowSymbols);
+}
@@ -0,0 +1,182 @@
+import { bindAll } from "../utils";
+import { centroid, pointInRing } from "./geometry";
+
+const emptyOutline = { type: "FeatureCollection", features: [] };
+
+/**
+ * Draws a selection polygon on the map and paints every unit whose
+ * centroid falls inside it with the brush's current color.
+ *
+ * In freehand mode the polygon follows the mouse while the button is held
+ * down; otherwise each click adds a vertex, and a double-click (or a click
+ * back on the first vertex) closes it.
+ */
+export default class Lasso {
+    /**
+     * @param {State} state
+     * @param {Brush} brush paints the selected units, so that tallies,
+     *  undo and autosave work as they do for brush strokes
+     */
+    constructor(state, brush) {
+        this.units = state.units;
+        this.points = state.points;
+        this.idColumn = state.idColumn;
+        this.brush = brush;
+        this.map = state.units.map;
+
+        this.freehand = true;
+        this.drawing = false;
+        this.vertices = [];
+
+        bindAll(["onMouseDown", "onMouseMove", "onMouseUp", "onClick", "onDoubleClick"], this);
+    }
+    activate() {
+        if (!this.map.getSource("lasso")) {
+            this.map.addSource("lasso", { type: "geojson", data: emptyOutline });
+            this.map.addLayer({
+                id: "lasso-fill",
+                type: "fill",
+                source: "lasso",
+                paint: { "fill-color": "#444", "fill-opacity": 0.1 }
+            });
+            this.map.addLayer({
+                id: "lasso-outline",
+                type: "line",
+                source: "lasso",
+                paint: { "line-color": "#444", "line-width": 2, "line-dasharray": [2, 1] }
+            });
+        }
+        this.map.getCanvas().classList.add("lasso-tool");
+        this.map.dragPan.disable();
+        this.map.doubleClickZoom.disable();
+        this.map.on("mousedown", this.onMouseDown);
+        this.map.on("mousemove", this.onMouseMove);
+        this.map.on("click", this.onClick);
+        this.map.on("dblclick", this.onDoubleClick);
+    }
+    deactivate() {
+        this.clear();
+        this.map.getCanvas().classList.remove("lasso-tool");
+        this.map.dragPan.enable();
+        this.map.doubleClickZoom.enable();
+        this.map.off("mousedown", this.onMouseDown);
+        this.map.off("mousemove", this.onMouseMove);
+        this.map.off("click", this.onClick);
+        this.map.off("dblclick", this.onDoubleClick);
+        window.removeEventListener("mouseup", this.onMouseUp);
+    }
+    setFreehand(freehand) {
+        this.freehand = freehand;
+        this.clear();
+    }
+    onMouseDown(e) {
+        if (!this.freehand) {
+            return;
+        }
+        e.preventDefault();
+        this.drawing = true;
+        this.vertices = [e.lngLat];
+        window.addEventListener("mouseup", this.onMouseUp);
+    }
+    onMouseMove(e) {
+        if (this.freehand && this.drawing) {
+            this.vertices.push(e.lngLat);
+            this.drawOutline(this.vertices);
+        } else if (!this.freehand && this.vertices.length) {
+            // preview the edge to the cursor
+            this.drawOutline(this.vertices.concat([e.lngLat]));
+        }
+    }
+    onMouseUp() {
+        window.removeEventListener("mouseup", this.onMouseUp);
+        if (this.drawing) {
+            this.drawing = false;
+            this.finish();
+        }
+    }
+    onClick(e) {
+        if (this.freehand) {
+            return;
+        }
+        if (this.vertices.length >= 3) {
+            const first = this.map.project(this.vertices[0]);
+            if (Math.hypot(first.x - e.point.x, first.y - e.point.y) < 8) {
+                this.finish();
+                return;
+            }
+        }
+        this.vertices.push(e.lngLat);
+        this.drawOutline(this.vertices);
+    }
+    onDoubleClick(e) {
+        e.preventDefault();
+        if (!this.freehand) {
+            this.finish();
+        }
+    }
+    drawOutline(vertices) {
+        const ring = vertices.map(v => [v.lng, v.lat]);
+        this.map.getSource("lasso").setData(ring.length < 3
+            ? {
+                type: "Feature",
+                geometry: { type: "LineString", coordinates: ring }
+            }
+            : {
+                type: "Feature",
+                geometry: { type: "Polygon", coordinates: [ring.concat([ring[0]])] }
+            });
+    }
+    clear() {
+        this.drawing = false;
+        this.vertices = [];
+        if (this.map.getSource("lasso")) {
+            this.map.getSource("lasso").setData(emptyOutline);
+        }
+    }
+    finish() {
+        if (this.vertices.length >= 3) {
+            const features = this.selectFeatures(this.vertices);
+            if (features.length) {
+                this.brush.paintFeatures(features);
+            }
+        }
+        this.clear();
+    }
+    /**
+     * @param {mapboxgl.LngLat[]} vertices
+     * @returns {Object[]} rendered unit features with centroids inside the polygon
+     */
+    selectFeatures(vertices) {
+        const ring = vertices.map(v => [v.lng, v.lat]),
+            pixels = vertices.map(v => this.map.project(v)),
+            box = [
+                [Math.min(...pixels.map(p => p.x)), Math.min(...pixels.map(p => p.y))],
+                [Math.max(...pixels.map(p => p.x)), Math.max(...pixels.map(p => p.y))]
+            ];
+
+        // the points layer holds each unit's centroid; without it, estimate
+        // centroids from the (tile-clipped) unit shapes
+        let insideIds = null;
+        if (this.points) {
+            insideIds = new Set();
+            this.map.queryRenderedFeatures(box, { layers: [this.points.id] }).forEach(point => {
+                if (pointInRing(point.geometry.coordinates, ring)) {
+                    insideIds.add(String(this.idColumn.getValue(point)));
+                }
+            });
+        }
+
+        let seen = new Set();
+        return this.map.queryRenderedFeatures(box, { layers: [this.units.id] }).filter(feature => {
+            if (seen.has(feature.id)) {
+                return false;
+            }
+            seen.add(feature.id);
+            if (insideIds) {
+                return insideIds.has(String(this.idColumn.getValue(feature)));
+            }
+            const center = centroid(feature.geometry);
+            return center && pointInRing(center, ring);
+        });
+    }
+}
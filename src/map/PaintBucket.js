@@ -0,0 +1,80 @@
+import { firstPart, loadAdjacencyGraph } from "../models/AdjacencyGraph";
+import { bindAll } from "../utils";
+
+/**
+ * Flood fill: clicking a unit paints it, and every unit connected to it
+ * through the module's adjacency graph with the same assignment, in the
+ * brush's current color. Existing district borders bound the fill, and
+ * an unassigned unit fills the unassigned area around it.
+ */
+export default class PaintBucket {
+    /**
+     * @param {State} state
+     * @param {Brush} brush paints the filled units, so that the fill is a
+     *  single operation for tallies, undo and autosave
+     * @param {Function} [onFill] called after each click, to show
+     *  `unloadedUnits`
+     */
+    constructor(state, brush, onFill) {
+        this.units = state.units;
+        this.idColumn = state.idColumn;
+        this.plan = state.plan;
+        this.brush = brush;
+        this.onFill = onFill;
+        this.graph = null;
+        // how many units of the last clicked area weren't in the loaded
+        // tiles; the area is only filled when they all are
+        this.unloadedUnits = 0;
+
+        const graphLoader = loadAdjacencyGraph(state.unitsRecord);
+        if (graphLoader) {
+            graphLoader.then(graph => {
+                this.graph = graph;
+            }).catch(e => console.error(e));
+        }
+
+        bindAll(["onClick"], this);
+    }
+    activate() {
+        this.units.map.getCanvas().classList.add("brush-tool");
+        this.units.on("click", this.onClick);
+    }
+    deactivate() {
+        this.units.map.getCanvas().classList.remove("brush-tool");
+        this.units.off("click", this.onClick);
+    }
+    onClick(e) {
+        if (!this.graph || !e.features.length) {
+            return;
+        }
+        const start = String(this.idColumn.getValue(e.features[0])),
+            startPart = firstPart(this.plan.assignment[start]),
+            unitIds = this.graph.region(start,
+                unitId => firstPart(this.plan.assignment[unitId]) === startPart),
+            features = this.findFeatures(unitIds);
+        this.unloadedUnits = unitIds.size - features.length;
+        if (!this.unloadedUnits) {
+            this.brush.paintFeatures(features);
+        }
+        if (this.onFill) {
+            this.onFill();
+        }
+    }
+    /**
+     * @param {Set} unitIds
+     * @returns {Object[]} features, with their state, of the units that are
+     *  in the currently loaded tiles
+     */
+    findFeatures(unitIds) {
+        let seen = new Set();
+        const features = this.units.querySourceFeatures().filter(feature => {
+            if (seen.has(feature.id) || !unitIds.has(String(this.idColumn.getValue(feature)))) {
+                return false;
+            }
+            seen.add(feature.id);
+            feature.state = this.units.getFeatureState(feature.id);
+            return true;
+        });
+        return features;
+    }
+}
@@ -0,0 +1,131 @@
+import Layer, { addBelowSymbols } from "./Layer";
+import { firstPart, loadAdjacencyGraph } from "../models/AdjacencyGraph";
+import { balancePopulation } from "../models/lib/balance-population";
+
+const LABEL = "Balanced population";
+
+/**
+ * Proposes boundary unit moves which bring every district's population
+ * within a tolerance (see balancePopulation), outlines the units to move on
+ * the map, and applies the moves all at once or one at a time.
+ */
+export default class PopulationBalancer {
+    /**
+     * @param {State} state
+     * @param {Brush} brush
+     * @param {function} onChange called when the proposal changes
+     */
+    constructor(state, brush, onChange) {
+        this.state = state;
+        this.brush = brush;
+        this.onChange = onChange;
+        this.tolerance = 0.01;
+        this.proposal = null;
+        this.error = null;
+        this.outlines = null;
+    }
+    /**
+     * @param {number} tolerance allowed deviation, as a fraction of the ideal
+     */
+    propose(tolerance) {
+        this.tolerance = tolerance;
+        loadAdjacencyGraph(this.state.unitsRecord).then(graph => {
+            const population = this.state.population;
+            let features = {};
+            this.state.units.querySourceFeatures().forEach(feature => {
+                features[String(this.state.idColumn.getValue(feature))] = feature;
+            });
+
+            // only units loaded on the map can be painted, so only they can move
+            const { moves, unbalanced } = balancePopulation(graph, this.state.plan.assignment, {
+                populationOf: unitId => population.total.getValue(features[unitId]),
+                partPopulations: population.total.data,
+                ideal: population.ideal,
+                tolerance,
+                canMove: unitId => features.hasOwnProperty(unitId),
+                canChange: part => !this.state.plan.isLocked(part)
+            });
+            this.proposal = {
+                moves: moves.map(move => ({ ...move, feature: features[move.unitId] })),
+                unbalanced
+            };
+            this.error = null;
+            this.outline();
+        })
+            .catch(e => {
+                this.error = e.message;
+            })
+            .then(this.onChange);
+    }
+    /**
+     * Applies the next proposed move.
+     */
+    step() {
+        if (!this.applyMoves(this.proposal.moves.slice(0, 1))) {
+            return;
+        }
+        this.proposal.moves = this.proposal.moves.slice(1);
+        if (!this.proposal.moves.length) {
+            this.cancel();
+            return;
+        }
+        this.outline();
+        this.onChange();
+    }
+    /**
+     * Applies every remaining move, as one operation in the undo history.
+     */
+    acceptAll() {
+        if (this.applyMoves(this.proposal.moves)) {
+            this.cancel();
+        }
+    }
+    cancel() {
+        this.proposal = null;
+        this.outline();
+        this.onChange();
+    }
+    /**
+     * @param {Object[]} moves
+     * @returns {boolean} false if the plan has changed since the moves were
+     *  proposed, in which case the proposal is dropped
+     */
+    applyMoves(moves) {
+        if (moves.some(({ unitId, from }) => firstPart(this.state.plan.assignment[unitId]) !== from)) {
+            this.error = "The plan has changed since these moves were proposed. Propose them again.";
+            this.cancel();
+            return false;
+        }
+        this.brush.assignFeatures(moves.map(({ feature, to }) => {
+            feature.state = this.state.units.getFeatureState(feature.id);
+            return [feature, to];
+        }), LABEL);
+        return true;
+    }
+    /**
+     * Outlines the units still to move, and the next one more heavily.
+     */
+    outline() {
+        const moves = this.proposal ? this.proposal.moves : [],
+            idKey = ["to-string", ["get", this.state.idColumn.key]];
+        if (!this.outlines) {
+            if (!moves.length) {
+                return;
+            }
+            this.outlines = new Layer(this.state.map, {
+                id: this.state.units.id + "-balance-moves",
+                source: this.state.units.sourceId,
+                "source-layer": this.state.units.sourceLayer,
+                type: "line",
+                filter: ["in", idKey, ["literal", []]],
+                paint: {
+                    "line-color": "#000",
+                    "line-opacity": 0.8
+                }
+            }, addBelowSymbols);
+        }
+        const next = moves.length ? moves[0].unitId : null;
+        this.outlines.map.setFilter(this.outlines.id, ["in", idKey, ["literal", moves.map(move => move.unitId)]]);
+        this.outlines.setPaintProperty("line-width", ["case", ["==", idKey, next], 4, 2]);
+    }
+}
@@ -0,0 +1,101 @@
+import { MapState } from "./index";
+import { bindAll } from "../utils";
+
+/**
+ * A second map stacked on top of an existing one, showing to the right of
+ * a slider that can be dragged across the map. Panning or zooming either
+ * map moves the other one along with it. The plan's units are added to it
+ * as the State's swipe layers (see `State.setSwipeMap`).
+ */
+export default class SwipeMap {
+    /**
+     * @param {mapboxgl.Map} map the map to cover
+     * @param {string} mapStyle style for the second map
+     */
+    constructor(map, mapStyle) {
+        this.map = map;
+        this.syncing = false;
+
+        const parent = map.getContainer().parentNode;
+        this.container = document.createElement("div");
+        this.container.className = "map swipe-map";
+        parent.appendChild(this.container);
+
+        this.slider = document.createElement("div");
+        this.slider.className = "swipe-slider";
+        this.slider.innerHTML = `<div class="swipe-slider__handle" title="Drag to compare"></div>`;
+        parent.appendChild(this.slider);
+
+        this.swipemap = new MapState(
+            this.container,
+            {
+                center: map.getCenter(),
+                zoom: map.getZoom(),
+                bearing: map.getBearing(),
+                pitch: map.getPitch()
+            },
+            mapStyle
+        ).map;
+
+        bindAll(["onMapMove", "onSwipeMapMove", "onDragStart", "onDrag", "onDragEnd"], this);
+        this.map.on("move", this.onMapMove);
+        this.swipemap.on("move", this.onSwipeMapMove);
+        this.slider.addEventListener("mousedown", this.onDragStart);
+        this.slider.addEventListener("touchstart", this.onDragStart);
+
+        this.setSlider(this.container.offsetWidth / 2);
+    }
+    onMapMove() {
+        this.sync(this.map, this.swipemap);
+    }
+    onSwipeMapMove() {
+        this.sync(this.swipemap, this.map);
+    }
+    sync(from, to) {
+        // moving one map moves the other, which must not move the first again
+        if (this.syncing) {
+            return;
+        }
+        this.syncing = true;
+        to.jumpTo({
+            center: from.getCenter(),
+            zoom: from.getZoom(),
+            bearing: from.getBearing(),
+            pitch: from.getPitch()
+        });
+        this.syncing = false;
+    }
+    onDragStart(e) {
+        e.preventDefault();
+        window.addEventListener("mousemove", this.onDrag);
+        window.addEventListener("touchmove", this.onDrag);
+        window.addEventListener("mouseup", this.onDragEnd);
+        window.addEventListener("touchend", this.onDragEnd);
+    }
+    onDrag(e) {
+        const point = e.touches ? e.touches[0] : e;
+        this.setSlider(point.clientX - this.container.getBoundingClientRect().left);
+    }
+    onDragEnd() {
+        window.removeEventListener("mousemove", this.onDrag);
+        window.removeEventListener("touchmove", this.onDrag);
+        window.removeEventListener("mouseup", this.onDragEnd);
+        window.removeEventListener("touchend", this.onDragEnd);
+    }
+    /**
+     * @param {number} x position of the slider, in pixels from the left
+     *  edge of the map
+     */
+    setSlider(x) {
+        x = Math.max(0, Math.min(x, this.container.offsetWidth));
+        this.container.style.clipPath = `inset(0 0 0 ${x}px)`;
+        this.slider.style.left = `${x}px`;
+    }
+    remove() {
+        this.onDragEnd();
+        this.map.off("move", this.onMapMove);
+        this.swipemap.remove();
+        this.container.remove();
+        this.slider.remove();
+    }
+}
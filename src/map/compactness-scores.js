@@ -0,0 +1,114 @@
+// Compactness scores of shapes dissolved with `dissolve` (see geometry.js
+// and models/Compactness.js), from their convex hulls and smallest
+// enclosing circles.
+
+import { ringArea } from "./geometry";
+
+/**
+ * Convex hull by Andrew's monotone chain.
+ * @param {Array[]} points list of [x, y]
+ * @returns {Array[]} the hull's vertices, counter-clockwise
+ */
+export function convexHull(points) {
+    const sorted = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]),
+        cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    if (sorted.length < 3) {
+        return sorted;
+    }
+    let lower = [],
+        upper = [];
+    sorted.forEach(point => {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+            lower.pop();
+        }
+        lower.push(point);
+    });
+    sorted.reverse().forEach(point => {
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+            upper.pop();
+        }
+        upper.push(point);
+    });
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+function circleOfTwo(a, b) {
+    return {
+        center: [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2],
+        radius: Math.hypot(a[0] - b[0], a[1] - b[1]) / 2
+    };
+}
+
+function circleOfThree(a, b, c) {
+    const d = 2 * (a[0] * (b[1] - c[1]) + b[0] * (c[1] - a[1]) + c[0] * (a[1] - b[1]));
+    if (!d) {
+        // collinear: the two farthest apart span the circle
+        return [circleOfTwo(a, b), circleOfTwo(b, c), circleOfTwo(a, c)]
+            .reduce((best, circle) => circle.radius > best.radius ? circle : best);
+    }
+    const a2 = a[0] * a[0] + a[1] * a[1],
+        b2 = b[0] * b[0] + b[1] * b[1],
+        c2 = c[0] * c[0] + c[1] * c[1],
+        center = [
+            (a2 * (b[1] - c[1]) + b2 * (c[1] - a[1]) + c2 * (a[1] - b[1])) / d,
+            (a2 * (c[0] - b[0]) + b2 * (a[0] - c[0]) + c2 * (b[0] - a[0])) / d
+        ];
+    return { center, radius: Math.hypot(a[0] - center[0], a[1] - center[1]) };
+}
+
+/**
+ * Smallest circle containing every point (Welzl's algorithm, in its
+ * incremental form). Pass the convex hull of a shape rather than all of
+ * its vertices; the circle is the same.
+ * @param {Array[]} points list of [x, y]
+ * @returns {Object|null} { center, radius }
+ */
+export function enclosingCircle(points) {
+    let shuffled = points.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    // allow for rounding when testing whether a point is inside
+    const contains = (circle, point) => Math.hypot(point[0] - circle.center[0], point[1] - circle.center[1])
+        <= circle.radius * (1 + 1e-9) + 1e-12;
+
+    let circle = null;
+    shuffled.forEach((p, i) => {
+        if (circle && contains(circle, p)) {
+            return;
+        }
+        circle = { center: p, radius: 0 };
+        for (let j = 0; j < i; j++) {
+            const q = shuffled[j];
+            if (!contains(circle, q)) {
+                circle = circleOfTwo(p, q);
+                for (let k = 0; k < j; k++) {
+                    if (!contains(circle, shuffled[k])) {
+                        circle = circleOfThree(p, q, shuffled[k]);
+                    }
+                }
+            }
+        }
+    });
+    return circle;
+}
+
+/**
+ * Compactness scores of a dissolved shape, each from 0 to 1 (a circle
+ * scores 1 on all three).
+ * @param {Object} shape { area, perimeter, points }, from `dissolve`
+ * @returns {Object} { polsbyPopper, reock, convexHull }: the area compared
+ *  with a circle of the same perimeter, with the smallest circle around the
+ *  shape, and with the shape's convex hull; null where undefined
+ */
+export function compactnessScores({ area, perimeter, points }) {
+    const hull = convexHull(points),
+        hullArea = Math.abs(ringArea(hull)),
+        circle = enclosingCircle(hull);
+    return {
+        polsbyPopper: perimeter ? 4 * Math.PI * area / (perimeter * perimeter) : null,
+        reock: circle && circle.radius ? area / (Math.PI * circle.radius * circle.radius) : null,
+        convexHull: hullArea ? area / hullArea : null
+    };
+}
@@ -1,15 +1,18 @@
 /* eslint-disable linebreak-style */
 
-// This makes a POST request to a PythonAnywhere server
+// If the units record names an adjacency file, contiguity is computed
+// in the browser from that graph, and only for the districts touched by
+// each brush stroke.
+// Otherwise this makes a POST request to an AWS server
 // with the assignment in the request body.
 // The server will return a response with the
-// 1. contiguity status and
-// 2. number of cut edges
+// connected pieces of each district
 // and this function then calls two other functions (defined above)
 // that modify the innerHTML of the file
 
 import { unitBordersPaintProperty } from "../colors";
 import { stateNameToFips } from "../utils";
+import { loadAdjacencyGraph, unitsByPart } from "../models/AdjacencyGraph";
 
 export default function ContiguityChecker(state, brush) {
   let place = state.place.id,
@@ -47,12 +50,12 @@ export default function ContiguityChecker(state, brush) {
         ...unitBordersPaintProperty,
         "line-color": [
             "case",
-            ["in", ["get", state.idColumn.key], ["literal", islandAreas]],
+            ["in", ["to-string", ["get", state.idColumn.key]], ["literal", islandAreas.map(String)]],
             "#f00000",
             unitBordersPaintProperty["line-color"]
         ],
         "line-opacity": 0.4,
-        "line-width": ["case", ["in", ["get", state.idColumn.key], ["literal", islandAreas]], 4, 1],
+        "line-width": ["case", ["in", ["to-string", ["get", state.idColumn.key]], ["literal", islandAreas.map(String)]], 4, 1],
     };
     state.unitsBorders.setPaintProperties(demo);
   }
@@ -82,7 +85,42 @@ export default function ContiguityChecker(state, brush) {
     }
     updateIslandBorders();
   }
-  const updater = (state, colorsAffected) => {
+  const recordIslands = (district, pieces) => {
+    if (pieces.length > 1) {
+      // identify largest section and highlight others
+      let islandareas = [];
+      pieces.sort((a, b) => b.length - a.length)
+        .slice(1)
+        .forEach(island => {
+          islandareas = islandareas.concat(island);
+        });
+      state.contiguity[district] = islandareas;
+    } else {
+      state.contiguity[district] = null;
+    }
+  };
+
+  const contiguityIssues = () => Object.keys(state.contiguity)
+    .filter(district => state.contiguity[district])
+    .map(Number);
+
+  let graph = null;
+  const localUpdater = (state, colorsAffected) => {
+    const members = unitsByPart(state.plan.assignment);
+    let districts = Array.from(colorsAffected || [])
+      .filter(district => district !== null && district !== undefined && !isNaN(district))
+      .map(Number);
+    if (!colorsAffected) {
+      // the county brush does not report which districts it changed
+      districts = allDistricts;
+    }
+    districts.forEach(district => {
+      recordIslands(district, graph.connectedComponents(members[district] || []));
+    });
+    setContiguityStatus(contiguityIssues());
+  };
+
+  const remoteUpdater = (state) => {
     const units = state.unitsRecord.id;
     let stateName = state.place.id;
     if (state.place.id === "dc") {
@@ -106,33 +144,37 @@ export default function ContiguityChecker(state, brush) {
       .catch((e) => console.error(e))
       .then((data) => {
         state.contiguity = {};
-        let issues = [];
         Object.keys(data).forEach((district) => {
-          if (data[district].length > 1) {
-            // basic contiguity
-            issues.push(Number(district));
-
-            // identify largest section and highlight others
-            let islandareas = [];
-            data[district].sort((a, b) => { return b.length - a.length }).slice(1).forEach(island => {
-              islandareas = islandareas.concat(island);
-            })
-            state.contiguity[Number(district)] = islandareas;
-          } else {
-            state.contiguity[Number(district)] = null;
-          }
+          recordIslands(Number(district), data[district]);
         });
-        setContiguityStatus(issues);
+        setContiguityStatus(contiguityIssues());
       });
   };
 
+  const updater = (state, colorsAffected) => graph
+    ? localUpdater(state, colorsAffected)
+    : remoteUpdater(state, colorsAffected);
+
   let allDistricts = [],
     i = 0;
   while (i < state.problem.numberOfParts) {
     allDistricts.push(i);
     i++;
   }
-  updater(state, allDistricts);
+
+  const graphLoader = loadAdjacencyGraph(state.unitsRecord);
+  if (graphLoader) {
+    graphLoader.then(adjacencyGraph => {
+      graph = adjacencyGraph;
+      state.contiguity = {};
+      updater(state, allDistricts);
+    }).catch(e => {
+      console.error(e);
+      updater(state, allDistricts);
+    });
+  } else {
+    updater(state, allDistricts);
+  }
 
   return updater;
 }
@@ -0,0 +1,253 @@
+// Planar geometry helpers for GeoJSON coordinates ([lng, lat] pairs).
+// At the scale of a single district or selection, treating degrees as
+// planar coordinates is accurate enough to decide what is inside what.
+
+/**
+ * Ray-casting test for whether a point falls inside a polygon ring.
+ * @param {number[]} point [x, y]
+ * @param {Array[]} ring list of [x, y] vertices; need not be closed
+ * @returns {boolean}
+ */
+export function pointInRing(point, ring) {
+    const [x, y] = point;
+    let inside = false;
+    for (let i = 0; i < ring.length; i++) {
+        const [xi, yi] = ring[i],
+            [xj, yj] = ring[(i || ring.length) - 1];
+        if (yi > y !== yj > y && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * @param {number[]} point [x, y]
+ * @param {Object} geometry GeoJSON Polygon or MultiPolygon
+ * @returns {boolean} true if the point is inside the outer ring of one of
+ *  the polygons and outside its holes
+ */
+export function pointInGeometry(point, geometry) {
+    return polygonsOf(geometry).some(rings => pointInRing(point, rings[0])
+        && !rings.slice(1).some(hole => pointInRing(point, hole)));
+}
+
+/**
+ * @param {Object} geometry GeoJSON Polygon or MultiPolygon
+ * @returns {Array[]} list of polygons, each a list of rings
+ */
+export function polygonsOf(geometry) {
+    if (!geometry) {
+        return [];
+    } else if (geometry.type === "Polygon") {
+        return [geometry.coordinates];
+    } else if (geometry.type === "MultiPolygon") {
+        return geometry.coordinates;
+    }
+    return [];
+}
+
+/**
+ * Signed area of a ring by the shoelace formula (positive when
+ * counter-clockwise).
+ * @param {Array[]} ring
+ * @returns {number}
+ */
+export function ringArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const j = (i || ring.length) - 1;
+        area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    }
+    return area / 2;
+}
+
+/**
+ * @param {Object} geometry GeoJSON Polygon or MultiPolygon
+ * @returns {number} the area inside its outer rings (holes included)
+ */
+export function geometryArea(geometry) {
+    return polygonsOf(geometry).reduce((total, rings) => total + Math.abs(ringArea(rings[0])), 0);
+}
+
+/**
+ * Area-weighted centroid of a Polygon or MultiPolygon, falling back to the
+ * average of its vertices for degenerate (zero-area) shapes.
+ * @param {Object} geometry GeoJSON geometry
+ * @returns {number[]|null} [x, y]
+ */
+export function centroid(geometry) {
+    if (geometry && geometry.type === "Point") {
+        return geometry.coordinates;
+    }
+    let area = 0,
+        cx = 0,
+        cy = 0,
+        vertices = [];
+    polygonsOf(geometry).forEach(rings => {
+        rings.forEach((ring, r) => {
+            // holes count against the area, whichever way they wind
+            const sign = r === 0 ? 1 : -1,
+                orientation = Math.sign(ringArea(ring)) || 1;
+            for (let i = 0; i < ring.length; i++) {
+                const j = (i || ring.length) - 1,
+                    cross = (ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1]) * orientation * sign;
+                area += cross / 2;
+                cx += (ring[j][0] + ring[i][0]) * cross;
+                cy += (ring[j][1] + ring[i][1]) * cross;
+            }
+            vertices = vertices.concat(ring);
+        });
+    });
+    if (area) {
+        return [cx / (6 * area), cy / (6 * area)];
+    } else if (vertices.length) {
+        return [
+            vertices.reduce((total, v) => total + v[0], 0) / vertices.length,
+            vertices.reduce((total, v) => total + v[1], 0) / vertices.length
+        ];
+    }
+    return null;
+}
+
+/**
+ * Projects a Polygon or MultiPolygon so that lengths and areas can be
+ * compared: longitudes are shrunk by the cosine of a reference latitude
+ * (an equirectangular projection). Results are in degrees of latitude,
+ * which is enough for scores that are ratios.
+ * @param {Object} geometry GeoJSON geometry
+ * @param {number} latitude reference latitude, e.g. the middle of the map
+ * @returns {Object} a MultiPolygon
+ */
+export function projectGeometry(geometry, latitude) {
+    const scale = Math.cos(latitude * Math.PI / 180);
+    return {
+        type: "MultiPolygon",
+        coordinates: polygonsOf(geometry).map(rings => rings.map(ring => ring.map(([x, y]) => [x * scale, y])))
+    };
+}
+
+/**
+ * Dissolves polygons (e.g. the units of a district) which share edges
+ * exactly, as neighbouring units from the same file or tile do: an edge
+ * drawn by two polygons is inside their union, so it cancels out.
+ * @param {Object[]} geometries Polygons or MultiPolygons, projected
+ * @returns {Object} { area, perimeter, points }: the area and perimeter of
+ *  the union, and the vertices on its boundary
+ */
+export function dissolve(geometries) {
+    let area = 0,
+        edges = new Map();
+    geometries.forEach(geometry => {
+        polygonsOf(geometry).forEach(rings => {
+            rings.forEach((ring, r) => {
+                area += (r === 0 ? 1 : -1) * Math.abs(ringArea(ring));
+                for (let i = 0; i < ring.length; i++) {
+                    const a = ring[(i || ring.length) - 1],
+                        b = ring[i];
+                    if (a[0] !== b[0] || a[1] !== b[1]) {
+                        const ends = a[0] < b[0] || a[0] === b[0] && a[1] < b[1] ? [a, b] : [b, a],
+                            key = ends.join(" "),
+                            edge = edges.get(key) || { ends, count: 0 };
+                        edge.count += 1;
+                        edges.set(key, edge);
+                    }
+                }
+            });
+        });
+    });
+
+    let perimeter = 0,
+        points = [];
+    edges.forEach(({ ends: [a, b], count }) => {
+        if (count % 2 === 1) {
+            perimeter += Math.hypot(b[0] - a[0], b[1] - a[1]);
+            points.push(a, b);
+        }
+    });
+    return { area, perimeter, points };
+}
+
+function pointKey(point) {
+    return `${point[0]} ${point[1]}`;
+}
+
+/**
+ * Dissolves polygons which share edges exactly into their union, like
+ * `dissolve`, but keeps the outline: the edges left over are joined up
+ * into rings.
+ * @param {Object[]} geometries Polygons or MultiPolygons
+ * @returns {Object} a MultiPolygon, with outer rings counter-clockwise and
+ *  holes clockwise
+ */
+export function dissolvePolygons(geometries) {
+    // directed edges "from to" -> count; an edge drawn both ways is shared
+    let edges = new Map();
+    geometries.forEach(geometry => {
+        polygonsOf(geometry).forEach(rings => {
+            rings.forEach((ring, r) => {
+                // outer rings counter-clockwise, holes clockwise
+                const reverse = r === 0 === ringArea(ring) < 0;
+                for (let i = 0; i < ring.length; i++) {
+                    let a = ring[(i || ring.length) - 1],
+                        b = ring[i];
+                    if (reverse) {
+                        [a, b] = [b, a];
+                    }
+                    const key = `${pointKey(a)} ${pointKey(b)}`,
+                        opposite = `${pointKey(b)} ${pointKey(a)}`;
+                    if (pointKey(a) === pointKey(b)) {
+                        // a repeated vertex, e.g. the ring's closing one
+                    } else if (edges.has(opposite)) {
+                        const edge = edges.get(opposite);
+                        edge.count -= 1;
+                        if (edge.count === 0) {
+                            edges.delete(opposite);
+                        }
+                    } else {
+                        const edge = edges.get(key) || { from: a, to: b, count: 0 };
+                        edge.count += 1;
+                        edges.set(key, edge);
+                    }
+                }
+            });
+        });
+    });
+
+    // start point -> edges leaving it
+    let outgoing = new Map();
+    edges.forEach(edge => {
+        const start = pointKey(edge.from);
+        for (let i = 0; i < edge.count; i++) {
+            outgoing.set(start, (outgoing.get(start) || []).concat([edge]));
+        }
+    });
+    let rings = [];
+    outgoing.forEach((leaving, start) => {
+        while (leaving.length) {
+            let edge = leaving.pop(),
+                ring = [edge.from];
+            while (pointKey(edge.to) !== start && outgoing.get(pointKey(edge.to))
+                && outgoing.get(pointKey(edge.to)).length) {
+                ring.push(edge.to);
+                edge = outgoing.get(pointKey(edge.to)).pop();
+            }
+            if (ring.length > 2) {
+                rings.push(ring.concat([ring[0]]));
+            }
+        }
+    });
+
+    const outer = rings.filter(ring => ringArea(ring) > 0)
+            .sort((a, b) => ringArea(a) - ringArea(b)),
+        polygons = outer.map(ring => [ring]);
+    rings.filter(ring => ringArea(ring) < 0).forEach(hole => {
+        // the smallest outer ring around the hole
+        const i = outer.findIndex(ring => pointInRing(hole[0], ring)
+            || hole.some(point => pointInRing(point, ring)));
+        if (i >= 0) {
+            polygons[i].push(hole);
+        }
+    });
+    return { type: "MultiPolygon", coordinates: polygons };
+}
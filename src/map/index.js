@@ -411,7 +411,7 @@ function cities(map, cityID) {
  * @description Adds the desired layers -- each of the tilesets in `tilesets` and
  * the extras we add for COIs if the module is flagged that way -- to mapbox.
  * @param {mapboxgl.Map} map Map rendered to the view.
- * @param {mapboxgl.Map|null} swipemap Typically null.
+ * @param {mapboxgl.Map|null} swipemap Typically null; see addSwipeUnits.
  * @param {Object[]} parts Objects for each district in the plan.
  * @param {Object[]} tilesets MapboxGL tileset specifications loaded by default.
  * @param {Function} layerAdder Inserts new Layers.
@@ -452,13 +452,35 @@ export function addLayers(map, swipemap, parts, tilesets, layerAdder, borderID,
         new_precincts = newPrecincts,
 
         // Add *specifically handled* tract units to the map.
-        tracts = addTracts(map, tilesets, borderID);
+        tracts = addTracts(map, tilesets, borderID),
+
+        // Add base units to the swipe map, if there is one.
+        { swipeUnits, swipeUnitsBorders } = swipemap
+            ? addSwipeUnits(swipemap, parts, tilesets, layerAdder)
+            : {};
 
     // Cities in Communities of Interest will have thicker borders.
     cities(map, borderID);
 
     return {
         units, unitsBorders, coiunits, coiUnits2, points, counties, bg_areas,
-        precincts, new_precincts, tracts, clusterUnits, clusterUnitsLines
+        precincts, new_precincts, tracts, clusterUnits, clusterUnitsLines,
+        swipeUnits, swipeUnitsBorders
     };
 }
+
+/**
+ * @description Adds the base units to a second map, which shows another plan
+ * beside the one being drawn (see SwipeMap).
+ * @param {mapboxgl.Map} swipemap MapboxGL Map instance, once it has loaded.
+ * @param {Object[]} parts Objects for each district in the plan.
+ * @param {Object[]} tilesets MapboxGL tileset specifications loaded by default.
+ * @param {Function} layerAdder Inserts new Layers.
+ * @returns {Object} the swipeUnits and swipeUnitsBorders Layers.
+ */
+export function addSwipeUnits(swipemap, parts, tilesets, layerAdder) {
+    const tileset = tilesets.find(t => t.type === "fill");
+    swipemap.addSource(tileset.sourceLayer, tileset.source);
+    const { units, unitsBorders } = addBaseUnits(swipemap, parts, tileset, layerAdder);
+    return { swipeUnits: units, swipeUnitsBorders: unitsBorders };
+}
@@ -0,0 +1,158 @@
+/**
+ * Unit adjacency graph for one set of a module's units (e.g. its block
+ * groups or precincts). Built from a JSON record mapping each unit id to
+ * the ids of its neighbours; ids are compared as strings throughout, so
+ * they line up with the keys of `state.plan.assignment`.
+ */
+export default class AdjacencyGraph {
+    /**
+     * @param {Object} adjacency unit id -> Array of neighbouring unit ids
+     */
+    constructor(adjacency) {
+        this.adjacency = {};
+        Object.keys(adjacency).forEach(unitId => {
+            this.addUnit(unitId);
+            adjacency[unitId].forEach(neighbor => {
+                // adjacency files are not always symmetric; treat them as if they were
+                this.addUnit(neighbor);
+                this.adjacency[String(unitId)].add(String(neighbor));
+                this.adjacency[String(neighbor)].add(String(unitId));
+            });
+        });
+    }
+    addUnit(unitId) {
+        if (!this.adjacency[String(unitId)]) {
+            this.adjacency[String(unitId)] = new Set();
+        }
+    }
+    has(unitId) {
+        return this.adjacency.hasOwnProperty(String(unitId));
+    }
+    get unitIds() {
+        return Object.keys(this.adjacency);
+    }
+    neighbors(unitId) {
+        return Array.from(this.adjacency[String(unitId)] || []);
+    }
+    /**
+     * Splits a set of units into the connected pieces of the graph induced
+     * on them.
+     * @param {Array} unitIds the units of one district
+     * @returns {Array[]} lists of unit ids, largest piece first
+     */
+    connectedComponents(unitIds) {
+        const remaining = new Set(unitIds.map(String));
+        let components = [];
+        remaining.forEach(start => {
+            let component = [start],
+                frontier = [start];
+            remaining.delete(start);
+            while (frontier.length) {
+                this.neighbors(frontier.pop()).forEach(neighbor => {
+                    if (remaining.has(neighbor)) {
+                        remaining.delete(neighbor);
+                        component.push(neighbor);
+                        frontier.push(neighbor);
+                    }
+                });
+            }
+            components.push(component);
+        });
+        return components.sort((a, b) => b.length - a.length);
+    }
+    /**
+     * Collects the units reachable from `start` without stepping onto a
+     * unit that fails `belongs` (a flood fill).
+     * @param {string|number} start
+     * @param {function} belongs unit id -> boolean
+     * @returns {Set} unit ids, including `start`
+     */
+    region(start, belongs) {
+        let region = new Set([String(start)]),
+            frontier = [String(start)];
+        while (frontier.length) {
+            this.neighbors(frontier.pop()).forEach(neighbor => {
+                if (!region.has(neighbor) && belongs(neighbor)) {
+                    region.add(neighbor);
+                    frontier.push(neighbor);
+                }
+            });
+        }
+        return region;
+    }
+    /**
+     * @param {Object} assignment unit id -> district(s)
+     * @returns {number} pairs of neighbouring units in different districts,
+     *  among the assigned units
+     */
+    cutEdges(assignment) {
+        let count = 0;
+        this.unitIds.forEach(unitId => {
+            const part = firstPart(assignment[unitId]);
+            if (part === null) {
+                return;
+            }
+            this.adjacency[unitId].forEach(neighbor => {
+                const other = firstPart(assignment[neighbor]);
+                if (unitId < neighbor && other !== null && other !== part) {
+                    count += 1;
+                }
+            });
+        });
+        return count;
+    }
+}
+
+/**
+ * Groups the units of a plan assignment by district. Multi-colored units
+ * are counted with their first district, as the contiguity endpoint does.
+ * @param {Object} assignment unit id -> district number or Array of them
+ * @returns {Object} district number -> Array of unit ids
+ */
+export function unitsByPart(assignment) {
+    let parts = {};
+    Object.keys(assignment).forEach(unitId => {
+        const part = firstPart(assignment[unitId]);
+        if (part === null) {
+            return;
+        }
+        if (!parts[part]) {
+            parts[part] = [];
+        }
+        parts[part].push(unitId);
+    });
+    return parts;
+}
+
+/**
+ * @param {number|Array|null} assigned a unit's entry in a plan assignment
+ * @returns {number|null} its (first) district, or null if unassigned
+ */
+export function firstPart(assigned) {
+    const part = Array.isArray(assigned) ? assigned[0] : assigned;
+    if (part === null || part === undefined || isNaN(part)) {
+        return null;
+    }
+    return Number(part);
+}
+
+const loadedGraphs = {};
+
+/**
+ * Fetches the adjacency file named in a units record (`adjacency` in the
+ * module's JSON), once per file.
+ * @param {Object} unitsRecord
+ * @returns {Promise<AdjacencyGraph>|null} null if the units have no adjacency file
+ */
+export function loadAdjacencyGraph(unitsRecord) {
+    const url = unitsRecord && unitsRecord.adjacency;
+    if (!url) {
+        return null;
+    }
+    if (!loadedGraphs[url]) {
+        loadedGraphs[url] = fetch(url)
+            .then(res => res.json())
+            .then(adjacency => new AdjacencyGraph(adjacency));
+    }
+    return loadedGraphs[url];
+}
@@ -20,7 +20,8 @@ export default class Analyzer {
         this.store = new UIStateStore(reducer, {
             toolbar: { activeTab: activeTab, dropdownMenuOpen: false },
             elections: {
-                activeElectionIndex: 0
+                activeElectionIndex: 0,
+                seatRule: state.problem.seatRule || "plurality"
             },
             charts: {}
         });
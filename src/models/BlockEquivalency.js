@@ -0,0 +1,99 @@
+import { aggregateBlocks, majorityAssignment, parseBlockEquivalency } from "./lib/block-equivalency";
+
+const loadedCrosswalks = {};
+
+/**
+ * Finds how census blocks make up the module's units. Block groups and
+ * tracts are named by the start of their blocks' GEOIDs; other units (VTDs,
+ * precincts) need a crosswalk file, named `blockCrosswalk` in the module's
+ * JSON, mapping each block GEOID to a unit id or to [unit id, population]
+ * (made by build/block-crosswalk.js).
+ * @param {Object} unitsRecord
+ * @returns {Promise<function>|null} block GEOID -> { unit, population } or
+ *  null, or null if there's no way to tell for these units
+ */
+export function loadBlockCrosswalk(unitsRecord) {
+    const url = unitsRecord.blockCrosswalk;
+    if (url) {
+        if (!loadedCrosswalks[url]) {
+            loadedCrosswalks[url] = fetch(url).then(res => res.json());
+        }
+        return loadedCrosswalks[url].then(crosswalk => block => {
+            const entry = crosswalk[block];
+            if (entry === undefined || entry === null) {
+                return null;
+            }
+            return Array.isArray(entry)
+                ? { unit: String(entry[0]), population: entry[1] }
+                : { unit: String(entry) };
+        });
+    }
+    if (unitsRecord.id.includes("blockgroup")) {
+        return Promise.resolve(block => ({ unit: block.slice(0, 12) }));
+    } else if (unitsRecord.id.includes("tract")) {
+        return Promise.resolve(block => ({ unit: block.slice(0, 11) }));
+    }
+    return null;
+}
+
+/**
+ * Reads a block equivalency file and works out which districts each of the
+ * module's units falls in.
+ * @param {string} text the file
+ * @param {Object} unitsRecord
+ * @returns {Promise<Object>} { blocks, districts, majority, splits,
+ *  unmatchedBlocks }: the number of blocks read, the district labels in
+ *  order, unit id -> majority district label, the split units (see
+ *  `majorityAssignment`) and the blocks in none of the module's units
+ */
+export function readBlockEquivalency(text, unitsRecord) {
+    const crosswalk = loadBlockCrosswalk(unitsRecord);
+    if (!crosswalk) {
+        return Promise.reject(new Error("This map's units can't be matched to census blocks yet."));
+    }
+    const blocks = parseBlockEquivalency(text),
+        labels = Array.from(new Set(Object.values(blocks)));
+    if (!labels.length) {
+        return Promise.reject(new Error("The file has no block assignments in it."));
+    }
+    const districts = labels.every(label => !isNaN(label))
+        ? labels.sort((a, b) => a - b)
+        : labels.sort();
+    return crosswalk.then(unitOf => {
+        const { units, unmatchedBlocks } = aggregateBlocks(blocks, unitOf),
+            { majority, splits } = majorityAssignment(units);
+        return {
+            blocks: Object.keys(blocks).length,
+            districts,
+            majority,
+            splits,
+            unmatchedBlocks
+        };
+    });
+}
+
+/**
+ * Makes a plan from a block equivalency file read by `readBlockEquivalency`.
+ * @param {Object} equivalency
+ * @param {Object} context the current plan's context
+ * @param {boolean} assignSplits true to assign split units to their
+ *  majority district, false to leave them unassigned
+ * @returns {Object} the new plan's context
+ */
+export function planFromBlockEquivalency({ districts, majority, splits }, context, assignSplits) {
+    const split = new Set(splits.map(({ unit }) => unit));
+    let assignment = {};
+    Object.keys(majority).forEach(unit => {
+        if (assignSplits || !split.has(unit)) {
+            assignment[unit] = districts.indexOf(majority[unit]);
+        }
+    });
+    return {
+        ...context,
+        assignment,
+        problem: {
+            ...context.problem,
+            numberOfParts: Math.max(context.problem.numberOfParts, districts.length)
+        }
+    };
+}
@@ -0,0 +1,222 @@
+import { samePart } from "./lib/collab-room";
+import { generateId } from "../utils";
+
+// how often to send the cursor's position, in milliseconds
+const CURSOR_INTERVAL = 100;
+
+function asPart(part) {
+    if (Array.isArray(part)) {
+        return part.length ? part.map(Number) : null;
+    }
+    return part === null || part === undefined || part === "" || isNaN(part) ? null : Number(part);
+}
+
+/**
+ * Edits a plan together with the other people who have it open: brush
+ * strokes are sent to the collaboration server (see
+ * src/models/lib/collab-room.js) as they end, and theirs are painted here.
+ * When two people change a unit at once, the server keeps the first change
+ * and this plan takes it.
+ */
+export default class Collaboration {
+    /**
+     * @param {State} state
+     * @param {Brush} brush
+     * @param {function} onChange called when collaborators come and go, or
+     *  the connection opens or closes
+     */
+    constructor(state, brush, onChange) {
+        this.state = state;
+        this.brush = brush;
+        this.onChange = onChange;
+        this.socket = null;
+        this.you = null;
+        // user id -> { id, name, color }
+        this.users = {};
+        // unit id -> the version of the unit this plan has
+        this.versions = {};
+        // unit id -> part, for changes to units which aren't loaded yet
+        this.unloaded = {};
+        // unit id -> part, painted here since the last stroke ended
+        this.pending = {};
+        this.conflicts = 0;
+        this.applying = false;
+        this.error = null;
+        this.cursors = null;
+        this.lastCursor = 0;
+
+        this.onColorFeature = this.onColorFeature.bind(this);
+        this.onColorOp = this.onColorOp.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.retryUnloaded = this.retryUnloaded.bind(this);
+        brush.on("colorfeature", this.onColorFeature);
+        brush.on("colorop", this.onColorOp);
+    }
+    get connected() {
+        return this.socket !== null && this.you !== null;
+    }
+    /**
+     * @param {Object} socket a WebSocket, or a stand-in like `localSocket`
+     * @param {Object} access { planId, token, bearer, name }: the saved
+     *  plan, its edit token, the signed-in user's bearer token (either token
+     *  may be empty) and how collaborators see you
+     * @param {CollaboratorCursors} [cursors] shows collaborators' cursors
+     */
+    connect(socket, { planId, token, bearer, name }, cursors) {
+        this.disconnect();
+        this.socket = socket;
+        this.cursors = cursors || null;
+        this.error = null;
+        socket.onopen = () => this.send({
+            type: "join",
+            planId,
+            token,
+            bearer,
+            user: { id: generateId(8), name }
+        });
+        socket.onmessage = e => this.receive(JSON.parse(e.data));
+        socket.onerror = () => {
+            this.error = "Could not reach the collaboration server.";
+        };
+        socket.onclose = () => {
+            this.socket = null;
+            this.stop();
+        };
+        this.state.map.on("mousemove", this.onMouseMove);
+        this.state.map.on("idle", this.retryUnloaded);
+    }
+    disconnect() {
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.stop();
+    }
+    stop() {
+        this.state.map.off("mousemove", this.onMouseMove);
+        this.state.map.off("idle", this.retryUnloaded);
+        if (this.cursors) {
+            this.cursors.clear();
+        }
+        this.you = null;
+        this.users = {};
+        this.pending = {};
+        this.onChange();
+    }
+    send(message) {
+        if (this.socket) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+    receive(message) {
+        if (message.type === "welcome") {
+            this.you = message.you;
+            this.users = {};
+            message.users.forEach(user => {
+                this.users[user.id] = user;
+            });
+            if (message.assignment === null) {
+                this.send({ type: "snapshot", assignment: this.state.plan.assignment });
+            } else {
+                this.sync(message.assignment, message.versions);
+            }
+        } else if (message.type === "state") {
+            this.sync(message.assignment, message.versions);
+        } else if (message.type === "joined") {
+            this.users[message.user.id] = message.user;
+        } else if (message.type === "left") {
+            Reflect.deleteProperty(this.users, message.user);
+            if (this.cursors) {
+                this.cursors.remove(message.user);
+            }
+        } else if (message.type === "paint") {
+            message.changes.forEach(([unitId, , version]) => {
+                this.versions[unitId] = version;
+            });
+            if (message.user !== this.you.id) {
+                this.applyChanges(message.changes);
+            }
+        } else if (message.type === "reject") {
+            message.changes.forEach(([unitId, , version]) => {
+                this.versions[unitId] = version;
+            });
+            this.conflicts += message.changes.length;
+            this.applyChanges(message.changes);
+        } else if (message.type === "cursor" && this.cursors && this.users[message.user]) {
+            this.cursors.move(this.users[message.user], message.lngLat);
+            return;
+        } else if (message.type === "error") {
+            this.error = message.message;
+        }
+        this.onChange();
+    }
+    /**
+     * Takes the room's copy of the plan in place of this one.
+     * @param {Object} assignment
+     * @param {Object} versions unit id -> version
+     */
+    sync(assignment, versions) {
+        this.versions = { ...versions };
+        const local = this.state.plan.assignment,
+            unitIds = new Set(Object.keys(local).concat(Object.keys(assignment)));
+        this.applyChanges(Array.from(unitIds)
+            .filter(unitId => !samePart(asPart(local[unitId]), asPart(assignment[unitId])))
+            .map(unitId => [unitId, asPart(assignment[unitId])]));
+    }
+    /**
+     * Paints changes made elsewhere, without sending them back.
+     * @param {Array[]} changes list of [unitId, part, ...]
+     */
+    applyChanges(changes) {
+        if (!changes.length) {
+            return;
+        }
+        this.applying = true;
+        const missing = this.brush.restoreUnits(changes.map(([unitId, part]) => [unitId, asPart(part)]));
+        this.applying = false;
+        const parts = {};
+        changes.forEach(([unitId, part]) => {
+            parts[unitId] = asPart(part);
+        });
+        missing.forEach(unitId => {
+            this.unloaded[unitId] = parts[unitId];
+        });
+    }
+    // paints the changes to units which have loaded on the map since
+    retryUnloaded() {
+        const unitIds = Object.keys(this.unloaded);
+        if (!unitIds.length) {
+            return;
+        }
+        const changes = unitIds.map(unitId => [unitId, this.unloaded[unitId]]);
+        this.unloaded = {};
+        this.applyChanges(changes);
+    }
+    onColorFeature(feature, part) {
+        if (this.applying || !this.connected) {
+            return;
+        }
+        const unitId = String(this.state.idColumn.getValue(feature));
+        this.pending[unitId] = asPart(part);
+        Reflect.deleteProperty(this.unloaded, unitId);
+    }
+    onColorOp() {
+        const unitIds = Object.keys(this.pending);
+        if (this.applying || !this.connected || !unitIds.length) {
+            return;
+        }
+        this.send({
+            type: "paint",
+            changes: unitIds.map(unitId => [unitId, this.pending[unitId], this.versions[unitId] || 0])
+        });
+        this.pending = {};
+    }
+    onMouseMove(e) {
+        const now = Date.now();
+        if (this.connected && now - this.lastCursor > CURSOR_INTERVAL) {
+            this.lastCursor = now;
+            this.send({ type: "cursor", lngLat: [e.lngLat.lng, e.lngLat.lat] });
+        }
+    }
+}
@@ -0,0 +1,252 @@
+import { firstPart, loadAdjacencyGraph } from "./AdjacencyGraph";
+import { dissolve, geometryArea, projectGeometry } from "../map/geometry";
+import { compactnessScores } from "../map/compactness-scores";
+import { bindAll } from "../utils";
+
+const loadedGeometries = {};
+
+/**
+ * Fetches the GeoJSON file of the units named in a units record (`geojson`
+ * in the module's JSON), once per file.
+ * @param {Object} unitsRecord
+ * @param {IdColumn} idColumn
+ * @returns {Promise<Object>|null} unit id -> geometry, or null if the units
+ *  have no GeoJSON file
+ */
+export function loadUnitGeometries(unitsRecord, idColumn) {
+    const url = unitsRecord && unitsRecord.geojson;
+    if (!url) {
+        return null;
+    }
+    if (!loadedGeometries[url]) {
+        loadedGeometries[url] = fetch(url)
+            .then(res => res.json())
+            .then(({ features }) => {
+                let geometries = {};
+                features.forEach(feature => {
+                    geometries[String(idColumn.getValue(feature))] = feature.geometry;
+                });
+                return geometries;
+            });
+    }
+    return loadedGeometries[url];
+}
+
+/**
+ * The shapes of the plan's units, from the module's GeoJSON file when it
+ * has one, and otherwise from the units loaded on the map, keeping the
+ * largest piece of units which are cut across tiles.
+ * @param {State} state
+ * @returns {Promise<Object>} { geometries, fromFile }: unit id -> geometry,
+ *  and whether they came from the file
+ */
+export function loadPlanUnitGeometries(state) {
+    const loading = loadUnitGeometries(state.unitsRecord, state.idColumn);
+    if (loading) {
+        return loading.then(geometries => ({ geometries, fromFile: true }));
+    }
+    let geometries = {},
+        areas = {};
+    state.units.querySourceFeatures().forEach(feature => {
+        const unitId = String(state.idColumn.getValue(feature)),
+            area = geometryArea(feature.geometry);
+        if (!areas[unitId] || area > areas[unitId]) {
+            areas[unitId] = area;
+            geometries[unitId] = feature.geometry;
+        }
+    });
+    return Promise.resolve({ geometries, fromFile: false });
+}
+
+/**
+ * Scores the compactness of each district in the browser: Polsby-Popper,
+ * Reock and convex hull ratio from the dissolved unit geometries, and cut
+ * edges from the adjacency graph.
+ *
+ * Geometries come from the module's GeoJSON file when it has one, and
+ * otherwise from the map tiles. Tiles only hold the units in view, clipped
+ * at tile borders, so scores from tiles are approximate.
+ */
+export default class Compactness {
+    /**
+     * @param {State} state
+     * @param {function} onChange called when the scores change
+     */
+    constructor(state, onChange) {
+        this.state = state;
+        this.onChange = onChange;
+        this.scores = {};
+        this.cutEdges = null;
+        this.missingUnits = 0;
+        this.error = null;
+        // district -> units without a geometry
+        this.missingByPart = {};
+        // unit id -> district, as of the last count of cut edges
+        this.countedParts = null;
+        this.cutEdgeCount = 0;
+        // districts to score again when shown, or null for all of them
+        this.dirty = null;
+        this.visible = false;
+
+        const bounds = state.unitsRecord.bounds;
+        this.latitude = bounds ? (bounds[0][1] + bounds[1][1]) / 2 : 0;
+        // unit id -> projected geometry, and its area when it is from tiles
+        this.geometries = {};
+        this.tileAreas = {};
+        this.fromFile = Boolean(state.unitsRecord.geojson);
+
+        const loading = loadUnitGeometries(state.unitsRecord, state.idColumn);
+        this.loaded = loading
+            ? loading.then(geometries => {
+                Object.keys(geometries).forEach(unitId => {
+                    this.geometries[unitId] = projectGeometry(geometries[unitId], this.latitude);
+                });
+            })
+            : Promise.resolve();
+        this.graph = loadAdjacencyGraph(state.unitsRecord);
+
+        bindAll(["onSourceData"], this);
+        if (!this.fromFile) {
+            state.map.on("sourcedata", this.onSourceData);
+        }
+    }
+    /**
+     * Adds the units loaded on the map, keeping the largest piece of units
+     * which are cut across tiles.
+     * @returns {number} the number of units seen for the first time
+     */
+    collectTileGeometries() {
+        let added = 0;
+        this.state.units.querySourceFeatures().forEach(feature => {
+            const unitId = String(this.state.idColumn.getValue(feature)),
+                geometry = projectGeometry(feature.geometry, this.latitude),
+                area = geometryArea(geometry);
+            if (!this.tileAreas[unitId]) {
+                added += 1;
+            }
+            if (!this.tileAreas[unitId] || area > this.tileAreas[unitId]) {
+                this.tileAreas[unitId] = area;
+                this.geometries[unitId] = geometry;
+            }
+        });
+        return added;
+    }
+    onSourceData(e) {
+        if (e.sourceId !== this.state.units.sourceId || !e.isSourceLoaded) {
+            return;
+        }
+        if (!this.visible) {
+            // collected when the scores are shown
+            this.dirty = null;
+        } else if (this.collectTileGeometries()) {
+            this.update();
+        }
+    }
+    /**
+     * Scores are only computed while they're shown.
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        const shown = visible && !this.visible;
+        this.visible = visible;
+        if (shown && (this.dirty === null || this.dirty.size)) {
+            this.refresh();
+        }
+    }
+    /**
+     * Scores the plan again, e.g. after painting.
+     * @param {Set} [changedParts] the districts that changed; all of them if
+     *  not given
+     */
+    update(changedParts) {
+        if (!changedParts) {
+            this.dirty = null;
+        } else if (this.dirty !== null) {
+            changedParts.forEach(part => this.dirty.add(Number(part)));
+        }
+        if (this.visible) {
+            this.refresh();
+        }
+    }
+    refresh() {
+        const dirty = this.dirty,
+            changed = part => dirty === null || dirty.has(part);
+        this.dirty = new Set();
+        this.loaded.then(() => {
+            if (!this.fromFile && dirty === null) {
+                this.collectTileGeometries();
+            }
+            const assignment = this.state.plan.assignment;
+            let byPart = {};
+            Object.keys(assignment).forEach(unitId => {
+                const part = firstPart(assignment[unitId]);
+                if (part !== null && changed(part)) {
+                    byPart[part] = byPart[part] || [];
+                    byPart[part].push(unitId);
+                }
+            });
+
+            // districts with no units left
+            Object.keys({ ...this.scores, ...this.missingByPart })
+                .filter(part => changed(Number(part)) && !byPart[part])
+                .forEach(part => {
+                    Reflect.deleteProperty(this.scores, part);
+                    Reflect.deleteProperty(this.missingByPart, part);
+                });
+            Object.keys(byPart).forEach(part => {
+                const geometries = byPart[part].map(unitId => this.geometries[unitId]).filter(Boolean);
+                this.missingByPart[part] = byPart[part].length - geometries.length;
+                if (geometries.length) {
+                    this.scores[part] = compactnessScores(dissolve(geometries));
+                } else {
+                    Reflect.deleteProperty(this.scores, part);
+                }
+            });
+            this.missingUnits = Object.values(this.missingByPart).reduce((sum, count) => sum + count, 0);
+            this.error = null;
+            return this.graph;
+        })
+            .then(graph => {
+                this.cutEdges = graph ? this.countCutEdges(graph) : null;
+            })
+            .catch(e => {
+                this.error = e.message;
+            })
+            .then(this.onChange);
+    }
+    /**
+     * Counts the plan's cut edges once, then only looks at the edges of the
+     * units which have changed district since.
+     * @param {AdjacencyGraph} graph
+     * @returns {number}
+     */
+    countCutEdges(graph) {
+        const assignment = this.state.plan.assignment,
+            partOf = unitId => firstPart(assignment[unitId]);
+        if (!this.countedParts) {
+            this.countedParts = {};
+            graph.unitIds.forEach(unitId => {
+                this.countedParts[unitId] = partOf(unitId);
+            });
+            this.cutEdgeCount = graph.cutEdges(assignment);
+            return this.cutEdgeCount;
+        }
+        const changed = new Set(graph.unitIds.filter(unitId => partOf(unitId) !== this.countedParts[unitId])),
+            isCut = (a, b) => a !== null && b !== null && a !== b;
+        changed.forEach(unitId => {
+            graph.neighbors(unitId).forEach(neighbor => {
+                // an edge between two changed units is counted once
+                if (changed.has(neighbor) && neighbor < unitId) {
+                    return;
+                }
+                const before = isCut(this.countedParts[unitId], this.countedParts[neighbor]),
+                    after = isCut(partOf(unitId), partOf(neighbor));
+                this.cutEdgeCount += Number(after) - Number(before);
+            });
+        });
+        changed.forEach(unitId => {
+            this.countedParts[unitId] = partOf(unitId);
+        });
+        return this.cutEdgeCount;
+    }
+}
@@ -0,0 +1,84 @@
+import { countyKey } from "./lib/county-key";
+import { countySplits } from "./lib/county-splits";
+import { polygonsOf } from "../map/geometry";
+import { bindAll } from "../utils";
+
+function extendBounds(bounds, geometry) {
+    polygonsOf(geometry).forEach(rings => rings[0].forEach(([x, y]) => {
+        bounds[0] = Math.min(bounds[0], x);
+        bounds[1] = Math.min(bounds[1], y);
+        bounds[2] = Math.max(bounds[2], x);
+        bounds[3] = Math.max(bounds[3], y);
+    }));
+    return bounds;
+}
+
+/**
+ * Keeps a report of the counties (or municipalities) the plan splits,
+ * worked out in the browser from the units loaded on the map, using the
+ * same county columns as the county brush.
+ */
+export default class CountySplitReport {
+    /**
+     * @param {State} state
+     * @param {function} onChange called when the report changes
+     */
+    constructor(state, onChange) {
+        this.state = state;
+        this.onChange = onChange;
+        // unit id -> { county, population }
+        this.units = {};
+        // county -> [west, south, east, north] of its loaded units
+        this.bounds = {};
+        this.counties = 0;
+        this.splits = [];
+
+        bindAll(["onSourceData", "update"], this);
+        state.map.on("sourcedata", this.onSourceData);
+    }
+    /**
+     * @returns {number} the number of units seen for the first time
+     */
+    collectUnits() {
+        const population = this.state.population.total;
+        let added = 0;
+        this.state.units.querySourceFeatures().forEach(feature => {
+            const unitId = String(this.state.idColumn.getValue(feature)),
+                key = countyKey(feature.properties);
+            if (!key) {
+                return;
+            }
+            const county = String(key[1]);
+            if (!this.units[unitId]) {
+                this.units[unitId] = { county, population: population.getValue(feature) };
+                added += 1;
+            }
+            this.bounds[county] = extendBounds(this.bounds[county] || [Infinity, Infinity, -Infinity, -Infinity],
+                feature.geometry);
+        });
+        return added;
+    }
+    onSourceData(e) {
+        if (e.sourceId === this.state.units.sourceId && e.isSourceLoaded && this.collectUnits()) {
+            this.update();
+        }
+    }
+    /**
+     * Finds the splits again, e.g. after painting.
+     */
+    update() {
+        const { counties, splits } = countySplits(this.units, this.state.plan.assignment);
+        this.counties = counties;
+        this.splits = splits;
+        this.onChange();
+    }
+    /**
+     * @param {string} county
+     */
+    zoomTo(county) {
+        const bounds = this.bounds[county];
+        if (bounds) {
+            this.state.map.fitBounds([[bounds[0], bounds[1]], [bounds[2], bounds[3]]], { padding: 50 });
+        }
+    }
+}
@@ -19,7 +19,8 @@ export default class Editor {
         this.store = new UIStateStore(reducer, {
             toolbar: { activeTab: activeTab, dropdownMenuOpen: false },
             elections: {
-                activeElectionIndex: 0
+                activeElectionIndex: 0,
+                seatRule: state.problem.seatRule || "plurality"
             },
             charts: {}
         });
@@ -1,4 +1,5 @@
 import ColumnSet from "./ColumnSet";
+import { seatsByRule } from "./lib/seats";
 
 export default class Election extends ColumnSet {
     constructor(name, subgroups, parts, alternate) {
@@ -41,13 +42,26 @@ export default class Election extends ColumnSet {
             otherParty.asMapboxExpression()
         ];
     }
-    getSeatsWonParty(party) {
-        let groups = this.subgroups;
-        let data = groups.map(g => g.data);
+    /**
+     * @param {Subgroup} party
+     * @param {number[]} [seats] each part's seat count, one apiece by default
+     * @param {string} [rule] how a part's seats are won, a key of SEAT_RULES
+     * @returns {number} the seats the party wins
+     */
+    getSeatsWonParty(party, seats, rule = "plurality") {
+        const index = this.subgroups.indexOf(party);
         let count = 0;
         for (let i = 0; i < party.data.length; i++) {
-            ((party.data[i] == Math.max(...data.map(d => d[i]))) && party.data[i] > 0) ? count++ : null;
+            const votes = this.subgroups.map(g => g.data[i]);
+            count += seatsByRule(votes, seats ? seats[i] : 1, rule)[index];
         }
         return count;
     }
+    /**
+     * @param {number[]} [seats] each part's seat count, one apiece by default
+     * @returns {number} the seats in the plan
+     */
+    totalSeats(seats) {
+        return seats ? seats.reduce((sum, s) => sum + s, 0) : this.total.data.length;
+    }
 }
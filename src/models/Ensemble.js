@@ -0,0 +1,101 @@
+import { firstPart } from "./AdjacencyGraph";
+import { countyKey } from "./lib/county-key";
+
+const WORKER_URL = "/workers/ensemble.js";
+
+/**
+ * Builds an ensemble of plans for the units of the current plan, by running
+ * a ReCom chain in a Web Worker, and keeps the scores of the current plan and
+ * of the ensemble for the histograms.
+ */
+export default class Ensemble {
+    /**
+     * @param {State} state
+     * @param {function} onChange called when progress is made or the run ends
+     */
+    constructor(state, onChange) {
+        this.state = state;
+        this.onChange = onChange;
+        this.worker = null;
+        this.steps = 0;
+        this.progress = 0;
+        this.result = null;
+        this.error = null;
+
+        // seats are counted for the first party of the first two-party election
+        this.election = state.elections.find(election => election.subgroups.length === 2
+            && election.subgroups.every(party => ["d", "r"].includes(party.name.toLowerCase()[0])));
+    }
+    get running() {
+        return this.worker !== null;
+    }
+    /**
+     * @returns {Object} unit id -> { population, votes, county }, for the
+     *  units loaded on the map (the worker won't run without all of them)
+     */
+    collectUnits() {
+        const population = this.state.population.total;
+        let units = {};
+        this.state.units.querySourceFeatures().forEach(feature => {
+            // the county the county brush and split report see
+            const key = countyKey(feature.properties);
+            units[String(this.state.idColumn.getValue(feature))] = {
+                population: population.getValue(feature),
+                votes: this.election
+                    ? this.election.subgroups.map(party => party.getValue(feature))
+                    : null,
+                county: key ? String(key[1]) : null
+            };
+        });
+        return units;
+    }
+    /**
+     * @param {number} steps number of ReCom steps (plans in the ensemble)
+     * @param {number} epsilon allowed population deviation
+     */
+    run(steps, epsilon) {
+        this.stop();
+        let assignment = {};
+        Object.keys(this.state.plan.assignment).forEach(unitId => {
+            assignment[unitId] = firstPart(this.state.plan.assignment[unitId]);
+        });
+
+        this.steps = steps;
+        this.progress = 0;
+        this.result = null;
+        this.error = null;
+        this.worker = new Worker(WORKER_URL);
+        this.worker.onmessage = ({ data }) => {
+            if (data.type === "progress") {
+                this.progress = data.step;
+            } else {
+                if (data.type === "done") {
+                    this.result = data;
+                } else {
+                    this.error = data.message;
+                }
+                this.stop();
+            }
+            this.onChange();
+        };
+        this.worker.onerror = e => {
+            this.error = e.message;
+            this.stop();
+            this.onChange();
+        };
+        this.worker.postMessage({
+            adjacency: new URL(this.state.unitsRecord.adjacency, window.location.href).href,
+            assignment,
+            units: this.collectUnits(),
+            steps,
+            epsilon
+        });
+        this.onChange();
+    }
+    stop() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
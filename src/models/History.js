@@ -0,0 +1,81 @@
+/**
+ * The undo/redo history of a plan. Each entry is one brush stroke (or
+ * other atomic coloring operation), stored as a compact diff of
+ * `[unitId, oldPart, newPart]` triples so that the whole history can be
+ * saved next to the plan in localStorage.
+ *
+ * `cursor` is the number of entries currently applied to the plan, so
+ * undoing moves it down and redoing moves it up.
+ */
+export default class History {
+    /**
+     * @param {Object} [saved] a serialized History, from localStorage
+     */
+    constructor(saved) {
+        const { entries, cursor } = saved || {};
+        this.entries = entries || [];
+        this.cursor = cursor === undefined || cursor === null
+            ? this.entries.length
+            : Math.max(0, Math.min(cursor, this.entries.length));
+    }
+    get canUndo() {
+        return this.cursor > 0;
+    }
+    get canRedo() {
+        return this.cursor < this.entries.length;
+    }
+    /**
+     * Adds an operation after the cursor, discarding anything that
+     * could have been redone.
+     * @param {Array[]} changes list of [unitId, oldPart, newPart]
+     * @param {number|null} color the brush color used (null when erasing)
+     * @param {string} [label] describes operations which are not one brush
+     *  color, e.g. "Filled unassigned units"
+     */
+    record(changes, color, label) {
+        if (!changes.length) {
+            return;
+        }
+        this.entries = this.entries.slice(0, this.cursor);
+        this.entries.push({
+            color: color === undefined || color === null ? null : color,
+            label: label || null,
+            time: Date.now(),
+            changes
+        });
+        this.cursor = this.entries.length;
+    }
+    /**
+     * Moves the cursor to `position`, returning the entries which need to be
+     * reverted or re-applied (in order) to bring the plan there.
+     * @param {number} position number of entries which should be applied
+     * @returns {Object[]} steps of { entry, forward }
+     */
+    moveTo(position) {
+        position = Math.max(0, Math.min(position, this.entries.length));
+        let steps = [];
+        while (this.cursor > position) {
+            this.cursor -= 1;
+            steps.push({ entry: this.entries[this.cursor], forward: false });
+        }
+        while (this.cursor < position) {
+            steps.push({ entry: this.entries[this.cursor], forward: true });
+            this.cursor += 1;
+        }
+        return steps;
+    }
+    /**
+     * @param {number} [count] the most entries to keep, e.g. to fit in
+     *  localStorage. The oldest are dropped first, but never ones after
+     *  the cursor while there are applied ones to drop.
+     * @returns {Object} { entries, cursor }
+     */
+    serialize(count) {
+        const keep = count === undefined ? this.entries.length : Math.max(count, 0),
+            start = Math.max(0, Math.min(this.entries.length - keep, this.cursor));
+        return {
+            entries: this.entries.slice(start, start + keep),
+            cursor: this.cursor - start
+        };
+    }
+}
@@ -0,0 +1,111 @@
+import { firstPart } from "./AdjacencyGraph";
+import { nestingReport } from "./lib/nesting";
+
+/**
+ * Builds an upper-chamber plan (e.g. state senate districts) out of the
+ * districts of a lower-chamber plan (e.g. state house districts). The brush
+ * paints and erases every unit of a lower district at once, and `report`
+ * lists the lower districts the plan splits. The plan's population and vote
+ * tallies are still summed from its units, like any other plan's.
+ *
+ * The upper plan only keeps a reference to the lower one, which is loaded
+ * from the database when the editor opens (see `loadLowerChamber`); until
+ * then the brush paints single units and there is nothing to report.
+ */
+export default class Nesting {
+    /**
+     * @param {State} state the upper-chamber plan
+     * @param {Object} lower the lower-chamber plan, as saved on the upper
+     *  one's `nesting`: { planId, name, pluralNoun, numberOfParts }
+     * @param {Object} [assignment] the lower plan's assignment, if it is
+     *  already loaded
+     */
+    constructor(state, lower, assignment) {
+        this.state = state;
+        this.map = state.map;
+        this.units = state.units;
+        this.idColumn = state.idColumn;
+        this.lower = lower;
+        this.assignment = assignment || null;
+        // set if the lower plan couldn't be loaded
+        this.error = null;
+        // lower district -> its features in the loaded tiles
+        this.loaded = null;
+
+        this.expand = this.expand.bind(this);
+        this.onSourceData = this.onSourceData.bind(this);
+        this.map.on("sourcedata", this.onSourceData);
+    }
+    onSourceData(e) {
+        if (e.sourceId === this.units.sourceId) {
+            this.loaded = null;
+        }
+    }
+    /**
+     * @param {Object} assignment the lower plan's assignment, once loaded
+     */
+    setAssignment(assignment) {
+        this.assignment = assignment;
+        this.loaded = null;
+    }
+    /**
+     * Stops listening to the map, when the plan stops nesting or nests in
+     * another plan.
+     */
+    remove() {
+        this.map.off("sourcedata", this.onSourceData);
+    }
+    /**
+     * @param {Object} feature a unit
+     * @returns {number|null} its lower district
+     */
+    lowerDistrictOf(feature) {
+        return this.assignment
+            ? firstPart(this.assignment[String(this.idColumn.getValue(feature))])
+            : null;
+    }
+    loadedFeatures() {
+        if (!this.loaded) {
+            let seen = new Set();
+            this.loaded = {};
+            this.units.querySourceFeatures().forEach(feature => {
+                const lower = this.lowerDistrictOf(feature);
+                if (lower === null || seen.has(feature.id)) {
+                    return;
+                }
+                seen.add(feature.id);
+                this.loaded[lower] = this.loaded[lower] || [];
+                this.loaded[lower].push(feature);
+            });
+        }
+        return this.loaded;
+    }
+    /**
+     * @param {Object[]} features units under the brush
+     * @returns {Object[]} those units and the other loaded units of their
+     *  lower districts, with their feature state
+     */
+    expand(features) {
+        const lowers = new Set(features.map(feature => this.lowerDistrictOf(feature))
+            .filter(lower => lower !== null));
+        let seen = new Set(features.map(feature => feature.id)),
+            expanded = features.slice();
+        lowers.forEach(lower => {
+            (this.loadedFeatures()[lower] || []).forEach(feature => {
+                if (!seen.has(feature.id)) {
+                    seen.add(feature.id);
+                    feature.state = this.units.getFeatureState(feature.id);
+                    expanded.push(feature);
+                }
+            });
+        });
+        return expanded;
+    }
+    /**
+     * @returns {Object|null} see `nestingReport`, or null until the lower
+     *  plan has loaded
+     */
+    report() {
+        return this.assignment ? nestingReport(this.assignment, this.state.plan.assignment) : null;
+    }
+}
@@ -1,24 +1,38 @@
 import { html } from "lit-html";
 
 export default class Part {
-    constructor(id, noun, displayNumber, color, visible = true) {
+    /**
+     * @param {number} id
+     * @param {string} noun
+     * @param {number} displayNumber
+     * @param {Object} color
+     * @param {boolean} [visible]
+     * @param {number|null} [seats] the part's seat count, or null to follow
+     *  its population (see `seatCount`)
+     */
+    constructor(id, noun, displayNumber, color, visible = true, seats = 1) {
         this.id = id;
         this.noun = noun;
         this.displayNumber = displayNumber;
         this.color = color.hex;
         this.hoverColor = color.hoverHex;
         this.visible = visible;
+        this.seats = seats;
     }
-    updateDescription({ name, description }) {
+    updateDescription({ name, description, seats }) {
         this.name = name;
         this.description = description;
+        if (seats !== undefined) {
+            this.seats = seats;
+        }
     }
     serialize() {
         return {
             id: this.id,
             displayNumber: this.displayNumber,
             name: this.name,
-            description: this.description
+            description: this.description,
+            seats: this.seats
         };
     }
     renderLabel() {
@@ -0,0 +1,136 @@
+import { numberWithCommas, plan_rules, roundToDecimal } from "../utils";
+
+function percent(fraction) {
+    return `${roundToDecimal(fraction * 100, 1)}%`;
+}
+
+function findSubgroup(columnSet, group) {
+    return columnSet
+        ? columnSet.subgroups.find(subgroup => subgroup.key === group || subgroup.name === group)
+        : undefined;
+}
+
+/**
+ * Checks a plan against the rules of its module (see `plan_rules` in
+ * utils.js). Each check passes, fails, or can't be made yet (e.g. when
+ * contiguity isn't computed for these units).
+ */
+export default class PlanChecklist {
+    /**
+     * @param {State} state
+     * @param {Object} [rules] defaults to the rules of the state's module
+     * @param {CountySplitReport} [splits] needed for the county split rule
+     */
+    constructor(state, rules, splits) {
+        this.state = state;
+        this.rules = rules || plan_rules(state.place.id, state.problem);
+        this.splits = splits || null;
+    }
+    /**
+     * @returns {Object[]} one `{ id, label, level, passed, detail }` per
+     *  rule which applies to the plan, where `passed` is null if the rule
+     *  couldn't be checked
+     */
+    check() {
+        return Object.keys(this.rules)
+            .filter(id => this[id])
+            .map(id => {
+                const rule = this.rules[id],
+                    result = this[id](rule);
+                return result ? { id, level: rule.level || "warning", ...result } : null;
+            })
+            .filter(Boolean);
+    }
+    /**
+     * @returns {Object[]} the checks which failed, errors first
+     */
+    failures() {
+        const failed = this.check().filter(result => result.passed === false);
+        return failed.filter(result => result.level === "error")
+            .concat(failed.filter(result => result.level !== "error"));
+    }
+    all_assigned() {
+        const total = this.state.population.total,
+            assigned = total.data.reduce((sum, value) => sum + value, 0),
+            unassigned = Math.max(0, Math.round(total.sum - assigned));
+        return {
+            label: "Every unit is assigned",
+            passed: unassigned === 0,
+            detail: unassigned ? `${numberWithCommas(unassigned)} people are not in a district` : ""
+        };
+    }
+    district_count() {
+        const data = this.state.population.total.data,
+            empty = data.filter(value => value <= 0).length;
+        return {
+            label: `All ${data.length} ${this.state.problem.pluralNoun} are drawn`,
+            passed: empty === 0,
+            detail: empty ? `${empty} have no population` : ""
+        };
+    }
+    population({ tolerance }) {
+        const worst = Math.max(...this.state.population.deviations().map(Math.abs));
+        return {
+            label: `Population within ±${percent(tolerance)} of ideal`,
+            passed: worst <= tolerance,
+            detail: `largest deviation is ${percent(worst)}`
+        };
+    }
+    contiguity() {
+        const label = "Districts are contiguous";
+        if (!this.state.contiguity) {
+            return { label, passed: null, detail: "not checked for these units" };
+        }
+        const broken = Object.keys(this.state.contiguity)
+            .filter(part => this.state.contiguity[part])
+            .map(part => Number(part) + 1);
+        return {
+            label,
+            passed: broken.length === 0,
+            detail: broken.length ? `not contiguous: ${broken.join(", ")}` : ""
+        };
+    }
+    county_splits({ max }) {
+        const label = `At most ${max} split counties`;
+        if (!this.splits || !this.splits.counties) {
+            return { label, passed: null, detail: "counties are not known for these units" };
+        }
+        return {
+            label,
+            passed: this.splits.splits.length <= max,
+            detail: `${this.splits.splits.length} split`
+        };
+    }
+    minority_opportunity({ group, threshold, districts }) {
+        const subgroup = findSubgroup(this.state.vap, group) || findSubgroup(this.state.population, group),
+            label = `At least ${districts} ${this.state.problem.pluralNoun} where the `
+                + `${subgroup ? subgroup.name : group} is ${percent(threshold)} or more`;
+        if (!subgroup) {
+            return { label, passed: null, detail: `no ${group} population in this module` };
+        }
+        const count = this.state.parts
+            .filter(part => subgroup.getFractionInPart(part.id) >= threshold)
+            .length;
+        return {
+            label,
+            passed: count >= districts,
+            detail: `${count} so far`
+        };
+    }
+    nesting() {
+        if (!this.state.nesting) {
+            return null;
+        }
+        const report = this.state.nesting.report(),
+            noun = this.state.nesting.lower.pluralNoun || "lower districts";
+        if (!report) {
+            return { label: `No ${noun} are split`, passed: false, detail: "the lower plan hasn't loaded" };
+        }
+        const { split } = report;
+        return {
+            label: `No ${noun} are split`,
+            passed: split.length === 0,
+            detail: split.length ? `split: ${split.map(({ lower }) => lower + 1).join(", ")}` : ""
+        };
+    }
+}
@@ -0,0 +1,62 @@
+import { firstPart } from "./AdjacencyGraph";
+
+/**
+ * Unit-by-unit comparison of two assignments of the same units, e.g. the
+ * plan being edited and another plan loaded next to it. Districts are
+ * matched by number, and multi-colored units count with their first
+ * district.
+ */
+export default class PlanComparison {
+    /**
+     * @param {Object} assignment unit id -> district (this plan)
+     * @param {Object} otherAssignment unit id -> district (the other plan)
+     */
+    constructor(assignment, otherAssignment) {
+        this.changes = {};
+        const unitIds = new Set(Object.keys(assignment).concat(Object.keys(otherAssignment)));
+        unitIds.forEach(unitId => {
+            const part = firstPart(assignment[unitId]),
+                otherPart = firstPart(otherAssignment[unitId]);
+            if (part !== otherPart) {
+                this.changes[unitId] = [otherPart, part];
+            }
+        });
+    }
+    /**
+     * @returns {string[]} ids of the units assigned differently in the plans
+     */
+    get changedUnits() {
+        return Object.keys(this.changes);
+    }
+    /**
+     * Totals the population which moved from each district of the other
+     * plan to each district of this plan.
+     * @param {function} populationOf unit id -> population, or undefined when
+     *  it is not known (yet)
+     * @returns {Object} { moves, unknownUnits }, where moves is a list of
+     *  { from, to, units, population } sorted by population (largest first),
+     *  with null for unassigned
+     */
+    populationMoved(populationOf) {
+        let moves = {},
+            unknownUnits = 0;
+        Object.keys(this.changes).forEach(unitId => {
+            const [from, to] = this.changes[unitId],
+                key = from + "->" + to,
+                population = populationOf(unitId);
+            if (!moves[key]) {
+                moves[key] = { from, to, units: 0, population: 0 };
+            }
+            moves[key].units += 1;
+            if (population === undefined) {
+                unknownUnits += 1;
+            } else {
+                moves[key].population += population;
+            }
+        });
+        return {
+            moves: Object.values(moves).sort((a, b) => b.population - a.population || b.units - a.units),
+            unknownUnits
+        };
+    }
+}
@@ -0,0 +1,77 @@
+import { loadUnitGeometries } from "./Compactness";
+import { dissolvePolygons } from "../map/geometry";
+import { shapefile } from "./lib/shapefile";
+import { zip } from "./lib/zip";
+
+// the Shapefile attribute table, filled from each district's properties
+const FIELDS = [
+    { name: "DISTRICT", type: "N", length: 4, property: "district" },
+    { name: "NAME", type: "C", length: 254, property: "name" },
+    { name: "DESCRIPTN", type: "C", length: 254, property: "description" },
+    { name: "POPULATION", type: "N", length: 14, property: "population" },
+    { name: "SEATS", type: "N", length: 4, property: "seats" }
+];
+
+/**
+ * Dissolves the units of each district (or community) into one shape, in
+ * the browser, from the module's GeoJSON file of unit shapes. The map tiles
+ * only hold the units in view, simplified for the zoom, so they are never
+ * used for an export.
+ * @param {State} state
+ * @returns {Promise<Object[]>} a GeoJSON feature per painted part, with its
+ *  number, name, description, population and seats
+ */
+export function planFeatures(state) {
+    if (!state.unitsRecord.geojson) {
+        return Promise.reject(new Error("These units have no shape file to export from."));
+    }
+    return loadUnitGeometries(state.unitsRecord, state.idColumn).then(geometries => {
+        const assignment = state.plan.assignment,
+            seats = state.population.seats();
+        let byPart = {};
+        Object.keys(assignment).forEach(unitId => {
+            const parts = Array.isArray(assignment[unitId]) ? assignment[unitId] : [assignment[unitId]];
+            parts.filter(part => part !== null && part !== undefined).forEach(part => {
+                if (geometries[unitId]) {
+                    byPart[part] = byPart[part] || [];
+                    byPart[part].push(geometries[unitId]);
+                }
+            });
+        });
+        const features = state.parts
+            .filter(part => byPart[part.id])
+            .map(part => ({
+                type: "Feature",
+                properties: {
+                    district: part.displayNumber,
+                    name: part.name || "",
+                    description: part.description || "",
+                    population: Math.round(state.population.total.data[part.id]),
+                    seats: seats[part.id]
+                },
+                geometry: dissolvePolygons(byPart[part.id])
+            }));
+        return features;
+    });
+}
+
+/**
+ * @param {Object[]} features from `planFeatures`
+ * @returns {string} a GeoJSON FeatureCollection
+ */
+export function planGeoJSON(features) {
+    return JSON.stringify({ type: "FeatureCollection", features });
+}
+
+/**
+ * @param {Object[]} features from `planFeatures`
+ * @param {string} name the name of the files inside the zip
+ * @returns {Uint8Array} a zipped Shapefile (shp, shx, dbf, prj and cpg)
+ */
+export function planShapefileZip(features, name) {
+    const files = shapefile(features, FIELDS);
+    return zip(["shp", "shx", "dbf", "prj", "cpg"].map(extension => ({
+        name: `${name}.${extension}`,
+        data: files[extension]
+    })));
+}
@@ -0,0 +1,116 @@
+import { listPlaces } from "../api/mockApi";
+import { loadPlanFromJSON, loadPlanFromURL } from "../routes";
+import {
+    assignmentToParts,
+    districtrHeader,
+    guessMapping,
+    headerMismatch,
+    parseCSV,
+    readAssignment,
+    sniffDelimiter
+} from "./lib/csv-import";
+
+/**
+ * Makes a plan from an assignment CSV file.
+ * @param {string} assignmentList the file
+ * @param {Object} state the plan's context, which is filled in and returned
+ * @param {Object} [mapping] { delimiter, hasHeader, idColumn,
+ *  districtColumn }, as chosen in the CSV import dialog; guessed if not given
+ * @returns {Promise<Object>} the plan's context
+ */
+export function loadPlanFromCSV(assignmentList, state, mapping) {
+    const delimiter = mapping ? mapping.delimiter : sniffDelimiter(assignmentList),
+        rows = parseCSV(assignmentList, delimiter),
+        columns = mapping || guessMapping(rows),
+        header = columns.hasHeader && rows.length ? districtrHeader(rows[0][0]) : null;
+    if (header) {
+        const mismatch = headerMismatch(header, state);
+        if (mismatch) {
+            throw new Error(mismatch);
+        }
+        state.problem.numberOfParts = header.numberOfParts;
+    }
+    const { assignment, districts } = readAssignment(rows, columns);
+
+    let planRecord = state;
+    planRecord.assignment = assignmentToParts(assignment, districts);
+    planRecord.lockedParts = [];
+    // if we didn't set numberOfParts in CSV, find max here
+    state.problem.numberOfParts = Math.max(state.problem.numberOfParts, districts.length);
+
+    if (state.place.id === "nc") {
+        state.place.id = "northcarolina";
+    }
+    return listPlaces(state.place.id, state.place.state).then(places => {
+        const place = places.find(p => p.id === planRecord.place.id);
+        return {
+            ...planRecord,
+            place
+        };
+    });
+}
+
+/**
+ * Carries the current plan's locked districts over to a plan file loaded on
+ * top of it: units in a locked district keep their assignment, and the file
+ * cannot add units to a locked district.
+ * @param {Object} context the loaded plan file
+ * @param {State} state the plan being edited
+ * @returns {Object} context
+ */
+export function keepLockedParts(context, state) {
+    if (!state || !state.plan.lockedParts.size
+        || !context.place || context.place.id !== state.place.id
+        || !context.units || context.units.id !== state.unitsRecord.id) {
+        return context;
+    }
+    const plan = state.plan;
+    let assignment = {};
+    Object.keys(context.assignment || {}).forEach(unitId => {
+        if (!plan.isLocked(context.assignment[unitId])) {
+            assignment[unitId] = context.assignment[unitId];
+        }
+    });
+    Object.keys(plan.assignment).forEach(unitId => {
+        if (plan.isLocked(plan.assignment[unitId])) {
+            assignment[unitId] = plan.assignment[unitId];
+        }
+    });
+    return {
+        ...context,
+        assignment,
+        lockedParts: Array.from(new Set((context.lockedParts || []).concat(Array.from(plan.lockedParts))))
+    };
+}
+
+/**
+ * Loads another plan to compare with the one being edited.
+ * @param {string|File} source a saved plan's ID, a URL to a plan's JSON,
+ *  or an uploaded JSON or CSV plan file
+ * @param {State} state the plan being edited (needed to read CSV files)
+ * @returns {Promise<Object>} the other plan's context
+ */
+export function loadPlanToCompare(source, state) {
+    if (typeof source === "string") {
+        source = source.trim();
+        return loadPlanFromURL(source.includes("/")
+            ? source
+            : `/.netlify/functions/planRead?id=${source}`);
+    }
+    return new Promise((resolve, reject) => {
+        let reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(source);
+    }).then(text => {
+        if (source.name.toLowerCase().endsWith(".csv")) {
+            // loadPlanFromCSV fills in the context it is given
+            return loadPlanFromCSV(text, {
+                place: { ...state.place },
+                units: state.unitsRecord,
+                problem: { ...state.problem }
+            });
+        }
+        return loadPlanFromJSON(JSON.parse(text));
+    });
+}
@@ -0,0 +1,88 @@
+import { loadPlanUnitGeometries } from "./Compactness";
+import { assignByPolygons, districtsFromFeatures } from "./lib/district-polygons";
+import { readShapefile } from "./lib/read-shapefile";
+import { unzip } from "./lib/zip";
+
+function findFile(files, extension) {
+    return Object.keys(files).find(name => name.toLowerCase().endsWith(extension) && !name.startsWith("__MACOSX"));
+}
+
+/**
+ * Reads the district polygons in a zipped Shapefile.
+ * @param {ArrayBuffer} data the zip file
+ * @returns {Promise<Object>} a GeoJSON FeatureCollection
+ */
+export function readZippedShapefile(data) {
+    return unzip(data).then(files => {
+        const shp = findFile(files, ".shp");
+        if (!shp) {
+            throw new Error("The zip file has no .shp file in it.");
+        }
+        const base = shp.slice(0, -4),
+            companion = extension => files[base + extension] || files[findFile(files, extension)],
+            text = bytes => bytes ? new TextDecoder().decode(bytes) : undefined,
+            buffer = bytes => bytes ? bytes.slice().buffer : undefined;
+        return readShapefile({
+            shp: buffer(files[shp]),
+            dbf: buffer(companion(".dbf")),
+            prj: text(companion(".prj")),
+            cpg: text(companion(".cpg"))
+        });
+    });
+}
+
+function whenMapIsIdle(map) {
+    return new Promise(resolve => {
+        map.once("idle", resolve);
+        map.triggerRepaint();
+    });
+}
+
+/**
+ * Makes a plan from district polygons, e.g. an enacted map, by assigning
+ * each unit to the polygon containing its centroid (or the one which covers
+ * most of it).
+ *
+ * Without a GeoJSON file of the units, only the units loaded on the map can
+ * be assigned, so the map should show the whole area first.
+ * @param {Object} geojson the districts, as a GeoJSON FeatureCollection
+ * @param {Object} context the current plan's context
+ * @param {State} state
+ * @param {string} [method] "centroid" or "overlap", see `assignByPolygons`
+ * @returns {Promise<Object>} { context, report }: the new plan's context,
+ *  and { districts, assigned, byOverlap, unmatched, fromFile }
+ */
+export function loadPlanFromPolygons(geojson, context, state, method = "centroid") {
+    const districts = districtsFromFeatures(geojson.features || [geojson]);
+    if (!districts.length) {
+        return Promise.reject(new Error("The file has no district polygons in it."));
+    }
+    const ready = state.unitsRecord.geojson ? Promise.resolve() : whenMapIsIdle(state.map);
+    return ready
+        .then(() => loadPlanUnitGeometries(state))
+        .then(({ geometries, fromFile }) => {
+            const { assignment, unmatched, byOverlap } = assignByPolygons(geometries, districts, method),
+                numberOfParts = Math.max(context.problem.numberOfParts, ...districts.map(d => d.part + 1));
+            return {
+                context: {
+                    ...context,
+                    assignment,
+                    problem: { ...context.problem, numberOfParts },
+                    parts: districts
+                        .filter(district => district.name || district.description)
+                        .map(district => ({
+                            displayNumber: district.part + 1,
+                            name: district.name,
+                            description: district.description
+                        }))
+                },
+                report: {
+                    districts: districts.length,
+                    assigned: Object.keys(assignment).length,
+                    byOverlap,
+                    unmatched,
+                    fromFile
+                }
+            };
+        });
+}
@@ -1,20 +1,41 @@
 import { numberWithCommas, roundToDecimal } from "../utils";
 import ColumnSet from "./ColumnSet";
+import { seatCount } from "./lib/seats";
 
 export default class Population extends ColumnSet {
     constructor({ name, subgroups, total, name_alt, total_alt, parts }) {
         super({ subgroups, total, total_alt, parts });
         this.name = name;
         this.name_alt = name_alt;
+        this.parts = parts;
 
+        // the ideal population of a seat; a district's ideal is this times
+        // its seat count
         this.ideal = this.total.sum / parts.length;
         this.formattedIdeal = numberWithCommas(roundToDecimal(this.ideal, 2));
 
         this.update = this.update.bind(this);
         this.deviations = this.deviations.bind(this);
+        this.seats = this.seats.bind(this);
+    }
+    /**
+     * @returns {number[]} each part's seat count
+     */
+    seats() {
+        return this.total.data.map((d, i) => seatCount(this.parts[i], d, this.ideal));
+    }
+    /**
+     * @param {number} partIndex
+     * @returns {number} the ideal population of the part, given its seats
+     */
+    idealFor(partIndex) {
+        return this.ideal * Math.max(1, this.seats()[partIndex]);
     }
     deviations() {
-        return this.total.data.map(d => (d - this.ideal) / this.ideal);
+        return this.seats().map((seats, i) => {
+            const ideal = this.ideal * Math.max(1, seats);
+            return (this.total.data[i] - ideal) / ideal;
+        });
     }
     /**
      * Returns the indices of all subgroups with more than 5% of the total
@@ -0,0 +1,223 @@
+/**
+ * A ReCom Markov chain over districting plans, in the style of GerryChain.
+ *
+ * Each step merges two adjacent districts, draws a random spanning tree of
+ * the merged units, and cuts one of its edges so that both halves are
+ * within `epsilon` of the ideal district population. The plans it visits
+ * make up an ensemble to compare a plan with.
+ */
+export default class ReCom {
+    /**
+     * @param {AdjacencyGraph} graph
+     * @param {Object} assignment unit id -> district number, for every unit
+     *  in the graph
+     * @param {Object} populations unit id -> population
+     * @param {Object} [options]
+     * @param {number} [options.epsilon] allowed population deviation
+     * @param {function} [options.random] source of random numbers in [0, 1)
+     */
+    constructor(graph, assignment, populations, { epsilon = 0.05, random = Math.random } = {}) {
+        this.graph = graph;
+        this.populations = populations;
+        this.epsilon = epsilon;
+        this.random = random;
+
+        this.assignment = {};
+        graph.unitIds.forEach(unitId => {
+            if (assignment[unitId] === undefined || assignment[unitId] === null) {
+                throw new Error("Every unit must be assigned to a district to run an ensemble.");
+            }
+            this.assignment[unitId] = Number(assignment[unitId]);
+        });
+        const parts = new Set(Object.values(this.assignment)),
+            total = graph.unitIds.reduce((sum, unitId) => sum + this.population(unitId), 0);
+        this.ideal = total / parts.size;
+    }
+    population(unitId) {
+        return this.populations[unitId] || 0;
+    }
+    /**
+     * @returns {Array[]} pairs of adjacent unit ids in different districts
+     *  (each pair once)
+     */
+    cutEdges() {
+        let edges = [];
+        this.graph.unitIds.forEach(unitId => {
+            this.graph.neighbors(unitId).forEach(neighbor => {
+                if (unitId < neighbor && this.assignment[unitId] !== this.assignment[neighbor]) {
+                    edges.push([unitId, neighbor]);
+                }
+            });
+        });
+        return edges;
+    }
+    /**
+     * Attempts one ReCom move.
+     * @param {number} [attempts] spanning trees to try before giving up
+     * @returns {boolean} true if the plan changed
+     */
+    step(attempts = 10) {
+        const cutEdges = this.cutEdges();
+        if (!cutEdges.length) {
+            return false;
+        }
+        const [u, v] = cutEdges[Math.floor(this.random() * cutEdges.length)],
+            parts = [this.assignment[u], this.assignment[v]],
+            merged = this.graph.unitIds.filter(unitId => parts.includes(this.assignment[unitId]));
+
+        for (let i = 0; i < attempts; i++) {
+            const half = this.splitTree(randomSpanningTree(this.graph, merged, this.random));
+            if (half) {
+                merged.forEach(unitId => {
+                    this.assignment[unitId] = half.has(unitId) ? parts[0] : parts[1];
+                });
+                return true;
+            }
+        }
+        return false;
+    }
+    /**
+     * @param {Object} tree unit id -> Array of neighbours in the tree
+     * @returns {Set|null} the units on one side of a balanced cut, chosen at
+     *  random among the balanced cuts, or null if there are none
+     */
+    splitTree(tree) {
+        const root = Object.keys(tree)[0];
+        let parent = { [root]: null },
+            order = [root];
+        for (let i = 0; i < order.length; i++) {
+            tree[order[i]].forEach(neighbor => {
+                if (!parent.hasOwnProperty(neighbor)) {
+                    parent[neighbor] = order[i];
+                    order.push(neighbor);
+                }
+            });
+        }
+        if (order.length < Object.keys(tree).length) {
+            // the two districts together are not connected
+            return null;
+        }
+
+        // population below each unit, adding up from the leaves
+        let below = {};
+        order.forEach(unitId => {
+            below[unitId] = this.population(unitId);
+        });
+        for (let i = order.length - 1; i > 0; i--) {
+            below[parent[order[i]]] += below[order[i]];
+        }
+
+        const total = below[root],
+            balanced = population => Math.abs(population - this.ideal) <= this.epsilon * this.ideal,
+            cuts = order.slice(1).filter(unitId => balanced(below[unitId]) && balanced(total - below[unitId]));
+        if (!cuts.length) {
+            return null;
+        }
+
+        // the units below the cut edge; parents come before their children
+        // in the breadth-first order
+        const cut = cuts[Math.floor(this.random() * cuts.length)];
+        let half = new Set([cut]);
+        order.forEach(unitId => {
+            if (half.has(parent[unitId])) {
+                half.add(unitId);
+            }
+        });
+        return half;
+    }
+}
+
+/**
+ * Draws a spanning tree of the graph induced on some units, by giving the
+ * edges random weights and taking the minimum spanning tree (Kruskal).
+ * @param {AdjacencyGraph} graph
+ * @param {string[]} unitIds
+ * @param {function} random
+ * @returns {Object} unit id -> Array of neighbours in the tree
+ */
+export function randomSpanningTree(graph, unitIds, random) {
+    const included = new Set(unitIds);
+    let edges = [];
+    unitIds.forEach(unitId => {
+        graph.neighbors(unitId).forEach(neighbor => {
+            if (unitId < neighbor && included.has(neighbor)) {
+                edges.push({ ends: [unitId, neighbor], weight: random() });
+            }
+        });
+    });
+    edges.sort((a, b) => a.weight - b.weight);
+
+    let leader = {},
+        tree = {};
+    unitIds.forEach(unitId => {
+        leader[unitId] = unitId;
+        tree[unitId] = [];
+    });
+    const find = unitId => {
+        while (leader[unitId] !== unitId) {
+            leader[unitId] = leader[leader[unitId]];
+            unitId = leader[unitId];
+        }
+        return unitId;
+    };
+    edges.forEach(({ ends: [a, b] }) => {
+        const rootA = find(a),
+            rootB = find(b);
+        if (rootA !== rootB) {
+            leader[rootA] = rootB;
+            tree[a].push(b);
+            tree[b].push(a);
+        }
+    });
+    return tree;
+}
+
+/**
+ * Units' populations, votes and counties come from the map's loaded tiles,
+ * so an ensemble can only be run once every unit in the graph has loaded.
+ * @param {AdjacencyGraph} graph
+ * @param {Object} units unit id -> { population, votes, county }
+ * @returns {string[]} ids of the graph's units missing from `units`
+ */
+export function unitsWithoutData(graph, units) {
+    return graph.unitIds.filter(unitId => !units[unitId]);
+}
+
+/**
+ * Scores for one plan, for the ensemble histograms.
+ * @param {ReCom} chain
+ * @param {Object} units unit id -> { votes: [a, b], county }
+ * @returns {Object} { cutEdges, seats, countySplits }, where seats (won by
+ *  the first party) and countySplits are null when the units lack votes or
+ *  counties
+ */
+export function planScores(chain, units) {
+    let votes = {},
+        counties = {},
+        hasVotes = false,
+        hasCounties = false;
+    Object.keys(chain.assignment).forEach(unitId => {
+        const part = chain.assignment[unitId],
+            unit = units[unitId] || {};
+        if (unit.votes) {
+            hasVotes = true;
+            votes[part] = votes[part] || [0, 0];
+            votes[part][0] += unit.votes[0];
+            votes[part][1] += unit.votes[1];
+        }
+        if (unit.county !== undefined && unit.county !== null) {
+            hasCounties = true;
+            counties[unit.county] = counties[unit.county] || new Set();
+            counties[unit.county].add(part);
+        }
+    });
+    return {
+        cutEdges: chain.cutEdges().length,
+        seats: hasVotes
+            ? Object.values(votes).filter(([a, b]) => a > b).length
+            : null,
+        countySplits: hasCounties
+            ? Object.values(counties).filter(parts => parts.size > 1).length
+            : null
+    };
+}
@@ -1,6 +1,8 @@
-import { addLayers } from "../map";
+import { addLayers, addSwipeUnits } from "../map";
 import IdColumn from "./IdColumn";
+import History from "./History";
 import { assignUnitsAsTheyLoad } from "./lib/assign";
+import Nesting from "./Nesting";
 import { generateId } from "../utils";
 import { getColumnSets, getParts } from "./lib/column-sets";
 import { addBelowLabels, addBelowSymbols } from "../map/Layer";
@@ -13,7 +15,7 @@ import { addBelowLabels, addBelowSymbols } from "../map/Layer";
 // "place" is mostly split up into these categories now.
 
 class DistrictingPlan {
-    constructor({ id, state, problem, place, idColumn, parts }) {
+    constructor({ id, problem, place, idColumn, parts, lockedParts, nesting, parentId }) {
         if (id) {
             this.id = id;
         } else {
@@ -45,6 +47,28 @@ class DistrictingPlan {
             });
         }
         this.idColumn = idColumn;
+        // districts marked as finished, which painting and file imports leave alone
+        this.lockedParts = new Set(lockedParts || []);
+        // the saved lower-chamber plan whose districts this plan is built
+        // from, as { planId, name, pluralNoun, numberOfParts }
+        this.nesting = nesting || null;
+        // the saved plan (its simple_id) this one was opened from, if any
+        this.parentId = parentId || null;
+    }
+    /**
+     * @param {number|Array|null} assigned a unit's part (or parts)
+     * @returns {boolean} true if the unit belongs to a locked district
+     */
+    isLocked(assigned) {
+        return [].concat(assigned)
+            .some(part => part !== null && part !== undefined && this.lockedParts.has(Number(part)));
+    }
+    toggleLock(partId) {
+        if (this.lockedParts.has(partId)) {
+            this.lockedParts.delete(partId);
+        } else {
+            this.lockedParts.add(partId);
+        }
     }
     update(feature, part) {
         let featureId = this.idColumn.getValue(feature);
@@ -65,6 +89,9 @@ class DistrictingPlan {
             idColumn: { key: this.idColumn.key, name: this.idColumn.name },
             problem: this.problem,
             parts: this.parts.filter(p => p.visible).map(p => p.serialize()),
+            lockedParts: Array.from(this.lockedParts),
+            nesting: this.nesting,
+            parentId: this.parentId,
             place: { id: this.place.id, landmarks: this.place.landmarks, state: this.place.state, name: this.place.name }
         };
     }
@@ -79,10 +106,11 @@ export default class State {
     constructor(
         map,
         swipemap,
-        { place, problem, id, assignment, units, ...args },
+        { place, problem, id, assignment, units, history, ...args },
         readyCallback
     ) {
         this.unitsRecord = units;
+        this.history = new History(history);
         this.place = place;
         this.idColumn = new IdColumn(units.idColumn);
         if (units.hasOwnProperty("nameColumn")) {
@@ -97,16 +125,18 @@ export default class State {
             idColumn: this.idColumn
         });
 
+        this.layerAdder = problem.type === "community" ? addBelowLabels : addBelowSymbols;
         this.initializeMapState(
             map,
             swipemap,
             units,
-            problem.type === "community" ? addBelowLabels : addBelowSymbols,
+            this.layerAdder,
             place.id,
             place.state
         );
         
         this.columnSets = getColumnSets(this, units);
+        this.nesting = this.plan.nesting ? new Nesting(this, this.plan.nesting) : null;
 
         this.subscribers = [];
 
@@ -119,6 +149,21 @@ export default class State {
             readyCallback();
         }
     }
+    /**
+     * Builds this plan from the districts of a lower-chamber plan, or stops.
+     * @param {Object|null} lower { planId, name, pluralNoun, numberOfParts }
+     * @param {Object} [assignment] the lower plan's assignment
+     */
+    setNesting(lower, assignment) {
+        if (this.nesting) {
+            this.nesting.remove();
+        }
+        this.plan.nesting = lower;
+        this.nesting = lower ? new Nesting(this, lower, assignment) : null;
+        if (this.brush) {
+            this.brush.nesting = this.nesting;
+        }
+    }
     get activeParts() {
         return this.plan.parts.filter(part => part.visible);
     }
@@ -142,6 +187,7 @@ export default class State {
 
         this.units = units;
         this.unitsBorders = unitsBorders;
+        this.points = points;
         this.coiunits = coiunits;
         this.clusterUnits = clusterUnits;
         this.clusterUnitsLines = clusterUnitsLines;
@@ -150,9 +196,21 @@ export default class State {
         // this.swipeUnitsBorders = swipeUnitsBorders;
         this.counties = counties;
         this.layers = [units, points, bg_areas, precincts, new_precincts, tracts].filter(x => !!x);
-        this.swipeLayers = [];
+        this.swipeLayers = [swipeUnits].filter(Boolean);
         this.map = map;
     }
+    /**
+     * Adds the units to a second map, once it has loaded, to show another
+     * plan beside this one (see ComparisonMap), or stops.
+     * @param {mapboxgl.Map|null} swipemap
+     */
+    setSwipeMap(swipemap) {
+        const { swipeUnits } = swipemap
+            ? addSwipeUnits(swipemap, this.parts, this.unitsRecord.tilesets, this.layerAdder)
+            : {};
+        this.swipeUnits = swipeUnits || null;
+        this.swipeLayers = [swipeUnits].filter(Boolean);
+    }
     update(feature, part) {
         this.columnSets.forEach(columnSet => columnSet.update(feature, part, this.divisor));
         this.plan.update(feature, part);
@@ -0,0 +1,24 @@
+import { loadAdjacencyGraph } from "./AdjacencyGraph";
+import { loadUnitGeometries } from "./Compactness";
+
+/**
+ * Finds the ids of the module's units, to check imported files against:
+ * from the units' adjacency or GeoJSON file when they have one, and
+ * otherwise from the units loaded on the map.
+ * @param {State} state
+ * @returns {Promise<Object>} { ids, complete }: a Set of unit ids (as
+ *  strings), and false if they are only the units loaded on the map
+ */
+export function loadUnitIds(state) {
+    const graph = loadAdjacencyGraph(state.unitsRecord);
+    if (graph) {
+        return graph.then(g => ({ ids: new Set(g.unitIds), complete: true }));
+    }
+    const geometries = loadUnitGeometries(state.unitsRecord, state.idColumn);
+    if (geometries) {
+        return geometries.then(byId => ({ ids: new Set(Object.keys(byId)), complete: true }));
+    }
+    const ids = new Set(state.units.querySourceFeatures()
+        .map(feature => String(state.idColumn.getValue(feature))));
+    return Promise.resolve({ ids, complete: false });
+}
@@ -0,0 +1,130 @@
+import { firstPart } from "../AdjacencyGraph";
+
+/**
+ * Proposes moves of boundary units between adjacent districts which bring
+ * the districts' populations within a tolerance of the ideal.
+ *
+ * The most deviant district is fixed first: an overpopulated district gives
+ * a unit on its boundary to a neighbouring district, an underpopulated one
+ * takes a unit from a neighbouring district. Of the possible moves, the one
+ * which most reduces the sum of squared deviations of the two districts is
+ * taken, as long as the giving district stays connected. Every move reduces
+ * that sum, so the search cannot go back and forth. Each unit moves at most
+ * once, so the moves can be applied one at a time or all together.
+ *
+ * @param {AdjacencyGraph} graph
+ * @param {Object} assignment unit id -> district(s), the current plan
+ * @param {Object} options
+ * @param {function} options.populationOf unit id -> population
+ * @param {number[]} options.partPopulations current population of each district
+ * @param {number} options.ideal ideal district population
+ * @param {number} options.tolerance allowed deviation, as a fraction of the ideal
+ * @param {function} [options.canMove] unit id -> boolean, false for units
+ *  which must stay where they are
+ * @param {function} [options.canChange] district -> boolean, false for
+ *  districts which must not gain or lose units (e.g. locked ones)
+ * @param {number} [options.maxMoves]
+ * @returns {Object} { moves, populations, unbalanced }: the moves, in order,
+ *  as { unitId, from, to, population }, the districts' populations after
+ *  them, and the districts still outside the tolerance
+ */
+export function balancePopulation(graph, assignment, {
+    populationOf,
+    partPopulations,
+    ideal,
+    tolerance,
+    canMove = () => true,
+    canChange = () => true,
+    maxMoves = 1000
+}) {
+    let populations = partPopulations.slice(),
+        partOf = {},
+        unitsOf = populations.map(() => new Set()),
+        moves = [],
+        moved = new Set(),
+        // districts with no improving move, until some other move is made
+        stuck = new Set();
+    graph.unitIds.forEach(unitId => {
+        const part = Array.isArray(assignment[unitId]) && assignment[unitId].length > 1
+            ? null
+            : firstPart(assignment[unitId]);
+        partOf[unitId] = part;
+        if (part !== null && unitsOf[part]) {
+            unitsOf[part].add(unitId);
+        }
+    });
+    const deviation = part => populations[part] - ideal,
+        outside = part => Math.abs(deviation(part)) > tolerance * ideal;
+
+    // whether the district stays connected (and not empty) without the unit
+    const staysConnected = (unitId, part) => {
+        const rest = unitsOf[part],
+            touching = graph.neighbors(unitId).filter(neighbor => neighbor !== unitId && rest.has(neighbor));
+        if (rest.size <= 1) {
+            return false;
+        }
+        if (touching.length <= 1) {
+            return true;
+        }
+        const reached = graph.region(touching[0], neighbor => neighbor !== unitId && rest.has(neighbor));
+        return touching.every(neighbor => reached.has(neighbor));
+    };
+
+    const candidateMoves = part => {
+        let candidates = [];
+        const consider = (unitId, from, to) => {
+            if (moved.has(unitId)) {
+                return;
+            }
+            const population = populationOf(unitId),
+                // the decrease in the sum of squared deviations, halved
+                gain = population * (populations[from] - populations[to] - population);
+            if (gain > 0) {
+                candidates.push({ unitId, from, to, population, gain });
+            }
+        };
+        unitsOf[part].forEach(unitId => {
+            graph.neighbors(unitId).forEach(neighbor => {
+                const other = partOf[neighbor];
+                if (other === null || other === part || !unitsOf[other] || !canChange(other)) {
+                    return;
+                }
+                if (deviation(part) > 0) {
+                    if (canMove(unitId)) {
+                        consider(unitId, part, other);
+                    }
+                } else if (canMove(neighbor)) {
+                    consider(neighbor, other, part);
+                }
+            });
+        });
+        return candidates.sort((a, b) => b.gain - a.gain);
+    };
+
+    while (moves.length < maxMoves) {
+        const worst = populations.map((population, part) => part)
+            .filter(part => outside(part) && unitsOf[part].size && canChange(part) && !stuck.has(part))
+            .sort((a, b) => Math.abs(deviation(b)) - Math.abs(deviation(a)))[0];
+        if (worst === undefined) {
+            break;
+        }
+        const move = candidateMoves(worst).find(({ unitId, from }) => staysConnected(unitId, from));
+        if (move) {
+            unitsOf[move.from].delete(move.unitId);
+            unitsOf[move.to].add(move.unitId);
+            partOf[move.unitId] = move.to;
+            moved.add(move.unitId);
+            populations[move.from] -= move.population;
+            populations[move.to] += move.population;
+            moves.push({ unitId: move.unitId, from: move.from, to: move.to, population: move.population });
+            stuck.clear();
+        } else {
+            stuck.add(worst);
+        }
+    }
+    return {
+        moves,
+        populations,
+        unbalanced: populations.map((population, part) => part).filter(outside)
+    };
+}
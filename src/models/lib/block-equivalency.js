@@ -0,0 +1,134 @@
+import { pointInGeometry } from "../../map/geometry";
+import { boundsOfGJ } from "../../utils";
+
+// Census block GEOIDs: 2 digits of state, 3 of county, 6 of tract and 4 of
+// block, the first of which is the block group
+const BLOCK_GEOID = /^\d{15}$/,
+    // ZZ, ZZZ etc. mark blocks in no district, like water
+    NO_DISTRICT = /^Z+$/i;
+
+function splitRow(row, delimiter) {
+    return row.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, "$1"));
+}
+
+/**
+ * @param {string} text a CSV (or pipe- or tab-delimited) file
+ * @returns {boolean} true if its rows start with census block GEOIDs
+ */
+export function isBlockEquivalency(text) {
+    const rows = text.trim().split(/\r?\n/)
+        .slice(0, 6);
+    const delimiter = ["|", "\t", ";", ","].find(d => rows[0].includes(d)) || ",",
+        ids = rows.map(row => splitRow(row, delimiter)[0]);
+    // the first row may be a header
+    return ids.slice(1).length > 0 && ids.slice(1).every(id => BLOCK_GEOID.test(id));
+}
+
+/**
+ * Reads a block equivalency file: block GEOID and district, one block per
+ * row, with or without a header.
+ * @param {string} text
+ * @returns {Object} block GEOID -> district label
+ */
+export function parseBlockEquivalency(text) {
+    const rows = text.trim().split(/\r?\n/),
+        delimiter = ["|", "\t", ";", ","].find(d => rows[0].includes(d)) || ",";
+    let blocks = {};
+    rows.forEach(row => {
+        const [block, district] = splitRow(row, delimiter);
+        if (BLOCK_GEOID.test(block) && district && !NO_DISTRICT.test(district)) {
+            blocks[block] = district;
+        }
+    });
+    return blocks;
+}
+
+/**
+ * Sums up which districts each unit's blocks are in.
+ * @param {Object} blocks block GEOID -> district label
+ * @param {function} unitOf block GEOID -> { unit, population }, or null if
+ *  the block isn't in any of the module's units
+ * @returns {Object} { units, unmatchedBlocks }: unit id -> district label ->
+ *  the population (or number of blocks, where populations aren't known) of
+ *  the unit in that district, and the blocks outside the module's units
+ */
+export function aggregateBlocks(blocks, unitOf) {
+    let units = {},
+        unmatchedBlocks = [];
+    Object.keys(blocks).forEach(block => {
+        const match = unitOf(block);
+        if (!match) {
+            unmatchedBlocks.push(block);
+            return;
+        }
+        const weight = match.population === undefined ? 1 : match.population,
+            district = blocks[block];
+        units[match.unit] = units[match.unit] || {};
+        units[match.unit][district] = (units[match.unit][district] || 0) + weight;
+    });
+    return { units, unmatchedBlocks };
+}
+
+/**
+ * Assigns each unit to the district with the most of it, and lists the
+ * units split between districts.
+ * @param {Object} units from `aggregateBlocks`
+ * @returns {Object} { majority, splits }: unit id -> district label, and
+ *  the split units as { unit, shares: [{ district, share }] }, largest share
+ *  first
+ */
+export function majorityAssignment(units) {
+    let majority = {},
+        splits = [];
+    Object.keys(units).forEach(unit => {
+        const districts = Object.keys(units[unit]),
+            total = districts.reduce((sum, district) => sum + units[unit][district], 0),
+            shares = districts
+                .map(district => ({ district, share: total > 0 ? units[unit][district] / total : 1 / districts.length }))
+                .sort((a, b) => b.share - a.share);
+        majority[unit] = shares[0].district;
+        if (shares.length > 1) {
+            splits.push({ unit, shares });
+        }
+    });
+    return { majority, splits };
+}
+
+/**
+ * Makes a crosswalk from census blocks to units which don't nest them, like
+ * VTDs and precincts, by the unit each block's internal point falls in (see
+ * build/block-crosswalk.js).
+ * @param {Object} units unit id -> GeoJSON geometry
+ * @param {Object[]} blocks { id, point, population }: each block's GEOID,
+ *  internal point as [lng, lat] and population, if known
+ * @param {number} [cellSize] of the grid the units are looked up in, in
+ *  degrees
+ * @returns {Object} { crosswalk, unmatchedBlocks }: block GEOID -> [unit id,
+ *  population] (or the unit id, where populations aren't known), as
+ *  `blockCrosswalk` files hold, and the blocks in no unit
+ */
+export function blockCrosswalk(units, blocks, cellSize = 0.05) {
+    // unit ids by the grid cells their bounds cover
+    let grid = {};
+    const cell = (x, y) => `${Math.floor(x / cellSize)},${Math.floor(y / cellSize)}`;
+    Object.keys(units).forEach(unit => {
+        const [west, south, east, north] = boundsOfGJ(units[unit]);
+        for (let x = Math.floor(west / cellSize); x <= Math.floor(east / cellSize); x++) {
+            for (let y = Math.floor(south / cellSize); y <= Math.floor(north / cellSize); y++) {
+                grid[`${x},${y}`] = grid[`${x},${y}`] || [];
+                grid[`${x},${y}`].push(unit);
+            }
+        }
+    });
+    let crosswalk = {},
+        unmatchedBlocks = [];
+    blocks.forEach(({ id, point, population }) => {
+        const unit = (grid[cell(point[0], point[1])] || []).find(candidate => pointInGeometry(point, units[candidate]));
+        if (unit === undefined) {
+            unmatchedBlocks.push(id);
+        } else {
+            crosswalk[id] = population === undefined || population === null ? unit : [unit, population];
+        }
+    });
+    return { crosswalk, unmatchedBlocks };
+}
@@ -0,0 +1,265 @@
+// Live collaboration on a plan. Everyone who opens the same plan ID joins a
+// room, which holds the plan's assignment with a version for each unit. The
+// room is the authority: a change to a unit is rejected if someone else
+// changed the unit since the version its sender last saw, and the sender
+// then takes the room's assignment of the unit. The same rooms run in the
+// WebSocket server (build/collab-server.js) and in `localSocket`, its
+// in-page stand-in.
+
+// colors for collaborators' cursors, in the order they join
+export const COLLABORATOR_COLORS = ["#e6194b", "#3cb44b", "#4363d8", "#f58231", "#911eb4", "#42d4f4", "#f032e6", "#9a6324"];
+
+// the same people who can save changes to the plan (see planUpdate)
+const JOIN_REFUSED = "Only the plan's owner and editors, or people with an edit code from "
+    + "within 24 hours of its last save, can join it.";
+
+/**
+ * @param {number|Array|null} a a unit's district(s)
+ * @param {number|Array|null} b
+ * @returns {boolean} true if they're the same, counting undefined as null
+ */
+export function samePart(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+export class CollabRoom {
+    constructor(planId) {
+        this.planId = planId;
+        // user id -> { user, send }
+        this.members = {};
+        // null until the first member shares their copy of the plan
+        this.assignment = null;
+        // unit id -> [version, id of the user who made it]
+        this.versions = {};
+        this.revision = 0;
+        this.joined = 0;
+    }
+    get users() {
+        return Object.keys(this.members).map(id => this.members[id].user);
+    }
+    get isEmpty() {
+        return Object.keys(this.members).length === 0;
+    }
+    /**
+     * @param {Object} user { id, name }
+     * @param {function} send delivers a message to the user
+     * @returns {Object} the user, with their cursor color
+     */
+    join({ id, name }, send) {
+        const user = {
+            id: String(id),
+            name: String(name || "Guest").slice(0, 40),
+            color: COLLABORATOR_COLORS[this.joined % COLLABORATOR_COLORS.length]
+        };
+        this.joined += 1;
+        this.members[user.id] = { user, send };
+        return user;
+    }
+    leave(userId) {
+        Reflect.deleteProperty(this.members, userId);
+    }
+    /**
+     * @param {Object} message
+     * @param {string} [exceptId] a user not to send it to
+     */
+    broadcast(message, exceptId) {
+        Object.keys(this.members)
+            .filter(id => id !== exceptId)
+            .forEach(id => this.members[id].send(message));
+    }
+    /**
+     * @returns {Object} { assignment, versions }: the room's copy of the plan,
+     *  and unit id -> version
+     */
+    snapshot() {
+        let versions = {};
+        Object.keys(this.versions).forEach(unitId => {
+            versions[unitId] = this.versions[unitId][0];
+        });
+        return { assignment: this.assignment, versions };
+    }
+    /**
+     * Makes a member's copy of the plan the room's, if the room has none.
+     * @param {Object} assignment
+     * @returns {boolean} true if it was taken
+     */
+    share(assignment) {
+        if (this.assignment !== null) {
+            return false;
+        }
+        this.assignment = { ...assignment };
+        return true;
+    }
+    /**
+     * Applies a member's changes to units, in order.
+     * @param {string} userId
+     * @param {Array[]} changes list of [unitId, part, version], where version
+     *  is the unit's version when the user last saw it (0 if never changed)
+     * @returns {Object} { accepted, rejected }, lists of [unitId, part,
+     *  version] with the unit's new version, or with the room's part and
+     *  version of units which someone else changed first
+     */
+    paint(userId, changes) {
+        let accepted = [],
+            rejected = [];
+        if (this.assignment === null) {
+            this.assignment = {};
+        }
+        changes.forEach(([unitId, part, seen]) => {
+            const [version, editor] = this.versions[unitId] || [0, null];
+            if (version !== (seen || 0) && editor !== userId) {
+                rejected.push([unitId, this.partOf(unitId), version]);
+                return;
+            }
+            this.revision += 1;
+            this.versions[unitId] = [this.revision, userId];
+            if (part === null || part === undefined) {
+                Reflect.deleteProperty(this.assignment, unitId);
+            } else {
+                this.assignment[unitId] = part;
+            }
+            accepted.push([unitId, this.partOf(unitId), this.revision]);
+        });
+        return { accepted, rejected };
+    }
+    partOf(unitId) {
+        const part = this.assignment ? this.assignment[unitId] : undefined;
+        return part === undefined ? null : part;
+    }
+}
+
+/**
+ * Routes collaborators' messages to their plans' rooms. A connection sends
+ * "join" first, with { planId, token, bearer, user: { id, name } }, and then
+ * "snapshot" (its copy of the plan, when the room has none yet), "paint" and
+ * "cursor" messages.
+ */
+export class CollabHub {
+    /**
+     * @param {function} [authorize] (planId, { token, bearer }) =>
+     *  Promise<boolean>, whether the plan's edit token or the signed-in
+     *  user's bearer token lets them edit the saved plan; without it, anyone
+     *  can join any room
+     */
+    constructor(authorize) {
+        // plan id -> CollabRoom
+        this.rooms = {};
+        this.authorize = authorize || null;
+    }
+    /**
+     * @param {function} send delivers a message (an object) to the connection
+     * @returns {Object} { receive(message), close() }, to call with each
+     *  message from the connection and when it closes
+     */
+    connect(send) {
+        let room = null,
+            user = null,
+            joining = false,
+            closed = false;
+        const join = (planId, newUser) => {
+            room = this.rooms[planId] || new CollabRoom(planId);
+            this.rooms[planId] = room;
+            user = room.join(newUser, send);
+            send({ type: "welcome", you: user, users: room.users, ...room.snapshot() });
+            room.broadcast({ type: "joined", user }, user.id);
+        };
+        const close = () => {
+            closed = true;
+            if (!room) {
+                return;
+            }
+            room.leave(user.id);
+            room.broadcast({ type: "left", user: user.id });
+            if (room.isEmpty) {
+                Reflect.deleteProperty(this.rooms, room.planId);
+            }
+            room = null;
+        };
+        const receive = message => {
+            if (!message || typeof message !== "object") {
+                return;
+            }
+            if (message.type === "join" && !room && !joining && message.planId && message.user) {
+                const planId = String(message.planId);
+                joining = true;
+                const credentials = { token: String(message.token || ""), bearer: String(message.bearer || "") };
+                Promise.resolve(this.authorize ? this.authorize(planId, credentials) : true)
+                    .catch(e => {
+                        console.error(e);
+                        return false;
+                    })
+                    .then(allowed => {
+                        joining = false;
+                        if (closed) {
+                            return;
+                        }
+                        if (allowed) {
+                            join(planId, message.user);
+                        } else {
+                            send({ type: "error", message: JOIN_REFUSED });
+                        }
+                    });
+            } else if (!room) {
+                send({ type: "error", message: "Join a plan first." });
+            } else if (message.type === "snapshot") {
+                if (!room.share(message.assignment || {})) {
+                    // someone else's copy got there first
+                    send({ type: "state", ...room.snapshot() });
+                }
+            } else if (message.type === "paint" && Array.isArray(message.changes)) {
+                const { accepted, rejected } = room.paint(user.id, message.changes);
+                if (accepted.length) {
+                    room.broadcast({ type: "paint", user: user.id, changes: accepted });
+                }
+                if (rejected.length) {
+                    send({ type: "reject", changes: rejected });
+                }
+            } else if (message.type === "cursor") {
+                room.broadcast({ type: "cursor", user: user.id, lngLat: message.lngLat }, user.id);
+            }
+        };
+        return { receive, close };
+    }
+}
+
+/**
+ * A stand-in for a WebSocket to the collaboration server, connected to a
+ * hub in the same page (e.g. for tests, or to try collaboration without a
+ * server). Messages are delivered asynchronously, like a WebSocket's.
+ * @param {CollabHub} hub
+ * @returns {Object} with WebSocket's send, close, onopen, onmessage and
+ *  onclose
+ */
+export function localSocket(hub) {
+    let open = true;
+    const socket = {
+        readyState: 0,
+        onopen: null,
+        onmessage: null,
+        onclose: null,
+        send: text => {
+            const message = JSON.parse(text);
+            Promise.resolve().then(() => open && connection.receive(message));
+        },
+        close: () => {
+            if (!open) {
+                return;
+            }
+            open = false;
+            socket.readyState = 3;
+            connection.close();
+            Promise.resolve().then(() => socket.onclose && socket.onclose({}));
+        }
+    };
+    const connection = hub.connect(message => {
+        const data = JSON.stringify(message);
+        Promise.resolve().then(() => open && socket.onmessage && socket.onmessage({ data }));
+    });
+    Promise.resolve().then(() => {
+        socket.readyState = 1;
+        if (socket.onopen) {
+            socket.onopen({});
+        }
+    });
+    return socket;
+}
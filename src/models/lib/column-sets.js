@@ -25,10 +25,13 @@ import { districtColors } from "../../colors";
 
 export function getParts(problem) {
     let name = problem.name || "District";
+    // multi-member districts have as many seats as their population warrants,
+    // until they're given a seat count
+    let seats = problem.type === "multimember" ? null : 1;
     let parts = [];
     for (let i = 0; i < problem.numberOfParts; i++) {
         let j = i % districtColors.length;
-        parts[i] = new Part(i, name, i + 1, districtColors[j]);
+        parts[i] = new Part(i, name, i + 1, districtColors[j], true, seats);
     }
     if (parts.length > districtColors.length) {
         parts.slice(1).forEach(p => {
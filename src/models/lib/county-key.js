@@ -0,0 +1,54 @@
+/**
+ * Finds which county (or, in some modules, municipality) a unit is in,
+ * from whichever column its module has: the first five digits of a Census
+ * GEOID or VTD id, a county FIPS or name column, or the town part of a
+ * precinct name.
+ * @param {Object} properties a unit's properties
+ * @returns {Array|undefined} [column, county] (the county brush matches
+ *  other units on that column), or undefined if the unit has no county
+ */
+export function countyKey(properties) {
+    const search = (key, substr, fn = x => x) => {
+        if (!properties[key]) {
+            if (!properties[key.toLowerCase()]) {
+                return undefined;
+            }
+            key = key.toLowerCase();
+        }
+        const value = properties[key];
+        if (!substr) {
+            return [key, fn(value)];
+        }
+        return typeof value === "number"
+            ? [key, Number(String(value).substring(0, substr))]
+            : [key, value.substring(0, substr)];
+    };
+    const nameSplice = value => {
+        let name = value.split("-")[0].split(" ");
+        name.splice(-1);
+        return name.join(" ");
+    };
+    return search("GEOID10", 5)
+        || search("GEOID", 5)
+        || search("GEOID20", 5)
+        // Michigan
+        || search("county_nam")
+        || search("VTD", 5)
+        || search("VTDID", 5)
+        || search("Code", null, precinct => precinct.split(",")[0] + ",")
+        || search("COUNTYFP")
+        || search("COUNTYFP10")
+        || search("COUNTY")
+        || search("CTYNAME")
+        || search("CNTYNAME")
+        || search("cnty_nm")
+        || search("locality")
+        || search("NAME", null, nameSplice)
+        || search("NAME10", null, nameSplice)
+        // Oregon
+        || search("Precinct", null, value => {
+            let name = value.split("_");
+            name.splice(-1);
+            return name.join("_");
+        });
+}
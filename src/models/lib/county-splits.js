@@ -0,0 +1,42 @@
+import { firstPart } from "../AdjacencyGraph";
+
+/**
+ * Finds the counties which a plan splits between districts.
+ * @param {Object} units unit id -> { county, population }
+ * @param {Object} assignment unit id -> district(s)
+ * @returns {Object} { counties, splits }: the number of counties among the
+ *  units, and the split ones as { county, population, pieces }, where each
+ *  piece is { part, units, population }, most pieces first
+ */
+export function countySplits(units, assignment) {
+    let pieces = {},
+        populations = {};
+    Object.keys(units).forEach(unitId => {
+        const { county, population } = units[unitId];
+        if (county === null || county === undefined) {
+            return;
+        }
+        populations[county] = (populations[county] || 0) + population;
+        const part = firstPart(assignment[unitId]);
+        if (part === null) {
+            return;
+        }
+        pieces[county] = pieces[county] || {};
+        pieces[county][part] = pieces[county][part] || { part, units: 0, population: 0 };
+        pieces[county][part].units += 1;
+        pieces[county][part].population += population;
+    });
+
+    const splits = Object.keys(pieces)
+        .filter(county => Object.keys(pieces[county]).length > 1)
+        .map(county => ({
+            county,
+            population: populations[county],
+            pieces: Object.values(pieces[county]).sort((a, b) => b.population - a.population)
+        }))
+        .sort((a, b) => b.pieces.length - a.pieces.length || b.population - a.population);
+    return {
+        counties: Object.keys(populations).length,
+        splits
+    };
+}
@@ -0,0 +1,214 @@
+export const DELIMITERS = [",", ";", "\t", "|"];
+
+// header names of unit id and district columns, lowercased
+const ID_HEADERS = ["id", "geoid", "geoid10", "geoid20", "geoid_20", "unit", "unit_id", "precinct", "vtd", "block"],
+    DISTRICT_HEADERS = ["district", "assignment", "dist", "cd", "district_id", "districtid", "plan"];
+
+/**
+ * Splits CSV text into rows of cells. Cells may be quoted, with "" for a
+ * quote inside them.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+export function parseCSV(text, delimiter) {
+    let rows = [],
+        row = [],
+        cell = "",
+        quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === "\"" && text[i + 1] === "\"") {
+                cell += c;
+                i += 1;
+            } else if (c === "\"") {
+                quoted = false;
+            } else {
+                cell += c;
+            }
+        } else if (c === "\"") {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(cell.trim());
+            cell = "";
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[i + 1] === "\n") {
+                i += 1;
+            }
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += c;
+        }
+    }
+    if (cell.trim() || row.length) {
+        row.push(cell.trim());
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value !== ""));
+}
+
+/**
+ * Picks the delimiter which splits the first rows into the same number (at
+ * least two) of columns.
+ * @param {string} text
+ * @returns {string}
+ */
+export function sniffDelimiter(text) {
+    const sample = text.split(/\r?\n/).filter(line => line.trim())
+        .slice(0, 20)
+        .join("\n");
+    let best = ",",
+        bestScore = 0;
+    DELIMITERS.forEach(delimiter => {
+        const widths = parseCSV(sample, delimiter).map(row => row.length),
+            consistent = widths.filter(width => width === widths[0]).length;
+        if (widths.length && widths[0] > 1 && consistent > bestScore) {
+            best = delimiter;
+            bestScore = consistent;
+        }
+    });
+    return best;
+}
+
+/**
+ * Reads the header Districtr writes on assignment files, like
+ * "id-ma-blocks-9-districts".
+ * @param {string} cell
+ * @returns {Object|null} { placeId, unitsId, numberOfParts }
+ */
+export function districtrHeader(cell) {
+    const parts = String(cell).split("-");
+    if (parts[0] !== "id" || parts.length !== 5) {
+        return null;
+    }
+    return {
+        placeId: parts[1],
+        unitsId: parts[2].split("_").slice(-1)[0],
+        numberOfParts: Number(parts[3])
+    };
+}
+
+/**
+ * @param {Object} header from `districtrHeader`
+ * @param {Object} context the plan's context, with its place and units
+ * @returns {string|null} why the file doesn't fit this plan, if it doesn't
+ */
+export function headerMismatch(header, context) {
+    if (header.placeId !== context.place.id) {
+        return "CSV is for a different module (another state or region).";
+    } else if (header.unitsId !== context.units.id.split("_").slice(-1)[0]) {
+        return "CSV is for this module but a different unit map (e.g. blocks, precincts).";
+    }
+    return null;
+}
+
+function isNumeric(value) {
+    return value !== "" && !isNaN(value);
+}
+
+function findHeader(header, names) {
+    return header.findIndex(cell => names.includes(cell.toLowerCase()));
+}
+
+/**
+ * Guesses whether the first row is a header, and which columns hold the
+ * unit ids and districts.
+ * @param {string[][]} rows
+ * @returns {Object} { hasHeader, idColumn, districtColumn }
+ */
+export function guessMapping(rows) {
+    const [first, second] = rows;
+    if (!first) {
+        return { hasHeader: false, idColumn: 0, districtColumn: 1 };
+    }
+    // a header has words where the rows below it have numbers
+    const hasHeader = Boolean(districtrHeader(first[0]))
+        || Boolean(second) && first.some((cell, i) => !isNumeric(cell) && isNumeric(second[i]));
+    let idColumn = 0,
+        districtColumn = 1;
+    if (hasHeader) {
+        idColumn = Math.max(0, findHeader(first, ID_HEADERS));
+        const named = findHeader(first, DISTRICT_HEADERS);
+        if (named >= 0 && named !== idColumn) {
+            districtColumn = named;
+        } else {
+            districtColumn = idColumn === 0 ? 1 : 0;
+        }
+    }
+    return { hasHeader, idColumn, districtColumn: Math.min(districtColumn, first.length - 1) };
+}
+
+function sortDistricts(labels) {
+    return labels.every(isNumeric)
+        ? labels.sort((a, b) => a - b)
+        : labels.sort();
+}
+
+/**
+ * Reads an assignment from CSV rows and checks it.
+ * @param {string[][]} rows
+ * @param {Object} mapping { hasHeader, idColumn, districtColumn }
+ * @param {Set<string>} [knownIds] the module's unit ids, if known
+ * @returns {Object} { assignment, districts, rows, matched, unknownIds,
+ *  duplicates, missingDistrict }: unit id -> district labels, the district
+ *  labels in order, the number of data rows, how many of their units are in
+ *  `knownIds`, the ids not in it, { id, rows } for ids on more than one row
+ *  (the last row wins), and the (1-based) rows without a district
+ */
+export function readAssignment(rows, { hasHeader, idColumn, districtColumn }, knownIds) {
+    const data = hasHeader ? rows.slice(1) : rows,
+        firstRow = hasHeader ? 2 : 1;
+    let assignment = {},
+        seen = {},
+        unknownIds = [],
+        missingDistrict = [];
+    data.forEach((row, i) => {
+        const id = (row[idColumn] || "").trim(),
+            value = (row[districtColumn] || "").trim();
+        if (!id) {
+            return;
+        }
+        // Districtr writes units in more than one district as "1_2"
+        const districts = value.split("_").filter(label => label !== "");
+        if (!districts.length) {
+            missingDistrict.push(firstRow + i);
+            return;
+        }
+        seen[id] = (seen[id] || []).concat([firstRow + i]);
+        if (seen[id].length === 1 && knownIds && !knownIds.has(id)) {
+            unknownIds.push(id);
+        }
+        assignment[id] = districts;
+    });
+    const ids = Object.keys(assignment);
+    // one at a time; spreading every unit's labels into one call overflows
+    // the stack for block-level files
+    let labels = new Set();
+    ids.forEach(id => assignment[id].forEach(label => labels.add(label)));
+    return {
+        assignment,
+        districts: sortDistricts(Array.from(labels)),
+        rows: data.length,
+        matched: knownIds ? ids.length - unknownIds.length : null,
+        unknownIds,
+        duplicates: ids.filter(id => seen[id].length > 1).map(id => ({ id, rows: seen[id] })),
+        missingDistrict
+    };
+}
+
+/**
+ * @param {Object} assignment unit id -> district labels, from `readAssignment`
+ * @param {string[]} districts the district labels in order
+ * @returns {Object} unit id -> district indices, as a plan's assignment
+ */
+export function assignmentToParts(assignment, districts) {
+    let parts = {};
+    Object.keys(assignment).forEach(id => {
+        parts[id] = assignment[id].map(label => districts.indexOf(label));
+    });
+    return parts;
+}
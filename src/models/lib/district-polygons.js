@@ -0,0 +1,123 @@
+import { centroid, pointInGeometry, polygonsOf } from "../../map/geometry";
+
+// properties which may hold a district's number, lowercased
+const NUMBER_PROPERTIES = ["district", "districtno", "district_n", "district_num", "dist", "cd", "distnum", "id"],
+    NAME_PROPERTIES = ["name", "district_name", "distname"],
+    DESCRIPTION_PROPERTIES = ["description", "desc"];
+
+function findProperty(properties, names) {
+    return Object.keys(properties).find(key => names.includes(key.toLowerCase()));
+}
+
+/**
+ * Numbers imported district polygons, by a district number property when
+ * every polygon has a different one, and otherwise in the order they come.
+ * @param {Object[]} features GeoJSON features
+ * @returns {Object[]} list of { part, geometry, name, description }, where
+ *  `part` is the district's index (its number minus 1)
+ */
+export function districtsFromFeatures(features) {
+    const polygons = features.filter(feature => feature.geometry
+        && ["Polygon", "MultiPolygon"].includes(feature.geometry.type));
+    if (!polygons.length) {
+        return [];
+    }
+    const first = polygons[0].properties || {},
+        numberKey = NUMBER_PROPERTIES.map(name => findProperty(first, [name]))
+            .find(key => {
+                const numbers = polygons.map(feature => Number((feature.properties || {})[key]));
+                return key && numbers.every(n => Number.isInteger(n) && n >= 1)
+                    && new Set(numbers).size === numbers.length;
+            }),
+        nameKey = findProperty(first, NAME_PROPERTIES),
+        descriptionKey = findProperty(first, DESCRIPTION_PROPERTIES);
+    return polygons.map((feature, i) => {
+        const properties = feature.properties || {};
+        return {
+            part: numberKey ? Number(properties[numberKey]) - 1 : i,
+            geometry: feature.geometry,
+            name: nameKey && properties[nameKey] ? String(properties[nameKey]) : undefined,
+            description: descriptionKey && properties[descriptionKey] ? String(properties[descriptionKey]) : undefined
+        };
+    });
+}
+
+function boundsOf(geometry) {
+    let bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    polygonsOf(geometry).forEach(rings => rings[0].forEach(([x, y]) => {
+        bounds = [Math.min(bounds[0], x), Math.min(bounds[1], y), Math.max(bounds[2], x), Math.max(bounds[3], y)];
+    }));
+    return bounds;
+}
+
+function inBounds([x, y], bounds) {
+    return x >= bounds[0] && x <= bounds[2] && y >= bounds[1] && y <= bounds[3];
+}
+
+/**
+ * Estimates which district covers the most of a unit, by testing a grid of
+ * points over the unit.
+ */
+function largestOverlap(geometry, districts, samples) {
+    const bounds = boundsOf(geometry);
+    let counts = {};
+    for (let i = 0; i < samples; i++) {
+        for (let j = 0; j < samples; j++) {
+            const point = [
+                bounds[0] + (bounds[2] - bounds[0]) * (i + 0.5) / samples,
+                bounds[1] + (bounds[3] - bounds[1]) * (j + 0.5) / samples
+            ];
+            if (pointInGeometry(point, geometry)) {
+                const district = districts.find(d => inBounds(point, d.bounds) && pointInGeometry(point, d.geometry));
+                if (district) {
+                    counts[district.part] = (counts[district.part] || 0) + 1;
+                }
+            }
+        }
+    }
+    const parts = Object.keys(counts);
+    return parts.length
+        ? Number(parts.reduce((best, part) => counts[part] > counts[best] ? part : best))
+        : null;
+}
+
+/**
+ * Assigns units to the district polygons they fall in.
+ * @param {Object} units unit id -> GeoJSON geometry
+ * @param {Object[]} districts from `districtsFromFeatures`
+ * @param {string} [method] "centroid" to assign each unit to the district
+ *  containing its centroid, falling back to the largest overlap for units
+ *  whose centroid is outside every district; or "overlap" to always use the
+ *  largest overlap
+ * @param {number} [samples] the overlap is estimated from samples × samples
+ *  points over each unit
+ * @returns {Object} { assignment, unmatched, byOverlap }: unit id -> part,
+ *  the ids of units outside every district, and the number of units
+ *  assigned by overlap
+ */
+export function assignByPolygons(units, districts, method = "centroid", samples = 8) {
+    const withBounds = districts.map(district => ({ ...district, bounds: boundsOf(district.geometry) }));
+    let assignment = {},
+        unmatched = [],
+        byOverlap = 0;
+    Object.keys(units).forEach(unitId => {
+        let part = null;
+        if (method === "centroid") {
+            const point = centroid(units[unitId]),
+                district = point && withBounds.find(d => inBounds(point, d.bounds) && pointInGeometry(point, d.geometry));
+            part = district ? district.part : null;
+        }
+        if (part === null) {
+            part = largestOverlap(units[unitId], withBounds, samples);
+            if (part !== null) {
+                byOverlap += 1;
+            }
+        }
+        if (part === null) {
+            unmatched.push(unitId);
+        } else {
+            assignment[unitId] = part;
+        }
+    });
+    return { assignment, unmatched, byOverlap };
+}
@@ -0,0 +1,57 @@
+import { firstPart } from "../AdjacencyGraph";
+
+/**
+ * Plans how to assign every unassigned unit to a neighbouring district.
+ *
+ * Districts grow outward one ring of units at a time, so each unit joins
+ * one of the nearest districts; when a unit touches several, it goes to the
+ * one with the lowest population (so the lowest deviation from the ideal)
+ * at that point.
+ *
+ * @param {AdjacencyGraph} graph
+ * @param {Object} assignment unit id -> district(s), the current plan
+ * @param {Object} options
+ * @param {function} options.populationOf unit id -> population
+ * @param {number[]} options.partPopulations current population of each district
+ * @param {function} [options.canGrow] district -> boolean, false for
+ *  districts which must not gain units (e.g. locked ones)
+ * @returns {Object} { assignment, unreachable }: unit id -> district for the
+ *  units to fill, and the unassigned units no district can reach
+ */
+export function fillUnassigned(graph, assignment, { populationOf, partPopulations, canGrow = () => true }) {
+    let populations = partPopulations.slice(),
+        filled = {},
+        remaining = new Set(graph.unitIds.filter(unitId => firstPart(assignment[unitId]) === null));
+    const partOf = unitId => {
+        const part = filled.hasOwnProperty(unitId) ? filled[unitId] : firstPart(assignment[unitId]);
+        return part !== null && canGrow(part) ? part : null;
+    };
+
+    while (remaining.size) {
+        // the next ring: unassigned units next to a district, as of the last ring
+        let ring = [];
+        remaining.forEach(unitId => {
+            const parts = Array.from(new Set(graph.neighbors(unitId)
+                .map(partOf)
+                .filter(part => part !== null)));
+            if (parts.length) {
+                ring.push([unitId, parts]);
+            }
+        });
+        if (!ring.length) {
+            break;
+        }
+        ring.forEach(([unitId, parts]) => {
+            const part = parts.reduce((best, candidate) => (populations[candidate] || 0) < (populations[best] || 0)
+                ? candidate
+                : best);
+            filled[unitId] = part;
+            populations[part] = (populations[part] || 0) + populationOf(unitId);
+            remaining.delete(unitId);
+        });
+    }
+    return {
+        assignment: filled,
+        unreachable: Array.from(remaining)
+    };
+}
@@ -0,0 +1,70 @@
+import { firstPart } from "../AdjacencyGraph";
+
+/**
+ * Groups units by their lower-chamber district.
+ * @param {Object} lowerAssignment unit id -> lower district
+ * @returns {Object} lower district -> unit ids
+ */
+export function unitsByLowerDistrict(lowerAssignment) {
+    let groups = {};
+    Object.keys(lowerAssignment).forEach(unitId => {
+        const lower = firstPart(lowerAssignment[unitId]);
+        if (lower !== null) {
+            groups[lower] = groups[lower] || [];
+            groups[lower].push(unitId);
+        }
+    });
+    return groups;
+}
+
+/**
+ * Checks that an upper-chamber plan is made of whole lower-chamber districts.
+ * @param {Object} lowerAssignment unit id -> lower district
+ * @param {Object} upperAssignment unit id -> upper district
+ * @returns {Object} { nested, split, unassigned }: upper district -> the
+ *  lower districts wholly in it, the split lower districts as { lower,
+ *  uppers, unassignedUnits } (the upper districts it is in, and how many of
+ *  its units are in none), and the lower districts with no unit assigned
+ */
+export function nestingReport(lowerAssignment, upperAssignment) {
+    const groups = unitsByLowerDistrict(lowerAssignment);
+    let nested = {},
+        split = [],
+        unassigned = [];
+    Object.keys(groups)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .forEach(lower => {
+            let uppers = new Set(),
+                unassignedUnits = 0;
+            groups[lower].forEach(unitId => {
+                const upper = firstPart(upperAssignment[unitId]);
+                if (upper === null) {
+                    unassignedUnits += 1;
+                } else {
+                    uppers.add(upper);
+                }
+            });
+            if (uppers.size === 0) {
+                unassigned.push(lower);
+            } else if (uppers.size > 1 || unassignedUnits > 0) {
+                split.push({ lower, uppers: Array.from(uppers).sort((a, b) => a - b), unassignedUnits });
+            } else {
+                const upper = uppers.values().next().value;
+                nested[upper] = (nested[upper] || []).concat([lower]);
+            }
+        });
+    return { nested, split, unassigned };
+}
+
+/**
+ * @param {Object[]} problems the module's districting problems
+ * @param {Object} problem the lower chamber's problem
+ * @returns {Object[]} the problems with fewer districts, which could be
+ *  built from the lower chamber's districts
+ */
+export function upperChamberProblems(problems, problem) {
+    return (problems || []).filter(candidate => candidate.type !== "community"
+        && candidate.type !== "multimember"
+        && candidate.numberOfParts < problem.numberOfParts);
+}
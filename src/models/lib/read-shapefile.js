@@ -0,0 +1,146 @@
+import { pointInRing, ringArea } from "../../map/geometry";
+import { NULL_SHAPE, POLYGON } from "./shapefile";
+
+// PolygonZ and PolygonM records start the same way as Polygon ones
+const POLYGON_Z = 15,
+    POLYGON_M = 25;
+
+/**
+ * Groups shapefile rings into GeoJSON polygons: each hole
+ * (counter-clockwise) goes with the smallest outer ring (clockwise) around
+ * it.
+ */
+function polygonFromRings(rings) {
+    const outer = rings.filter(ring => ringArea(ring) <= 0)
+            .sort((a, b) => Math.abs(ringArea(a)) - Math.abs(ringArea(b))),
+        polygons = outer.map(ring => [ring]);
+    rings.filter(ring => ringArea(ring) > 0).forEach(hole => {
+        const i = outer.findIndex(ring => pointInRing(hole[0], ring));
+        if (i >= 0) {
+            polygons[i].push(hole);
+        } else {
+            // a ring wound the wrong way round; keep it as a polygon
+            polygons.push([hole]);
+        }
+    });
+    if (polygons.length === 0) {
+        return null;
+    }
+    return polygons.length === 1
+        ? { type: "Polygon", coordinates: polygons[0] }
+        : { type: "MultiPolygon", coordinates: polygons };
+}
+
+function readShapes(buffer) {
+    const view = new DataView(buffer),
+        shapeType = view.getInt32(32, true);
+    if (![NULL_SHAPE, POLYGON, POLYGON_Z, POLYGON_M].includes(shapeType)) {
+        throw new Error("The shapefile has points or lines, not district polygons.");
+    }
+    let geometries = [],
+        offset = 100;
+    while (offset + 8 <= buffer.byteLength) {
+        const length = view.getInt32(offset + 4) * 2,
+            content = offset + 8,
+            type = view.getInt32(content, true);
+        if (type === NULL_SHAPE) {
+            geometries.push(null);
+        } else {
+            const numParts = view.getInt32(content + 36, true),
+                numPoints = view.getInt32(content + 40, true),
+                pointsStart = content + 44 + 4 * numParts;
+            let starts = [];
+            for (let i = 0; i < numParts; i++) {
+                starts.push(view.getInt32(content + 44 + 4 * i, true));
+            }
+            starts.push(numPoints);
+            let rings = [];
+            for (let i = 0; i < numParts; i++) {
+                let ring = [];
+                for (let j = starts[i]; j < starts[i + 1]; j++) {
+                    ring.push([
+                        view.getFloat64(pointsStart + 16 * j, true),
+                        view.getFloat64(pointsStart + 16 * j + 8, true)
+                    ]);
+                }
+                rings.push(ring);
+            }
+            geometries.push(polygonFromRings(rings));
+        }
+        offset = content + length;
+    }
+    return geometries;
+}
+
+/**
+ * Reads a Shapefile's attribute table (its .dbf file).
+ * @param {ArrayBuffer} buffer
+ * @param {string} [encoding] from the .cpg file; UTF-8 if not given
+ * @returns {Object[]} a record per row, column name -> value
+ */
+export function readTable(buffer, encoding) {
+    const view = new DataView(buffer),
+        bytes = new Uint8Array(buffer),
+        count = view.getUint32(4, true),
+        headerLength = view.getUint16(8, true),
+        recordLength = view.getUint16(10, true);
+    let decoder;
+    try {
+        decoder = new TextDecoder(encoding || "utf-8");
+    } catch (e) {
+        // an encoding the browser doesn't know
+        decoder = new TextDecoder("utf-8");
+    }
+
+    let fields = [],
+        start = 1;
+    for (let offset = 32; offset < headerLength - 1 && bytes[offset] !== 0x0d; offset += 32) {
+        const name = decoder.decode(bytes.subarray(offset, offset + 11)).replace(/\0.*$/, ""),
+            field = { name, type: String.fromCharCode(bytes[offset + 11]), length: bytes[offset + 16], start };
+        fields.push(field);
+        start += field.length;
+    }
+
+    let records = [];
+    for (let i = 0; i < count; i++) {
+        const offset = headerLength + i * recordLength;
+        let record = {};
+        fields.forEach(field => {
+            const text = decoder.decode(bytes.subarray(offset + field.start, offset + field.start + field.length)).trim();
+            if (field.type === "N" || field.type === "F") {
+                record[field.name] = text === "" || isNaN(text) ? null : Number(text);
+            } else if (field.type === "L") {
+                record[field.name] = text === "" || text === "?" ? null : "YyTt".includes(text);
+            } else {
+                record[field.name] = text;
+            }
+        });
+        records.push(record);
+    }
+    return records;
+}
+
+/**
+ * Reads the polygons of an ESRI Shapefile and their attributes.
+ * @param {Object} files { shp, dbf, prj, cpg }: the .shp and .dbf files as
+ *  ArrayBuffers, and the optional .prj and .cpg files as text
+ * @returns {Object} a GeoJSON FeatureCollection
+ */
+export function readShapefile({ shp, dbf, prj, cpg }) {
+    if (prj && prj.trim()
+        .toUpperCase()
+        .startsWith("PROJCS")) {
+        throw new Error("The shapefile uses projected coordinates. Save it in longitude and "
+            + "latitude (e.g. WGS 84) and try again.");
+    }
+    const geometries = readShapes(shp),
+        records = dbf ? readTable(dbf, cpg && cpg.trim()) : [];
+    return {
+        type: "FeatureCollection",
+        features: geometries.map((geometry, i) => ({
+            type: "Feature",
+            properties: records[i] || {},
+            geometry
+        }))
+    };
+}
@@ -0,0 +1,63 @@
+// How the seats of a district are won from its votes, assuming everyone
+// votes along party lines
+export const SEAT_RULES = {
+    plurality: "Plurality at-large",
+    stv: "Proportional (STV estimate)"
+};
+
+/**
+ * @param {Part|*} part
+ * @param {number} population the part's population
+ * @param {number} idealPerSeat the ideal population of a single seat
+ * @returns {number} the part's seat count. Parts of multi-member plans without
+ *  a set seat count have as many seats as their population is closest to,
+ *  and none while they are empty.
+ */
+export function seatCount(part, population, idealPerSeat) {
+    if (part && typeof part.seats === "number") {
+        return part.seats;
+    } else if (part && part.seats === null) {
+        return population > 0 && idealPerSeat > 0
+            ? Math.max(1, Math.round(population / idealPerSeat))
+            : 0;
+    }
+    return 1;
+}
+
+// all the seats go to the parties with the most votes, and to each party in
+// a tie, as single-member districts have always been counted
+function plurality(votes, seats) {
+    const most = Math.max(...votes);
+    return votes.map(v => v === most && v > 0 ? seats : 0);
+}
+
+// each party wins a seat for every Droop quota it reaches, and the seats left
+// over go to the largest remainders, as if surplus and eliminated votes
+// transferred within the party
+function stv(votes, seats) {
+    const total = votes.reduce((sum, v) => sum + v, 0);
+    if (total <= 0 || seats <= 0) {
+        return votes.map(() => 0);
+    }
+    const quota = Math.floor(total / (seats + 1)) + 1;
+    let won = votes.map(v => Math.max(0, Math.floor(v / quota)));
+    const left = seats - won.reduce((sum, s) => sum + s, 0);
+    const remainders = votes
+        .map((v, i) => ({ i, remainder: v - won[i] * quota }))
+        .filter(({ remainder }) => remainder > 0)
+        .sort((a, b) => b.remainder - a.remainder);
+    remainders.slice(0, Math.max(0, left)).forEach(({ i }) => {
+        won[i] += 1;
+    });
+    return won;
+}
+
+/**
+ * @param {number[]} votes each party's votes in a district
+ * @param {number} seats the district's seat count
+ * @param {string} [rule] a key of SEAT_RULES
+ * @returns {number[]} the seats each party wins
+ */
+export function seatsByRule(votes, seats, rule = "plurality") {
+    return rule === "stv" ? stv(votes, seats) : plurality(votes, seats);
+}
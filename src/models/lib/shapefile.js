@@ -0,0 +1,185 @@
+import { polygonsOf, ringArea } from "../../map/geometry";
+
+// WGS 84 longitude and latitude, which is what GeoJSON coordinates are in
+export const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",'
+    + 'SPHEROID["WGS_1984",6378137.0,298.257223563]],'
+    + 'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+export const NULL_SHAPE = 0,
+    POLYGON = 5;
+
+/**
+ * The rings of a Polygon or MultiPolygon as shapefile parts: outer rings
+ * clockwise and holes counter-clockwise, the other way round from GeoJSON.
+ */
+function shapeParts(geometry) {
+    let parts = [];
+    polygonsOf(geometry).forEach(rings => {
+        rings.forEach((ring, r) => {
+            const clockwise = ringArea(ring) < 0,
+                closed = ring.length && ring[0][0] === ring[ring.length - 1][0]
+                    && ring[0][1] === ring[ring.length - 1][1]
+                    ? ring
+                    : ring.concat([ring[0]]);
+            parts.push(clockwise === (r === 0) ? closed : closed.slice().reverse());
+        });
+    });
+    return parts.filter(ring => ring.length >= 4);
+}
+
+function boundingBox(points) {
+    let box = [Infinity, Infinity, -Infinity, -Infinity];
+    points.forEach(([x, y]) => {
+        box = [Math.min(box[0], x), Math.min(box[1], y), Math.max(box[2], x), Math.max(box[3], y)];
+    });
+    return box;
+}
+
+function writeHeader(view, fileLength, box) {
+    view.setInt32(0, 9994);
+    view.setInt32(24, fileLength / 2);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, POLYGON, true);
+    box.forEach((value, i) => view.setFloat64(36 + 8 * i, value, true));
+}
+
+function writeShapes(geometries) {
+    const shapes = geometries.map(geometry => {
+            const parts = shapeParts(geometry),
+                points = [].concat(...parts);
+            return {
+                parts,
+                points,
+                box: points.length ? boundingBox(points) : null,
+                // content length in bytes, after the record header
+                length: points.length ? 44 + 4 * parts.length + 16 * points.length : 4
+            };
+        }),
+        allPoints = [].concat(...shapes.map(shape => shape.points)),
+        box = allPoints.length ? boundingBox(allPoints) : [0, 0, 0, 0],
+        shpLength = 100 + shapes.reduce((total, shape) => total + 8 + shape.length, 0),
+        shxLength = 100 + 8 * shapes.length,
+        shp = new DataView(new ArrayBuffer(shpLength)),
+        shx = new DataView(new ArrayBuffer(shxLength));
+
+    writeHeader(shp, shpLength, box);
+    writeHeader(shx, shxLength, box);
+    let offset = 100;
+    shapes.forEach((shape, i) => {
+        shx.setInt32(100 + 8 * i, offset / 2);
+        shx.setInt32(104 + 8 * i, shape.length / 2);
+        shp.setInt32(offset, i + 1);
+        shp.setInt32(offset + 4, shape.length / 2);
+        offset += 8;
+        if (!shape.box) {
+            shp.setInt32(offset, NULL_SHAPE, true);
+            offset += 4;
+            return;
+        }
+        shp.setInt32(offset, POLYGON, true);
+        shape.box.forEach((value, j) => shp.setFloat64(offset + 4 + 8 * j, value, true));
+        shp.setInt32(offset + 36, shape.parts.length, true);
+        shp.setInt32(offset + 40, shape.points.length, true);
+        offset += 44;
+        let start = 0;
+        shape.parts.forEach(ring => {
+            shp.setInt32(offset, start, true);
+            offset += 4;
+            start += ring.length;
+        });
+        shape.points.forEach(([x, y]) => {
+            shp.setFloat64(offset, x, true);
+            shp.setFloat64(offset + 8, y, true);
+            offset += 16;
+        });
+    });
+    return { shp: shp.buffer, shx: shx.buffer };
+}
+
+/**
+ * Encodes text as UTF-8 in at most `length` bytes, without cutting a
+ * character in half.
+ */
+function fitText(text, length) {
+    const encoder = new TextEncoder();
+    let chars = Array.from(text),
+        bytes = encoder.encode(text);
+    while (bytes.length > length) {
+        chars = chars.slice(0, -1);
+        bytes = encoder.encode(chars.join(""));
+    }
+    return bytes;
+}
+
+function fieldBytes(field, value) {
+    const { type, length, decimals = 0 } = field;
+    let bytes = new Uint8Array(length).fill(32);
+    if (value === null || value === undefined || value === "") {
+        return bytes;
+    }
+    if (type === "N") {
+        const text = fitText(Number(value).toFixed(decimals), length);
+        bytes.set(text, length - text.length);
+    } else {
+        bytes.set(fitText(String(value), length));
+    }
+    return bytes;
+}
+
+function writeTable(records, fields, modified) {
+    const headerLength = 32 + 32 * fields.length + 1,
+        recordLength = 1 + fields.reduce((total, field) => total + field.length, 0),
+        bytes = new Uint8Array(headerLength + recordLength * records.length + 1),
+        view = new DataView(bytes.buffer);
+
+    view.setUint8(0, 3);
+    view.setUint8(1, modified.getFullYear() - 1900);
+    view.setUint8(2, modified.getMonth() + 1);
+    view.setUint8(3, modified.getDate());
+    view.setUint32(4, records.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+    fields.forEach((field, i) => {
+        const offset = 32 + 32 * i;
+        bytes.set(fitText(field.name, 10), offset);
+        view.setUint8(offset + 11, field.type.charCodeAt(0));
+        view.setUint8(offset + 16, field.length);
+        view.setUint8(offset + 17, field.decimals || 0);
+    });
+    view.setUint8(headerLength - 1, 0x0d);
+
+    let offset = headerLength;
+    records.forEach(record => {
+        // not deleted
+        view.setUint8(offset, 32);
+        offset += 1;
+        fields.forEach(field => {
+            bytes.set(fieldBytes(field, record[field.property || field.name]), offset);
+            offset += field.length;
+        });
+    });
+    view.setUint8(offset, 0x1a);
+    return bytes.buffer;
+}
+
+/**
+ * Writes Polygon and MultiPolygon features as the files of an ESRI
+ * Shapefile.
+ * @param {Object[]} features GeoJSON features, in WGS 84
+ * @param {Object[]} fields the attribute table's columns, as
+ *  { name, type, length, decimals, property }: `name` is at most 10
+ *  characters, `type` is "C" (text) or "N" (number), and `property` is the
+ *  feature property to fill it from, if not `name`
+ * @param {Date} [modified]
+ * @returns {Object} { shp, shx, dbf, prj, cpg }, ArrayBuffers and strings
+ */
+export function shapefile(features, fields, modified = new Date()) {
+    const { shp, shx } = writeShapes(features.map(feature => feature.geometry));
+    return {
+        shp,
+        shx,
+        dbf: writeTable(features.map(feature => feature.properties || {}), fields, modified),
+        prj: WGS84_PRJ,
+        cpg: "UTF-8"
+    };
+}
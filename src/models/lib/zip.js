@@ -0,0 +1,171 @@
+/* eslint-disable no-bitwise */
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ c >>> 1 : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ crc >>> 8;
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosTime(date) {
+    return {
+        time: date.getHours() << 11 | date.getMinutes() << 5 | Math.floor(date.getSeconds() / 2),
+        date: date.getFullYear() - 1980 << 9 | date.getMonth() + 1 << 5 | date.getDate()
+    };
+}
+
+function toBytes(data) {
+    if (typeof data === "string") {
+        return new TextEncoder().encode(data);
+    }
+    return data instanceof Uint8Array ? data : new Uint8Array(data);
+}
+
+/**
+ * Writes a zip archive. Without a `deflate` function the files are stored
+ * uncompressed, which is plenty for the few files of a plan export.
+ * @param {Object[]} files list of { name, data }, where data is a string
+ *  (written as UTF-8), an ArrayBuffer or a Uint8Array
+ * @param {Date} [modified] the files' modification time
+ * @param {function} [deflate] compresses bytes as raw DEFLATE data (e.g.
+ *  Node's zlib.deflateRawSync); a file is only kept compressed if that
+ *  makes it smaller
+ * @returns {Uint8Array}
+ */
+export function zip(files, modified = new Date(), deflate = null) {
+    const { time, date } = dosTime(modified),
+        entries = files.map(({ name, data }) => {
+            const bytes = toBytes(data),
+                deflated = deflate ? toBytes(deflate(bytes)) : null,
+                compressed = deflated !== null && deflated.length < bytes.length;
+            return {
+                name: toBytes(name),
+                bytes: compressed ? deflated : bytes,
+                size: bytes.length,
+                method: compressed ? 8 : 0,
+                crc: crc32(bytes)
+            };
+        }),
+        localSize = entries.reduce((total, e) => total + 30 + e.name.length + e.bytes.length, 0),
+        centralSize = entries.reduce((total, e) => total + 46 + e.name.length, 0),
+        out = new Uint8Array(localSize + centralSize + 22),
+        view = new DataView(out.buffer);
+
+    let offset = 0;
+    // the header fields shared by local and central directory entries
+    const writeCommon = entry => {
+        view.setUint16(offset, 20, true);
+        view.setUint16(offset + 2, 0x0800, true); // names are UTF-8
+        view.setUint16(offset + 4, entry.method, true); // stored or deflated
+        view.setUint16(offset + 6, time, true);
+        view.setUint16(offset + 8, date, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.bytes.length, true);
+        view.setUint32(offset + 18, entry.size, true);
+        view.setUint16(offset + 22, entry.name.length, true);
+        view.setUint16(offset + 24, 0, true);
+        offset += 26;
+    };
+
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034b50, true);
+        offset += 4;
+        writeCommon(entry);
+        out.set(entry.name, offset);
+        offset += entry.name.length;
+        out.set(entry.bytes, offset);
+        offset += entry.bytes.length;
+    });
+
+    const centralOffset = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014b50, true);
+        view.setUint16(offset + 4, 20, true);
+        offset += 6;
+        writeCommon(entry);
+        // comment length, disk and attributes are all zero
+        offset += 10;
+        view.setUint32(offset, entry.offset, true);
+        offset += 4;
+        out.set(entry.name, offset);
+        offset += entry.name.length;
+    });
+
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralOffset, true);
+    view.setUint32(offset + 16, centralOffset, true);
+    return out;
+}
+
+function inflate(bytes) {
+    const stream = new Blob([bytes]).stream()
+        // eslint-disable-next-line no-undef
+        .pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Response(stream).arrayBuffer()
+        .then(buffer => new Uint8Array(buffer));
+}
+
+/**
+ * Reads the files in a zip archive, stored or deflated.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Promise<Object>} file name -> Uint8Array
+ */
+export function unzip(data) {
+    const bytes = toBytes(data),
+        view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+        decoder = new TextDecoder();
+    // the end of central directory record, searching back past any comment
+    let end = bytes.length - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) {
+        end -= 1;
+    }
+    if (end < 0) {
+        return Promise.reject(new Error("This file is not a zip archive."));
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true),
+        reading = [];
+    for (let i = 0; i < count; i++) {
+        const method = view.getUint16(offset + 10, true),
+            size = view.getUint32(offset + 20, true),
+            nameLength = view.getUint16(offset + 28, true),
+            extraLength = view.getUint16(offset + 30, true),
+            commentLength = view.getUint16(offset + 32, true),
+            local = view.getUint32(offset + 42, true),
+            name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+            start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true),
+            content = bytes.subarray(start, start + size);
+        if (method === 0) {
+            reading.push(Promise.resolve([name, content]));
+        } else if (method === 8) {
+            reading.push(inflate(content).then(inflated => [name, inflated]));
+        } else {
+            reading.push(Promise.reject(new Error(`${name} is compressed in a way we can't read.`)));
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return Promise.all(reading).then(entries => {
+        let files = {};
+        entries.forEach(([name, content]) => {
+            files[name] = content;
+        });
+        return files;
+    });
+}
@@ -13,6 +13,7 @@ import { Tab } from "../components/Tab";
 import { CoalitionPivotTable } from "../components/Charts/CoalitionPivotTable";
 import { spatial_abilities } from "../utils";
 import PartisanSummarySection from "../components/Charts/PartisanSummary";
+import addPlanSections from "./evaluation-sections";
 
 /**
  * @desc Creates a button which, when clicked, opens up a modal for charts.
@@ -148,7 +149,8 @@ export default function EvaluationPlugin(editor) {
                     state.elections,
                     state.activeParts,
                     uiState,
-                    dispatch
+                    dispatch,
+                    state.population.seats()
                 )}`,
             {
                 isOpen:
@@ -172,7 +174,8 @@ export default function EvaluationPlugin(editor) {
                     state.elections,
                     state.activeParts,
                     uiState,
-                    dispatch
+                    dispatch,
+                    state.population.seats()
                 )}`,
             {
                 isOpen:
@@ -203,7 +206,8 @@ export default function EvaluationPlugin(editor) {
 
     let lambda_contig = (state.unitsRecord.id === "blockgroups"
                         || state.unitsRecord.id === "blockgroups20"
-                        || state.unitsRecord.id === "vtds20");
+                        || state.unitsRecord.id === "vtds20"
+                        || state.unitsRecord.adjacency);
     if (state.plan.problem.type !== "community"
         && (!["ma_towns", "iowa_counties", "iacty20_counties"].includes(state.units.sourceId))
         && ( (spatial_abilities(state.place.id).contiguity)
@@ -227,6 +231,8 @@ export default function EvaluationPlugin(editor) {
         );
     }
 
+    addPlanSections(tab, state);
+
     // console.log(state);
     if (showVRA && (state.units.sourceId !== "ma_towns")) {
         VRAtab.addRevealSection(
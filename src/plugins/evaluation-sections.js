@@ -0,0 +1,81 @@
+import PlanComparisonSection from "../components/Charts/PlanComparisonSection";
+import ComparisonMap from "../map/ComparisonMap";
+import CompactnessSection from "../components/Charts/CompactnessSection";
+import Compactness from "../models/Compactness";
+import SplitsSection from "../components/Charts/SplitsSection";
+import CountySplitReport from "../models/CountySplitReport";
+import ChecklistSection from "../components/Charts/ChecklistSection";
+import PlanChecklist from "../models/PlanChecklist";
+import NestingSection from "../components/Charts/NestingSection";
+import { nested, plan_rules } from "../utils";
+
+/**
+ * Adds the Evaluation tab's sections which score the plan's shape in the
+ * browser: compactness, county splits, the checklist, nesting and plan
+ * comparison.
+ * @param {Tab} tab
+ * @param {State} state
+ */
+export default function addPlanSections(tab, state) {
+    if (state.plan.problem.type !== "community") {
+        const compactness = new Compactness(state, state.render);
+        // only the districts a stroke changed are scored again
+        state.brush.on("colorop", (isUndoRedo, changedParts) => compactness.update(changedParts));
+        tab.addRevealSection(
+            "Compactness",
+            uiState => {
+                compactness.setVisible(uiState.charts.Compactness.isOpen);
+                return CompactnessSection(compactness, state.activeParts);
+            },
+            {
+                isOpen: false
+            }
+        );
+    }
+
+    if (state.plan.problem.type !== "community") {
+        const splits = new CountySplitReport(state, state.render);
+        state.brush.on("colorop", splits.update);
+        tab.addRevealSection(
+            "Splits",
+            () => SplitsSection(splits, state.parts, state.place),
+            {
+                isOpen: false
+            }
+        );
+
+        // the save and event dialogs check the plan with this, too
+        state.checklist = new PlanChecklist(state, plan_rules(state.place.id, state.problem), splits);
+        tab.addRevealSection(
+            "Checklist",
+            () => ChecklistSection(state.checklist),
+            {
+                isOpen: false
+            }
+        );
+    }
+
+    if ((nested(state.place.id) || state.nesting)
+        && !["community", "multimember"].includes(state.plan.problem.type)
+        && !window.location.href.includes("embed")) {
+        const nestingView = { error: null };
+        tab.addRevealSection(
+            "Nesting",
+            () => NestingSection(state, nestingView),
+            {
+                isOpen: Boolean(state.nesting)
+            }
+        );
+    }
+
+    if (state.plan.problem.type !== "community" && !window.location.href.includes("embed")) {
+        const comparison = new ComparisonMap(state);
+        tab.addRevealSection(
+            "Compare Plans",
+            () => PlanComparisonSection(comparison, state),
+            {
+                isOpen: false
+            }
+        );
+    }
+}
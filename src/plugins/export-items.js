@@ -0,0 +1,150 @@
+import { renderModal } from "../components/Modal";
+import { planFeatures, planGeoJSON, planShapefileZip } from "../models/PlanExport";
+import { download, spatial_abilities } from "../utils";
+import { render } from "lit-html";
+
+function exportPlanAsJSON(state) {
+    const serialized = state.serialize();
+    const text = JSON.stringify(serialized);
+    download(`districtr-plan-${serialized.id}.json`, text);
+}
+
+function exportPlanAsSHP(state, geojson) {
+    const serialized = state.serialize();
+    Object.keys(serialized.assignment).forEach(assign => {
+        if (typeof serialized.assignment[assign] === 'number') {
+            serialized.assignment[assign] = [serialized.assignment[assign]];
+        }
+    });
+    render(renderModal(`Starting your ${geojson ? "GeoJSON" : "SHP"} download `), document.getElementById("modal"));
+    fetch("//mggg.pythonanywhere.com/" + (geojson ? "geojson" : "shp"), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify(serialized)
+    })
+    .then(res => res.arrayBuffer())
+    .catch(e => console.error(e))
+    .then(data => {
+        download(`districtr-plan-${serialized.id}.${geojson ? "geojsons.zip" : "shp.zip"}`, data, true);
+    });
+}
+
+// dissolved in the browser from the units' GeoJSON file, or made by the
+// export server if that fails and the server can
+function exportPlanShapes(state, geojson, serverFallback) {
+    const target = document.getElementById("modal"),
+        name = `districtr-plan-${state.plan.id}`;
+    render(renderModal(`Preparing your ${geojson ? "GeoJSON" : "SHP"} download`), target);
+    planFeatures(state)
+        .then(features => {
+            if (!features.length) {
+                render(renderModal("Paint some units before exporting the plan."), target);
+                return;
+            }
+            if (geojson) {
+                download(`${name}.geojson`, planGeoJSON(features), true);
+            } else {
+                download(`${name}.shp.zip`, planShapefileZip(features, name), true);
+            }
+            render(renderModal("Your download has started."), target);
+        })
+        .catch(e => {
+            console.error(e);
+            if (serverFallback) {
+                exportPlanAsSHP(state, geojson);
+            } else {
+                render(renderModal(`The plan couldn't be exported: ${e.message}`), target);
+            }
+        });
+}
+
+function exportPlanAsAssignmentFile(state, delimiter = ",", extension = "csv") {
+    if (state.place.id === "louisiana") {
+        delimiter = ";";
+    }
+    let srl = assignment => typeof assignment === "object" ? assignment.join("_") : assignment;
+    let text = `"id-${state.place.id}-${state.units.id}-${state.problem.numberOfParts}`;
+    text += `-${state.problem.pluralNoun.replace(/\s+/g, "")}"`;
+    text += `${delimiter}assignment\n`;
+    text += Object.keys(state.plan.assignment)
+        .map(unitId => `${unitId}${delimiter}${srl(state.plan.assignment[unitId])}`)
+        .join("\n");
+    download(`assignment-${state.plan.id}.${extension}`, text);
+}
+
+function exportPlanAsBlockAssignment(state, delimiter = ",") {
+    const assign = Object.fromEntries(Object.entries(state.plan.assignment).map(([k, v]) => [k, Array.isArray(v) ? v[0] : v]));
+    const units = state.unitsRecord.id;
+    const stateName = state.place.state;
+    render(renderModal(`Starting your block assignment file download `), document.getElementById("modal"));
+    fetch("https://gvd4917837.execute-api.us-east-1.amazonaws.com/block_assignment", {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        body: JSON.stringify({ "state": stateName, "units": units, "assignment": assign })
+    })
+    .then(res => res.json())
+    .catch(e => console.error(e))
+    .then(data => {
+        const rows = Object.entries(data).map(r => r.join(delimiter));
+        download(`block-assignment-${state.plan.id}.csv`, `Block${delimiter} District\n` + rows.join("\n"));
+    });
+}
+
+/**
+ * The Tools menu's export items. Shapefile and GeoJSON exports are made in
+ * the browser from the units' GeoJSON file (`geojson` in the module's JSON,
+ * made with build/unit-geometries.js). The export server is only used where
+ * the module supports it, for units without a GeoJSON file or when the file
+ * can't be read; other units have no shapes to export.
+ * @param {State} state
+ * @returns {Object[]}
+ */
+export default function exportMenuItems(state) {
+    const censusUnit = state.unitsRecord.id === "blockgroups"
+                        || state.unitsRecord.id === "blockgroups20"
+                        || state.unitsRecord.id === "vtds20";
+    const inBrowser = Boolean(state.unitsRecord.geojson);
+    const fromServer = spatial_abilities(state.place.id).shapefile
+                        && !state.unitsRecord.id.includes("2020 VTD");
+    const exportShapes = geojson => {
+        if (inBrowser) {
+            exportPlanShapes(state, geojson, fromServer);
+        } else {
+            exportPlanAsSHP(state, geojson);
+        }
+    };
+    const planNoun = state.problem.type === "community" ? " COI " : " ";
+    let items = [
+        {
+            name: `Export Districtr-JSON`,
+            onClick: () => exportPlanAsJSON(state)
+        }
+    ];
+    if (inBrowser || fromServer) {
+        items.push(
+            {
+                name: `Export${planNoun}plan as SHP`,
+                onClick: () => exportShapes(false)
+            },
+            {
+                name: `Export${planNoun}plan as GeoJSON`,
+                onClick: () => exportShapes(true)
+            }
+        );
+    }
+    items.push({
+        name: "Export assignment as CSV (these units)",
+        onClick: () => exportPlanAsAssignmentFile(state)
+    });
+    if (censusUnit || spatial_abilities(state.place.id).block_assign) {
+        items.push({
+            name: "Export assignment file as CSV (blocks)",
+            onClick: () => exportPlanAsBlockAssignment(state)
+        });
+    }
+    return items;
+}
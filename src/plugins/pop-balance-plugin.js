@@ -2,12 +2,17 @@
 import { html } from "lit-html";
 import { Tab } from "../components/Tab";
 import { spatial_abilities, specialStates } from "../utils";
+import { savePlanToStorage } from "../routes";
 import HighlightUnassigned from "../components/Charts/HighlightUnassigned";
 import MultiMemberPopBalanceChart from "../components/Charts/MMPopBalanceChart";
 import populationBarChart from "../components/Charts/PopulationBarChart";
 import populationDeviation from "../components/Charts/PopulationDeviation";
 import unassignedPopulation from "../components/Charts/UnassignedPopulation";
 import populateDatasetInfo from "../components/Charts/DatasetInfo";
+import FillUnassigned from "../components/Charts/FillUnassigned";
+import AutoFill from "../map/AutoFill";
+import BalancePopulation from "../components/Charts/BalancePopulation";
+import PopulationBalancer from "../map/PopulationBalancer";
 
 export default function PopulationBalancePlugin(editor) {
     const problem = editor.state.plan.problem;
@@ -102,6 +107,26 @@ export default function PopulationBalancePlugin(editor) {
                                 ? unassignedZoom : null;
 
 
+    const toggleLock = partId => {
+        state.plan.toggleLock(partId);
+        savePlanToStorage(state.serialize());
+        state.render();
+    };
+
+    // filling from neighbouring districts and balancing follow the units' adjacency file
+    const autoFill = state.unitsRecord.adjacency && state.brush
+        ? new AutoFill(state, state.brush, state.render)
+        : null;
+    const balancer = state.unitsRecord.adjacency && state.brush
+        ? new PopulationBalancer(state, state.brush, state.render)
+        : null;
+
+    const setSeats = (part, seats) => {
+        part.seats = seats;
+        savePlanToStorage(state.serialize());
+        state.render();
+    };
+
     if (problem.type === "multimember") {
         tab.addRevealSection(
             "Population Balance",
@@ -109,7 +134,7 @@ export default function PopulationBalancePlugin(editor) {
                 <section class="toolbar-inner dataset-info">
                     ${populateDatasetInfo(state)}
                 </section>
-                ${MultiMemberPopBalanceChart(state.population, state.parts)}
+                ${MultiMemberPopBalanceChart(state.population, state.parts, setSeats, state.plan.lockedParts, toggleLock)}
                 <dl class="report-data-list">
                     ${unassignedPopulation(state.population)}
                     ${HighlightUnassigned(state.unitsBorders, zoomToUnassigned)}
@@ -124,11 +149,13 @@ export default function PopulationBalancePlugin(editor) {
                     <section class="toolbar-inner dataset-info">
                         ${populateDatasetInfo(state)}
                     </section>
-                    ${populationBarChart(state.population, state.activeParts)}
+                    ${populationBarChart(state.population, state.activeParts, state.plan.lockedParts, toggleLock)}
                     <dl class="report-data-list">
                         ${unassignedPopulation(state.population)}
                         ${populationDeviation(state.population)}
                         ${HighlightUnassigned(state.unitsBorders, zoomToUnassigned)}
+                        ${autoFill ? FillUnassigned(autoFill, state.population, state.parts) : ""}
+                        ${balancer ? BalancePopulation(balancer, state.parts) : ""}
                     </dl>
                 `
         );
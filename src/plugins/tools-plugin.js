@@ -2,6 +2,8 @@ import hotkeys from 'hotkeys-js';
 
 import BrushTool from "../components/Toolbar/BrushTool";
 import EraserTool from "../components/Toolbar/EraserTool";
+import LassoTool from "../components/Toolbar/LassoTool";
+import PaintBucketTool from "../components/Toolbar/PaintBucketTool";
 import InspectTool from "../components/Toolbar/InspectTool";
 import PanTool from "../components/Toolbar/PanTool";
 import LandmarkTool from "../components/Toolbar/LandmarkTool";
@@ -12,8 +14,15 @@ import NumberMarkers from "../map/NumberMarkers";
 import ContiguityChecker from "../map/contiguity";
 import VRAEffectiveness from "../map/vra_effectiveness"
 import { renderVRAAboutModal, renderAboutModal, renderSaveModal, renderModal } from "../components/Modal";
-import { navigateTo, savePlanToStorage, savePlanToDB } from "../routes";
-import { download, spatial_abilities } from "../utils";
+import checkPlanBeforeSubmitting from "../components/ChecklistModal";
+import renderDraftPicker from "../components/DraftPicker";
+import renderCollabDialog, { startCollaboration } from "../components/CollabDialog";
+import renderPlanRevisions, { savedPlanId } from "../components/PlanRevisions";
+import { loadLowerChamber } from "../components/Charts/NestingSection";
+import { navigateTo, savePlanToStorage, saveHistoryToStorage } from "../routes";
+import { spatial_abilities } from "../utils";
+import { authHeaders, savePlanToDB } from "../api/plans";
+import exportMenuItems from "./export-items";
 import { html, render } from "lit-html";
 
 export default function ToolsPlugin(editor) {
@@ -22,10 +31,18 @@ export default function ToolsPlugin(editor) {
     const brush = (state.problem.type === 'community')
         ? new CommunityBrush(state.units, 20, 0)
         : new Brush(state.units, 20, 0);
+    brush.idColumn = state.idColumn;
+    brush.history = state.history;
+    brush.plan = state.plan;
+    brush.nesting = state.nesting;
+    if (state.nesting) {
+        loadLowerChamber(state);
+    }
     brush.on("colorfeature", state.update);
     brush.on("colorend", state.render);
     brush.on("colorend", toolbar.unsave);
     state.brush = brush;
+    state.collaboration = window.location.href.includes("embed") ? null : startCollaboration(state, brush);
 
     if (state.plan.problem.type !== "community") {
         // show drop-in geojson and built-in landmarks
@@ -52,13 +69,15 @@ export default function ToolsPlugin(editor) {
     const contiguity_on = (spatial_abilities(state.place.id).contiguity
                         || state.unitsRecord.id === "blockgroups"
                         || state.unitsRecord.id === "blockgroups20"
-                        || state.unitsRecord.id === "vtds20");
+                        || state.unitsRecord.id === "vtds20"
+                        || state.unitsRecord.adjacency);
     const c_checker = (contiguity_on && state.problem.type !== "community")
                             ? ContiguityChecker(state, brush, false)
                             : null;
 
     brush.on("colorop", (isUndoRedo, colorsAffected) => {
         savePlanToStorage(state.serialize());
+        saveHistoryToStorage(state.plan.id, brush.history);
         if (c_checker) {
             c_checker(state, colorsAffected);
         }
@@ -77,6 +96,11 @@ export default function ToolsPlugin(editor) {
         new PanTool(),
         new BrushTool(brush, state.parts, brushOptions),
         new EraserTool(brush),
+        new LassoTool(state, brush, state.parts),
+        // flood fill follows the units' adjacency file
+        state.unitsRecord.adjacency
+            ? new PaintBucketTool(state, brush, state.parts)
+            : null,
         new InspectTool(
             state.layers,
             state.columnSets,
@@ -116,6 +140,16 @@ export default function ToolsPlugin(editor) {
         evt.preventDefault();
         toolbar.selectTool("eraser");
     });
+    hotkeys("l", evt => {
+        evt.preventDefault();
+        toolbar.selectTool("lasso");
+    });
+    if (state.unitsRecord.adjacency) {
+        hotkeys("f", evt => {
+            evt.preventDefault();
+            toolbar.selectTool("fill");
+        });
+    }
     hotkeys("i", (evt, handler) => {
         evt.preventDefault();
         toolbar.selectTool("inspect");
@@ -137,71 +171,6 @@ export default function ToolsPlugin(editor) {
     // }
 }
 
-function exportPlanAsJSON(state) {
-    const serialized = state.serialize();
-    const text = JSON.stringify(serialized);
-    download(`districtr-plan-${serialized.id}.json`, text);
-}
-function exportPlanAsSHP(state, geojson) {
-    const serialized = state.serialize();
-    Object.keys(serialized.assignment).forEach((assign) => {
-        if (typeof serialized.assignment[assign] === 'number') {
-            serialized.assignment[assign] = [serialized.assignment[assign]];
-        }
-    });
-    render(renderModal(`Starting your ${geojson ? "GeoJSON" : "SHP"} download `), document.getElementById("modal"));
-    fetch("//mggg.pythonanywhere.com/" + (geojson ? "geojson" : "shp"), {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(serialized),
-    })
-    .then((res) => res.arrayBuffer())
-    .catch((e) => console.error(e))
-    .then((data) => {
-        download(`districtr-plan-${serialized.id}.${geojson ? "geojsons.zip" : "shp.zip"}`, data, true);
-    });
-}
-
-function exportPlanAsAssignmentFile(state, delimiter = ",", extension = "csv") {
-    if (state.place.id === "louisiana") {
-        delimiter = ";";
-    }
-    let srl = (assignment) => typeof assignment === "object" ? assignment.join("_") : assignment;
-    let text = `"id-${state.place.id}-${state.units.id}-${state.problem.numberOfParts}`;
-    text += `-${state.problem.pluralNoun.replace(/\s+/g, "")}"`;
-    text += `${delimiter}assignment\n`;
-    text += Object.keys(state.plan.assignment)
-        .map(unitId => `${unitId}${delimiter}${srl(state.plan.assignment[unitId])}`)
-        .join("\n");
-    download(`assignment-${state.plan.id}.${extension}`, text);
-}
-
-function exportPlanAsBlockAssignment(state, delimiter=",", extension="csv") {
-    const assign = Object.fromEntries(Object.entries(state.plan.assignment).map(([k, v]) => [k, Array.isArray(v) ? v[0] : v]));
-    const units = state.unitsRecord.id;
-    const stateName = state.place.state;
-    render(renderModal(`Starting your block assignment file download `), document.getElementById("modal"));
-    fetch("https://gvd4917837.execute-api.us-east-1.amazonaws.com/block_assignment", {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-            "state": stateName,
-            "units": units,
-            "assignment": assign})
-    })
-    .then((res) => res.json())
-    .catch((e) => console.error(e))
-    .then((data) => {
-        console.log(data);
-        const table_data = `Block${delimiter} District\n` + Object.entries(data).map(r => r.join(delimiter)).join("\n")
-        download(`block-assignment-${state.plan.id}.csv`, table_data)
-    })
-}
-
 function scrollToSection(state, section) {
     return () => {
         let url = "/" + state.place.state.replace(/,/g, "").replace(/\s+/g, '-'),
@@ -221,11 +190,29 @@ function scrollToSection(state, section) {
     };
 }
 
+function openDraftPicker(state) {
+    const target = document.getElementById("modal");
+    render(renderModal(html`<div id="draft-picker"></div>`), target);
+    renderDraftPicker(document.getElementById("draft-picker"), {
+        placeId: state.place.id,
+        openId: state.plan.id
+    });
+}
+
+function openPlanRevisions() {
+    const target = document.getElementById("modal"),
+        planId = savedPlanId();
+    render(renderModal(html`<div id="plan-revisions"></div>`), target);
+    if (planId) {
+        renderPlanRevisions(document.getElementById("plan-revisions"), planId);
+    } else {
+        render(html`<p>Save the plan to keep a version of it each time you save.</p>`,
+            document.getElementById("plan-revisions"));
+    }
+}
+
 function getMenuItems(state) {
     const showVRA = (state.plan.problem.type !== "community") && (spatial_abilities(state.place.id).vra_effectiveness);
-    const censusUnit = state.unitsRecord.id === "blockgroups"
-                        || state.unitsRecord.id === "blockgroups20"
-                        || state.unitsRecord.id === "vtds20";
     let items = [
         {
             name: "About redistricting",
@@ -238,7 +225,7 @@ function getMenuItems(state) {
         {
             id: "mobile-upload",
             name: "Save plan",
-            onClick: () => renderSaveModal(state, savePlanToDB)
+            onClick: () => checkPlanBeforeSubmitting(state, () => renderSaveModal(state, savePlanToDB))
         },
         {
             name: "Districtr homepage",
@@ -253,29 +240,30 @@ function getMenuItems(state) {
             onClick: () => navigateTo("/new")
         },
         {
-            name: "Print / PDF",
-            onClick: () => window.print()
+            name: "Drafts in this browser",
+            onClick: () => openDraftPicker(state)
         },
         {
-            name: `Export Districtr-JSON`,
-            onClick: () => exportPlanAsJSON(state)
+            name: "Saved versions",
+            onClick: openPlanRevisions
         },
-        ((spatial_abilities(state.place.id).shapefile && !state.unitsRecord.id.includes("2020 VTD")) ?  {
-            name: `Export${state.problem.type === "community" ? " COI " : " "}plan as SHP`,
-            onClick: () => exportPlanAsSHP(state)
-        } : null),
-        ((spatial_abilities(state.place.id).shapefile && !state.unitsRecord.id.includes("2020 VTD")) ?  {
-            name: `Export${state.problem.type === "community" ? " COI " : " "}plan as GeoJSON`,
-            onClick: () => exportPlanAsSHP(state, true)
-        } : null),
+        authHeaders().Authorization
+            ? {
+                name: "My plans",
+                onClick: () => window.open("/my-plans", "_blank")
+            }
+            : null,
+        state.collaboration
+            ? {
+                name: "Collaborate live",
+                onClick: () => renderCollabDialog(state.collaboration)
+            }
+            : null,
         {
-            name: "Export assignment as CSV (these units)",
-            onClick: () => exportPlanAsAssignmentFile(state)
+            name: "Print / PDF",
+            onClick: () => window.print()
         },
-        (censusUnit || spatial_abilities(state.place.id).block_assign ? {
-            name: "Export assignment file as CSV (blocks)",
-            onClick: () => exportPlanAsBlockAssignment(state)
-        }: null),
+        ...exportMenuItems(state),
         {
             name: "About import/export options",
             onClick: () => window.open("/import-export", "_blank")
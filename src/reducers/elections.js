@@ -4,6 +4,10 @@ export const handlers = {
     changeElection: (state, action) => ({
         ...state,
         activeElectionIndex: action.index
+    }),
+    changeSeatRule: (state, action) => ({
+        ...state,
+        seatRule: action.rule
     })
 };
 
@@ -1,5 +1,5 @@
 import { listPlaces } from "./api/mockApi";
-import { spatial_abilities } from "./utils";
+import { getDraft, saveDraft } from "./api/drafts";
 
 const routes = {
     "/": "/",
@@ -15,11 +15,13 @@ const routes = {
     "/analysis": "/analysis",
     "/evaluation": "/evaluation",
     "/eval": "/eval",
-    "/coi-info": "/coi-info"
+    "/coi-info": "/coi-info",
+    "/my-plans": "/my-plans",
+    "/search": "/search"
 };
 
 export function navigateTo(route) {
-    if (routes.hasOwnProperty(route) || route.includes("?event=")) {
+    if (routes.hasOwnProperty(route) || route.includes("?event=") || route.includes("?draft=")) {
         location.assign(routes[route] || route);
     } else {
         throw Error("The requested route does not exist: " + route);
@@ -31,15 +33,30 @@ export function startNewPlan(place, problem, units, id, setParts, eventCode, por
         problem.numberOfParts = setParts;
     }
     savePlanToStorage({ place, problem, units, id });
-    let action = (window.location.hostname === "localhost" ? "edit" : (
-      problem.type === "community" ? "COI" : "plan"
-    ));
+    let action = editAction(problem);
     if (portalOn) {
       eventCode += "&portal";
     }
     navigateTo(eventCode ? (`/${action}?event=${eventCode}`) : `/${action}`);
 }
 
+/**
+ * @param {Object} problem
+ * @returns {string} the page which edits plans for the problem
+ */
+export function editAction(problem) {
+    if (window.location.hostname === "localhost") {
+        return "edit";
+    }
+    return problem.type === "community" ? "COI" : "plan";
+}
+
+/**
+ * Saves the plan as the one to open on the edit page, and as a draft in the
+ * local plan library (see `api/drafts`), so starting another plan doesn't
+ * lose it.
+ * @param {Object} plan a serialized plan
+ */
 export function savePlanToStorage({
     place,
     problem,
@@ -48,7 +65,10 @@ export function savePlanToStorage({
     assignment,
     name,
     description,
-    parts
+    parts,
+    lockedParts,
+    nesting,
+    parentId
 }) {
     const state = {
         place,
@@ -58,90 +78,80 @@ export function savePlanToStorage({
         assignment,
         name,
         description,
-        parts
+        parts,
+        lockedParts,
+        nesting,
+        parentId
     };
     if (!window.location.href.includes("embed")) {
         localStorage.setItem("savedState", JSON.stringify(state));
+        // a new plan gets its id when the editor opens it
+        if (id) {
+            saveDraft(state).catch(e => console.error(e));
+        }
     }
 }
 
-export function savePlanToDB(state, eventCode, planName, callback, forceNotScratch) {
-    const serialized = state.serialize(),
-        mapID = window.location.pathname.split("/").slice(-1)[0],
-        token = localStorage.getItem("districtr_token_" + mapID) || "",
-        createdAfter = (new Date() * 1) - 24 * 60 * 60 * 1000,
-        tokenValid = (token && (token !== "null")
-            && (token.split("_")[1] * 1 > createdAfter)),
-        saveURL = tokenValid
-            ? ("/.netlify/functions/planUpdate?id=" + mapID)
-            : "/.netlify/functions/planCreate",
-        requestBody = {
-            plan: JSON.parse(JSON.stringify(serialized)),
-            token: token.split("_")[0],
-            eventCode: eventCode,
-            planName: planName,
-            isScratch: (document.getElementById("is-scratch") || {}).checked || (eventCode && !forceNotScratch),
-            hostname: window.location.hostname
-        };
-    // VA fix - if precinct IDs are strings, escape any "."
-    Object.keys(requestBody.plan.assignment || {}).forEach(key => {
-        if (typeof key === "string" && key.indexOf(".") > -1) {
-            requestBody.plan.assignment[key.replace(/\./g, "÷")] =
-                requestBody.plan.assignment[key];
-            delete requestBody.plan.assignment[key];
-        }
-    });
-    fetch(saveURL, {
-        method: "POST",
-        body: JSON.stringify(requestBody)
-    })
-    .then(res => res.json())
-    .then(info => {
-        if (info.simple_id) {
-            let action = (window.location.hostname === "localhost" ? "edit" : (
-              serialized.problem.type === "community" ? "COI" : "plan"
-            ));
-            let extras = "";
-            if (window.location.href.includes("portal")) {
-                extras = "?portal";
-            } else if (window.location.href.includes("qa-portal")) {
-                extras = "?qa-portal";
-            } else if (window.location.href.includes("event")) {
-                const eventdefault = window.location.href.split("event=")[1].split("&")[0].split("#")[0];
-                extras = "?event=" + eventdefault;
-            }
-            history.pushState({}, "Districtr", `/${action}/${info.simple_id}${extras}`);
-            if (info.token && localStorage) {
-                localStorage.setItem("districtr_token_" + info.simple_id, info.token + "_" + (1 * new Date()));
-            }
-            if (spatial_abilities(state.place.id).shapefile) {
-                // screenshot
-                if (
-                  (state.place.id === state.place.state.toLowerCase() &&
-                  ["blockgroups20", "vtds20"].includes(state.unitsRecord.id))
-                    || ["new_mexico", "new_mexico_portal"].includes(state.place.id)
-                ) {
-                    fetch("https://gvd4917837.execute-api.us-east-1.amazonaws.com/plan_thumbnail", {
-                      method: 'POST',
-                      mode: 'cors',
-                      headers: {
-                        'Content-Type': 'application/json',
-                      },
-                      body: JSON.stringify({ id: info.simple_id }),
-                    }).then((res) => res.text()).then(f => console.log('saved image'))
-                } else {
-                    fetch("//mggg.pythonanywhere.com/picture2?id=" + info.simple_id).then((res) => res.text()).then(f => console.log('saved image'))
-                }
-            }
-            callback(info.simple_id, action);
-        } else {
-            callback(null);
+/**
+ * Keeps the brush history for the plan in localStorage, beside the plan
+ * itself (see `savePlanToStorage`).
+ * @param {string} planId
+ * @param {History} history
+ */
+export function saveHistoryToStorage(planId, history) {
+    if (window.location.href.includes("embed")) {
+        return;
+    }
+    // over the localStorage quota, keep fewer of the oldest entries; the
+    // whole history still works until reload
+    for (let count = history.entries.length; count > 0; count = Math.floor(count / 2)) {
+        try {
+            localStorage.setItem("savedHistory", JSON.stringify({
+                id: planId,
+                ...history.serialize(count)
+            }));
+            return;
+        } catch (e) {
+            console.error(e);
         }
-    })
-    .catch(e => callback(null));
+    }
+    localStorage.removeItem("savedHistory");
 }
 
+/**
+ * Loads the plan to edit: the draft named in the URL (`?draft=<id>`, as
+ * linked from the drafts picker), or else the plan saved last.
+ * @returns {Promise<Object>}
+ */
 export function getContextFromStorage() {
+    const draftId = getDraftIdFromQueryParam();
+    if (!draftId) {
+        return Promise.resolve(getSavedState());
+    }
+    return getDraft(draftId)
+        .then(draft => {
+            if (!draft) {
+                throw new Error(`There is no draft ${draftId} in this browser.`);
+            }
+            return {
+                ...draft.plan,
+                history: getHistoryFromStorage(draftId)
+            };
+        })
+        .catch(e => {
+            console.error(e);
+            navigateTo("/new");
+        });
+}
+
+function getDraftIdFromQueryParam() {
+    if (!window.location.search.includes("draft=")) {
+        return null;
+    }
+    return decodeURIComponent(window.location.search.split("draft=")[1].split("&")[0].split("#")[0]);
+}
+
+function getSavedState() {
     const savedState = window.location.href.includes("embed")
         ? null
         : localStorage.getItem("savedState");
@@ -158,11 +168,25 @@ export function getContextFromStorage() {
 
     if (state === null || state === undefined) {
         navigateTo("/new");
+    } else {
+        state.history = getHistoryFromStorage(state.id);
     }
 
     return state;
 }
 
+function getHistoryFromStorage(planId) {
+    try {
+        const history = JSON.parse(localStorage.getItem("savedHistory"));
+        if (history && history.id === planId) {
+            return history;
+        }
+    } catch (e) {
+        localStorage.removeItem("savedHistory");
+    }
+    return null;
+}
+
 export function loadPlanFromJSON(planRecord) {
     if (planRecord.msg && planRecord.plan) {
         // retrieved from database
@@ -196,88 +220,6 @@ export function loadPlanFromJSON(planRecord) {
     });
 }
 
-export function loadPlanFromCSV(assignmentList, state) {
-    let rows = assignmentList.trim().split(/\r?\n/);
-    let headers = rows[0].replace(/"/g, "").trim().split(",");
-    if (
-        headers[0].indexOf("id-") === 0
-        && headers[0].split("-").length === 5
-    ) {
-        // new format, verify units match
-        //id-state.place.id-state.units.id
-        let cols = headers[0].split("-");
-        let placeId = cols[1],
-            unitId = cols[2],
-            partCount = cols[3],
-            pluralType = cols[4];
-        if (unitId.includes("_")) {
-            unitId = unitId.split("_").slice(-1)[0];
-        }
-
-        if (placeId !== state.place.id) {
-            throw new Error("CSV is for a different module (another state or region).");
-        } else if (unitId !== state.units.id.split("_").slice(-1)[0]) {
-            throw new Error("CSV is for this module but a different unit map (e.g. blocks, precincts).");
-        }
-        // else if (pluralType !== state.problem.pluralNoun.replace(/\s+/g, "")) {
-        //     throw new Error("CSV is for this module but a different division map (e.g. districts)");
-        // }
-        state.problem.numberOfParts = partCount * 1;
-    } else if (!headers[1].match(/\d/) && headers[1].length !== 1) {
-        // Sept 2021 fix, no numbers in first line = useless header
-        console.log("custom header");
-    } else {
-        // old format, no column headers
-        headers = null;
-    }
-    let planRecord = state;
-    planRecord.assignment = {};
-
-    const delimiter = (state.place.id === "louisiana") ? ";" : ",";
-
-    let districtIds = new Set(rows.slice(1).map((row, index) => row.split(delimiter)[1].split("_")[0] ));
-    if (headers) {districtIds.delete(rows[0].split(delimiter)[1]);}
-    districtIds.delete(undefined);
-
-    let distMap = Array.from(districtIds.values());
-    (!isNaN(distMap[0] - distMap[1])) ? distMap.sort((a, b) => a - b) : distMap.sort();
-
-    // if we didn't set numberOfParts in CSV, find max here
-    state.problem.numberOfParts =  Math.max(state.problem.numberOfParts, distMap.length)
-
-    if (state.place.id === "nc") {
-        state.place.id = "northcarolina";
-    }
-    return listPlaces(state.place.id, state.place.state).then(places => {
-        rows.forEach((row, index) => {
-            if (index > 0 || !headers) {
-                let cols = row.split(delimiter),
-                    val = cols[1].split("_"),
-                    key = (isNaN(cols[0] * 1) || cols[0].match(/[^0-9]/) || cols[0][0] === "0")
-                        ? cols[0]
-                        : cols[0] * 1;
-                if (!cols[1].match(/\d/) && cols[1].length !== 1) {
-                    console.log("no assigned value in row " + index);
-                    return;
-                }
-                if (typeof(key) === "string" && (key.includes("\""))) {
-                    key = key.slice(1, -1);
-                }
-
-                if (key && val !== undefined) {
-                    planRecord.assignment[key] = [];
-                    val.forEach(v => planRecord.assignment[key].push(distMap.indexOf(v)));
-                }
-            }
-        });
-        const place = places.find(p => p.id === planRecord.place.id);
-        return {
-            ...planRecord,
-            place
-        };
-    });
-}
-
 export function loadPlanFromURL(url) {
     return fetch(url)
         .then(r => r.json())
@@ -2651,6 +2651,73 @@ export function spatial_abilities(id) {
   return status[id] || {};
 }
 
+/**
+ * Rules a finished plan should meet, for the plan checklist and the save
+ * and event submission dialogs. Modules add rules or change the defaults
+ * below, for all of their districting problems or for one chamber
+ * ("congress", "senate" or "house"). Each rule has a level: "error" keeps
+ * the plan from being submitted, "warning" asks the user first.
+ *
+ *   all_assigned: no population is left unassigned
+ *   district_count: every district has population
+ *   population: { tolerance } the largest deviation from the ideal
+ *     population, as a fraction of it
+ *   contiguity: every district is in one piece (where contiguity is checked)
+ *   county_splits: { max } the most counties which may be split
+ *   minority_opportunity: { group, threshold, districts } the fewest
+ *     districts where a group (a subgroup's key or name, e.g. "BVAP") is at
+ *     least the threshold fraction of the voting age population
+ *   nesting: no lower-chamber district is split (in plans built from one)
+ *
+ * @param {string} id the module's id
+ * @param {Object} [problem] the districting problem
+ * @returns {Object} rule id -> its settings
+ */
+export function plan_rules(id, problem) {
+  const defaults = {
+    all_assigned: { level: "warning" },
+    district_count: { level: "warning" },
+    population: { tolerance: 0.05, level: "warning" },
+    contiguity: { level: "warning" },
+    nesting: { level: "warning" }
+  };
+  const contiguous = { all: { contiguity: { level: "error" } } };
+  const modules = {
+    alabama: {
+      // Allen v. Milligan (2023): two districts where Black voters are a
+      // majority, or close to it
+      congress: { minority_opportunity: { group: "BVAP", threshold: 0.5, districts: 2, level: "warning" } }
+    },
+    ohio: {
+      // Ohio Const. art. XIX, sec. 2(B)(4): of 88 counties, 18 may be split
+      // once and 5 twice
+      congress: { county_splits: { max: 23, level: "error" } },
+      // art. XI, sec. 3(B)(1): within 5% of the ratio of representation
+      senate: { population: { tolerance: 0.05, level: "error" } },
+      house: { population: { tolerance: 0.05, level: "error" } }
+    },
+    // Pa. Const. art. II, sec. 16, and League of Women Voters v.
+    // Commonwealth (2018) for Congress
+    pennsylvania: contiguous,
+    pa_ref_20: contiguous,
+    pa_adj: contiguous,
+    pa_prison_adj: contiguous,
+    // Va. Const. art. II, sec. 6
+    virginia: contiguous
+  };
+  const noun = problem ? problem.pluralNoun || "" : "";
+  let chamber = null;
+  if ((/congress/i).test(noun)) {
+    chamber = "congress";
+  } else if ((/senate/i).test(noun)) {
+    chamber = "senate";
+  } else if ((/house|assembly|delegates/i).test(noun)) {
+    chamber = "house";
+  }
+  const rules = modules[id] || {};
+  return { ...defaults, ...rules.all, ...rules[chamber] };
+}
+
 export function nested(st) {
   return [
     'alaska',
@@ -4,12 +4,13 @@ import State from "../models/State";
 import {
     loadPlanFromURL,
     loadPlanFromJSON,
-    loadPlanFromCSV,
     getContextFromStorage,
     navigateTo,
     savePlanToStorage
 } from "../routes";
+import { keepLockedParts } from "../models/PlanImport";
 import Editor from "../models/Editor";
+import { getRevisionFromQueryParam } from "../components/PlanRevisions";
 import ToolsPlugin from "../plugins/tools-plugin";
 import EvaluationPlugin from "../plugins/evaluation-plugin";
 import PopulationBalancePlugin from "../plugins/pop-balance-plugin";
@@ -18,6 +19,12 @@ import CommunityPlugin from "../plugins/community-plugin";
 import MultiLayersPlugin from "../plugins/multi-layers-plugin";
 import CoiVisualizationPlugin from "../plugins/coi-visualization-plugin";
 import { spatial_abilities, boundsOfGJ } from "../utils";
+import { renderModal } from "../components/Modal";
+import { renderPolygonImportChoice } from "../components/PolygonImport";
+import planImporters from "../components/PlanImporters";
+import { readZippedShapefile } from "../models/PolygonImport";
+import { districtsFromFeatures } from "../models/lib/district-polygons";
+import { isBlockEquivalency } from "../models/lib/block-equivalency";
 
 function getPlugins(context) {
     if (context.units.coi2) {
@@ -69,13 +76,17 @@ function getPlanContext() {
         // remove token; save a new plan
         localStorage.removeItem("districtr_token_" + finalURLpage);
         // load JSON plan from DB
-        return loadPlanFromURL(`/.netlify/functions/planRead?id=${finalURLpage}`).catch(e => {
-            console.error(`Could not load plan ${finalURLpage} from database`);
-            navigateTo("/");
-            console.error(e);
-        });
+        const rev = getRevisionFromQueryParam();
+        return loadPlanFromURL(`/.netlify/functions/planRead?id=${finalURLpage}${rev === null ? "" : `&rev=${rev}`}`)
+            // saving makes a new plan, derived from this one
+            .then(context => ({ ...context, parentId: finalURLpage }))
+            .catch(e => {
+                console.error(`Could not load plan ${finalURLpage} from database`);
+                navigateTo("/");
+                console.error(e);
+            });
     } else {
-        return Promise.resolve(getContextFromStorage());
+        return getContextFromStorage();
     }
 }
 
@@ -138,10 +149,22 @@ function loadContext(context) {
         window.history.replaceState({}, "Districtr", shortPlanName);
     }
 
+    const importers = planImporters(context, () => state, loadContext);
+
     // block of event handlers; drop a file onto the map
     function planHandler(f, callback) {
         let plan = f.getAsFile(),
             pname = plan.name.toLowerCase();
+        if (pname.endsWith(".zip")) {
+            // zipped Shapefile of district polygons
+            plan.arrayBuffer()
+                .then(readZippedShapefile)
+                .then(geojson => renderPolygonImportChoice({
+                    onImport: method => importers.districtPolygons(geojson, method)
+                }))
+                .catch(e => render(renderModal(e.message), document.getElementById("modal")));
+            return;
+        }
         if (pname.includes(".json") || pname.includes(".geojson") || pname.includes(".csv")) {
             let reader = new FileReader();
             reader.onload = (e) => {
@@ -169,9 +192,16 @@ function loadContext(context) {
                           [bnd[2], bnd[3]]
                         ]);
 
-                        if (callback) {
+                        if (districtsFromFeatures(planData.features || [planData]).length) {
+                            // district polygons can become a plan, or stay as landmarks
+                            renderPolygonImportChoice({
+                                onImport: method => importers.districtPolygons(planData, method),
+                                onLandmarks: () => callback && callback(planData)
+                            });
+                        } else if (callback) {
                             callback(planData);
                         }
+                        return;
                     }
                     if (document.querySelector("input[name=tabs]:checked")) {
                         localStorage.setItem(
@@ -188,14 +218,16 @@ function loadContext(context) {
                             return;
                         }
                     }
-                    loadPlanFromJSON(planData).then(loadContext);
+                    loadPlanFromJSON(planData)
+                        .then(newContext => keepLockedParts(newContext, state))
+                        .then(loadContext);
+                } else if (isBlockEquivalency(reader.result)
+                    && !(context.units.id.includes("block") && !context.units.id.includes("blockgroup"))) {
+                    // census blocks, for a map of larger units
+                    importers.blockEquivalency(reader.result);
                 } else {
                     // CSV
-                    try {
-                        loadPlanFromCSV(reader.result, context).then(loadContext);
-                    } catch (e) {
-                        window.alert(e.message);
-                    }
+                    importers.assignmentCSV(reader.result);
                 }
             };
             reader.readAsText(plan);
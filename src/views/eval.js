@@ -18,6 +18,8 @@ import { districtColors } from "../colors";
 import Layer, { addBelowLabels } from "../map/Layer";
 import { toggle } from "../components/Toggle";
 import Analyzer from "../models/Analyzer";
+import Ensemble from "../models/Ensemble";
+import EnsembleSection from "../components/Charts/EnsembleSection";
 
 // global for the election slides
 let two_party = -1;
@@ -137,7 +139,10 @@ function renderRight(pane, context, state, mapState) {
                         on ${state.unitsRecord.unitType.toLowerCase()}.<br/>
                         Error text: ${data.error}.`, 
                     document.getElementById('analysis-right'));
-                return;
+                // the ensemble runs locally, so it can still be offered
+                if (!state.unitsRecord.adjacency) {
+                    return;
+                }
             }
             let municipalities = ['ma'].includes(state.place.id);
 
@@ -148,12 +153,19 @@ function renderRight(pane, context, state, mapState) {
             pane.pane.append(innerTemplate);
 
             let analyzer = new Analyzer(state, mapState, innerTemplate);
-            analyzer.addRevealSection("Basics", (uiState, dispatch) => overview_section(state, data.contiguity, data.split, data.num_units))
-            analyzer.addRevealSection("Election Results and Partisanship", (uiState, dispatch) => election_section(state, data.partisanship))
-            analyzer.addRevealSection("Compactness", (uiState, dispatch) => compactness_section(state, data.cut_edges, data.polsbypopper))
-            data.counties == -1 ? "" : 
-                analyzer.addRevealSection(municipalities ? "Municipality Splits" : "County Splits", 
-                    (uiState, dispatch) => county_section(state, data.counties, municipalities))
+            if (!data.error) {
+                analyzer.addRevealSection("Basics", () => overview_section(state, data.contiguity, data.split, data.num_units));
+                analyzer.addRevealSection("Election Results and Partisanship", () => election_section(state, data.partisanship));
+                analyzer.addRevealSection("Compactness", () => compactness_section(state, data.cut_edges, data.polsbypopper));
+                if (Number(data.counties) !== -1) {
+                    analyzer.addRevealSection(municipalities ? "Municipality Splits" : "County Splits",
+                        () => county_section(state, data.counties, municipalities));
+                }
+            }
+            if (state.unitsRecord.adjacency) {
+                const ensemble = new Ensemble(state, analyzer.render);
+                analyzer.addRevealSection("Ensemble Comparison", () => EnsembleSection(ensemble));
+            }
             analyzer.render();
         });
 }
@@ -192,7 +204,7 @@ function getPlanContext() {
             console.error(e);
         });
     } else {
-        return Promise.resolve(getContextFromStorage());
+        return getContextFromStorage();
     }
 }
 
@@ -347,7 +359,10 @@ function overview_section (state, contig, problems, num_tiles) {
 function election_section(state, partisanship) {
     // let elections = state.elections;
     let elections = state.elections.filter(e => e.subgroups.every(c => ['d', 'r'].includes(c.name.toLowerCase()[0])));
-    let num_districts = state.plan.parts.length;
+    // seats rather than districts, for multi-member plans
+    const seats = state.population.seats(),
+        seatRule = state.problem.seatRule || "plurality";
+    let num_districts = seats.reduce((sum, count) => sum + count, 0);
     if (state.elections.length < 1)
         return html`No election data available for ${state.place.name}.`
     let rows = [];
@@ -367,13 +382,13 @@ function election_section(state, partisanship) {
     const width = `${Math.round(81 / headers.length)}%`;
     for (let election of elections) {
         let d_votes = election.parties[0].getOverallFraction(),
-            d_seats = election.getSeatsWonParty(election.parties[0]);
-        let d_seat_share = d_seats/election.total.data.length;
+            d_seats = election.getSeatsWonParty(election.parties[0], seats, seatRule);
+        let d_seat_share = d_seats/num_districts;
         let bias_to = (Math.abs(d_votes - d_seat_share)*num_districts < 0.5) ? "N" : (d_votes > d_seat_share) ? "R" : "D";
 
 
         // > 0 if biased towards Rs, < 0 if toward Ds
-        let bias_by = Math.round(((d_votes - d_seat_share) * election.total.data.length) * 10)/10;
+        let bias_by = Math.round((d_votes - d_seat_share) * num_districts * 10)/10;
         bias_acc.push(bias_by);
         
         let disportionality = Math.abs(bias_by) / (2*num_districts);
@@ -388,9 +403,10 @@ function election_section(state, partisanship) {
 
         rows.push({
             label: parseElectionName(election.name),
-            entries: election.parties.reduce((acc, party) => acc.concat([getCell(party, null), 
-                                                                         getCellSeatShare(party, election)]),
-                                             []).concat(biases)
+            entries: election.parties.reduce((acc, party) => acc.concat([
+                getCell(party, null),
+                getCellSeatShare(party, election, seats, seatRule)
+            ]), []).concat(biases)
         });
     }
     let favor = bias_acc.map(x => x > 0 ? 1 : -1).reduce((a,b) => a + b, 0);
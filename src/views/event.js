@@ -6,6 +6,7 @@ import { geoPath } from "d3-geo";
 import { geoAlbersUsaTerritories } from "geo-albers-usa-territories";
 import { until } from "lit-html/directives/until";
 import { listPlaces } from "../api/mockApi";
+import EventExportButton from "../components/EventExport";
 
 
 // start draftskip at -8 so that we hide the drafts on initial load
@@ -3344,6 +3345,9 @@ export default () => {
             if (eventCode != 'pmc-districts') {  // do not show for PMC Districts
               render(html`
                   ${plansSection(plans, eventCode)}
+                  ${drafts || !prevPlans.length
+                    ? ""
+                    : EventExportButton(eventCode)}
                   ${loadExtraPlans ?
                     html`<button id="${button}" @click="${(e) => {
                         document.getElementById(pinwheel).style.display = "block";
@@ -3444,6 +3448,15 @@ const loadablePlan = (plan, eventCode, isProfessionalSamples) => {
                       ID: ${plan.simple_id || plan._id}</h6>
                 <br/>
                 ${(plan.isScratch ? html`<h4 style="font-style: italic">Draft Plan</h4>` : "")}
+                ${plan.parentId || plan.derivedPlans
+                    ? html`<span class="thumb__lineage">
+                        ${plan.parentId ? html`forked from #${plan.parentId}<br/>` : ""}
+                        ${plan.derivedPlans
+                            ? `${plan.derivedPlans} derived plan${plan.derivedPlans === 1 ? "" : "s"}`
+                            : ""}
+                    </span>
+                    <br/>`
+                    : ""}
                 <span>
                   ${plan.plan.place.name || ""}
                   <br/>
@@ -3456,7 +3469,7 @@ const loadablePlan = (plan, eventCode, isProfessionalSamples) => {
                 </span>
                 <br/>
                 ${isProfessionalSamples ? "" : html`<span>Updated<br/>
-                      ${(new Date(plan.startDate)).toLocaleString()}</span>`}
+                      ${new Date(plan.updateDate || plan.startDate).toLocaleString()}</span>`}
             </figcaption>
         </li>
     </a>`;
@@ -0,0 +1,110 @@
+import { html, render } from "lit-html";
+import initializeAuthContext, { unauthenticatedUser } from "../api/auth";
+import { client } from "../api/client";
+import { changePlanEditors, listMyPlans } from "../api/plans";
+import { editAction } from "../routes";
+
+function planLabel(plan) {
+    return plan.planName || `Plan ${plan.simple_id}`;
+}
+
+function Editors(plan, change) {
+    if (!plan.editors.length) {
+        return "";
+    }
+    return html`
+        <span class="drafts__details">
+            Shared with
+            ${plan.editors.map(email => html`
+                <span class="my-plans__editor">
+                    ${email}
+                    <button class="button button--transparent" title="Stop sharing"
+                        @click=${() => change("unshare", email)}>×</button>
+                </span>
+            `)}
+        </span>
+    `;
+}
+
+function PlanItem(plan, refresh) {
+    const change = (action, email) => changePlanEditors(plan.simple_id, action, email)
+        .then(refresh)
+        // eslint-disable-next-line no-alert
+        .catch(e => window.alert(e.message));
+    const share = () => {
+        // eslint-disable-next-line no-alert
+        const email = window.prompt(`Let someone else edit "${planLabel(plan)}". Their email address:`);
+        if (email) {
+            change("share", email.trim());
+        }
+    };
+    const transfer = () => {
+        // eslint-disable-next-line no-alert
+        const email = window.prompt(`Give "${planLabel(plan)}" to someone else. Their email address:`);
+        // eslint-disable-next-line no-alert
+        if (email && window.confirm(`${email.trim()} will own this plan, and you won't be able to edit it. Continue?`)) {
+            change("transfer", email.trim());
+        }
+    };
+    return html`
+        <li class="drafts__item">
+            <div class="drafts__info">
+                <span class="drafts__name">${planLabel(plan)}</span>
+                <span class="drafts__details">
+                    ${[plan.placeName, plan.problem ? plan.problem.pluralNoun : ""].filter(Boolean).join(" · ")}
+                    — saved ${new Date(plan.updateDate || plan.startDate).toLocaleString()}
+                    ${plan.role === "editor" ? " · shared with you" : ""}
+                    ${plan.isScratch ? " · draft" : ""}
+                </span>
+                ${Editors(plan, change)}
+            </div>
+            <div class="drafts__actions">
+                <a class="button button--alternate" href="/${editAction(plan.problem || {})}/${plan.simple_id}">Open</a>
+                ${plan.role === "owner"
+                    ? html`
+                        <button class="button button--transparent" @click=${share}>Share</button>
+                        <button class="button button--transparent" @click=${transfer}>Transfer</button>
+                    `
+                    : ""}
+            </div>
+        </li>
+    `;
+}
+
+function renderPlans(target, user) {
+    const refresh = () => renderPlans(target, user);
+    listMyPlans()
+        .then(plans => render(html`
+            <section class="drafts">
+                <h2 class="drafts__title">${user.first ? `${user.first}'s plans` : "My plans"}</h2>
+                ${plans.length
+                    ? html`<ul class="drafts__list">${plans.map(plan => PlanItem(plan, refresh))}</ul>`
+                    : html`<p>The plans you save while signed in will be listed here.</p>`}
+            </section>
+        `, target))
+        .catch(e => render(html`<p class="drafts__error">${e.message}</p>`, target));
+}
+
+/**
+ * Lists the plans the signed-in user has saved, or been given the right to
+ * edit, which they can open from any browser.
+ */
+export default function renderMyPlansView() {
+    const target = document.getElementById("root");
+    render(html`<p class="l-content">Loading your plans...</p>`, target);
+    initializeAuthContext(client).then(user => {
+        if (user === unauthenticatedUser) {
+            render(html`
+                <section class="drafts">
+                    <h2 class="drafts__title">My plans</h2>
+                    <p>
+                        <a href="/signin">Sign in</a> to see the plans you've saved, and
+                        to edit them from any browser.
+                    </p>
+                </section>
+            `, target);
+        } else {
+            renderPlans(target, user);
+        }
+    });
+}
@@ -2,6 +2,7 @@ import { html, render } from "lit-html";
 import { PlaceMapWithData } from "../components/PlaceMap";
 import { until } from "lit-html/directives/until";
 import PlanUploader from "../components/PlanUploader";
+import renderDraftPicker from "../components/DraftPicker";
 import { loadPlanFromJSON, navigateTo, savePlanToStorage } from "../routes";
 
 export default function renderNewPlanView() {
@@ -20,6 +21,7 @@ export default function renderNewPlanView() {
                 </h1>
                 ${until(PlaceMapWithData(), "")}
             </div>
+            <section class="l-content" id="drafts"></section>
             <section class="l-content l-major-section">
             <p style="text-align: right; margin-right: 10%;">
                 <a href="/import-export">Import an existing plan or community map</a>
@@ -28,4 +30,5 @@ export default function renderNewPlanView() {
         `,
         target
     );
+    renderDraftPicker(document.getElementById("drafts"));
 }
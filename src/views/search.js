@@ -0,0 +1,195 @@
+import { html, render } from "lit-html";
+import { editAction } from "../routes";
+
+const FIELDS = ["q", "type", "place", "units", "complete", "from", "to", "drafts", "skip"],
+    PAGE_SIZE = 20,
+    TYPES = [
+        ["districts", "Districting plans"],
+        ["multimember", "Multi-member plans"],
+        ["community", "Communities of interest"]
+    ];
+
+function paramsFromURL() {
+    const search = new URLSearchParams(window.location.search);
+    let params = {};
+    FIELDS.forEach(field => {
+        if (search.get(field)) {
+            params[field] = search.get(field);
+        }
+    });
+    return params;
+}
+
+function toQueryString(params) {
+    const search = new URLSearchParams();
+    FIELDS.filter(field => params[field])
+        .forEach(field => search.set(field, params[field]));
+    return search.toString();
+}
+
+function FacetSelect(name, label, values, selected) {
+    // keep the chosen value listed, even if no plans have it
+    const options = values.some(value => String(value._id) === selected) || !selected
+        ? values
+        : [{ _id: selected, count: 0 }].concat(values);
+    return html`
+        <label class="search__field">
+            ${label}
+            <select name=${name}>
+                <option value="" ?selected=${!selected}>Any</option>
+                ${options.map(value => html`
+                    <option value=${value._id} ?selected=${String(value._id) === selected}>
+                        ${value._id} (${value.count})
+                    </option>
+                `)}
+            </select>
+        </label>
+    `;
+}
+
+function SearchForm(params, facets, onSearch) {
+    const completeCounts = {};
+    (facets.complete || []).forEach(value => {
+        completeCounts[String(value._id)] = value.count;
+    });
+    return html`
+        <form class="search__form" @submit=${e => {
+            e.preventDefault();
+            const form = e.target.elements;
+            onSearch({
+                q: form.q.value.trim(),
+                type: form.type.value,
+                place: form.place.value,
+                units: form.units.value,
+                complete: form.complete.value,
+                from: form.from.value,
+                to: form.to.value,
+                drafts: form.drafts.checked ? "true" : ""
+            });
+        }}>
+            <input class="search__text" type="search" name="q" .value=${params.q || ""}
+                placeholder="Plan names, community names and descriptions, landmarks" />
+            <div class="search__facets">
+                <label class="search__field">
+                    Kind
+                    <select name="type">
+                        <option value="" ?selected=${!params.type}>Any</option>
+                        ${TYPES.map(([value, label]) => html`
+                            <option value=${value} ?selected=${params.type === value}>${label}</option>
+                        `)}
+                    </select>
+                </label>
+                ${FacetSelect("place", "Place", facets.place || [], params.place)}
+                ${FacetSelect("units", "Units", facets.units || [], params.units)}
+                <label class="search__field">
+                    Completeness
+                    <select name="complete">
+                        <option value="" ?selected=${!params.complete}>Any</option>
+                        <option value="true" ?selected=${params.complete === "true"}>
+                            Complete${completeCounts.true ? ` (${completeCounts.true})` : ""}
+                        </option>
+                        <option value="false" ?selected=${params.complete === "false"}>Incomplete</option>
+                    </select>
+                </label>
+                <label class="search__field">
+                    Saved from
+                    <input type="date" name="from" .value=${params.from || ""} />
+                </label>
+                <label class="search__field">
+                    to
+                    <input type="date" name="to" .value=${params.to || ""} />
+                </label>
+                <label class="search__field search__field--check">
+                    <input type="checkbox" name="drafts" ?checked=${params.drafts === "true"} />
+                    Include drafts
+                </label>
+            </div>
+            <button type="submit" class="button">Search</button>
+        </form>
+    `;
+}
+
+function ResultItem(plan) {
+    const problem = plan.plan.problem || {},
+        summary = plan.summary;
+    return html`
+        <li class="drafts__item">
+            <div class="drafts__info">
+                <a class="drafts__name" href="/${editAction(problem)}/${plan.simple_id}">
+                    ${plan.planName || `Plan ${plan.simple_id}`}
+                </a>
+                <span class="drafts__details">
+                    ${[
+                        plan.plan.place ? plan.plan.place.name : plan.plan.placeId,
+                        problem.type === "community" ? "Communities of interest" : problem.pluralNoun,
+                        plan.plan.units ? plan.plan.units.name : ""
+                    ].filter(Boolean).join(" · ")}
+                    — saved ${new Date(plan.updateDate || plan.startDate).toLocaleDateString()}
+                </span>
+                <span class="drafts__details">
+                    ID ${plan.simple_id}
+                    ${summary ? ` · ${summary.districts} ${problem.type === "community" ? "communities" : `of ${problem.numberOfParts} districts`}` : ""}
+                    ${summary && summary.complete ? " · complete" : ""}
+                    ${plan.eventCode ? ` · ${plan.eventCode}` : ""}
+                    ${plan.isScratch ? " · draft" : ""}
+                </span>
+            </div>
+        </li>
+    `;
+}
+
+function Results(result, params, onSearch) {
+    if (!result.plans.length) {
+        return html`<p>No saved plans match this search.</p>`;
+    }
+    const skip = result.skip;
+    return html`
+        <p class="search__count">
+            Plans ${skip + 1}–${skip + result.plans.length} of ${result.total}
+        </p>
+        <ul class="drafts__list">${result.plans.map(ResultItem)}</ul>
+        <div class="search__pages">
+            ${skip > 0
+                ? html`<button class="button button--alternate"
+                    @click=${() => onSearch({ ...params, skip: Math.max(skip - PAGE_SIZE, 0) })}>Previous</button>`
+                : ""}
+            ${skip + result.plans.length < result.total
+                ? html`<button class="button button--alternate"
+                    @click=${() => onSearch({ ...params, skip: skip + PAGE_SIZE })}>Next</button>`
+                : ""}
+        </div>
+    `;
+}
+
+function search(target, params) {
+    const onSearch = next => {
+        window.history.replaceState({}, document.title, `${window.location.pathname}?${toQueryString(next)}`);
+        search(target, next);
+    };
+    const show = (result, error) => render(html`
+        <section class="drafts search">
+            <h2 class="drafts__title">Search saved plans</h2>
+            ${SearchForm(params, result ? result.facets : {}, onSearch)}
+            ${error ? html`<p class="drafts__error">${error}</p>` : ""}
+            ${result ? Results(result, params, onSearch) : html`<p>Searching...</p>`}
+        </section>
+    `, target);
+    show(null);
+    fetch(`/.netlify/functions/planSearch?${toQueryString(params)}&limit=${PAGE_SIZE}`)
+        .then(r => r.json())
+        .then(result => {
+            if (!result.plans) {
+                throw new Error(result.msg);
+            }
+            show(result);
+        })
+        .catch(e => show({ plans: [], facets: {}, total: 0, skip: 0 }, e.message));
+}
+
+/**
+ * Searches saved plans and communities by their text, place, units, kind,
+ * date and completeness. The search is kept in the URL, to share it.
+ */
+export default function renderSearchView() {
+    search(document.getElementById("root"), paramsFromURL());
+}
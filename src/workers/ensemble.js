@@ -0,0 +1,39 @@
+import ReCom, { planScores, unitsWithoutData } from "../models/ReCom";
+import { loadAdjacencyGraph } from "../models/AdjacencyGraph";
+
+/**
+ * Runs a ReCom chain off the main thread (see models/Ensemble.js).
+ *
+ * Expects one message, { adjacency, assignment, units, steps, epsilon },
+ * where units maps unit ids to { population, votes, county }. Posts
+ * { type: "progress", step } as it goes, then { type: "done", current,
+ * ensemble } with the scores of the starting plan and of each step, or
+ * { type: "error", message }, e.g. when some of the graph's units are
+ * missing from `units`.
+ */
+self.onmessage = ({ data }) => {
+    loadAdjacencyGraph({ adjacency: data.adjacency }).then(graph => {
+        const missing = unitsWithoutData(graph, data.units);
+        if (missing.length) {
+            throw new Error(`${missing.length.toLocaleString()} of the plan's ${graph.unitIds.length.toLocaleString()} units `
+                + "haven't loaded on the map, so their populations aren't known. "
+                + "Zoom out until the whole plan is in view, then run the ensemble again.");
+        }
+        let populations = {};
+        Object.keys(data.units).forEach(unitId => {
+            populations[unitId] = data.units[unitId].population;
+        });
+        const chain = new ReCom(graph, data.assignment, populations, { epsilon: data.epsilon }),
+            current = planScores(chain, data.units);
+        let ensemble = [];
+        for (let step = 1; step <= data.steps; step++) {
+            chain.step();
+            ensemble.push(planScores(chain, data.units));
+            if (step % 10 === 0) {
+                self.postMessage({ type: "progress", step });
+            }
+        }
+        self.postMessage({ type: "done", current, ensemble });
+    })
+        .catch(e => self.postMessage({ type: "error", message: e.message }));
+};
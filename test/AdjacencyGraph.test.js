@@ -0,0 +1,53 @@
+import { expect } from "@open-wc/testing";
+import AdjacencyGraph, { firstPart, unitsByPart } from "../src/models/AdjacencyGraph";
+
+// 1 - 2 - 3    4 - 5
+const adjacency = () => ({ 1: [2], 2: [1, 3], 3: [2], 4: [5], 5: [] });
+
+describe("AdjacencyGraph", () => {
+    it("treats adjacency as symmetric", () => {
+        const graph = new AdjacencyGraph(adjacency());
+        expect(graph.neighbors(5)).to.deep.equal(["4"]);
+    });
+    it("splits a district into connected pieces, largest first", () => {
+        const graph = new AdjacencyGraph(adjacency());
+        const pieces = graph.connectedComponents([5, 1, 2, 4, 3]);
+        expect(pieces.map(piece => piece.sort())).to.deep.equal([
+            ["1", "2", "3"],
+            ["4", "5"]
+        ]);
+    });
+    it("does not walk through units outside the district", () => {
+        const graph = new AdjacencyGraph(adjacency());
+        expect(graph.connectedComponents(["1", "3"])).to.have.length(2);
+    });
+});
+
+describe("unitsByPart", () => {
+    it("groups units by their first district and skips erased units", () => {
+        const parts = unitsByPart({ 1: 0, 2: [0, 1], 3: [1], 4: null });
+        expect(parts).to.deep.equal({ 0: ["1", "2"], 1: ["3"] });
+    });
+});
+
+describe("AdjacencyGraph.region", () => {
+    it("floods through units that belong and stops at ones that don't", () => {
+        const graph = new AdjacencyGraph(adjacency()),
+            assignment = { 1: 0, 2: 0, 3: 1, 4: 0, 5: 0 };
+        const region = graph.region(1, unitId => assignment[unitId] === 0);
+        expect(Array.from(region).sort()).to.deep.equal(["1", "2"]);
+    });
+});
+
+describe("firstPart", () => {
+    it("treats missing, null and NaN parts as unassigned", () => {
+        expect([undefined, null, NaN, [1, 2], "3"].map(firstPart)).to.deep.equal([null, null, null, 1, 3]);
+    });
+});
+
+describe("AdjacencyGraph.cutEdges", () => {
+    it("counts neighbouring assigned units in different districts", () => {
+        const graph = new AdjacencyGraph(adjacency());
+        expect(graph.cutEdges({ 1: 0, 2: 1, 3: 0, 4: 1, 5: null })).to.equal(2);
+    });
+});
@@ -0,0 +1,75 @@
+import { expect } from "@open-wc/testing";
+import AdjacencyGraph from "../src/models/AdjacencyGraph";
+import { balancePopulation } from "../src/models/lib/balance-population";
+
+// a - b - c - d - e - f, in a line
+const graph = new AdjacencyGraph({ a: ["b"], b: ["c"], c: ["d"], d: ["e"], e: ["f"] });
+const populationOf = () => 10;
+
+describe("balancePopulation", () => {
+    it("moves boundary units from the larger district to the smaller one", () => {
+        const { moves, populations, unbalanced } = balancePopulation(graph, { a: 0, b: 0, c: 0, d: 0, e: 1, f: 1 }, {
+            populationOf,
+            partPopulations: [40, 20],
+            ideal: 30,
+            tolerance: 0.01
+        });
+        expect(moves).to.deep.equal([{ unitId: "d", from: 0, to: 1, population: 10 }]);
+        expect(populations).to.deep.equal([30, 30]);
+        expect(unbalanced).to.deep.equal([]);
+    });
+    it("does not move units which would split a district", () => {
+        // c is the only unit of district 0 next to district 1, and it joins a to b
+        const star = new AdjacencyGraph({ c: ["a", "b", "d"], d: ["e"] });
+        const { moves, unbalanced } = balancePopulation(star, { a: 0, b: 0, c: 0, d: 1, e: 1 }, {
+            populationOf: unitId => ["a", "b"].includes(unitId) ? 5 : 1,
+            partPopulations: [11, 2],
+            ideal: 6.5,
+            tolerance: 0.05
+        });
+        expect(moves).to.deep.equal([]);
+        expect(unbalanced).to.deep.equal([0, 1]);
+    });
+    it("leaves districts which can't change alone", () => {
+        const { moves } = balancePopulation(graph, { a: 0, b: 0, c: 0, d: 0, e: 1, f: 1 }, {
+            populationOf,
+            partPopulations: [40, 20],
+            ideal: 30,
+            tolerance: 0.01,
+            canChange: part => part !== 1
+        });
+        expect(moves).to.deep.equal([]);
+    });
+    it("only moves units which can move", () => {
+        const { moves } = balancePopulation(graph, { a: 0, b: 0, c: 0, d: 0, e: 1, f: 1 }, {
+            populationOf,
+            partPopulations: [40, 20],
+            ideal: 30,
+            tolerance: 0.01,
+            canMove: unitId => unitId !== "d"
+        });
+        expect(moves).to.deep.equal([]);
+    });
+    it("makes several moves in a row", () => {
+        const { moves, populations } = balancePopulation(graph, { a: 0, b: 0, c: 0, d: 0, e: 0, f: 1 }, {
+            populationOf,
+            partPopulations: [50, 10],
+            ideal: 30,
+            tolerance: 0.01
+        });
+        expect(moves.map(move => move.unitId)).to.deep.equal(["e", "d"]);
+        expect(populations).to.deep.equal([30, 30]);
+    });
+    it("moves each unit at most once", () => {
+        const populations = { a: 9, b: 8, c: 2, d: 6, e: 4, f: 1 },
+            { moves } = balancePopulation(graph, { a: 0, b: 0, c: 0, d: 0, e: 1, f: 2 }, {
+                populationOf: unitId => populations[unitId],
+                partPopulations: [25, 4, 1],
+                ideal: 10,
+                tolerance: 0.01
+            }),
+            unitIds = moves.map(move => move.unitId);
+        expect(unitIds).to.have.length(new Set(unitIds).size);
+        expect(unitIds).to.include("d");
+    });
+});
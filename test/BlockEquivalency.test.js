@@ -0,0 +1,83 @@
+import { expect } from "@open-wc/testing";
+import {
+    aggregateBlocks,
+    blockCrosswalk,
+    isBlockEquivalency,
+    majorityAssignment,
+    parseBlockEquivalency
+} from "../src/models/lib/block-equivalency";
+import { planFromBlockEquivalency, readBlockEquivalency } from "../src/models/BlockEquivalency";
+
+const file = [
+    "GEOID20,District",
+    "250010101001000,1",
+    "250010101001001,1",
+    "250010101001002,2",
+    "250010101002000,2",
+    "250010101003000,ZZ"
+].join("\n");
+
+describe("block equivalency files", () => {
+    it("recognises and reads them, skipping blocks in no district", () => {
+        expect(isBlockEquivalency(file)).to.equal(true);
+        expect(isBlockEquivalency("250010101001,1\n250010101002,2")).to.equal(false);
+        expect(parseBlockEquivalency(file.replace(/,/g, "|"))).to.deep.equal({
+            "250010101001000": "1",
+            "250010101001001": "1",
+            "250010101001002": "2",
+            "250010101002000": "2"
+        });
+    });
+    it("sums up units' blocks by population and finds the split ones", () => {
+        const populations = { "250010101001000": 10, "250010101001001": 5, "250010101001002": 30, "250010101002000": 4 },
+            { units, unmatchedBlocks } = aggregateBlocks(
+                { ...parseBlockEquivalency(file), "990010101001000": "1" },
+                block => block.startsWith("99") ? null : { unit: block.slice(0, 12), population: populations[block] }
+            );
+        expect(unmatchedBlocks).to.deep.equal(["990010101001000"]);
+        expect(units).to.deep.equal({
+            "250010101001": { 1: 15, 2: 30 },
+            "250010101002": { 2: 4 }
+        });
+        const { majority, splits } = majorityAssignment(units);
+        expect(majority).to.deep.equal({ "250010101001": "2", "250010101002": "2" });
+        expect(splits).to.have.length(1);
+        expect(splits[0].shares.map(s => s.district)).to.deep.equal(["2", "1"]);
+    });
+    it("aggregates to block groups and can leave split units unassigned", () => {
+        const context = { id: "plan", problem: { numberOfParts: 1 } };
+        return readBlockEquivalency(file, { id: "blockgroups20" }).then(equivalency => {
+            expect(equivalency.districts).to.deep.equal(["1", "2"]);
+            // two of its three blocks are in the first district
+            expect(equivalency.splits.map(s => s.unit)).to.deep.equal(["250010101001"]);
+            expect(planFromBlockEquivalency(equivalency, context, true).assignment)
+                .to.deep.equal({ "250010101001": 0, "250010101002": 1 });
+            const plan = planFromBlockEquivalency(equivalency, context, false);
+            expect(plan.assignment).to.deep.equal({ "250010101002": 1 });
+            expect(plan.problem.numberOfParts).to.equal(2);
+        });
+    });
+    it("needs a crosswalk for other units", () => readBlockEquivalency(file, { id: "precincts" })
+        .then(() => expect.fail(), e => expect(e.message).to.contain("can't be matched")));
+    it("makes crosswalks by the unit each block's internal point is in", () => {
+        const square = (x, y) => ({
+                type: "Polygon",
+                coordinates: [[[x, y], [x + 1, y], [x + 1, y + 1], [x, y + 1], [x, y]]]
+            }),
+            units = { west: square(0, 0), east: square(1, 0) },
+            blocks = [
+                { id: "250010101001000", point: [0.5, 0.5], population: 12 },
+                { id: "250010101001001", point: [1.5, 0.2], population: 0 },
+                { id: "250010101001002", point: [1.9, 0.9] },
+                { id: "250010101001003", point: [3, 3], population: 4 }
+            ];
+        expect(blockCrosswalk(units, blocks, 0.3)).to.deep.equal({
+            crosswalk: {
+                250010101001000: ["west", 12],
+                250010101001001: ["east", 0],
+                250010101001002: "east"
+            },
+            unmatchedBlocks: ["250010101001003"]
+        });
+    });
+});
@@ -0,0 +1,19 @@
+import { expect } from "@open-wc/testing";
+import { integerHistogram } from "../src/components/Charts/lib";
+
+describe("integerHistogram", () => {
+    it("makes one bin per value when the range is small", () => {
+        const { bins, heights } = integerHistogram([3, 4, 4, 6], 5);
+        expect(bins).to.have.length(4);
+        expect(heights[1]).to.be.greaterThan(heights[0]);
+        expect(heights[2]).to.equal(0);
+    });
+    it("groups wide ranges into at most maxBins bins", () => {
+        const values = Array.from({ length: 100 }, (v, i) => 200 + i * 3);
+        expect(integerHistogram(values, 150, 10).bins.length).to.be.at.most(10);
+    });
+    it("marks the given value inside the chart", () => {
+        const { details } = integerHistogram([10, 20], 30);
+        expect(details["This plan"]).to.be.within(0, 1);
+    });
+});
@@ -0,0 +1,94 @@
+import { expect } from "@open-wc/testing";
+import { CollabHub, CollabRoom, localSocket, samePart } from "../src/models/lib/collab-room";
+
+// waits for a local socket's queued deliveries
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function client(hub, planId, name, token) {
+    const socket = localSocket(hub),
+        received = [];
+    socket.onmessage = e => received.push(JSON.parse(e.data));
+    socket.onopen = () => socket.send(JSON.stringify({ type: "join", planId, token, user: { id: name, name } }));
+    return { socket, received, send: message => socket.send(JSON.stringify(message)) };
+}
+
+describe("Live collaboration", () => {
+    it("compares districts, counting undefined as unassigned", () => {
+        expect(samePart(undefined, null)).to.equal(true);
+        expect(samePart([1, 2], [1, 2])).to.equal(true);
+        expect(samePart(1, [1])).to.equal(false);
+    });
+    it("rejects changes to units someone else changed first", () => {
+        const room = new CollabRoom("plan");
+        room.share({ a: 0 });
+        expect(room.paint("ana", [["a", 1, 0]]).accepted).to.deep.equal([["a", 1, 1]]);
+        // bo hadn't seen ana's change
+        expect(room.paint("bo", [["a", 2, 0], ["b", 2, 0]])).to.deep.equal({
+            accepted: [["b", 2, 2]],
+            rejected: [["a", 1, 1]]
+        });
+        // ana's own later strokes always land
+        expect(room.paint("ana", [["a", null, 0]]).accepted).to.deep.equal([["a", null, 3]]);
+        expect(room.snapshot()).to.deep.equal({ assignment: { b: 2 }, versions: { a: 3, b: 2 } });
+    });
+    it("welcomes collaborators with the first one's copy of the plan", async () => {
+        const hub = new CollabHub(),
+            ana = client(hub, "plan", "ana");
+        await settle();
+        expect(ana.received[0].type).to.equal("welcome");
+        expect(ana.received[0].assignment).to.equal(null);
+        ana.send({ type: "snapshot", assignment: { a: 0 } });
+
+        const bo = client(hub, "plan", "bo");
+        await settle();
+        expect(bo.received[0]).to.deep.include({ assignment: { a: 0 }, versions: {} });
+        expect(bo.received[0].users.map(user => user.name)).to.deep.equal(["ana", "bo"]);
+        expect(ana.received[1]).to.deep.include({ type: "joined" });
+
+        // a late snapshot gets the room's copy back
+        bo.send({ type: "snapshot", assignment: { a: 3 } });
+        await settle();
+        expect(bo.received[1]).to.deep.equal({ type: "state", assignment: { a: 0 }, versions: {} });
+    });
+    it("shares strokes and reports conflicts and departures", async () => {
+        const hub = new CollabHub(),
+            ana = client(hub, "plan", "ana"),
+            bo = client(hub, "plan", "bo");
+        await settle();
+        ana.send({ type: "paint", changes: [["a", 1, 0]] });
+        bo.send({ type: "paint", changes: [["a", 2, 0]] });
+        await settle();
+        expect(bo.received).to.deep.include({ type: "paint", user: "ana", changes: [["a", 1, 1]] });
+        expect(bo.received).to.deep.include({ type: "reject", changes: [["a", 1, 1]] });
+        expect(ana.received.filter(message => message.type === "reject")).to.deep.equal([]);
+
+        bo.socket.close();
+        await settle();
+        expect(ana.received.pop()).to.deep.equal({ type: "left", user: "bo" });
+        ana.socket.close();
+        await settle();
+        expect(hub.rooms).to.deep.equal({});
+    });
+    it("only lets people the hub authorizes join, with their edit and bearer tokens", async () => {
+        let asked = [];
+        const hub = new CollabHub((planId, credentials) => {
+                asked.push(credentials);
+                return Promise.resolve(planId === "12" && credentials.token === "secret");
+            }),
+            ana = client(hub, "12", "ana", "secret"),
+            bo = client(hub, "12", "bo", "guess");
+        await settle();
+        await settle();
+        expect(asked).to.deep.equal([{ token: "secret", bearer: "" }, { token: "guess", bearer: "" }]);
+        expect(ana.received[0].type).to.equal("welcome");
+        expect(bo.received.length).to.equal(1);
+        expect(bo.received[0].type).to.equal("error");
+        expect(hub.rooms["12"].users.map(user => user.name)).to.deep.equal(["ana"]);
+
+        const socket = localSocket(hub);
+        socket.onopen = () => socket.send(JSON.stringify({ type: "join", planId: "12", bearer: "jwt", user: { id: "cy", name: "cy" } }));
+        await settle();
+        await settle();
+        expect(asked[2]).to.deep.equal({ token: "", bearer: "jwt" });
+    });
+});
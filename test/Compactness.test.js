@@ -0,0 +1,45 @@
+import { expect } from "@open-wc/testing";
+import AdjacencyGraph from "../src/models/AdjacencyGraph";
+import Compactness from "../src/models/Compactness";
+
+// a - b - c - d, in a line
+const graph = new AdjacencyGraph({ a: ["b"], b: ["c"], c: ["d"] });
+
+function compactnessFor(assignment) {
+    const state = {
+        unitsRecord: { bounds: [[0, 0], [1, 1]] },
+        plan: { assignment },
+        map: { on: () => null }
+    };
+    return new Compactness(state, () => null);
+}
+
+describe("Compactness", () => {
+    it("counts cut edges again from the units that changed", () => {
+        let assignment = { a: 0, b: 0, c: 1, d: 1 };
+        const compactness = compactnessFor(assignment);
+        expect(compactness.countCutEdges(graph)).to.equal(1);
+        assignment.b = 1;
+        assignment.c = 2;
+        expect(compactness.countCutEdges(graph)).to.equal(graph.cutEdges(assignment));
+        // erased units aren't in a district
+        Reflect.deleteProperty(assignment, "c");
+        expect(compactness.countCutEdges(graph)).to.equal(graph.cutEdges(assignment));
+        assignment.c = [0];
+        expect(compactness.countCutEdges(graph)).to.equal(3);
+    });
+    it("only scores districts while they're shown", () => {
+        const compactness = compactnessFor({ a: 0 });
+        let refreshes = 0;
+        compactness.refresh = () => {
+            refreshes += 1;
+            compactness.dirty = new Set();
+        };
+        compactness.update(new Set([0]));
+        expect(refreshes).to.equal(0);
+        compactness.setVisible(true);
+        compactness.update(new Set([1]));
+        expect(refreshes).to.equal(2);
+        expect(compactness.dirty).to.deep.equal(new Set());
+    });
+});
@@ -0,0 +1,41 @@
+import { expect } from "@open-wc/testing";
+import { countyKey } from "../src/models/lib/county-key";
+import { countySplits } from "../src/models/lib/county-splits";
+
+describe("countyKey", () => {
+    it("takes the county from the start of a Census GEOID", () => {
+        expect(countyKey({ GEOID10: "250010101001" })).to.deep.equal(["GEOID10", "25001"]);
+        expect(countyKey({ GEOID20: 250010101001 })).to.deep.equal(["GEOID20", 25001]);
+    });
+    it("falls back to a county column", () => {
+        expect(countyKey({ cntyname: "Suffolk" })).to.deep.equal(["cntyname", "Suffolk"]);
+        expect(countyKey({ POP: 10 })).to.equal(undefined);
+    });
+});
+
+describe("countySplits", () => {
+    const units = {
+        a: { county: "1", population: 10 },
+        b: { county: "1", population: 5 },
+        c: { county: "2", population: 7 },
+        d: { county: "2", population: 3 },
+        e: { county: "3", population: 1 }
+    };
+    it("lists the counties in more than one district, with each piece", () => {
+        const { counties, splits } = countySplits(units, { a: 0, b: 1, c: 1, d: 1, e: 2 });
+        expect(counties).to.equal(3);
+        expect(splits).to.deep.equal([
+            {
+                county: "1",
+                population: 15,
+                pieces: [
+                    { part: 0, units: 1, population: 10 },
+                    { part: 1, units: 1, population: 5 }
+                ]
+            }
+        ]);
+    });
+    it("does not count unassigned units as a piece", () => {
+        expect(countySplits(units, { a: 0, c: 1, d: 1 }).splits).to.deep.equal([]);
+    });
+});
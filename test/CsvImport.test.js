@@ -0,0 +1,61 @@
+import { expect } from "@open-wc/testing";
+import {
+    assignmentToParts,
+    districtrHeader,
+    guessMapping,
+    headerMismatch,
+    parseCSV,
+    readAssignment,
+    sniffDelimiter
+} from "../src/models/lib/csv-import";
+
+describe("CSV import", () => {
+    it("reads quoted cells and sniffs the delimiter", () => {
+        expect(parseCSV('"a, b",1\r\n"say ""hi""",2\n\n', ",")).to.deep.equal([["a, b", "1"], ["say \"hi\"", "2"]]);
+        expect(sniffDelimiter("GEOID;District\n1001;1\n1002;2")).to.equal(";");
+        expect(sniffDelimiter("id\tdistrict\n\"a,b\"\t1")).to.equal("\t");
+        expect(sniffDelimiter("id,district\n1001,1")).to.equal(",");
+    });
+
+    it("guesses the header and columns", () => {
+        expect(guessMapping(parseCSV("Name,GEOID20,District\nA,1001,1", ",")))
+            .to.deep.equal({ hasHeader: true, idColumn: 1, districtColumn: 2 });
+        expect(guessMapping(parseCSV("1001,1\n1002,2", ",")))
+            .to.deep.equal({ hasHeader: false, idColumn: 0, districtColumn: 1 });
+        expect(guessMapping(parseCSV("\"id-ma-blocks-9-districts\",assignment\n1001,1", ",")).hasHeader)
+            .to.equal(true);
+    });
+
+    it("checks Districtr's own header against the plan", () => {
+        const header = districtrHeader("id-ma-ma_blocks-9-districts"),
+            context = { place: { id: "ma" }, units: { id: "blocks" } };
+        expect(header).to.deep.equal({ placeId: "ma", unitsId: "blocks", numberOfParts: 9 });
+        expect(headerMismatch(header, context)).to.equal(null);
+        expect(headerMismatch(header, { ...context, units: { id: "precincts" } })).to.contain("different unit map");
+        expect(headerMismatch(header, { ...context, place: { id: "ri" } })).to.contain("different module");
+    });
+
+    it("reports unknown ids, duplicate rows and rows without a district", () => {
+        const rows = parseCSV("id,district\n1001,2\n1002,10\n1003,\n9999,2\n1001,1_2", ","),
+            result = readAssignment(rows, { hasHeader: true, idColumn: 0, districtColumn: 1 }, new Set(["1001", "1002", "1003"]));
+        expect(result.rows).to.equal(5);
+        expect(result.districts).to.deep.equal(["1", "2", "10"]);
+        expect(result.matched).to.equal(2);
+        expect(result.unknownIds).to.deep.equal(["9999"]);
+        expect(result.duplicates).to.deep.equal([{ id: "1001", rows: [2, 6] }]);
+        expect(result.missingDistrict).to.deep.equal([4]);
+        expect(assignmentToParts(result.assignment, result.districts))
+            .to.deep.equal({ 1001: [0, 1], 1002: [2], 9999: [1] });
+    });
+
+    it("reads files with as many rows as a statewide block assignment", () => {
+        let rows = [["GEOID20", "district"]];
+        for (let i = 0; i < 250000; i++) {
+            rows.push([String(550000000000000 + i), String(i % 8 + 1)]);
+        }
+        const result = readAssignment(rows, { hasHeader: true, idColumn: 0, districtColumn: 1 });
+        expect(result.rows).to.equal(250000);
+        expect(result.districts).to.deep.equal(["1", "2", "3", "4", "5", "6", "7", "8"]);
+        expect(result.duplicates).to.have.length(0);
+    });
+});
@@ -0,0 +1,53 @@
+import { expect } from "@open-wc/testing";
+import {
+    deleteDraft,
+    duplicateDraft,
+    getDraft,
+    listDrafts,
+    renameDraft,
+    saveDraft
+} from "../src/api/drafts";
+
+function plan(id, placeId, name) {
+    return {
+        id,
+        name,
+        place: { id: placeId, name: placeId },
+        problem: { type: "multimember", pluralNoun: "Districts" },
+        assignment: { 1: 0 }
+    };
+}
+
+describe("Plan drafts", () => {
+    afterEach(() => Promise.all([
+        "test-draft-a",
+        "test-draft-b"
+    ].map(deleteDraft)));
+
+    it("keeps a draft per plan", () => saveDraft(plan("test-draft-a", "test-place", "First"))
+        .then(() => saveDraft(plan("test-draft-b", "test-place", "Second")))
+        .then(() => listDrafts("test-place"))
+        .then(drafts => {
+            expect(drafts.map(draft => draft.id).sort()).to.deep.equal(["test-draft-a", "test-draft-b"]);
+            expect(drafts[0].problemName).to.equal("Districts");
+        }));
+    it("renames a draft and its plan", () => saveDraft(plan("test-draft-a", "test-place", "First"))
+        .then(() => renameDraft("test-draft-a", "Renamed"))
+        .then(() => getDraft("test-draft-a"))
+        .then(draft => {
+            expect(draft.name).to.equal("Renamed");
+            expect(draft.plan.name).to.equal("Renamed");
+        }));
+    it("duplicates a draft as a new plan", () => saveDraft(plan("test-draft-a", "test-place", "First"))
+        .then(() => duplicateDraft("test-draft-a"))
+        .then(copy => {
+            expect(copy.id).to.not.equal("test-draft-a");
+            expect(copy.name).to.equal("Copy of First");
+            expect(copy.plan.assignment).to.deep.equal({ 1: 0 });
+            return deleteDraft(copy.id);
+        }));
+    it("deletes a draft", () => saveDraft(plan("test-draft-a", "test-place", "First"))
+        .then(() => deleteDraft("test-draft-a"))
+        .then(() => getDraft("test-draft-a"))
+        .then(draft => expect(draft).to.equal(undefined)));
+});
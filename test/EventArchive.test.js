@@ -0,0 +1,67 @@
+import { expect } from "@open-wc/testing";
+import { assignmentCSV, completeness, csvCell, eventArchiveFiles, metadataCSV, unescapePlan } from "../src/lambda/eventArchive";
+
+const records = [
+    {
+        simple_id: 12,
+        planName: "North, South",
+        startDate: "2021-03-01T00:00:00.000Z",
+        plan: {
+            place: { name: "Lowell" },
+            units: { name: "Blocks" },
+            problem: { type: "districts", numberOfParts: 2, pluralNoun: "wards" },
+            assignment: { "1.5": 0, b: [0, 1] }
+        }
+    },
+    {
+        simple_id: 13,
+        startDate: "2021-03-01T00:00:00.000Z",
+        updateDate: "2021-03-02T00:00:00.000Z",
+        plan: {
+            placeId: "lowell",
+            problem: { type: "districts", numberOfParts: 3 },
+            assignment: { c: 1 }
+        }
+    }
+];
+
+describe("Event archives", () => {
+    it("quotes CSV cells when needed", () => {
+        expect(csvCell("plain")).to.equal("plain");
+        expect(csvCell('say "hi", then')).to.equal('"say ""hi"", then"');
+        expect(csvCell(undefined)).to.equal("");
+    });
+    it("restores saved unit IDs", () => {
+        expect(unescapePlan({ name: "p", assignment: { "1÷5": 2 } }))
+            .to.deep.equal({ name: "p", assignment: { "1.5": 2 } });
+    });
+    it("puts every plan's assignment side by side", () => {
+        expect(assignmentCSV(records).split("\n")).to.deep.equal([
+            "id,plan-12,plan-13",
+            "1.5,0,",
+            "b,0_1,",
+            "c,,1"
+        ]);
+    });
+    it("lists each plan's name, date and completeness", () => {
+        expect(completeness(records[0].plan)).to.equal("complete");
+        expect(completeness(records[1].plan)).to.equal("1 of 3 districts");
+        expect(metadataCSV(records).split("\n")).to.deep.equal([
+            "id,name,date,completeness,place,units,kind",
+            '12,"North, South",2021-03-01T00:00:00.000Z,complete,Lowell,Blocks,districts',
+            "13,,2021-03-02T00:00:00.000Z,1 of 3 districts,lowell,,districts"
+        ]);
+    });
+    it("leaves the date blank for plans saved without one", () => {
+        const undated = { simple_id: 14, plan: records[1].plan };
+        expect(metadataCSV([undated]).split("\n")[1]).to.equal("14,,,1 of 3 districts,lowell,,districts");
+    });
+    it("files plans under the event code", () => {
+        expect(eventArchiveFiles("lowell", records).map(file => file.name)).to.deep.equal([
+            "lowell/plans/districtr-plan-12.json",
+            "lowell/plans/districtr-plan-13.json",
+            "lowell/assignments.csv",
+            "lowell/metadata.csv"
+        ]);
+    });
+});
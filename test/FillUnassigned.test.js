@@ -0,0 +1,40 @@
+import { expect } from "@open-wc/testing";
+import AdjacencyGraph from "../src/models/AdjacencyGraph";
+import { fillUnassigned } from "../src/models/lib/fill-unassigned";
+
+// a - b - c - d - e, with f off on its own
+const graph = new AdjacencyGraph({ a: ["b"], b: ["c"], c: ["d"], d: ["e"], f: [] });
+const populationOf = () => 1;
+
+describe("fillUnassigned", () => {
+    it("grows each district into the nearest unassigned units", () => {
+        const { assignment } = fillUnassigned(graph, { a: 0, e: 1 }, {
+            populationOf,
+            partPopulations: [1, 1]
+        });
+        expect(assignment.b).to.equal(0);
+        expect(assignment.d).to.equal(1);
+    });
+    it("gives a unit touching two districts to the less populous one", () => {
+        const { assignment } = fillUnassigned(graph, { a: 0, b: 0, d: 1, e: 1 }, {
+            populationOf,
+            partPopulations: [5, 2]
+        });
+        expect(assignment).to.deep.equal({ c: 1 });
+    });
+    it("reports units no district can reach", () => {
+        const { unreachable } = fillUnassigned(graph, { a: 0 }, {
+            populationOf,
+            partPopulations: [1]
+        });
+        expect(unreachable).to.deep.equal(["f"]);
+    });
+    it("does not grow districts which can't gain units", () => {
+        const { assignment } = fillUnassigned(graph, { a: 0, e: 1 }, {
+            populationOf,
+            partPopulations: [1, 1],
+            canGrow: part => part !== 1
+        });
+        expect(assignment).to.deep.equal({ b: 0, c: 0, d: 0 });
+    });
+});
@@ -0,0 +1,68 @@
+import { expect } from "@open-wc/testing";
+import {
+    centroid,
+    dissolve,
+    pointInGeometry,
+    pointInRing,
+    projectGeometry,
+    ringArea
+} from "../src/map/geometry";
+import { compactnessScores, convexHull, enclosingCircle } from "../src/map/compactness-scores";
+
+const square = [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]];
+const hole = [[1, 1], [1, 3], [3, 3], [3, 1], [1, 1]];
+
+describe("geometry", () => {
+    it("tests whether a point is inside a ring", () => {
+        expect(pointInRing([2, 2], square)).to.equal(true);
+        expect(pointInRing([5, 2], square)).to.equal(false);
+        // open rings (e.g. a lasso outline) work too
+        expect(pointInRing([1, 1], [[0, 0], [4, 0], [0, 4]])).to.equal(true);
+    });
+    it("excludes points in a polygon's holes", () => {
+        const geometry = { type: "Polygon", coordinates: [square, hole] };
+        expect(pointInGeometry([2, 2], geometry)).to.equal(false);
+        expect(pointInGeometry([0.5, 0.5], geometry)).to.equal(true);
+    });
+    it("measures signed area", () => {
+        expect(ringArea(square)).to.equal(16);
+        expect(ringArea(square.slice().reverse())).to.equal(-16);
+    });
+    it("finds the centroid of a polygon", () => {
+        expect(centroid({ type: "Polygon", coordinates: [square] })).to.deep.equal([2, 2]);
+        const lShape = [[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2], [0, 0]];
+        const [x, y] = centroid({ type: "MultiPolygon", coordinates: [[lShape]] });
+        expect(x).to.be.closeTo(5 / 6, 1e-9);
+        expect(y).to.be.closeTo(5 / 6, 1e-9);
+    });
+    it("dissolves polygons that share edges", () => {
+        const left = { type: "Polygon", coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]] },
+            right = { type: "Polygon", coordinates: [[[1, 0], [2, 0], [2, 1], [1, 1], [1, 0]]] };
+        const { area, perimeter, points } = dissolve([left, right]);
+        expect(area).to.equal(2);
+        expect(perimeter).to.equal(6);
+        expect(points).to.not.deep.include([1, 0.5]);
+    });
+    it("finds the convex hull", () => {
+        const hull = convexHull([[0, 0], [2, 0], [1, 1], [2, 2], [0, 2], [1, 0]]);
+        expect(hull).to.have.deep.members([[0, 0], [2, 0], [2, 2], [0, 2]]);
+        expect(ringArea(hull)).to.equal(4);
+    });
+    it("finds the smallest enclosing circle", () => {
+        const { center, radius } = enclosingCircle([[0, 0], [4, 0], [4, 4], [0, 4], [2, 1]]);
+        expect(center[0]).to.be.closeTo(2, 1e-9);
+        expect(center[1]).to.be.closeTo(2, 1e-9);
+        expect(radius).to.be.closeTo(Math.sqrt(8), 1e-9);
+    });
+    it("scores the compactness of a square", () => {
+        const scores = compactnessScores(dissolve([{ type: "Polygon", coordinates: [square] }]));
+        expect(scores.polsbyPopper).to.be.closeTo(Math.PI / 4, 1e-9);
+        expect(scores.reock).to.be.closeTo(2 / Math.PI, 1e-9);
+        expect(scores.convexHull).to.equal(1);
+    });
+    it("shrinks longitudes away from the equator", () => {
+        const projected = projectGeometry({ type: "Polygon", coordinates: [square] }, 60);
+        expect(projected.coordinates[0][0][1][0]).to.be.closeTo(2, 1e-9);
+        expect(projected.coordinates[0][0][1][1]).to.equal(0);
+    });
+});
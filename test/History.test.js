@@ -0,0 +1,45 @@
+import { expect } from "@open-wc/testing";
+import History from "../src/models/History";
+
+describe("History", () => {
+    it("undoes and redoes in order", () => {
+        const history = new History();
+        history.record([["a", null, 0]], 0);
+        history.record([["a", 0, 1]], 1);
+        const steps = history.moveTo(0);
+        expect(steps.map(step => step.entry.color)).to.deep.equal([1, 0]);
+        expect(steps.every(step => !step.forward)).to.equal(true);
+        expect(history.canUndo).to.equal(false);
+        expect(history.moveTo(1)[0].forward).to.equal(true);
+        expect(history.canRedo).to.equal(true);
+    });
+    it("drops the redo entries when a new operation is recorded", () => {
+        const history = new History();
+        history.record([["a", null, 0]], 0);
+        history.record([["b", null, 0]], 0);
+        history.moveTo(1);
+        history.record([["c", null, null]], null);
+        expect(history.entries.map(entry => entry.changes[0][0])).to.deep.equal(["a", "c"]);
+        expect(history.canRedo).to.equal(false);
+    });
+    it("can be restored from its serialized form", () => {
+        const history = new History();
+        history.record([["a", null, 0]], 0);
+        history.record([["b", null, 0]], 0);
+        history.moveTo(1);
+        const restored = new History(JSON.parse(JSON.stringify(history.serialize())));
+        expect(restored.cursor).to.equal(1);
+        expect(restored.entries).to.have.length(2);
+        expect(new History(null).entries).to.deep.equal([]);
+    });
+    it("keeps the most recent entries when trimmed", () => {
+        const history = new History();
+        ["a", "b", "c", "d"].forEach(unitId => history.record([[unitId, null, 0]], 0));
+        expect(history.serialize(2).entries.map(entry => entry.changes[0][0])).to.deep.equal(["c", "d"]);
+        expect(history.serialize(2).cursor).to.equal(2);
+        history.moveTo(1);
+        // keeping the undone entries, which can still be redone
+        expect(history.serialize(2)).to.deep.include({ cursor: 0 });
+        expect(history.serialize(2).entries.map(entry => entry.changes[0][0])).to.deep.equal(["b", "c"]);
+    });
+});
@@ -0,0 +1,32 @@
+import { expect } from "@open-wc/testing";
+import { lineageTree, normalizeId } from "../src/lambda/lineage";
+
+const plan = (simple_id, parentId, day) => ({
+    simple_id,
+    parentId,
+    planName: `Plan ${simple_id}`,
+    startDate: new Date(2021, 0, day),
+    eventCode: "fair-maps"
+});
+
+describe("Plan lineage", () => {
+    it("reads plan IDs as they're stored", () => {
+        expect(normalizeId("1234")).to.equal(1234);
+        expect(normalizeId("nc_5")).to.equal("nc_5");
+        expect(normalizeId("")).to.equal(null);
+        expect(normalizeId(undefined)).to.equal(null);
+        expect(normalizeId("edit")).to.equal(null);
+    });
+    it("builds the tree of plans derived from a plan, oldest first", () => {
+        const tree = lineageTree(1, [plan(1, null, 1), plan(3, 1, 3), plan(2, 1, 2), plan(4, 2, 4)]);
+        expect(tree.id).to.equal(1);
+        expect(tree.children.map(child => child.id)).to.deep.equal([2, 3]);
+        expect(tree.children[0].children)
+            .to.deep.equal([{ id: 4, planName: "Plan 4", date: new Date(2021, 0, 4), eventCode: "fair-maps", children: [] }]);
+    });
+    it("stops at plans it has already listed", () => {
+        const tree = lineageTree(1, [plan(1, 2, 1), plan(2, 1, 2)]);
+        expect(tree.children.map(child => child.id)).to.deep.equal([2]);
+        expect(tree.children[0].children).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,60 @@
+import { expect } from "@open-wc/testing";
+import Nesting from "../src/models/Nesting";
+import { nestingReport, unitsByLowerDistrict, upperChamberProblems } from "../src/models/lib/nesting";
+
+// six units in three house districts
+const house = { a: 0, b: 0, c: 1, d: 1, e: [2], f: 2 };
+
+describe("Nesting", () => {
+    it("groups units by their lower district", () => {
+        expect(unitsByLowerDistrict({ ...house, g: null })).to.deep.equal({
+            0: ["a", "b"],
+            1: ["c", "d"],
+            2: ["e", "f"]
+        });
+    });
+    it("reports the lower districts nested in each upper district", () => {
+        const report = nestingReport(house, { a: 0, b: 0, c: 0, d: 0, e: 1, f: [1] });
+        expect(report).to.deep.equal({ nested: { 0: [0, 1], 1: [2] }, split: [], unassigned: [] });
+    });
+    it("reports split and unassigned lower districts", () => {
+        const report = nestingReport(house, { a: 0, b: 1, c: 1 });
+        expect(report.nested).to.deep.equal({});
+        expect(report.split).to.deep.equal([
+            { lower: 0, uppers: [0, 1], unassignedUnits: 0 },
+            { lower: 1, uppers: [1], unassignedUnits: 1 }
+        ]);
+        expect(report.unassigned).to.deep.equal([2]);
+    });
+    it("offers the module's smaller chambers as upper chambers", () => {
+        const problems = [
+            { name: "State House", numberOfParts: 99, type: "districts" },
+            { name: "State Senate", numberOfParts: 33, type: "districts" },
+            { name: "Senate Seats", numberOfParts: 33, type: "multimember" },
+            { name: "Community", numberOfParts: 50, type: "community" }
+        ];
+        expect(upperChamberProblems(problems, problems[0]).map(problem => problem.name))
+            .to.deep.equal(["State Senate"]);
+    });
+    it("stops listening to the map when removed", () => {
+        let listeners = [];
+        const map = {
+            on: (type, listener) => listeners.push(listener),
+            off: (type, listener) => {
+                listeners = listeners.filter(l => l !== listener);
+            }
+        };
+        const nesting = new Nesting({ map, units: {}, idColumn: {} }, { planId: "1" });
+        expect(listeners.length).to.equal(1);
+        nesting.remove();
+        expect(listeners.length).to.equal(0);
+    });
+    it("reports nothing until the lower plan loads", () => {
+        const map = { on: () => null, off: () => null },
+            state = { map, units: {}, idColumn: {}, plan: { assignment: { a: 0 } } },
+            nesting = new Nesting(state, { planId: "1" });
+        expect(nesting.report()).to.equal(null);
+        nesting.setAssignment(house);
+        expect(nesting.report().split.length).to.equal(1);
+    });
+});
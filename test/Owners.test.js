@@ -0,0 +1,44 @@
+import { expect } from "@open-wc/testing";
+import { changeEditors, checkCanUpdate, roleOf, userKey } from "../src/lambda/owners";
+
+const plan = { owner: "ana@example.com", editors: ["bo@example.com"] };
+
+describe("Plan owners", () => {
+    it("knows users by their email, or else their ID", () => {
+        expect(userKey({ id: 3, email: " Ana@Example.com" })).to.equal("ana@example.com");
+        expect(userKey({ id: 3 })).to.equal("3");
+        expect(userKey(null)).to.equal(null);
+    });
+    it("lets the owner and editors edit", () => {
+        expect(roleOf(plan, "ana@example.com")).to.equal("owner");
+        expect(roleOf(plan, "bo@example.com")).to.equal("editor");
+        expect(roleOf(plan, "cy@example.com")).to.equal(null);
+        expect(roleOf({ owner: null }, null)).to.equal(null);
+    });
+    it("lets the owner share, unshare and transfer the plan", () => {
+        expect(changeEditors(plan, "ana@example.com", "share", "Cy@example.com")).to.deep.equal({
+            owner: "ana@example.com",
+            editors: ["bo@example.com", "cy@example.com"]
+        });
+        expect(changeEditors(plan, "ana@example.com", "unshare", "bo@example.com"))
+            .to.deep.equal({ owner: "ana@example.com", editors: [] });
+        expect(changeEditors(plan, "ana@example.com", "transfer", "bo@example.com"))
+            .to.deep.equal({ owner: "bo@example.com", editors: [] });
+    });
+    it("only lets the owner change who edits", () => {
+        expect(() => changeEditors(plan, "bo@example.com", "share", "cy@example.com")).to.throw("owner");
+        expect(() => changeEditors(plan, "ana@example.com", "share", "not an email")).to.throw("email");
+    });
+    it("takes the plan's token for a day after the plan was last saved", () => {
+        const hour = 60 * 60 * 1000,
+            now = new Date("2021-06-10T12:00:00Z").getTime(),
+            saved = { ...plan, token: "t0k3n", startDate: new Date(now - 30 * hour) };
+        expect(() => checkCanUpdate(saved, null, "t0k3n", now)).to.throw("24 hours");
+        expect(() => checkCanUpdate({ ...saved, updateDate: new Date(now - hour) }, null, "t0k3n", now))
+            .to.not.throw();
+        expect(() => checkCanUpdate({ ...saved, updateDate: new Date(now - hour) }, null, "guess", now))
+            .to.throw("Token");
+        // owners and editors need no token
+        expect(() => checkCanUpdate(saved, "bo@example.com", "", now)).to.not.throw();
+    });
+});
@@ -0,0 +1,89 @@
+import { expect } from "@open-wc/testing";
+import PlanChecklist from "../src/models/PlanChecklist";
+import { plan_rules } from "../src/utils";
+
+function subgroup(key, fractions) {
+    return { key, name: key, getFractionInPart: i => fractions[i] };
+}
+
+function mockState({ data, sum, contiguity }) {
+    const ideal = sum / data.length;
+    return {
+        place: { id: "test" },
+        problem: { pluralNoun: "districts" },
+        parts: data.map((_, id) => ({ id })),
+        population: {
+            total: { data, sum },
+            subgroups: [],
+            deviations: () => data.map(d => (d - ideal) / ideal)
+        },
+        vap: { subgroups: [subgroup("BVAP", [0.6, 0.3, 0.1])] },
+        contiguity
+    };
+}
+
+function byId(results) {
+    let passed = {};
+    results.forEach(result => {
+        passed[result.id] = result.passed;
+    });
+    return passed;
+}
+
+describe("PlanChecklist", () => {
+    const rules = {
+        all_assigned: { level: "error" },
+        district_count: { level: "warning" },
+        population: { tolerance: 0.05, level: "warning" },
+        contiguity: { level: "warning" },
+        county_splits: { max: 1, level: "error" },
+        minority_opportunity: { group: "BVAP", threshold: 0.5, districts: 1, level: "warning" }
+    };
+
+    it("passes a finished, balanced plan", () => {
+        const state = mockState({ data: [100, 102, 98], sum: 300, contiguity: { 0: null, 1: null } }),
+            splits = { counties: 4, splits: [{ county: "1" }] };
+        expect(byId(new PlanChecklist(state, rules, splits).check())).to.deep.equal({
+            all_assigned: true,
+            district_count: true,
+            population: true,
+            contiguity: true,
+            county_splits: true,
+            minority_opportunity: true
+        });
+        expect(new PlanChecklist(state, rules, splits).failures()).to.deep.equal([]);
+    });
+
+    it("fails unassigned population, empty districts and deviations", () => {
+        const state = mockState({ data: [150, 100, 0], sum: 300, contiguity: { 1: [5] } }),
+            passed = byId(new PlanChecklist(state, rules).check());
+        expect(passed.all_assigned).to.equal(false);
+        expect(passed.district_count).to.equal(false);
+        expect(passed.population).to.equal(false);
+        expect(passed.contiguity).to.equal(false);
+    });
+
+    it("can't check contiguity or splits without their data", () => {
+        const state = mockState({ data: [100, 100, 100], sum: 300 }),
+            passed = byId(new PlanChecklist(state, rules).check());
+        expect(passed.contiguity).to.equal(null);
+        expect(passed.county_splits).to.equal(null);
+    });
+
+    it("lists failed errors before failed warnings", () => {
+        const state = mockState({ data: [150, 100, 0], sum: 300 }),
+            failures = new PlanChecklist(state, rules).failures();
+        expect(failures[0].id).to.equal("all_assigned");
+        expect(failures.map(result => result.level)).to.deep.equal(["error", "warning", "warning"]);
+    });
+
+    it("takes a module's rules for the chamber being drawn", () => {
+        expect(plan_rules("ohio", { pluralNoun: "Congressional Districts" }).county_splits)
+            .to.deep.equal({ max: 23, level: "error" });
+        expect(plan_rules("ohio", { pluralNoun: "State House Districts" }).population.level).to.equal("error");
+        expect(plan_rules("ohio", { pluralNoun: "State House Districts" }).county_splits).to.equal(undefined);
+        expect(plan_rules("virginia", { pluralNoun: "House of Delegates Districts" }).contiguity.level).to.equal("error");
+        expect(plan_rules("lowell", { pluralNoun: "City Council Districts" }).population)
+            .to.deep.equal({ tolerance: 0.05, level: "warning" });
+    });
+});
@@ -0,0 +1,24 @@
+import { expect } from "@open-wc/testing";
+import PlanComparison from "../src/models/PlanComparison";
+
+describe("PlanComparison", () => {
+    const comparison = new PlanComparison(
+        { a: 0, b: 1, c: [1], d: 1, e: 2 },
+        { a: 0, b: 0, c: 0, d: null, f: 2 }
+    );
+
+    it("finds the units assigned differently, including unassigned ones", () => {
+        expect(comparison.changedUnits.sort()).to.deep.equal(["b", "c", "d", "e", "f"]);
+    });
+    it("totals the population moved between each pair of districts", () => {
+        const populations = { b: 10, c: 5, d: 1, e: 7 };
+        const { moves, unknownUnits } = comparison.populationMoved(unitId => populations[unitId]);
+        expect(moves).to.deep.equal([
+            { from: 0, to: 1, units: 2, population: 15 },
+            { from: null, to: 2, units: 1, population: 7 },
+            { from: null, to: 1, units: 1, population: 1 },
+            { from: 2, to: null, units: 1, population: 0 }
+        ]);
+        expect(unknownUnits).to.equal(1);
+    });
+});
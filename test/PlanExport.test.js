@@ -0,0 +1,109 @@
+import { expect } from "@open-wc/testing";
+import { dissolvePolygons, ringArea } from "../src/map/geometry";
+import { shapefile } from "../src/models/lib/shapefile";
+import { zip } from "../src/models/lib/zip";
+
+function square(x, y, size = 1) {
+    return {
+        type: "Polygon",
+        coordinates: [[[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]]]
+    };
+}
+
+describe("dissolvePolygons", () => {
+    it("joins squares which share an edge into one outline", () => {
+        const { coordinates } = dissolvePolygons([square(0, 0), square(1, 0)]);
+        expect(coordinates).to.have.length(1);
+        expect(coordinates[0]).to.have.length(1);
+        expect(ringArea(coordinates[0][0])).to.equal(2);
+        // the shared edge's ends are still vertices, so 6 plus the closing one
+        expect(coordinates[0][0]).to.have.length(7);
+    });
+    it("keeps separate pieces and holes", () => {
+        let ring = [];
+        for (let x = 0; x < 3; x++) {
+            for (let y = 0; y < 3; y++) {
+                if (x !== 1 || y !== 1) {
+                    ring.push(square(x, y));
+                }
+            }
+        }
+        const { coordinates } = dissolvePolygons(ring.concat([square(5, 5)]));
+        expect(coordinates).to.have.length(2);
+        const withHole = coordinates.find(rings => rings.length === 2);
+        expect(ringArea(withHole[0])).to.equal(9);
+        expect(ringArea(withHole[1])).to.equal(-1);
+    });
+});
+
+describe("shapefile", () => {
+    const features = [
+        {
+            type: "Feature",
+            properties: { district: 1, name: "Südwest", population: 1234 },
+            geometry: square(0, 0, 2)
+        }
+    ];
+    const fields = [
+        { name: "DISTRICT", type: "N", length: 4, property: "district" },
+        { name: "NAME", type: "C", length: 10, property: "name" },
+        { name: "POPULATION", type: "N", length: 8, property: "population" }
+    ];
+    const files = shapefile(features, fields, new Date(2021, 0, 2));
+
+    it("writes a polygon with a clockwise outer ring", () => {
+        const shp = new DataView(files.shp);
+        expect(shp.getInt32(0)).to.equal(9994);
+        expect(shp.getInt32(24) * 2).to.equal(files.shp.byteLength);
+        expect(shp.getInt32(32, true)).to.equal(5);
+        expect(shp.getFloat64(52, true)).to.equal(2);
+        // one part of five points
+        expect(shp.getInt32(144, true)).to.equal(1);
+        expect(shp.getInt32(148, true)).to.equal(5);
+        const points = [0, 1, 2, 3, 4].map(i => [shp.getFloat64(156 + 16 * i, true), shp.getFloat64(164 + 16 * i, true)]);
+        expect(ringArea(points)).to.equal(-4);
+
+        const shx = new DataView(files.shx);
+        expect(shx.getInt32(100)).to.equal(50);
+        expect(shx.getInt32(104) * 2 + 108).to.equal(files.shp.byteLength);
+    });
+    it("writes the attributes to the table", () => {
+        const dbf = new Uint8Array(files.dbf),
+            view = new DataView(files.dbf),
+            headerLength = view.getUint16(8, true);
+        expect(view.getUint32(4, true)).to.equal(1);
+        expect(headerLength).to.equal(32 + 32 * 3 + 1);
+        expect(view.getUint16(10, true)).to.equal(1 + 4 + 10 + 8);
+        const record = new TextDecoder().decode(dbf.slice(headerLength, headerLength + 23));
+        expect(record).to.equal("    1Südwest      1234");
+        expect(files.prj).to.contain("WGS_1984");
+    });
+});
+
+describe("zip", () => {
+    it("stores files with their names and checksums", () => {
+        const bytes = zip([{ name: "a.txt", data: "hello" }], new Date(2021, 0, 2)),
+            view = new DataView(bytes.buffer);
+        expect(view.getUint32(0, true)).to.equal(0x04034b50);
+        expect(view.getUint32(14, true)).to.equal(0x3610a686);
+        expect(new TextDecoder().decode(bytes.slice(30, 35))).to.equal("a.txt");
+        expect(new TextDecoder().decode(bytes.slice(35, 40))).to.equal("hello");
+        const end = bytes.length - 22;
+        expect(view.getUint32(end, true)).to.equal(0x06054b50);
+        expect(view.getUint16(end + 10, true)).to.equal(1);
+        expect(view.getUint32(view.getUint32(end + 16, true), true)).to.equal(0x02014b50);
+    });
+    it("keeps files deflated when that makes them smaller", () => {
+        const shrink = () => new Uint8Array([7, 7]),
+            bytes = zip([{ name: "a.txt", data: "hello" }, { name: "b.txt", data: "b" }], new Date(2021, 0, 2), shrink),
+            view = new DataView(bytes.buffer);
+        // deflated, 2 bytes for 5
+        expect(view.getUint16(8, true)).to.equal(8);
+        expect(view.getUint32(18, true)).to.equal(2);
+        expect(view.getUint32(22, true)).to.equal(5);
+        expect(Array.from(bytes.slice(35, 37))).to.deep.equal([7, 7]);
+        // stored, since 1 byte is smaller than 2
+        expect(view.getUint16(37 + 8, true)).to.equal(0);
+        expect(view.getUint32(37 + 18, true)).to.equal(1);
+    });
+});
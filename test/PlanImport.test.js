@@ -0,0 +1,40 @@
+import { expect } from "@open-wc/testing";
+import { keepLockedParts } from "../src/models/PlanImport";
+
+function editing(assignment, lockedParts) {
+    return {
+        place: { id: "iowa" },
+        unitsRecord: { id: "counties" },
+        plan: {
+            assignment,
+            lockedParts: new Set(lockedParts),
+            isLocked: part => [].concat(part).some(p => lockedParts.includes(p))
+        }
+    };
+}
+
+describe("keepLockedParts", () => {
+    const loaded = assignment => ({
+        place: { id: "iowa" },
+        units: { id: "counties" },
+        assignment
+    });
+
+    it("keeps units of locked districts as they are", () => {
+        const state = editing({ a: 1, b: 2, c: [1] }, [1]);
+        const context = keepLockedParts(loaded({ a: 0, b: 0, c: 0 }), state);
+        expect(context.assignment).to.deep.equal({ a: 1, b: 0, c: [1] });
+        expect(context.lockedParts).to.deep.equal([1]);
+    });
+    it("does not add units to a locked district", () => {
+        const state = editing({ a: 1 }, [1]);
+        const context = keepLockedParts(loaded({ a: 0, b: [1], c: 2 }), state);
+        expect(context.assignment).to.deep.equal({ a: 1, c: 2 });
+    });
+    it("ignores locks from a different unit map", () => {
+        const state = editing({ a: 1 }, [1]);
+        state.unitsRecord.id = "blockgroups";
+        const context = loaded({ a: 0 });
+        expect(keepLockedParts(context, state)).to.equal(context);
+    });
+});
@@ -0,0 +1,62 @@
+import { expect } from "@open-wc/testing";
+import {
+    addRevision,
+    applyDiff,
+    compactRevisions,
+    planAtRevision,
+    planDiff,
+    revisionSummaries,
+    revisionsOf
+} from "../src/lambda/planRevisions";
+
+const first = { id: "p", name: "Draft", assignment: { a: 0, b: 1 } },
+    second = { id: "p", name: "Final", assignment: { a: 0, b: 0, c: [1, 2] } },
+    third = { id: "p", assignment: { c: 1 }, description: "Done" };
+
+describe("Plan revisions", () => {
+    it("diffs plans' assignments and fields", () => {
+        expect(planDiff(first, second)).to.deep.equal({
+            assignment: [["b", 0], ["c", [1, 2]]],
+            fields: [["name", "Final"]],
+            removed: []
+        });
+        expect(planDiff(second, third)).to.deep.equal({
+            assignment: [["a", null], ["b", null], ["c", 1]],
+            fields: [["description", "Done"]],
+            removed: ["name"]
+        });
+        expect(applyDiff(second, planDiff(second, third))).to.deep.equal(third);
+    });
+    it("starts plans saved before revisions were kept at revision 0", () => {
+        const date = new Date(2020, 0, 1);
+        expect(revisionsOf({ planName: "Old", startDate: date, revisions: [] }))
+            .to.deep.equal([{ rev: 0, date, planName: "Old", units: 0, undo: null }]);
+    });
+    it("rebuilds every revision from the latest", () => {
+        let revisions = revisionsOf({ planName: "Draft", startDate: new Date() });
+        revisions = addRevision(revisions, first, second, "Final");
+        revisions = addRevision(revisions, second, third, "Final");
+        expect(revisionSummaries(revisions).map(({ rev, units }) => [rev, units])).to.deep.equal([
+            [0, 0],
+            [1, 2],
+            [2, 3]
+        ]);
+        expect(planAtRevision(third, revisions, 2)).to.deep.equal(third);
+        expect(planAtRevision(third, revisions, 1)).to.deep.equal(second);
+        expect(planAtRevision(third, revisions, 0)).to.deep.equal(first);
+        expect(() => planAtRevision(third, revisions, 3)).to.throw("no revision 3");
+    });
+    it("keeps only the newest revisions that fit", () => {
+        let revisions = revisionsOf({ planName: "Draft", startDate: new Date() });
+        revisions = addRevision(revisions, first, second, "Final");
+        revisions = addRevision(revisions, second, third, "Final");
+        expect(compactRevisions(revisions, 2).map(revision => revision.rev)).to.deep.equal([1, 2]);
+        const newest = JSON.stringify(revisions[2].undo).length,
+            middle = JSON.stringify(revisions[1].undo).length;
+        expect(compactRevisions(revisions, 10, newest + middle).map(revision => revision.rev)).to.deep.equal([1, 2]);
+        expect(compactRevisions(revisions, 10, 1).map(revision => revision.rev)).to.deep.equal([2]);
+        const kept = compactRevisions(revisions, 2);
+        expect(planAtRevision(third, kept, 1)).to.deep.equal(second);
+        expect(() => planAtRevision(third, kept, 0)).to.throw("no revision 0");
+    });
+});
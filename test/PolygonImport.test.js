@@ -0,0 +1,105 @@
+import { expect } from "@open-wc/testing";
+import { assignByPolygons, districtsFromFeatures } from "../src/models/lib/district-polygons";
+import { readShapefile } from "../src/models/lib/read-shapefile";
+import { shapefile } from "../src/models/lib/shapefile";
+import { zip } from "../src/models/lib/zip";
+import { readZippedShapefile } from "../src/models/PolygonImport";
+
+function rectangle(x0, y0, x1, y1) {
+    return {
+        type: "Polygon",
+        coordinates: [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]]
+    };
+}
+
+function feature(properties, geometry) {
+    return { type: "Feature", properties, geometry };
+}
+
+describe("districtsFromFeatures", () => {
+    it("numbers districts by their district property", () => {
+        const districts = districtsFromFeatures([
+            feature({ DISTRICT: "2", NAME: "North" }, rectangle(0, 1, 2, 2)),
+            feature({ DISTRICT: "1", NAME: "South" }, rectangle(0, 0, 2, 1))
+        ]);
+        expect(districts.map(d => [d.part, d.name])).to.deep.equal([[1, "North"], [0, "South"]]);
+    });
+    it("numbers districts in order without a usable number, and skips other shapes", () => {
+        const districts = districtsFromFeatures([
+            feature({ district: 3 }, rectangle(0, 0, 1, 1)),
+            feature({ district: 3 }, rectangle(1, 0, 2, 1)),
+            feature({}, { type: "Point", coordinates: [0, 0] })
+        ]);
+        expect(districts.map(d => d.part)).to.deep.equal([0, 1]);
+    });
+});
+
+describe("assignByPolygons", () => {
+    const districts = [
+        { part: 0, geometry: rectangle(0, 0, 2, 1) },
+        { part: 1, geometry: rectangle(0, 1, 2, 2) }
+    ];
+    const units = {
+        a: rectangle(0, 0, 1, 1),
+        b: rectangle(1, 1, 2, 2),
+        // mostly in district 2, with its center just inside it
+        c: rectangle(0, 0.9, 0.5, 1.9),
+        // its center is outside both, but it overlaps district 1
+        d: rectangle(1.5, -1.5, 2.5, 0.5),
+        e: rectangle(5, 5, 6, 6)
+    };
+
+    it("assigns units by their centers, falling back to the largest overlap", () => {
+        const { assignment, unmatched, byOverlap } = assignByPolygons(units, districts);
+        expect(assignment).to.deep.equal({ a: 0, b: 1, c: 1, d: 0 });
+        expect(unmatched).to.deep.equal(["e"]);
+        expect(byOverlap).to.equal(1);
+    });
+    it("can assign every unit by overlap", () => {
+        const { assignment, byOverlap } = assignByPolygons(units, districts, "overlap");
+        expect(assignment).to.deep.equal({ a: 0, b: 1, c: 1, d: 0 });
+        expect(byOverlap).to.equal(4);
+    });
+});
+
+describe("readShapefile", () => {
+    const fields = [
+        { name: "DISTRICT", type: "N", length: 4 },
+        { name: "NAME", type: "C", length: 20 }
+    ];
+    const files = shapefile([
+        feature({ DISTRICT: 1, NAME: "Island" }, {
+            type: "MultiPolygon",
+            coordinates: [
+                [rectangle(0, 0, 4, 4).coordinates[0], [[1, 1], [1, 3], [3, 3], [3, 1], [1, 1]]],
+                rectangle(5, 5, 6, 6).coordinates
+            ]
+        }),
+        feature({ DISTRICT: 2, NAME: "Nothing" }, null)
+    ], fields);
+
+    it("reads back polygons, holes and attributes", () => {
+        const { features } = readShapefile({ shp: files.shp, dbf: files.dbf, prj: files.prj });
+        expect(features.map(f => f.properties)).to.deep.equal([
+            { DISTRICT: 1, NAME: "Island" },
+            { DISTRICT: 2, NAME: "Nothing" }
+        ]);
+        expect(features[0].geometry.type).to.equal("MultiPolygon");
+        expect(features[0].geometry.coordinates.map(rings => rings.length).sort()).to.deep.equal([1, 2]);
+        expect(features[1].geometry).to.equal(null);
+    });
+    it("turns away projected coordinates", () => {
+        expect(() => readShapefile({ shp: files.shp, prj: 'PROJCS["NAD_1983_UTM_Zone_15N"]' }))
+            .to.throw(/projected/);
+    });
+    it("reads a zipped shapefile", () => {
+        const archive = zip(["shp", "dbf", "prj"].map(extension => ({
+            name: `plan/districts.${extension}`,
+            data: files[extension]
+        })));
+        return readZippedShapefile(archive).then(({ features }) => {
+            expect(features).to.have.length(2);
+            expect(features[0].properties.NAME).to.equal("Island");
+        });
+    });
+});
@@ -0,0 +1,107 @@
+import { expect } from "@open-wc/testing";
+import AdjacencyGraph from "../src/models/AdjacencyGraph";
+import Ensemble from "../src/models/Ensemble";
+import ReCom, { planScores, unitsWithoutData } from "../src/models/ReCom";
+
+// a 4x4 grid of units "0" to "15" with population 1, split into two
+// districts by columns
+function grid() {
+    let adjacency = {},
+        assignment = {};
+    for (let i = 0; i < 16; i++) {
+        adjacency[i] = [];
+        if (i % 4 < 3) {
+            adjacency[i].push(i + 1);
+        }
+        if (i < 12) {
+            adjacency[i].push(i + 4);
+        }
+        assignment[i] = i % 4 < 2 ? 0 : 1;
+    }
+    return { graph: new AdjacencyGraph(adjacency), assignment };
+}
+
+// deterministic random numbers, for repeatable chains
+function seeded(seed) {
+    return () => {
+        seed = seed * 16807 % 2147483647;
+        return (seed - 1) / 2147483646;
+    };
+}
+
+describe("ReCom", () => {
+    const populations = {};
+    for (let i = 0; i < 16; i++) {
+        populations[i] = 1;
+    }
+
+    it("counts the cut edges of a plan", () => {
+        const { graph, assignment } = grid();
+        const chain = new ReCom(graph, assignment, populations);
+        expect(chain.cutEdges()).to.have.length(4);
+    });
+    it("keeps districts balanced and contiguous as it steps", () => {
+        const { graph, assignment } = grid();
+        const chain = new ReCom(graph, assignment, populations, { epsilon: 0, random: seeded(7) });
+        let moved = false;
+        for (let i = 0; i < 20; i++) {
+            moved = chain.step() || moved;
+            const parts = [0, 1].map(part => graph.unitIds.filter(unitId => chain.assignment[unitId] === part));
+            expect(parts.map(units => units.length)).to.deep.equal([8, 8]);
+            parts.forEach(units => expect(graph.connectedComponents(units)).to.have.length(1));
+        }
+        expect(moved).to.equal(true);
+    });
+    it("refuses to run on a partial plan", () => {
+        const { graph, assignment } = grid();
+        assignment[5] = null;
+        expect(() => new ReCom(graph, assignment, populations)).to.throw();
+    });
+});
+
+describe("planScores", () => {
+    it("counts seats and split counties", () => {
+        const { graph, assignment } = grid();
+        const chain = new ReCom(graph, assignment, {});
+        let units = {};
+        graph.unitIds.forEach(unitId => {
+            units[unitId] = {
+                votes: Number(unitId) % 4 === 0 ? [3, 1] : [0, 1],
+                county: Number(unitId) < 8 ? "a" : String(unitId)
+            };
+        });
+        expect(planScores(chain, units)).to.deep.equal({ cutEdges: 4, seats: 1, countySplits: 1 });
+    });
+});
+
+describe("unitsWithoutData", () => {
+    it("finds the graph's units that haven't loaded", () => {
+        const { graph } = grid();
+        let units = {};
+        graph.unitIds.filter(unitId => unitId !== "3").forEach(unitId => {
+            units[unitId] = { population: 1 };
+        });
+        expect(unitsWithoutData(graph, units)).to.deep.equal(["3"]);
+    });
+});
+
+describe("Ensemble", () => {
+    it("counts units in the counties the county brush sees", () => {
+        const features = [
+                { properties: { GEOID20: "25001010100", COUNTYFP20: "001", POP: 5 } },
+                { properties: { GEOID20: "25003010100", COUNTYFP20: "003", POP: 7 } },
+                { properties: { POP: 2 } }
+            ],
+            state = {
+                elections: [],
+                population: { total: { getValue: feature => feature.properties.POP } },
+                idColumn: { getValue: feature => features.indexOf(feature) },
+                units: { querySourceFeatures: () => features }
+            };
+        expect(new Ensemble(state, () => null).collectUnits()).to.deep.equal({
+            0: { population: 5, votes: null, county: "25001" },
+            1: { population: 7, votes: null, county: "25003" },
+            2: { population: 2, votes: null, county: null }
+        });
+    });
+});
@@ -0,0 +1,68 @@
+import { expect } from "@open-wc/testing";
+import {
+    communityText,
+    facetConditions,
+    pageOf,
+    planSummary,
+    searchPipeline,
+    searchQuery,
+    searchTerms
+} from "../src/lambda/search";
+
+describe("Plan search", () => {
+    it("splits searches into words", () => {
+        expect(searchTerms("  Lake  District a ")).to.deep.equal(["lake", "district"]);
+        expect(searchTerms(undefined)).to.deep.equal([]);
+    });
+    it("looks for every word through the text index, first", () => {
+        expect(searchQuery({ q: 'lake "north', drafts: "true" })).to.deep.equal({
+            $and: [{ $text: { $search: '"lake" "north"' } }]
+        });
+        expect(searchQuery({ q: "lake" }).$and[0]).to.have.property("$text");
+    });
+    it("narrows searches by facets, leaving out drafts", () => {
+        const query = searchQuery({ from: "2021-01-01" }),
+            facets = facetConditions({ place: "ma", units: "vtds20", type: "community", complete: "true" });
+        expect(query.$and).to.deep.include({ startDate: { $gte: new Date("2021-01-01") } });
+        expect(query.$and).to.deep.include({ isScratch: { $ne: true } });
+        expect(facets).to.deep.equal({
+            place: { $or: [{ "plan.place.id": "ma" }, { "plan.placeId": "ma" }] },
+            units: { "plan.units.id": "vtds20" },
+            type: { "plan.problem.type": "community" },
+            complete: { "summary.complete": true }
+        });
+    });
+    it("counts each facet without its own condition", () => {
+        const [match, { $facet }] = searchPipeline({ q: "lake", place: "ma", type: "community", skip: "20" }, { planName: 1 }),
+            place = { $or: [{ "plan.place.id": "ma" }, { "plan.placeId": "ma" }] },
+            type = { "plan.problem.type": "community" };
+        expect(match.$match.$and[0]).to.have.property("$text");
+        expect($facet.plans[0]).to.deep.equal({ $match: { $and: [place, type] } });
+        expect($facet.plans).to.deep.include({ $skip: 20 });
+        expect($facet.total[0]).to.deep.equal({ $match: { $and: [place, type] } });
+        expect($facet.place[0]).to.deep.equal({ $match: { $and: [type] } });
+        expect($facet.type[0]).to.deep.equal({ $match: { $and: [place] } });
+        expect($facet.units[0]).to.deep.equal({ $match: { $and: [place, type] } });
+    });
+    it("pages results", () => {
+        expect(pageOf({})).to.deep.equal({ skip: 0, limit: 20 });
+        expect(pageOf({ skip: "40", limit: "500" })).to.deep.equal({ skip: 40, limit: 50 });
+    });
+    it("summarizes how complete plans are", () => {
+        const problem = { type: "districts", numberOfParts: 2 };
+        expect(planSummary({ problem, assignment: { a: 0, b: [1], c: null, d: -1 } }))
+            .to.deep.equal({ units: 2, districts: 2, complete: true });
+        expect(planSummary({ problem, assignment: { a: 0 } }).complete).to.equal(false);
+        expect(planSummary({ problem: { type: "community", numberOfParts: 250 }, assignment: { a: [0, 1] } }))
+            .to.deep.equal({ units: 1, districts: 2, complete: true });
+    });
+    it("assembles communities' text", () => {
+        const plan = {
+            problem: { type: "community" },
+            parts: [{ name: "Riverside", description: "Near the river" }],
+            place: { landmarks: { data: { features: [{ properties: { name: "Park", short_description: "Green" } }] } } }
+        };
+        expect(communityText(plan)).to.equal(" Riverside Near the river Park Green");
+        expect(communityText({ ...plan, problem: { type: "districts" } })).to.equal("");
+    });
+});
@@ -0,0 +1,69 @@
+import { expect } from "@open-wc/testing";
+import Election from "../src/models/Election";
+import Population from "../src/models/Population";
+import { seatCount, seatsByRule } from "../src/models/lib/seats";
+
+const population = (parts, data) => {
+    const result = new Population({
+        total: { key: "TOTPOP", name: "Total population", sum: 1000, min: 0, max: 100 },
+        subgroups: [],
+        parts
+    });
+    result.total.data = data;
+    return result;
+};
+
+describe("seatsByRule", () => {
+    it("gives every seat to the plurality winner at-large", () => {
+        expect(seatsByRule([450, 350, 200], 3, "plurality")).to.deep.equal([3, 0, 0]);
+        expect(seatsByRule([0, 0], 2, "plurality")).to.deep.equal([0, 0]);
+    });
+    it("shares seats by Droop quotas and largest remainders under STV", () => {
+        // the Droop quota is 251 votes: 450 reaches it with 199 over and 350
+        // with 99 over, leaving the third seat to the largest remainder, 200
+        expect(seatsByRule([450, 350, 200], 3, "stv")).to.deep.equal([1, 1, 1]);
+        expect(seatsByRule([700, 300], 3, "stv")).to.deep.equal([2, 1]);
+        expect(seatsByRule([900, 100], 3, "stv")).to.deep.equal([3, 0]);
+    });
+    it("agrees with plurality in single-member districts", () => {
+        expect(seatsByRule([600, 400], 1, "stv")).to.deep.equal([1, 0]);
+        expect(seatsByRule([300, 450, 250], 1, "stv")).to.deep.equal([0, 1, 0]);
+    });
+});
+
+describe("Seat counts", () => {
+    it("follows the population of multi-member parts without a seat count", () => {
+        expect(seatCount({ seats: null }, 310, 100)).to.equal(3);
+        expect(seatCount({ seats: null }, 20, 100)).to.equal(1);
+        expect(seatCount({ seats: null }, 0, 100)).to.equal(0);
+        expect(seatCount({ seats: 2 }, 310, 100)).to.equal(2);
+        expect(seatCount(0, 310, 100)).to.equal(1);
+    });
+    it("scales each part's ideal population by its seats", () => {
+        const parts = [{ seats: 3 }, { seats: null }, { seats: null }, { seats: null }, { seats: null }],
+            pop = population(parts, [660, 340, 0, 0, 0]);
+        // 1000 people and 5 seats make the ideal 200 per seat
+        expect(pop.seats()).to.deep.equal([3, 2, 0, 0, 0]);
+        expect(pop.idealFor(0)).to.equal(600);
+        expect(pop.deviations()[0]).to.be.closeTo(0.1, 1e-9);
+        expect(pop.deviations()[1]).to.be.closeTo(-0.15, 1e-9);
+    });
+    it("counts seats won across districts under either rule", () => {
+        const election = new Election(
+            "2020 Test",
+            [
+                { key: "D", name: "Democratic", sum: 1000, min: 0, max: 100 },
+                { key: "R", name: "Republican", sum: 1000, min: 0, max: 100 }
+            ],
+            [0, 1]
+        );
+        const [dem, rep] = election.parties;
+        dem.data = [600, 100];
+        rep.data = [400, 300];
+        expect(election.getSeatsWonParty(dem)).to.equal(1);
+        expect(election.getSeatsWonParty(dem, [3, 1], "plurality")).to.equal(3);
+        expect(election.getSeatsWonParty(dem, [3, 1], "stv")).to.equal(2);
+        expect(election.getSeatsWonParty(rep, [3, 1], "stv")).to.equal(2);
+        expect(election.totalSeats([3, 1])).to.equal(4);
+    });
+});